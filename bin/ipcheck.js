@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+/**
+ * IPCheck 命令行工具: 在服务器和 CI 中执行与页面相同的出口检测和 IP 风控查询
+ * 探测、解析与评分逻辑来自 ipcheck-core.js,需要 Node.js 18+ (内置 fetch)
+ */
+'use strict';
+
+const core = require('../ipcheck-core.js');
+
+const PROFILE_NAMES = Object.keys(core.SCORE_PROFILES).join(', ');
+const INTEL_NAMES = core.INTEL_PROVIDERS.map((p) => p.name).join(', ');
+
+const USAGE = `Usage: ipcheck <command> [options]
+
+Commands:
+  egress              Detect the egress IPs seen by every provider group
+  lookup <ip>         Look up IP details, source cross-check and abuse score
+
+Options:
+  --json              Print a JSON report (same format as the page export)
+  --profile <name>    Scoring profile: ${PROFILE_NAMES}
+  --intel <names>     Extra intel sources, comma-separated, or "none"
+                      (available: ${INTEL_NAMES})
+  --fail-above <pct>  lookup: exit with code 2 when the abuse score >= pct
+  --base-url <map>    Override a provider base URL: host=url, or a bare url
+                      to send every host to <url>/<host>/... (repeatable)
+  --timeout <ms>      Per-request timeout
+  --verbose           Report failed providers on stderr
+  -h, --help          Show this help
+
+Environment:
+  IPCHECK_BASE_URLS   Comma-separated --base-url values
+`;
+
+/** 需要取值的选项 */
+const VALUE_OPTIONS = ['profile', 'intel', 'fail-above', 'base-url', 'timeout'];
+
+/** 参数错误 (输出用法说明并以 1 退出) */
+class UsageError extends Error {}
+
+/**
+ * 解析命令行参数
+ * @param {string[]} argv - 去掉 node 与脚本路径后的参数
+ * @returns {{_: string[], baseUrls: string[], [name: string]: *}}
+ */
+function parseArgs(argv) {
+  const args = { _: [], baseUrls: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') {
+      args.help = true;
+    } else if (arg.startsWith('--')) {
+      const eq = arg.indexOf('=');
+      const name = arg.slice(2, eq === -1 ? undefined : eq);
+      if (!VALUE_OPTIONS.includes(name)) {
+        if (name === 'json' || name === 'verbose') {
+          args[name] = true;
+          continue;
+        }
+        throw new UsageError(`Unknown option: --${name}`);
+      }
+      const value = eq === -1 ? argv[++i] : arg.slice(eq + 1);
+      if (value === undefined) {
+        throw new UsageError(`Missing value for --${name}`);
+      }
+      if (name === 'base-url') {
+        args.baseUrls.push(value);
+      } else {
+        args[name] = value;
+      }
+    } else {
+      args._.push(arg);
+    }
+  }
+  return args;
+}
+
+/** 判断是否为 http(s) 地址 */
+function isHttpUrl(value) {
+  try {
+    return /^https?:$/.test(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 将 host=url 或单独的 url 转换为 baseUrls 映射
+ * @param {string[]} entries - 命令行与环境变量中的覆盖项
+ * @returns {object} 主机名 -> 基础地址,单独的 url 记为 "*"
+ */
+function parseBaseUrls(entries) {
+  const baseUrls = {};
+  entries.forEach((entry) => {
+    const bare = /^[a-z][a-z0-9+.-]*:\/\//i.test(entry);
+    const eq = entry.indexOf('=');
+    const host = bare ? '*' : entry.slice(0, eq);
+    const url = bare ? entry : entry.slice(eq + 1);
+    if ((!bare && eq <= 0) || !isHttpUrl(url)) {
+      throw new UsageError(`Invalid base URL override: ${entry}`);
+    }
+    baseUrls[host] = url;
+  });
+  return baseUrls;
+}
+
+/**
+ * 根据参数生成核心库的请求选项
+ * @param {object} args - parseArgs 的结果
+ */
+function buildOptions(args) {
+  const env = (process.env.IPCHECK_BASE_URLS || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+  const options = { baseUrls: parseBaseUrls([...env, ...args.baseUrls]) };
+
+  if (args.timeout !== undefined) {
+    options.timeout = Number(args.timeout);
+    if (!(options.timeout > 0)) {
+      throw new UsageError(`Invalid timeout: ${args.timeout}`);
+    }
+  }
+  if (args.intel !== undefined) {
+    options.intelProviders =
+      args.intel === 'none' ? [] : args.intel.split(',').map((s) => s.trim());
+    const known = core.INTEL_PROVIDERS.map((provider) => provider.name);
+    const unknown = options.intelProviders.filter((n) => !known.includes(n));
+    if (unknown.length) {
+      throw new UsageError(`Unknown intel source: ${unknown.join(', ')}`);
+    }
+  }
+  if (args.verbose) {
+    const warn = (provider, error) =>
+      console.error(`${provider.name}: ${error.message}`);
+    options.onProviderError = warn;
+    options.onSourceError = warn;
+  }
+  return options;
+}
+
+/** 生成与页面导出格式一致的报告外壳 */
+function createReport(fields) {
+  return {
+    format: core.REPORT_FORMAT,
+    version: core.REPORT_VERSION,
+    generatedAt: new Date().toISOString(),
+    ...fields,
+  };
+}
+
+/** 将二维数组按列对齐输出 */
+function formatTable(rows) {
+  const widths = rows[0].map((_, col) =>
+    Math.max(...rows.map((row) => String(row[col]).length))
+  );
+  return rows
+    .map((row) =>
+      row
+        .map((cell, col) => String(cell).padEnd(widths[col]))
+        .join('  ')
+        .trimEnd()
+    )
+    .join('\n');
+}
+
+/**
+ * egress 命令: 探测所有网络卡片的出口
+ * @returns {Promise<number>} 退出码,所有卡片都失败时为 1
+ */
+async function runEgress(args, options) {
+  const results = await core.probeEgress(options);
+  const egress = Object.entries(results).map(([key, result]) =>
+    core.summarizeEgress(key, result)
+  );
+
+  if (args.json) {
+    console.log(JSON.stringify(createReport({ egress }), null, 2));
+  } else {
+    const rows = egress.map((entry) =>
+      entry.status === 'success'
+        ? [
+            entry.card,
+            entry.provider,
+            entry.ip,
+            entry.country || '-',
+            entry.colo || '-',
+            entry.ipv4 || '-',
+            entry.ipv6 || '-',
+          ]
+        : [entry.card, 'failed', '-', '-', '-', '-', '-']
+    );
+    console.log(
+      formatTable([
+        ['CARD', 'PROVIDER', 'IP', 'COUNTRY', 'COLO', 'IPV4', 'IPV6'],
+        ...rows,
+      ])
+    );
+  }
+  return egress.some((entry) => entry.status === 'success') ? 0 : 1;
+}
+
+/**
+ * lookup 命令: 查询 IP 详情并计算风控评分
+ * @returns {Promise<number>} 退出码,评分达到 --fail-above 时为 2
+ */
+async function runLookup(args, options) {
+  const ip = args._[1];
+  if (!ip || (!core.isValidIPv4(ip) && !core.isValidIPv6(ip))) {
+    throw new UsageError(ip ? `Invalid IP address: ${ip}` : 'Missing <ip>');
+  }
+  const profileName = args.profile || 'default';
+  if (!core.SCORE_PROFILES[profileName]) {
+    throw new UsageError(`Unknown scoring profile: ${profileName}`);
+  }
+  const threshold =
+    args['fail-above'] === undefined ? null : Number(args['fail-above']);
+  if (threshold !== null && !(threshold >= 0)) {
+    throw new UsageError(`Invalid threshold: ${args['fail-above']}`);
+  }
+
+  const entry = await core.lookupIp(ip, options);
+  const summary = core.summarizeLookup(entry, profileName);
+
+  if (args.json) {
+    console.log(JSON.stringify(createReport({ lookups: [summary] }), null, 2));
+  } else {
+    const succeeded = entry.sources.filter((source) => source.values);
+    const failed = entry.sources.filter((source) => source.error);
+    const conflicts = core
+      .computeIntelConsensus(succeeded)
+      .filter((row) => !row.agree)
+      .map(
+        (row) =>
+          `${row.field.key}: ${row.values
+            .map((item) => `${item.provider}=${item.value}`)
+            .join(', ')}`
+      );
+    const flags = Object.keys(summary.flags)
+      .filter((key) => summary.flags[key])
+      .map((key) => key.replace(/^is_/, ''));
+    const risk = summary.risk
+      ? `${summary.risk.percentage}% (${summary.risk.level}, ${profileName} profile)`
+      : 'unknown';
+
+    console.log(
+      formatTable([
+        ['IP', summary.ip],
+        [
+          'Location',
+          [summary.country, summary.city].filter(Boolean).join(', ') || '-',
+        ],
+        [
+          'ASN',
+          summary.asn ? `AS${summary.asn} ${summary.org || ''}`.trim() : '-',
+        ],
+        [
+          'Type',
+          `company ${summary.companyType || '-'} / asn ${
+            summary.asnType || '-'
+          }`,
+        ],
+        ['Flags', flags.join(', ') || 'none'],
+        ['Risk', risk],
+        [
+          'Sources',
+          succeeded.map((source) => source.name).join(', ') +
+            (failed.length
+              ? `; failed: ${failed
+                  .map((source) => `${source.name} (${source.error})`)
+                  .join(', ')}`
+              : ''),
+        ],
+        ...conflicts.map((line, i) => [i ? '' : 'Conflicts', line]),
+      ])
+    );
+  }
+
+  return threshold !== null &&
+    summary.risk &&
+    summary.risk.percentage >= threshold
+    ? 2
+    : 0;
+}
+
+/** 命令 -> 处理函数 */
+const COMMANDS = { egress: runEgress, lookup: runLookup };
+
+/**
+ * 入口
+ * @param {string[]} argv - 命令行参数
+ * @returns {Promise<number>} 退出码
+ */
+async function main(argv) {
+  try {
+    const args = parseArgs(argv);
+    const command = COMMANDS[args._[0]];
+    if (args.help || !args._.length) {
+      console.log(USAGE);
+      return args.help ? 0 : 1;
+    }
+    if (!command) {
+      throw new UsageError(`Unknown command: ${args._[0]}`);
+    }
+    if (typeof fetch !== 'function') {
+      throw new Error('Node.js 18 or later is required (global fetch)');
+    }
+    return await command(args, buildOptions(args));
+  } catch (error) {
+    console.error(`ipcheck: ${error.message}`);
+    if (error instanceof UsageError) {
+      console.error(`\n${USAGE}`);
+    }
+    return 1;
+  }
+}
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
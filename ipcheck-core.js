@@ -0,0 +1,1231 @@
+/**
+ * IPCheck 核心库: 出口探测、IP 详情查询与风控评分
+ * 不依赖 DOM,页面 (全局变量 IpCheckCore) 与命令行工具 (require) 共用同一份逻辑
+ * 显示文案由调用方提供,这里只返回数据和标识
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.IpCheckCore = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, () => {
+  'use strict';
+
+  // --- 1. 地址校验与网段计算 ---
+
+  /** 校验 IPv4 地址 */
+  function isValidIPv4(value) {
+    const parts = value.split('.');
+    return (
+      parts.length === 4 &&
+      parts.every((part) => /^\d{1,3}$/.test(part) && Number(part) <= 255)
+    );
+  }
+
+  /** 校验 IPv6 地址 (支持 :: 缩写和末尾内嵌 IPv4) */
+  function isValidIPv6(value) {
+    const halves = value.split('::');
+    if (halves.length > 2) return false;
+
+    const groups = halves.flatMap((half) => (half ? half.split(':') : []));
+    let groupCount = groups.length;
+
+    // 末尾内嵌 IPv4 (如 ::ffff:1.2.3.4) 占两组
+    if (groups.length && groups[groups.length - 1].includes('.')) {
+      if (!isValidIPv4(groups.pop())) return false;
+      groupCount += 1;
+    }
+
+    if (!groups.every((group) => /^[0-9a-f]{1,4}$/i.test(group))) {
+      return false;
+    }
+    return halves.length === 2 ? groupCount < 8 : groupCount === 8;
+  }
+
+  /**
+   * 判断 IP 的协议族
+   * @param {string} ip - IP 地址
+   * @returns {'v4' | 'v6'}
+   */
+  function getIpFamily(ip) {
+    return ip.includes(':') ? 'v6' : 'v4';
+  }
+
+  /** 各 IP 版本的位数 */
+  const IP_BITS = { 4: 32, 6: 128 };
+
+  /**
+   * 将 IP 地址转换为整数
+   * @param {string} value - IPv4 / IPv6 地址
+   * @returns {{version: 4 | 6, value: bigint}|null} 地址无效时返回 null
+   */
+  function parseIpAddress(value) {
+    const ip = value.trim().replace(/^\[|\]$/g, '');
+    if (isValidIPv4(ip)) {
+      return {
+        version: 4,
+        value: ip
+          .split('.')
+          .reduce((sum, part) => (sum << 8n) + BigInt(part), 0n),
+      };
+    }
+    if (!isValidIPv6(ip)) return null;
+
+    // 末尾内嵌的 IPv4 转为两组十六进制
+    let text = ip;
+    const embedded = ip.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (embedded) {
+      const v4 = parseIpAddress(embedded[1]).value;
+      text =
+        ip.slice(0, -embedded[1].length) +
+        `${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+    }
+
+    const [head, tail] = text.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups =
+      tail === undefined
+        ? headGroups
+        : [
+            ...headGroups,
+            ...Array(8 - headGroups.length - tailGroups.length).fill('0'),
+            ...tailGroups,
+          ];
+    return {
+      version: 6,
+      value: groups.reduce(
+        (sum, group) => (sum << 16n) + BigInt(`0x${group}`),
+        0n
+      ),
+    };
+  }
+
+  /**
+   * 将整数转换回 IP 地址 (IPv6 使用 :: 压缩最长的连续 0 组)
+   * @param {4 | 6} version - IP 版本
+   * @param {bigint} value - 地址整数
+   * @returns {string}
+   */
+  function formatIpAddress(version, value) {
+    if (version === 4) {
+      return [24n, 16n, 8n, 0n]
+        .map((shift) => String((value >> shift) & 0xffn))
+        .join('.');
+    }
+
+    const groups = [];
+    for (let shift = 112n; shift >= 0n; shift -= 16n) {
+      groups.push(((value >> shift) & 0xffffn).toString(16));
+    }
+
+    let best = { start: -1, length: 0 };
+    for (let i = 0; i < groups.length; ) {
+      if (groups[i] !== '0') {
+        i++;
+        continue;
+      }
+      let end = i;
+      while (end < groups.length && groups[end] === '0') end++;
+      if (end - i > best.length) best = { start: i, length: end - i };
+      i = end;
+    }
+
+    if (best.length < 2) return groups.join(':');
+    return (
+      groups.slice(0, best.start).join(':') +
+      '::' +
+      groups.slice(best.start + best.length).join(':')
+    );
+  }
+
+  /**
+   * 解析网段,支持 CIDR (104.16.0.0/13) 与起止范围 (1.0.0.0 - 1.0.0.255)
+   * @param {string} text - 网段
+   * @returns {{version: 4 | 6, first: bigint, last: bigint, prefix: number|null}|null}
+   */
+  function parseNetworkRange(text) {
+    const range = text.split(/\s+-\s+|\s*–\s*/);
+    if (range.length === 2) {
+      const first = parseIpAddress(range[0]);
+      const last = parseIpAddress(range[1]);
+      if (
+        !first ||
+        !last ||
+        first.version !== last.version ||
+        first.value > last.value
+      ) {
+        return null;
+      }
+      return {
+        version: first.version,
+        first: first.value,
+        last: last.value,
+        prefix: null,
+      };
+    }
+
+    const [address, prefixText] = text.trim().split('/');
+    const ip = parseIpAddress(address);
+    if (!ip) return null;
+    const bits = IP_BITS[ip.version];
+    const prefix = prefixText === undefined ? bits : Number(prefixText);
+    if (!/^\d*$/.test(prefixText || '') || prefix < 0 || prefix > bits) {
+      return null;
+    }
+
+    const hostBits = BigInt(bits - prefix);
+    const first = (ip.value >> hostBits) << hostBits;
+    return {
+      version: ip.version,
+      first,
+      last: first + (1n << hostBits) - 1n,
+      prefix,
+    };
+  }
+
+  /**
+   * 判断 IP 是否在网段内
+   * @param {ReturnType<typeof parseNetworkRange>} range - 网段
+   * @param {string} ip - IP 地址
+   * @returns {boolean}
+   */
+  function rangeContainsIp(range, ip) {
+    const address = parseIpAddress(ip);
+    return Boolean(
+      range &&
+        address &&
+        address.version === range.version &&
+        address.value >= range.first &&
+        address.value <= range.last
+    );
+  }
+
+  // --- 2. 请求 ---
+
+  /**
+   * 所有请求共用的选项
+   * @typedef {object} RequestOptions
+   * @property {Function} [fetch] - fetch 实现,默认使用全局 fetch
+   * @property {object} [baseUrls] - 接口地址覆盖: 主机名 -> 基础地址;
+   *   "*" 匹配其余所有主机,并在路径前追加原主机名 (便于用一个本地模拟服务响应所有接口)
+   * @property {number} [timeout] - 单个请求的超时 (毫秒),默认按请求类型取值
+   */
+
+  /** 接口返回的数据不符合预期格式 */
+  function invalidDataError(message) {
+    return new Error(message || 'Unexpected response format');
+  }
+
+  /**
+   * 判断请求是否在网络层面失败 (无法连接或超时),而不是接口返回了错误
+   * @param {Error} error - 请求抛出的错误
+   * @returns {boolean}
+   */
+  function isNetworkError(error) {
+    return Boolean(error && error.network);
+  }
+
+  /**
+   * 按 baseUrls 改写接口地址,保留原路径和查询参数
+   * @param {string} url - 原始地址
+   * @param {object} [baseUrls] - 主机名 -> 基础地址
+   * @returns {string}
+   */
+  function resolveUrl(url, baseUrls = {}) {
+    const parsed = new URL(url);
+    const path = parsed.pathname + parsed.search;
+    const base = baseUrls[parsed.host];
+    if (base) return base.replace(/\/+$/, '') + path;
+    if (baseUrls['*']) {
+      return `${baseUrls['*'].replace(/\/+$/, '')}/${parsed.host}${path}`;
+    }
+    return url;
+  }
+
+  /**
+   * 发出带超时的请求并读取响应体 (超时计时覆盖读取过程)
+   * @param {string} url - 原始地址 (按 options.baseUrls 改写)
+   * @param {Function} read - 读取响应体,如 (response) => response.json()
+   * @param {RequestOptions} options - 请求选项
+   * @param {number} timeout - 未指定 options.timeout 时的超时
+   */
+  async function request(url, read, options, timeout) {
+    const controller = new AbortController();
+    const timer = setTimeout(
+      () => controller.abort(),
+      options.timeout || timeout
+    );
+    const target = resolveUrl(url, options.baseUrls);
+    const init = { signal: controller.signal };
+    try {
+      let response;
+      try {
+        response = await (options.fetch
+          ? options.fetch(target, init)
+          : fetch(target, init));
+      } catch (error) {
+        // 无法连接或超时,与接口返回的错误区分开
+        error.network = true;
+        throw error;
+      }
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return await read(response);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // --- 3. 出口探测 ---
+
+  /**
+   * 解析 cdn-cgi/trace 的文本响应 (key=value 格式,每行一个)
+   * @param {string} text - 响应文本
+   * @returns {object} 解析后的键值对象
+   */
+  function parseTraceText(text) {
+    const data = {};
+    text.split('\n').forEach((line) => {
+      // 只按第一个 = 分割,uag 等字段的值中可能包含 =
+      const index = line.indexOf('=');
+      const key = line.slice(0, index);
+      const value = line.slice(index + 1);
+      if (index > 0 && key && value) {
+        data[key.trim()] = value.trim();
+      }
+    });
+    return data;
+  }
+
+  /** 共享解析器: cdn-cgi/trace 格式 (ip / loc / colo),完整字段保留在 trace 中 */
+  function traceParser(data) {
+    if (!data.ip) throw invalidDataError();
+    return {
+      ip: data.ip,
+      country: data.loc || '',
+      colo: data.colo,
+      trace: data,
+    };
+  }
+
+  /** 共享解析器: ipapi.is 格式 (ip / location / asn) */
+  function ipapiParser(data) {
+    if (!data.ip) throw invalidDataError();
+    return {
+      ip: data.ip,
+      country: data.location?.country_code || '',
+      city: data.asn ? `AS${data.asn.asn} ${data.asn.org}` : '',
+    };
+  }
+
+  /** 共享解析器: 纯文本 IP (单栈探测接口) */
+  function textIpParser(text) {
+    const ip = text.trim();
+    if (!isValidIPv4(ip) && !isValidIPv6(ip)) {
+      throw invalidDataError();
+    }
+    return { ip };
+  }
+
+  /** 响应体读取方式: JSON、trace 文本或纯文本 */
+  const responseReaders = {
+    json: (response) => response.json(),
+    trace: async (response) => parseTraceText(await response.text()),
+    text: (response) => response.text(),
+  };
+
+  /**
+   * 网络出口卡片的接口注册表 (卡片名称由调用方按界面语言提供)
+   * 每张卡片按优先级排列多个接口,前一个失败时自动切换到下一个
+   * - name: 显示在卡片标题中的接口名称
+   * - format: 响应格式 (json / trace / text)
+   * - cacheBust: 是否追加时间戳参数避免缓存 (默认追加)
+   * - parser: 将响应数据转换为 { ip, country, city }
+   * families 为 IPv4 / IPv6 单栈探测接口,用于检测双栈出口
+   */
+  const NETWORK_PROVIDERS = {
+    ipip: {
+      families: {
+        v4: {
+          name: '4.ipw.cn',
+          url: 'https://4.ipw.cn/',
+          format: 'text',
+          parser: textIpParser,
+        },
+        v6: {
+          name: '6.ipw.cn',
+          url: 'https://6.ipw.cn/',
+          format: 'text',
+          parser: textIpParser,
+        },
+      },
+      providers: [
+        {
+          name: 'speedtest.cn',
+          url: 'https://api-v3.speedtest.cn/ip',
+          format: 'json',
+          parser: (data) => {
+            if (data.code === 0 && data.data) {
+              return {
+                ip: data.data.ip || '',
+                country: data.data.country || '',
+                city: data.data.city || '',
+              };
+            }
+            throw invalidDataError();
+          },
+        },
+        {
+          name: 'ipipv.com',
+          url: 'https://myip.ipipv.com/',
+          format: 'json',
+          parser: (data) => {
+            return {
+              ip: data.Ip || '',
+              country: data.Country || '',
+              city: data.City || '',
+            };
+          },
+        },
+        {
+          name: 'ipip.net',
+          url: 'https://myip.ipip.net/json',
+          format: 'json',
+          parser: (data) => {
+            if (data.ret === 'ok' && data.data) {
+              return {
+                ip: data.data.ip || '',
+                country: data.data.location[0] || '',
+                city: data.data.location[2] || '',
+              };
+            }
+            throw invalidDataError();
+          },
+        },
+      ],
+    },
+    edgeone: {
+      families: {
+        v4: {
+          name: 'api4.ipify.org',
+          url: 'https://api4.ipify.org/',
+          format: 'text',
+          parser: textIpParser,
+        },
+        v6: {
+          name: 'api6.ipify.org',
+          url: 'https://api6.ipify.org/',
+          format: 'text',
+          parser: textIpParser,
+        },
+      },
+      providers: [
+        {
+          name: 'ipapi.cmliussss.net',
+          url: 'https://api.ipapi.cmliussss.net',
+          format: 'json',
+          cacheBust: false,
+          parser: ipapiParser,
+        },
+        {
+          name: 'ipapi.is',
+          url: 'https://api.ipapi.is/',
+          format: 'json',
+          cacheBust: false,
+          parser: ipapiParser,
+        },
+        {
+          name: 'ipinfo.io',
+          url: 'https://ipinfo.io/json',
+          format: 'json',
+          parser: (data) => {
+            if (!data.ip) throw invalidDataError();
+            return {
+              ip: data.ip,
+              country: data.country || '',
+              city: data.org || '',
+            };
+          },
+        },
+      ],
+    },
+    cf: {
+      // 主接口不返回 trace 时,额外请求 trace 用于详情面板
+      trace: {
+        name: 'cloudflare.com',
+        url: 'https://www.cloudflare.com/cdn-cgi/trace',
+        format: 'trace',
+        parser: traceParser,
+      },
+      families: {
+        v4: {
+          name: '1.1.1.1',
+          url: 'https://1.1.1.1/cdn-cgi/trace',
+          format: 'trace',
+          parser: traceParser,
+        },
+        v6: {
+          name: '2606:4700:4700::1111',
+          url: 'https://[2606:4700:4700::1111]/cdn-cgi/trace',
+          format: 'trace',
+          parser: traceParser,
+        },
+      },
+      providers: [
+        {
+          name: 'cf.090227.xyz',
+          url: 'https://cf.090227.xyz/ip.json',
+          format: 'json',
+          parser: (data) => {
+            if (!data.ip) throw invalidDataError();
+            return {
+              ip: data.ip,
+              country: data.country || '',
+              city: data.org || '',
+              colo: data.colo,
+            };
+          },
+        },
+        {
+          name: 'cloudflare.com',
+          url: 'https://www.cloudflare.com/cdn-cgi/trace',
+          format: 'trace',
+          parser: traceParser,
+        },
+        {
+          name: '1.1.1.1',
+          url: 'https://one.one.one.one/cdn-cgi/trace',
+          format: 'trace',
+          parser: traceParser,
+        },
+      ],
+    },
+    twitter: {
+      families: {
+        v4: {
+          name: 'api-ipv4.ip.sb',
+          url: 'https://api-ipv4.ip.sb/ip',
+          format: 'text',
+          parser: textIpParser,
+        },
+        v6: {
+          name: 'api-ipv6.ip.sb',
+          url: 'https://api-ipv6.ip.sb/ip',
+          format: 'text',
+          parser: textIpParser,
+        },
+      },
+      providers: [
+        {
+          name: 'x.com',
+          url: 'https://x.com/cdn-cgi/trace',
+          format: 'trace',
+          parser: traceParser,
+        },
+        {
+          name: 'chatgpt.com',
+          url: 'https://chatgpt.com/cdn-cgi/trace',
+          format: 'trace',
+          parser: traceParser,
+        },
+        {
+          name: 'discord.com',
+          url: 'https://discord.com/cdn-cgi/trace',
+          format: 'trace',
+          parser: traceParser,
+        },
+      ],
+    },
+  };
+
+  /** 单个接口的超时时间 (毫秒),超时后切换到下一个接口 */
+  const PROVIDER_TIMEOUT = 8000;
+
+  /**
+   * 请求单个接口并解析为统一格式
+   * @param {object} provider - 接口配置
+   * @param {RequestOptions} [options] - 请求选项
+   * @returns {Promise<{ip: string, country: string, city: string}>}
+   */
+  async function requestProvider(provider, options = {}) {
+    // 添加时间戳参数避免缓存
+    let url = provider.url;
+    if (provider.cacheBust !== false) {
+      url += (url.includes('?') ? '&' : '?') + `t=${Date.now()}`;
+    }
+
+    const data = await request(
+      url,
+      responseReaders[provider.format],
+      options,
+      PROVIDER_TIMEOUT
+    );
+    return provider.parser(data);
+  }
+
+  /**
+   * 出口探测的选项,在请求选项之外提供进度回调
+   * @typedef {RequestOptions} ProbeOptions
+   * @property {Function} [onPrimary] - 主接口有结果时调用 (result),全部失败时为 null
+   * @property {Function} [onStacks] - 双栈探测结果每次变化时调用 (stacks)
+   * @property {Function} [onProviderError] - 单个接口失败时调用 (provider, error)
+   */
+
+  /**
+   * 按顺序依次尝试接口,返回第一个成功的结果
+   * @param {Array<object>} providers - 接口配置列表
+   * @param {ProbeOptions} [options] - 探测选项
+   * @returns {Promise<object|null>} 解析结果 (附带 provider 接口名称),全部失败返回 null
+   */
+  async function requestFirstProvider(providers, options = {}) {
+    for (const provider of providers) {
+      try {
+        const result = await requestProvider(provider, options);
+        return { ...result, provider: provider.name }; // 成功则返回,不再尝试其他接口
+      } catch (error) {
+        options.onProviderError?.(provider, error);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 分别通过 IPv4 / IPv6 单栈接口探测双栈出口
+   * 单栈接口只有对应协议族可达,请求失败即视为该协议族不可用
+   * @param {object} [families] - { v4, v6 } 单栈接口配置
+   * @param {ProbeOptions} [options] - 探测选项
+   * @returns {Promise<object|null>} { v4, v6 },值为 IP 或 null (不可用);未配置单栈接口时返回 null
+   */
+  async function probeStacks(families, options = {}) {
+    if (!families) return null;
+
+    const stacks = {};
+    await Promise.all(
+      Object.entries(families).map(async ([family, provider]) => {
+        try {
+          const result = await requestProvider(provider, options);
+          // 防止接口回落到另一协议族时误报
+          stacks[family] = getIpFamily(result.ip) === family ? result.ip : null;
+        } catch (error) {
+          stacks[family] = null;
+        }
+        options.onStacks?.(stacks);
+      })
+    );
+    return stacks;
+  }
+
+  /**
+   * 探测单张网络卡片: 主接口与双栈探测并行进行
+   * @param {string} key - 卡片标识 (ipip / edgeone / cf / twitter)
+   * @param {ProbeOptions} [options] - 探测选项
+   * @returns {Promise<object>} { status, provider, ip, country, city, colo, trace, stacks, updatedAt };
+   *   失败时 networkError 表示所有主接口都是网络层面的失败 (离线、无法连接或超时)
+   */
+  async function probeCard(key, options = {}) {
+    const card = NETWORK_PROVIDERS[key];
+    const providerErrors = [];
+    const primaryOptions = {
+      ...options,
+      onProviderError: (provider, error) => {
+        providerErrors.push(error);
+        options.onProviderError?.(provider, error);
+      },
+    };
+    const [primary, stacks] = await Promise.all([
+      requestFirstProvider(card.providers, primaryOptions).then((result) => {
+        options.onPrimary?.(result);
+        return result;
+      }),
+      probeStacks(card.families, options),
+    ]);
+
+    // 主接口未返回 trace 时,使用卡片配置的 trace 接口补充详情
+    if (primary && !primary.trace && card.trace) {
+      try {
+        primary.trace = (await requestProvider(card.trace, options)).trace;
+      } catch (error) {
+        options.onProviderError?.(card.trace, error);
+      }
+    }
+    if (primary && !primary.colo) {
+      primary.colo = primary.trace?.colo;
+    }
+
+    // 单栈接口失败但主接口返回了该协议族的 IP 时,以主接口结果为准
+    if (primary && stacks) {
+      const family = getIpFamily(primary.ip);
+      if (stacks[family] === null) {
+        stacks[family] = primary.ip;
+        options.onStacks?.(stacks);
+      }
+    }
+
+    const result = {
+      status: primary ? 'success' : 'error',
+      ...primary,
+      stacks,
+      updatedAt: Date.now(),
+    };
+    if (!primary) {
+      result.networkError = providerErrors.every(isNetworkError);
+    }
+    return result;
+  }
+
+  /**
+   * 并行探测所有网络卡片
+   * @param {ProbeOptions} [options] - 探测选项
+   * @returns {Promise<object>} 卡片标识 -> probeCard 的结果
+   */
+  async function probeEgress(options = {}) {
+    const keys = Object.keys(NETWORK_PROVIDERS);
+    const results = await Promise.all(
+      keys.map((key) => probeCard(key, options))
+    );
+    return Object.fromEntries(keys.map((key, i) => [key, results[i]]));
+  }
+
+  /** 比较出口变化时检查的字段 */
+  const EGRESS_DIFF_FIELDS = ['ip', 'country', 'colo'];
+
+  /**
+   * 比较两次出口探测结果 (卡片标识 -> probeCard 的结果)
+   * - changed: 两次都成功,field 字段的值不同
+   * - failed / recovered: 由成功变为失败 / 由失败恢复为成功
+   * 只出现在其中一次结果中的卡片不比较
+   * @param {object} previous - 上一次的结果
+   * @param {object} current - 本次的结果
+   * @returns {Array<{card: string, type: 'changed' | 'failed' | 'recovered', field?: string, before?: string|null, after?: string|null}>}
+   */
+  function diffEgress(previous, current) {
+    const changes = [];
+    Object.entries(current).forEach(([card, after]) => {
+      const before = previous[card];
+      if (!before || !after) return;
+
+      const wasUp = before.status === 'success';
+      const isUp = after.status === 'success';
+      if (wasUp !== isUp) {
+        changes.push({ card, type: isUp ? 'recovered' : 'failed' });
+        return;
+      }
+      if (!isUp) return;
+      EGRESS_DIFF_FIELDS.forEach((field) => {
+        if (before[field] !== after[field]) {
+          changes.push({
+            card,
+            type: 'changed',
+            field,
+            before: before[field] || null,
+            after: after[field] || null,
+          });
+        }
+      });
+    });
+    return changes;
+  }
+
+  // --- 4. IP 详情查询与多源比对 ---
+
+  /** IP 详情接口 (ipapi.is 数据) */
+  const IP_DETAILS_URL = 'https://api.ipapi.cmliussss.net/';
+
+  /** IP 详情主查询的超时 (毫秒) */
+  const LOOKUP_TIMEOUT = 10000;
+
+  /** 附加数据源的请求超时 (毫秒),超时的数据源不参与比对 */
+  const INTEL_TIMEOUT = 6000;
+
+  /**
+   * 将 ipapi.is 的响应转换为统一格式
+   * 统一格式: { country, city, asn, org, type, is_proxy, is_vpn, is_datacenter }
+   * 数据源未提供的字段保持 undefined,不参与比对
+   */
+  function normalizeIpapiIs(data) {
+    return {
+      country: data.location?.country_code,
+      city: data.location?.city,
+      asn: data.asn?.asn,
+      org: data.asn?.org,
+      type: data.company?.type,
+      is_proxy: data.is_proxy,
+      is_vpn: data.is_vpn,
+      is_datacenter: data.is_datacenter,
+    };
+  }
+
+  /** 将 "AS13335 Cloudflare" 形式的字符串拆分为 ASN 编号与组织名 */
+  function splitAsOrg(value) {
+    const match = /^AS(\d+)\s*(.*)$/i.exec(value || '');
+    return match
+      ? { asn: Number(match[1]), org: match[2] || undefined }
+      : { asn: undefined, org: value || undefined };
+  }
+
+  /**
+   * 附加 IP 情报数据源 (与 ipapi.is 并行查询后比对)
+   * - url: 根据 IP 生成请求地址
+   * - normalize: 将响应转换为统一格式
+   * - defaultEnabled: 未设置时是否默认启用
+   */
+  const INTEL_PROVIDERS = [
+    {
+      name: 'ipinfo.io',
+      url: (ip) => `https://ipinfo.io/${ip}/json`,
+      defaultEnabled: true,
+      normalize: (data) => ({
+        country: data.country,
+        city: data.city,
+        ...splitAsOrg(data.org),
+      }),
+    },
+    {
+      name: 'proxycheck.io',
+      url: (ip) => `https://proxycheck.io/v2/${ip}?vpn=1&asn=1`,
+      defaultEnabled: true,
+      normalize: (data, ip) => {
+        const info = data[ip];
+        if (data.status === 'error' || !info) {
+          throw invalidDataError(data.message);
+        }
+        const type = (info.type || '').toLowerCase();
+        const typeMap = {
+          residential: 'isp',
+          wireless: 'isp',
+          business: 'business',
+          hosting: 'hosting',
+          'data center': 'hosting',
+        };
+        return {
+          country: info.isocode,
+          city: info.city,
+          asn: splitAsOrg(info.asn).asn,
+          org: info.organisation || info.provider,
+          type: typeMap[type],
+          is_proxy: info.proxy === 'yes' && type !== 'vpn',
+          is_vpn: type === 'vpn',
+          is_datacenter:
+            type in typeMap ? typeMap[type] === 'hosting' : undefined,
+        };
+      },
+    },
+    {
+      name: 'ipwho.is',
+      url: (ip) => `https://ipwho.is/${ip}`,
+      defaultEnabled: false,
+      normalize: (data) => {
+        if (data.success === false) {
+          throw invalidDataError(data.message);
+        }
+        return {
+          country: data.country_code,
+          city: data.city,
+          asn: data.connection?.asn,
+          org: data.connection?.org,
+        };
+      },
+    },
+    {
+      name: 'ip.sb',
+      url: (ip) => `https://api.ip.sb/geoip/${ip}`,
+      defaultEnabled: false,
+      normalize: (data) => ({
+        country: data.country_code,
+        city: data.city,
+        asn: data.asn,
+        org: data.asn_organization,
+      }),
+    },
+  ];
+
+  /** 默认启用的附加数据源名称 */
+  function getDefaultIntelProviders() {
+    return INTEL_PROVIDERS.filter((provider) => provider.defaultEnabled).map(
+      (provider) => provider.name
+    );
+  }
+
+  /**
+   * IP 详情查询的选项
+   * @typedef {RequestOptions} LookupOptions
+   * @property {string[]} [intelProviders] - 参与比对的附加数据源,默认使用 defaultEnabled 的数据源
+   * @property {Function} [onSourceError] - 附加数据源失败时调用 (provider, error)
+   */
+
+  /**
+   * 并行查询附加数据源
+   * 单个数据源失败不影响其他数据源和主查询
+   * @param {string} ip - IP 地址
+   * @param {LookupOptions} [options] - 查询选项
+   * @returns {Promise<Array<{name: string, values?: object, error?: string}>>}
+   */
+  async function requestIntelSources(ip, options = {}) {
+    const enabled = options.intelProviders || getDefaultIntelProviders();
+    const providers = INTEL_PROVIDERS.filter((provider) =>
+      enabled.includes(provider.name)
+    );
+
+    return Promise.all(
+      providers.map(async (provider) => {
+        try {
+          const data = await request(
+            provider.url(encodeURIComponent(ip)),
+            (response) => response.json(),
+            options,
+            INTEL_TIMEOUT
+          );
+          return { name: provider.name, values: provider.normalize(data, ip) };
+        } catch (error) {
+          options.onSourceError?.(provider, error);
+          return { name: provider.name, error: error.message };
+        }
+      })
+    );
+  }
+
+  /**
+   * 查询 IP 详细信息 (ipapi.is),同时并行查询附加数据源用于多源比对
+   * @param {string} ip - 要查询的 IP
+   * @param {LookupOptions} [options] - 查询选项
+   * @returns {Promise<{data: object, sources: Array, fetchedAt: number}>}
+   */
+  async function lookupIp(ip, options = {}) {
+    const intelRequest = requestIntelSources(ip, options);
+    const data = await request(
+      `${IP_DETAILS_URL}?ip=${encodeURIComponent(ip)}`,
+      (response) => response.json(),
+      options,
+      LOOKUP_TIMEOUT
+    );
+    const sources = [
+      { name: 'ipapi.is', values: normalizeIpapiIs(data) },
+      ...(await intelRequest),
+    ];
+    return { data, sources, fetchedAt: Date.now() };
+  }
+
+  /**
+   * 参与比对的字段
+   * - compare: 为 false 时只展示各数据源的值,不判定分歧 (如各库写法不同的组织名)
+   */
+  const INTEL_FIELDS = [
+    { key: 'country' },
+    { key: 'city' },
+    { key: 'asn' },
+    { key: 'org', compare: false },
+    { key: 'type' },
+    { key: 'is_proxy' },
+    { key: 'is_vpn' },
+    { key: 'is_datacenter' },
+  ];
+
+  /** 将字段值转换为可比较的形式 */
+  function toComparable(value) {
+    return typeof value === 'string' ? value.trim().toLowerCase() : value;
+  }
+
+  /**
+   * 计算各字段在数据源之间的一致性
+   * @param {Array<{name: string, values: object}>} sources - 成功的数据源
+   * @param {Array<object>} [fields] - 参与比对的字段,默认为 INTEL_FIELDS
+   * @returns {Array<{field: object, values: Array, agree: boolean}>}
+   */
+  function computeIntelConsensus(sources, fields = INTEL_FIELDS) {
+    return fields
+      .map((field) => {
+        const values = sources
+          .filter(
+            (source) =>
+              source.values[field.key] !== undefined &&
+              source.values[field.key] !== null &&
+              source.values[field.key] !== ''
+          )
+          .map((source) => ({
+            provider: source.name,
+            value: source.values[field.key],
+          }));
+        const distinct = new Set(
+          values.map((item) => toComparable(item.value))
+        );
+        return {
+          field,
+          values,
+          agree: field.compare === false || distinct.size <= 1,
+        };
+      })
+      .filter((row) => row.values.length);
+  }
+
+  // --- 5. 风控评分 ---
+
+  /**
+   * 风险等级 (按百分比下限从高到低排列)
+   * id 与页面文案键 risk.<id> 对应
+   */
+  const RISK_LEVELS = [
+    { id: 'critical', min: 100 },
+    { id: 'high', min: 20 },
+    { id: 'elevated', min: 5 },
+    { id: 'low', min: 0.25 },
+    { id: 'veryLow', min: 0 },
+  ];
+
+  /** 参与评分的安全风险项 (ipapi.is 响应中的布尔字段) */
+  const RISK_FLAGS = [
+    { key: 'is_crawler' },
+    { key: 'is_proxy' },
+    { key: 'is_vpn' },
+    { key: 'is_tor' },
+    { key: 'is_abuser' },
+    { key: 'is_bogon' },
+    { key: 'is_datacenter' },
+  ];
+
+  /**
+   * 评分方案
+   * - companyWeight / asnWeight: 运营商分、ASN 分的乘数
+   * - flags: 每个风险项为真时附加的分值 (0.15 = 15%)
+   * default 与原算法一致: (运营商分 + ASN分) / 2 * 5 + 风险项数量 * 15%
+   */
+  const SCORE_PROFILES = {
+    default: {
+      companyWeight: 2.5,
+      asnWeight: 2.5,
+      flags: {
+        is_crawler: 0.15,
+        is_proxy: 0.15,
+        is_vpn: 0.15,
+        is_tor: 0.15,
+        is_abuser: 0.15,
+        is_bogon: 0.15,
+        is_datacenter: 0,
+      },
+    },
+    strict: {
+      companyWeight: 5,
+      asnWeight: 5,
+      flags: {
+        is_crawler: 0.3,
+        is_proxy: 0.3,
+        is_vpn: 0.3,
+        is_tor: 0.5,
+        is_abuser: 0.3,
+        is_bogon: 0.3,
+        is_datacenter: 0.1,
+      },
+    },
+    streaming: {
+      companyWeight: 2.5,
+      asnWeight: 2.5,
+      flags: {
+        is_crawler: 0.05,
+        is_proxy: 0.3,
+        is_vpn: 0.3,
+        is_tor: 0.5,
+        is_abuser: 0.1,
+        is_bogon: 0.15,
+        is_datacenter: 0.25,
+      },
+    },
+  };
+
+  /**
+   * 计算综合滥用评分 (风控值)
+   * @param {*} companyScore - 运营商滥用评分
+   * @param {*} asnScore - ASN 滥用评分
+   * @param {object} securityFlags - 安全风险标志
+   * @param {object} [profile] - 评分方案,默认为 SCORE_PROFILES.default
+   * @returns {{total: number, factors: Array<object>}|null} 总分与逐项明细 (id 为 company / asn / 风险项字段名),无有效数据时返回 null
+   */
+  function calculateAbuseScore(
+    companyScore,
+    asnScore,
+    securityFlags = {},
+    profile = SCORE_PROFILES.default
+  ) {
+    const company = parseFloat(companyScore) || 0;
+    const asn = parseFloat(asnScore) || 0;
+
+    const factors = [
+      {
+        id: 'company',
+        value: company,
+        weight: profile.companyWeight,
+        contribution: company * profile.companyWeight,
+      },
+      {
+        id: 'asn',
+        value: asn,
+        weight: profile.asnWeight,
+        contribution: asn * profile.asnWeight,
+      },
+    ];
+
+    RISK_FLAGS.forEach((flag) => {
+      if (securityFlags[flag.key] === true) {
+        const weight = profile.flags[flag.key] || 0;
+        factors.push({
+          id: flag.key,
+          value: true,
+          weight,
+          contribution: weight,
+          isFlag: true,
+        });
+      }
+    });
+
+    // 两项基础分和所有附加分都为 0 时视为未知
+    const total = factors.reduce((sum, f) => sum + f.contribution, 0);
+    if (total === 0) return null;
+
+    return { total, factors };
+  }
+
+  /**
+   * 根据百分比获取风险等级
+   * @param {number} percentage - 评分百分比
+   * @returns {{id: string, min: number}}
+   */
+  function getRiskLevel(percentage) {
+    return RISK_LEVELS.find((level) => percentage >= level.min);
+  }
+
+  /**
+   * 从 IP 详情中提取安全风险标志
+   * @param {object} data - ipapi.is 响应
+   * @returns {object} 风险项字段名 -> 是否命中
+   */
+  function getSecurityFlags(data) {
+    return Object.fromEntries(
+      RISK_FLAGS.map((flag) => [flag.key, data[flag.key] === true])
+    );
+  }
+
+  /**
+   * 将 IP 类型归类为已知类型
+   * @param {string} [type] - 数据源返回的类型
+   * @returns {'isp' | 'hosting' | 'business' | null} 未知类型返回 null
+   */
+  function classifyIpType(type) {
+    const kind = (type || '').toLowerCase();
+    return ['isp', 'hosting', 'business'].includes(kind) ? kind : null;
+  }
+
+  // --- 6. 诊断报告 ---
+
+  /** 报告格式标识与版本,字段结构变化时递增版本,便于程序化比对报告 */
+  const REPORT_FORMAT = 'ipcheckinfo-report';
+  const REPORT_VERSION = 1;
+
+  /**
+   * 将卡片探测结果整理为报告条目
+   * @param {string} key - 卡片标识
+   * @param {object} result - probeCard 的结果
+   * @returns {object}
+   */
+  function summarizeEgress(key, result) {
+    return {
+      card: key,
+      status: result.status,
+      provider: result.provider || null,
+      ip: result.ip || null,
+      family: result.ip ? getIpFamily(result.ip) : null,
+      country: result.country || null,
+      city: result.city || null,
+      colo: result.colo || null,
+      ipv4: result.stacks?.v4 || null,
+      ipv6: result.stacks?.v6 || null,
+      checkedAt: new Date(result.updatedAt).toISOString(),
+    };
+  }
+
+  /**
+   * 将 IP 详情查询整理为报告条目 (含风控评分)
+   * @param {{data: object, sources: Array, fetchedAt: number}} entry - lookupIp 的结果
+   * @param {string} [profileName] - 评分方案名称
+   * @param {object} [profile] - 评分方案,默认为 SCORE_PROFILES[profileName]
+   * @returns {object} risk.level 为风险等级 id
+   */
+  function summarizeLookup(
+    { data, sources, fetchedAt },
+    profileName = 'default',
+    profile = SCORE_PROFILES[profileName]
+  ) {
+    const flags = getSecurityFlags(data);
+    const score = calculateAbuseScore(
+      data.company?.abuser_score,
+      data.asn?.abuser_score,
+      flags,
+      profile
+    );
+    return {
+      ip: data.ip,
+      fetchedAt: new Date(fetchedAt).toISOString(),
+      country: data.location?.country_code || null,
+      city: data.location?.city || null,
+      asn: data.asn?.asn || null,
+      org: data.asn?.org || null,
+      companyType: data.company?.type || null,
+      asnType: data.asn?.type || null,
+      flags,
+      risk: score
+        ? {
+            profile: profileName,
+            percentage: Number((score.total * 100).toFixed(2)),
+            level: getRiskLevel(score.total * 100).id,
+          }
+        : null,
+      sources: (sources || []).map((source) =>
+        source.values
+          ? { name: source.name, ...source.values }
+          : { name: source.name, error: source.error }
+      ),
+    };
+  }
+
+  return {
+    isValidIPv4,
+    isValidIPv6,
+    getIpFamily,
+    parseIpAddress,
+    formatIpAddress,
+    parseNetworkRange,
+    rangeContainsIp,
+    resolveUrl,
+    isNetworkError,
+    parseTraceText,
+    traceParser,
+    ipapiParser,
+    textIpParser,
+    NETWORK_PROVIDERS,
+    PROVIDER_TIMEOUT,
+    requestProvider,
+    requestFirstProvider,
+    probeStacks,
+    probeCard,
+    probeEgress,
+    diffEgress,
+    INTEL_PROVIDERS,
+    INTEL_FIELDS,
+    getDefaultIntelProviders,
+    normalizeIpapiIs,
+    requestIntelSources,
+    lookupIp,
+    computeIntelConsensus,
+    RISK_LEVELS,
+    RISK_FLAGS,
+    SCORE_PROFILES,
+    calculateAbuseScore,
+    getRiskLevel,
+    getSecurityFlags,
+    classifyIpType,
+    REPORT_FORMAT,
+    REPORT_VERSION,
+    summarizeEgress,
+    summarizeLookup,
+  };
+});
@@ -0,0 +1,792 @@
+!(function (t, e) {
+  'object' == typeof module && module.exports
+    ? (module.exports = e())
+    : (t.IpCheckCore = e());
+})('undefined' != typeof self ? self : this, () => {
+  'use strict';
+  function t(t) {
+    const e = t.split('.');
+    return (
+      4 === e.length && e.every((t) => /^\d{1,3}$/.test(t) && Number(t) <= 255)
+    );
+  }
+  function e(e) {
+    const r = e.split('::');
+    if (r.length > 2) return !1;
+    const n = r.flatMap((t) => (t ? t.split(':') : []));
+    let i = n.length;
+    if (n.length && n[n.length - 1].includes('.')) {
+      if (!t(n.pop())) return !1;
+      i += 1;
+    }
+    return (
+      !!n.every((t) => /^[0-9a-f]{1,4}$/i.test(t)) &&
+      (2 === r.length ? i < 8 : 8 === i)
+    );
+  }
+  function r(t) {
+    return t.includes(':') ? 'v6' : 'v4';
+  }
+  const n = { 4: 32, 6: 128 };
+  function i(r) {
+    const n = r.trim().replace(/^\[|\]$/g, '');
+    if (t(n))
+      return {
+        version: 4,
+        value: n.split('.').reduce((t, e) => (t << 8n) + BigInt(e), 0n),
+      };
+    if (!e(n)) return null;
+    let o = n;
+    const s = n.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (s) {
+      const t = i(s[1]).value;
+      o =
+        n.slice(0, -s[1].length) +
+        `${(t >> 16n).toString(16)}:${(0xffffn & t).toString(16)}`;
+    }
+    const [a, c] = o.split('::'),
+      l = a ? a.split(':') : [],
+      u = c ? c.split(':') : [];
+    return {
+      version: 6,
+      value: (void 0 === c
+        ? l
+        : [...l, ...Array(8 - l.length - u.length).fill('0'), ...u]
+      ).reduce((t, e) => (t << 16n) + BigInt(`0x${e}`), 0n),
+    };
+  }
+  function o(t) {
+    return new Error(t || 'Unexpected response format');
+  }
+  function s(t) {
+    return Boolean(t && t.network);
+  }
+  function a(t, e = {}) {
+    const r = new URL(t),
+      n = r.pathname + r.search,
+      i = e[r.host];
+    return i
+      ? i.replace(/\/+$/, '') + n
+      : e['*']
+      ? `${e['*'].replace(/\/+$/, '')}/${r.host}${n}`
+      : t;
+  }
+  async function c(t, e, r, n) {
+    const i = new AbortController(),
+      o = setTimeout(() => i.abort(), r.timeout || n),
+      s = a(t, r.baseUrls),
+      c = { signal: i.signal };
+    try {
+      let t;
+      try {
+        t = await (r.fetch ? r.fetch(s, c) : fetch(s, c));
+      } catch (t) {
+        throw ((t.network = !0), t);
+      }
+      if (!t.ok) throw new Error(`HTTP ${t.status}`);
+      return await e(t);
+    } finally {
+      clearTimeout(o);
+    }
+  }
+  function l(t) {
+    const e = {};
+    return (
+      t.split('\n').forEach((t) => {
+        const r = t.indexOf('='),
+          n = t.slice(0, r),
+          i = t.slice(r + 1);
+        r > 0 && n && i && (e[n.trim()] = i.trim());
+      }),
+      e
+    );
+  }
+  function u(t) {
+    if (!t.ip) throw o();
+    return { ip: t.ip, country: t.loc || '', colo: t.colo, trace: t };
+  }
+  function p(t) {
+    if (!t.ip) throw o();
+    return {
+      ip: t.ip,
+      country: t.location?.country_code || '',
+      city: t.asn ? `AS${t.asn.asn} ${t.asn.org}` : '',
+    };
+  }
+  function f(r) {
+    const n = r.trim();
+    if (!t(n) && !e(n)) throw o();
+    return { ip: n };
+  }
+  const m = {
+      json: (t) => t.json(),
+      trace: async (t) => l(await t.text()),
+      text: (t) => t.text(),
+    },
+    y = {
+      ipip: {
+        families: {
+          v4: {
+            name: '4.ipw.cn',
+            url: 'https://4.ipw.cn/',
+            format: 'text',
+            parser: f,
+          },
+          v6: {
+            name: '6.ipw.cn',
+            url: 'https://6.ipw.cn/',
+            format: 'text',
+            parser: f,
+          },
+        },
+        providers: [
+          {
+            name: 'speedtest.cn',
+            url: 'https://api-v3.speedtest.cn/ip',
+            format: 'json',
+            parser: (t) => {
+              if (0 === t.code && t.data)
+                return {
+                  ip: t.data.ip || '',
+                  country: t.data.country || '',
+                  city: t.data.city || '',
+                };
+              throw o();
+            },
+          },
+          {
+            name: 'ipipv.com',
+            url: 'https://myip.ipipv.com/',
+            format: 'json',
+            parser: (t) => ({
+              ip: t.Ip || '',
+              country: t.Country || '',
+              city: t.City || '',
+            }),
+          },
+          {
+            name: 'ipip.net',
+            url: 'https://myip.ipip.net/json',
+            format: 'json',
+            parser: (t) => {
+              if ('ok' === t.ret && t.data)
+                return {
+                  ip: t.data.ip || '',
+                  country: t.data.location[0] || '',
+                  city: t.data.location[2] || '',
+                };
+              throw o();
+            },
+          },
+        ],
+      },
+      edgeone: {
+        families: {
+          v4: {
+            name: 'api4.ipify.org',
+            url: 'https://api4.ipify.org/',
+            format: 'text',
+            parser: f,
+          },
+          v6: {
+            name: 'api6.ipify.org',
+            url: 'https://api6.ipify.org/',
+            format: 'text',
+            parser: f,
+          },
+        },
+        providers: [
+          {
+            name: 'ipapi.cmliussss.net',
+            url: 'https://api.ipapi.cmliussss.net',
+            format: 'json',
+            cacheBust: !1,
+            parser: p,
+          },
+          {
+            name: 'ipapi.is',
+            url: 'https://api.ipapi.is/',
+            format: 'json',
+            cacheBust: !1,
+            parser: p,
+          },
+          {
+            name: 'ipinfo.io',
+            url: 'https://ipinfo.io/json',
+            format: 'json',
+            parser: (t) => {
+              if (!t.ip) throw o();
+              return { ip: t.ip, country: t.country || '', city: t.org || '' };
+            },
+          },
+        ],
+      },
+      cf: {
+        trace: {
+          name: 'cloudflare.com',
+          url: 'https://www.cloudflare.com/cdn-cgi/trace',
+          format: 'trace',
+          parser: u,
+        },
+        families: {
+          v4: {
+            name: '1.1.1.1',
+            url: 'https://1.1.1.1/cdn-cgi/trace',
+            format: 'trace',
+            parser: u,
+          },
+          v6: {
+            name: '2606:4700:4700::1111',
+            url: 'https://[2606:4700:4700::1111]/cdn-cgi/trace',
+            format: 'trace',
+            parser: u,
+          },
+        },
+        providers: [
+          {
+            name: 'cf.090227.xyz',
+            url: 'https://cf.090227.xyz/ip.json',
+            format: 'json',
+            parser: (t) => {
+              if (!t.ip) throw o();
+              return {
+                ip: t.ip,
+                country: t.country || '',
+                city: t.org || '',
+                colo: t.colo,
+              };
+            },
+          },
+          {
+            name: 'cloudflare.com',
+            url: 'https://www.cloudflare.com/cdn-cgi/trace',
+            format: 'trace',
+            parser: u,
+          },
+          {
+            name: '1.1.1.1',
+            url: 'https://one.one.one.one/cdn-cgi/trace',
+            format: 'trace',
+            parser: u,
+          },
+        ],
+      },
+      twitter: {
+        families: {
+          v4: {
+            name: 'api-ipv4.ip.sb',
+            url: 'https://api-ipv4.ip.sb/ip',
+            format: 'text',
+            parser: f,
+          },
+          v6: {
+            name: 'api-ipv6.ip.sb',
+            url: 'https://api-ipv6.ip.sb/ip',
+            format: 'text',
+            parser: f,
+          },
+        },
+        providers: [
+          {
+            name: 'x.com',
+            url: 'https://x.com/cdn-cgi/trace',
+            format: 'trace',
+            parser: u,
+          },
+          {
+            name: 'chatgpt.com',
+            url: 'https://chatgpt.com/cdn-cgi/trace',
+            format: 'trace',
+            parser: u,
+          },
+          {
+            name: 'discord.com',
+            url: 'https://discord.com/cdn-cgi/trace',
+            format: 'trace',
+            parser: u,
+          },
+        ],
+      },
+    };
+  async function d(t, e = {}) {
+    let r = t.url;
+    !1 !== t.cacheBust &&
+      (r += (r.includes('?') ? '&' : '?') + `t=${Date.now()}`);
+    const n = await c(r, m[t.format], e, 8e3);
+    return t.parser(n);
+  }
+  async function h(t, e = {}) {
+    for (const r of t)
+      try {
+        return { ...(await d(r, e)), provider: r.name };
+      } catch (t) {
+        e.onProviderError?.(r, t);
+      }
+    return null;
+  }
+  async function g(t, e = {}) {
+    if (!t) return null;
+    const n = {};
+    return (
+      await Promise.all(
+        Object.entries(t).map(async ([t, i]) => {
+          try {
+            const o = await d(i, e);
+            n[t] = r(o.ip) === t ? o.ip : null;
+          } catch (e) {
+            n[t] = null;
+          }
+          e.onStacks?.(n);
+        })
+      ),
+      n
+    );
+  }
+  async function v(t, e = {}) {
+    const n = y[t],
+      i = [],
+      o = {
+        ...e,
+        onProviderError: (t, r) => {
+          i.push(r), e.onProviderError?.(t, r);
+        },
+      },
+      [a, c] = await Promise.all([
+        h(n.providers, o).then((t) => (e.onPrimary?.(t), t)),
+        g(n.families, e),
+      ]);
+    if (a && !a.trace && n.trace)
+      try {
+        a.trace = (await d(n.trace, e)).trace;
+      } catch (t) {
+        e.onProviderError?.(n.trace, t);
+      }
+    if ((a && !a.colo && (a.colo = a.trace?.colo), a && c)) {
+      const t = r(a.ip);
+      null === c[t] && ((c[t] = a.ip), e.onStacks?.(c));
+    }
+    const l = {
+      status: a ? 'success' : 'error',
+      ...a,
+      stacks: c,
+      updatedAt: Date.now(),
+    };
+    return a || (l.networkError = i.every(s)), l;
+  }
+  const w = ['ip', 'country', 'colo'];
+  function _(t) {
+    return {
+      country: t.location?.country_code,
+      city: t.location?.city,
+      asn: t.asn?.asn,
+      org: t.asn?.org,
+      type: t.company?.type,
+      is_proxy: t.is_proxy,
+      is_vpn: t.is_vpn,
+      is_datacenter: t.is_datacenter,
+    };
+  }
+  function k(t) {
+    const e = /^AS(\d+)\s*(.*)$/i.exec(t || '');
+    return e
+      ? { asn: Number(e[1]), org: e[2] || void 0 }
+      : { asn: void 0, org: t || void 0 };
+  }
+  const b = [
+    {
+      name: 'ipinfo.io',
+      url: (t) => `https://ipinfo.io/${t}/json`,
+      defaultEnabled: !0,
+      normalize: (t) => ({ country: t.country, city: t.city, ...k(t.org) }),
+    },
+    {
+      name: 'proxycheck.io',
+      url: (t) => `https://proxycheck.io/v2/${t}?vpn=1&asn=1`,
+      defaultEnabled: !0,
+      normalize: (t, e) => {
+        const r = t[e];
+        if ('error' === t.status || !r) throw o(t.message);
+        const n = (r.type || '').toLowerCase(),
+          i = {
+            residential: 'isp',
+            wireless: 'isp',
+            business: 'business',
+            hosting: 'hosting',
+            'data center': 'hosting',
+          };
+        return {
+          country: r.isocode,
+          city: r.city,
+          asn: k(r.asn).asn,
+          org: r.organisation || r.provider,
+          type: i[n],
+          is_proxy: 'yes' === r.proxy && 'vpn' !== n,
+          is_vpn: 'vpn' === n,
+          is_datacenter: n in i ? 'hosting' === i[n] : void 0,
+        };
+      },
+    },
+    {
+      name: 'ipwho.is',
+      url: (t) => `https://ipwho.is/${t}`,
+      defaultEnabled: !1,
+      normalize: (t) => {
+        if (!1 === t.success) throw o(t.message);
+        return {
+          country: t.country_code,
+          city: t.city,
+          asn: t.connection?.asn,
+          org: t.connection?.org,
+        };
+      },
+    },
+    {
+      name: 'ip.sb',
+      url: (t) => `https://api.ip.sb/geoip/${t}`,
+      defaultEnabled: !1,
+      normalize: (t) => ({
+        country: t.country_code,
+        city: t.city,
+        asn: t.asn,
+        org: t.asn_organization,
+      }),
+    },
+  ];
+  function x() {
+    return b.filter((t) => t.defaultEnabled).map((t) => t.name);
+  }
+  async function E(t, e = {}) {
+    const r = e.intelProviders || x(),
+      n = b.filter((t) => r.includes(t.name));
+    return Promise.all(
+      n.map(async (r) => {
+        try {
+          const n = await c(
+            r.url(encodeURIComponent(t)),
+            (t) => t.json(),
+            e,
+            6e3
+          );
+          return { name: r.name, values: r.normalize(n, t) };
+        } catch (t) {
+          return e.onSourceError?.(r, t), { name: r.name, error: t.message };
+        }
+      })
+    );
+  }
+  const I = [
+    { key: 'country' },
+    { key: 'city' },
+    { key: 'asn' },
+    { key: 'org', compare: !1 },
+    { key: 'type' },
+    { key: 'is_proxy' },
+    { key: 'is_vpn' },
+    { key: 'is_datacenter' },
+  ];
+  const S = [
+      { id: 'critical', min: 100 },
+      { id: 'high', min: 20 },
+      { id: 'elevated', min: 5 },
+      { id: 'low', min: 0.25 },
+      { id: 'veryLow', min: 0 },
+    ],
+    j = [
+      { key: 'is_crawler' },
+      { key: 'is_proxy' },
+      { key: 'is_vpn' },
+      { key: 'is_tor' },
+      { key: 'is_abuser' },
+      { key: 'is_bogon' },
+      { key: 'is_datacenter' },
+    ],
+    P = {
+      default: {
+        companyWeight: 2.5,
+        asnWeight: 2.5,
+        flags: {
+          is_crawler: 0.15,
+          is_proxy: 0.15,
+          is_vpn: 0.15,
+          is_tor: 0.15,
+          is_abuser: 0.15,
+          is_bogon: 0.15,
+          is_datacenter: 0,
+        },
+      },
+      strict: {
+        companyWeight: 5,
+        asnWeight: 5,
+        flags: {
+          is_crawler: 0.3,
+          is_proxy: 0.3,
+          is_vpn: 0.3,
+          is_tor: 0.5,
+          is_abuser: 0.3,
+          is_bogon: 0.3,
+          is_datacenter: 0.1,
+        },
+      },
+      streaming: {
+        companyWeight: 2.5,
+        asnWeight: 2.5,
+        flags: {
+          is_crawler: 0.05,
+          is_proxy: 0.3,
+          is_vpn: 0.3,
+          is_tor: 0.5,
+          is_abuser: 0.1,
+          is_bogon: 0.15,
+          is_datacenter: 0.25,
+        },
+      },
+    };
+  function $(t, e, r = {}, n = P.default) {
+    const i = parseFloat(t) || 0,
+      o = parseFloat(e) || 0,
+      s = [
+        {
+          id: 'company',
+          value: i,
+          weight: n.companyWeight,
+          contribution: i * n.companyWeight,
+        },
+        {
+          id: 'asn',
+          value: o,
+          weight: n.asnWeight,
+          contribution: o * n.asnWeight,
+        },
+      ];
+    j.forEach((t) => {
+      if (!0 === r[t.key]) {
+        const e = n.flags[t.key] || 0;
+        s.push({
+          id: t.key,
+          value: !0,
+          weight: e,
+          contribution: e,
+          isFlag: !0,
+        });
+      }
+    });
+    const a = s.reduce((t, e) => t + e.contribution, 0);
+    return 0 === a ? null : { total: a, factors: s };
+  }
+  function R(t) {
+    return S.find((e) => t >= e.min);
+  }
+  function O(t) {
+    return Object.fromEntries(j.map((e) => [e.key, !0 === t[e.key]]));
+  }
+  return {
+    isValidIPv4: t,
+    isValidIPv6: e,
+    getIpFamily: r,
+    parseIpAddress: i,
+    formatIpAddress: function (t, e) {
+      if (4 === t)
+        return [24n, 16n, 8n, 0n]
+          .map((t) => String((e >> t) & 0xffn))
+          .join('.');
+      const r = [];
+      for (let t = 112n; t >= 0n; t -= 16n)
+        r.push(((e >> t) & 0xffffn).toString(16));
+      let n = { start: -1, length: 0 };
+      for (let t = 0; t < r.length; ) {
+        if ('0' !== r[t]) {
+          t++;
+          continue;
+        }
+        let e = t;
+        for (; e < r.length && '0' === r[e]; ) e++;
+        e - t > n.length && (n = { start: t, length: e - t }), (t = e);
+      }
+      return n.length < 2
+        ? r.join(':')
+        : r.slice(0, n.start).join(':') +
+            '::' +
+            r.slice(n.start + n.length).join(':');
+    },
+    parseNetworkRange: function (t) {
+      const e = t.split(/\s+-\s+|\s*–\s*/);
+      if (2 === e.length) {
+        const t = i(e[0]),
+          r = i(e[1]);
+        return !t || !r || t.version !== r.version || t.value > r.value
+          ? null
+          : { version: t.version, first: t.value, last: r.value, prefix: null };
+      }
+      const [r, o] = t.trim().split('/'),
+        s = i(r);
+      if (!s) return null;
+      const a = n[s.version],
+        c = void 0 === o ? a : Number(o);
+      if (!/^\d*$/.test(o || '') || c < 0 || c > a) return null;
+      const l = BigInt(a - c),
+        u = (s.value >> l) << l;
+      return {
+        version: s.version,
+        first: u,
+        last: u + (1n << l) - 1n,
+        prefix: c,
+      };
+    },
+    rangeContainsIp: function (t, e) {
+      const r = i(e);
+      return Boolean(
+        t &&
+          r &&
+          r.version === t.version &&
+          r.value >= t.first &&
+          r.value <= t.last
+      );
+    },
+    resolveUrl: a,
+    isNetworkError: s,
+    parseTraceText: l,
+    traceParser: u,
+    ipapiParser: p,
+    textIpParser: f,
+    NETWORK_PROVIDERS: y,
+    PROVIDER_TIMEOUT: 8e3,
+    requestProvider: d,
+    requestFirstProvider: h,
+    probeStacks: g,
+    probeCard: v,
+    probeEgress: async function (t = {}) {
+      const e = Object.keys(y),
+        r = await Promise.all(e.map((e) => v(e, t)));
+      return Object.fromEntries(e.map((t, e) => [t, r[e]]));
+    },
+    diffEgress: function (t, e) {
+      const r = [];
+      return (
+        Object.entries(e).forEach(([e, n]) => {
+          const i = t[e];
+          if (!i || !n) return;
+          const o = 'success' === i.status,
+            s = 'success' === n.status;
+          o === s
+            ? s &&
+              w.forEach((t) => {
+                i[t] !== n[t] &&
+                  r.push({
+                    card: e,
+                    type: 'changed',
+                    field: t,
+                    before: i[t] || null,
+                    after: n[t] || null,
+                  });
+              })
+            : r.push({ card: e, type: s ? 'recovered' : 'failed' });
+        }),
+        r
+      );
+    },
+    INTEL_PROVIDERS: b,
+    INTEL_FIELDS: I,
+    getDefaultIntelProviders: x,
+    normalizeIpapiIs: _,
+    requestIntelSources: E,
+    lookupIp: async function (t, e = {}) {
+      const r = E(t, e),
+        n = await c(
+          `https://api.ipapi.cmliussss.net/?ip=${encodeURIComponent(t)}`,
+          (t) => t.json(),
+          e,
+          1e4
+        );
+      return {
+        data: n,
+        sources: [{ name: 'ipapi.is', values: _(n) }, ...(await r)],
+        fetchedAt: Date.now(),
+      };
+    },
+    computeIntelConsensus: function (t, e = I) {
+      return e
+        .map((e) => {
+          const r = t
+              .filter(
+                (t) =>
+                  void 0 !== t.values[e.key] &&
+                  null !== t.values[e.key] &&
+                  '' !== t.values[e.key]
+              )
+              .map((t) => ({ provider: t.name, value: t.values[e.key] })),
+            n = new Set(
+              r.map((t) => {
+                return 'string' == typeof (e = t.value)
+                  ? e.trim().toLowerCase()
+                  : e;
+                var e;
+              })
+            );
+          return {
+            field: e,
+            values: r,
+            agree: !1 === e.compare || n.size <= 1,
+          };
+        })
+        .filter((t) => t.values.length);
+    },
+    RISK_LEVELS: S,
+    RISK_FLAGS: j,
+    SCORE_PROFILES: P,
+    calculateAbuseScore: $,
+    getRiskLevel: R,
+    getSecurityFlags: O,
+    classifyIpType: function (t) {
+      const e = (t || '').toLowerCase();
+      return ['isp', 'hosting', 'business'].includes(e) ? e : null;
+    },
+    REPORT_FORMAT: 'ipcheckinfo-report',
+    REPORT_VERSION: 1,
+    summarizeEgress: function (t, e) {
+      return {
+        card: t,
+        status: e.status,
+        provider: e.provider || null,
+        ip: e.ip || null,
+        family: e.ip ? r(e.ip) : null,
+        country: e.country || null,
+        city: e.city || null,
+        colo: e.colo || null,
+        ipv4: e.stacks?.v4 || null,
+        ipv6: e.stacks?.v6 || null,
+        checkedAt: new Date(e.updatedAt).toISOString(),
+      };
+    },
+    summarizeLookup: function (
+      { data: t, sources: e, fetchedAt: r },
+      n = 'default',
+      i = P[n]
+    ) {
+      const o = O(t),
+        s = $(t.company?.abuser_score, t.asn?.abuser_score, o, i);
+      return {
+        ip: t.ip,
+        fetchedAt: new Date(r).toISOString(),
+        country: t.location?.country_code || null,
+        city: t.location?.city || null,
+        asn: t.asn?.asn || null,
+        org: t.asn?.org || null,
+        companyType: t.company?.type || null,
+        asnType: t.asn?.type || null,
+        flags: o,
+        risk: s
+          ? {
+              profile: n,
+              percentage: Number((100 * s.total).toFixed(2)),
+              level: R(100 * s.total).id,
+            }
+          : null,
+        sources: (e || []).map((t) =>
+          t.values
+            ? { name: t.name, ...t.values }
+            : { name: t.name, error: t.error }
+        ),
+      };
+    },
+  };
+});
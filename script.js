@@ -15,26 +15,35 @@ document.addEventListener('DOMContentLoaded', () => {
   function copyDomain(domain) {
     // 移除通配符前缀
     const cleanDomain = domain.replace(/^\*\./, '');
+    copyText(cleanDomain, t('toast.copied', { text: cleanDomain }));
+  }
 
+  /**
+   * 复制文本到剪贴板
+   * @param {string} text - 要复制的文本
+   * @param {string} successMessage - 复制成功时的提示
+   */
+  function copyText(text, successMessage) {
     if (navigator.clipboard && navigator.clipboard.writeText) {
       navigator.clipboard
-        .writeText(cleanDomain)
+        .writeText(text)
         .then(() => {
-          showToast('✅ 已复制: ' + cleanDomain);
+          showToast(successMessage);
         })
         .catch((err) => {
-          fallbackCopy(cleanDomain);
+          fallbackCopy(text, successMessage);
         });
     } else {
-      fallbackCopy(cleanDomain);
+      fallbackCopy(text, successMessage);
     }
   }
 
   /**
    * 降级复制方案
    * @param {string} text - 要复制的文本
+   * @param {string} successMessage - 复制成功时的提示
    */
-  function fallbackCopy(text) {
+  function fallbackCopy(text, successMessage) {
     const textArea = document.createElement('textarea');
     textArea.value = text;
     textArea.style.position = 'fixed';
@@ -46,9 +55,9 @@ document.addEventListener('DOMContentLoaded', () => {
 
     try {
       document.execCommand('copy');
-      showToast('✅ 已复制: ' + text);
+      showToast(successMessage);
     } catch (err) {
-      showToast('❌ 复制失败，请手动复制');
+      showToast(t('toast.copyFailed'));
     }
 
     document.body.removeChild(textArea);
@@ -80,10 +89,110 @@ document.addEventListener('DOMContentLoaded', () => {
     }, 3000);
   }
 
+  /**
+   * 转义 HTML 特殊字符,用于拼接到模板字符串中的数据
+   * @param {*} value - 要转义的值
+   * @returns {string} 转义后的字符串
+   */
+  function escapeHtml(value) {
+    const entities = {
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#39;',
+    };
+    return String(value).replace(/[&<>"']/g, (char) => entities[char]);
+  }
+
+  /**
+   * 已转义的 HTML 片段,只能由 html`` 模板或 trustedHtml() 创建
+   */
+  class SafeHtml {
+    constructor(value) {
+      this.value = value;
+    }
+
+    toString() {
+      return this.value;
+    }
+  }
+
+  /** Service Worker 脚本地址 (离线缓存见 sw.js) */
+  const SERVICE_WORKER_URL = 'sw.js';
+
+  /**
+   * Trusted Types 策略 (CSP 要求所有 innerHTML 写入和 Service Worker 脚本地址都经过它)
+   * 脚本地址只允许本站的 Service Worker
+   */
+  const trustedTypesPolicy = window.trustedTypes
+    ? window.trustedTypes.createPolicy('ipcheck', {
+        createHTML: (value) => value,
+        createScriptURL: (value) => {
+          if (value !== SERVICE_WORKER_URL) {
+            throw new TypeError(`不允许加载的脚本地址: ${value}`);
+          }
+          return value;
+        },
+      })
+    : null;
+
+  /**
+   * 将插值转换为 HTML: SafeHtml 原样保留,数组逐项处理,其余一律转义
+   * @param {*} value - 插值
+   * @returns {string}
+   */
+  function toHtml(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(toHtml).join('');
+    return escapeHtml(value);
+  }
+
+  /**
+   * HTML 模板标签,所有插值 (接口数据、用户输入、文案) 默认转义
+   * @returns {SafeHtml}
+   */
+  function html(strings, ...values) {
+    return new SafeHtml(
+      strings.reduce(
+        (output, string, index) =>
+          output +
+          string +
+          (index < values.length ? toHtml(values[index]) : ''),
+        ''
+      )
+    );
+  }
+
+  /**
+   * 标记站点自身维护的可信 HTML (图标、目录备注、带标记的文案)
+   * 不得用于任何接口返回或用户输入的数据
+   * @param {string} value - HTML 字符串
+   * @returns {SafeHtml}
+   */
+  function trustedHtml(value) {
+    return new SafeHtml(String(value));
+  }
+
+  /**
+   * 写入元素内容,只接受 html`` / trustedHtml() 生成的片段
+   * @param {Element} element - 目标元素
+   * @param {SafeHtml} fragment - HTML 片段
+   */
+  function setHtml(element, fragment) {
+    if (!(fragment instanceof SafeHtml)) {
+      throw new TypeError('setHtml 只接受 html`` 模板生成的片段');
+    }
+    element.innerHTML = trustedTypesPolicy
+      ? trustedTypesPolicy.createHTML(fragment.value)
+      : fragment.value;
+  }
+
   /**
    * 设置网络卡片的状态指示器
    * @param {string} id - 元素 ID
-   * @param {'loading' | 'success' | 'error'} status - 状态
+   * @param {'loading' | 'success' | 'error' | 'stale'} status - 状态 (stale 为离线时显示的上次结果)
    */
   function setStatus(id, status) {
     const indicator = document.getElementById(id);
@@ -92,6 +201,842 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  // --- 1a. 多语言 ---
+  const LOCALE_KEY = 'lang';
+  const DEFAULT_LOCALE = 'zh-CN';
+
+  /**
+   * 界面文案目录,键为 "模块.名称",文案中的 {name} 为占位参数
+   */
+  const MESSAGES = {
+    'zh-CN': {
+      'toast.copied': '✅ 已复制: {text}',
+      'toast.copyFailed': '❌ 复制失败，请手动复制',
+      'domain.badgeWildcard': '泛域名',
+      'domain.badgeThreeNetwork': '三网优选',
+      'domain.badgeMaintainer': '{name}维护',
+      'domain.select': '选择该域名',
+      'domain.favorite': '收藏到我的优选',
+      'domain.chartAlt': '延迟统计图',
+      'domain.expandList': '点击展开「{title}」',
+      'domain.catalogFailed': '域名列表加载失败，请刷新重试',
+      'mine.title': '⭐ 我的优选',
+      'mine.subtitle':
+        '点击域名卡片上的 ☆ 收藏，或导入自己的 domain#备注 列表，数据仅保存在本地浏览器。',
+      'mine.importExport': '导入 / 导出「我的优选」',
+      'mine.placeholder': '每行一个，格式: domain#备注',
+      'mine.import': '导入',
+      'mine.export': '复制导出',
+      'mine.empty': '暂无收藏的域名',
+      'mine.emptyText': '（空）',
+      'mine.importEmpty': '❌ 没有可导入的域名，格式: domain#备注',
+      'mine.imported': '✅ 已导入 {count} 个域名',
+      'mine.importSkipped': '，{count} 行格式错误已跳过',
+      'mine.starred': '⭐ 已收藏: {domain}',
+      'mine.unstarred': '已取消收藏: {domain}',
+      'filter.status': '显示 {visible} / {total} 张域名卡片',
+      'latency.testing': '测速中...',
+      'latency.loss': '丢包 {loss}%',
+      'latency.failed': '失败 · {loss}',
+      'latency.result': '{median}ms · 抖动 {jitter}ms · {loss}',
+      'latency.progress': '正在测速 {index}/{total}: {domain}',
+      'latency.done':
+        '测速完成，共 {total} 个域名（端口 {port}，每个域名 {rounds} 次）',
+      'dns.resolve': '解析',
+      'dns.resolveTitle': '通过 DoH 查询 A / AAAA 记录',
+      'domain.selected': '已选择 {count} 个域名',
+      'domain.selectFirst': '❌ 请先勾选域名卡片',
+      'config.templateProtocol': '模板链接仅支持 vless://、trojan://、vmess://',
+      'config.vmessInvalid': 'vmess 链接解析失败',
+      'config.templateInvalid': '模板链接格式错误',
+      'config.portRequired': '❌ 请至少选择一个端口',
+      'config.templateRequired': '❌ 该格式需要填写模板链接',
+      'config.generated': '✅ 已生成 {count} 个节点',
+      'config.tlsSkipped':
+        '✅ 已生成 {count} 个节点（{protocol} 必须使用 TLS，已跳过 {skipped} 个 HTTP 端口节点）',
+      'config.tlsRequired':
+        '❌ {protocol} 必须使用 TLS，请至少选择一个 HTTPS 端口 (🔒)',
+      'bulk.portsInvalid': '❌ 端口格式错误，多个端口用逗号分隔',
+      'bulk.copied': '✅ 已复制 {count} 个条目',
+      'dns.query': '第 {count} 次查询 · {time}',
+      'dns.changed': '解析结果有变化 (+{added} / -{removed})',
+      'dns.unchanged': '与上次相同',
+      'dns.totalChanges': '共变化 {count} 次',
+      'dns.new': '新',
+      'dns.empty': '未解析到 A / AAAA 记录',
+      'dns.removed': '已不在结果中: ',
+      'dns.resolving': '解析中...',
+      'common.unknown': '未知',
+      'common.loading': '加载中...',
+      'common.loadFailed': '加载失败',
+      'common.checking': '检测中...',
+      'card.ipip': '国内测试',
+      'card.edgeone': '国外测试',
+      'card.twitter': '墙外测试',
+      'card.noFamily': '无 {family}',
+      'trace.enabled': '已开启',
+      'trace.disabled': '未开启',
+      'trace.gateway': 'Zero Trust 网关',
+      'trace.tls': 'TLS 版本',
+      'trace.kex': '密钥交换',
+      'trace.postQuantum': '后量子',
+      'trace.http': 'HTTP 版本',
+      'trace.sniPlaintext': '明文',
+      'trace.sniEncrypted': '加密 (ECH)',
+      'trace.sniOff': '未发送',
+      'trace.scheme': '访问协议',
+      'trace.host': '访问域名',
+      'trace.time': '服务器时间',
+      'trace.details': 'Trace 详情',
+      'colo.far': '⚠️ 绕路',
+      'colo.farTitle':
+        'Colo 距离出口国家 ({country}) 约 {distance} 公里，可能存在 Anycast 绕路',
+      'common.separator': '；',
+      'common.listJoiner': '、',
+      'report.title': '网络诊断报告',
+      'report.generatedAt': '生成时间',
+      'report.version': '报告版本',
+      'report.browser': '浏览器',
+      'report.egress': '出口信息',
+      'report.egressColumns':
+        '卡片 | 状态 | 接口 | IP | IPv4 | IPv6 | 国家/地区 | 城市/组织 | Colo',
+      'report.lookups': 'IP 详情查询',
+      'report.lookupColumns':
+        'IP | 国家 | ASN | 组织 | 类型 | 风控值 | 等级 | 查询时间',
+      'report.jsonDownloaded': '✅ 已下载 JSON 报告',
+      'report.csvDownloaded': '✅ 已下载 CSV 报告',
+      'report.markdownCopied': '✅ 已复制 Markdown 报告',
+      'history.unsupported': '当前浏览器不支持 IndexedDB',
+      'history.failed': '检测失败',
+      'history.readFailed': '❌ 无法读取历史记录: {message}',
+      'history.noMatch': '没有符合条件的记录',
+      'history.empty': '暂无历史记录',
+      'history.columns': '时间|卡片|IP|国家/地区|Colo|接口',
+      'history.summary': '共 {count} 条记录',
+      'history.truncated': '，仅显示最近 {count} 条',
+      'history.confirmClear': '确定清空全部出口历史记录吗？',
+      'history.cleared': '✅ 已清空历史记录',
+      'history.clearFailed': '❌ 清空历史记录失败',
+      'monitor.country': '国家/地区',
+      'monitor.failed': '{card}: 检测失败',
+      'monitor.notificationTitle': '出口发生变化',
+      'monitor.paused': '⏸️ 页面不可见，已暂停',
+      'monitor.next': '下次检测: {time}',
+      'monitor.notificationUnsupported': '❌ 当前浏览器不支持通知',
+      'monitor.notificationDenied': '❌ 未获得通知权限',
+      'routing.heading': '🧭 分流诊断：{title}',
+      'routing.cardFailed': '{card}检测失败',
+      'routing.unknownTitle': '无法判断',
+      'routing.unknownDescription': '成功的检测不足两项，无法分析分流情况。',
+      'routing.mixedCountries': '国外出口国家不一致: {list}',
+      'routing.directTitle': '全局直连',
+      'routing.directDescription':
+        '所有检测均使用同一个中国 IP，国外流量没有经过代理。',
+      'routing.globalTitle': '全局代理',
+      'routing.globalDescription':
+        '所有检测均使用同一个 IP（{country}），国内流量也经过了代理，或当前身处海外。',
+      'routing.noDomesticTitle': '无法判断国内出口',
+      'routing.noDomesticDescription':
+        '国内测试失败，无法确认国内流量是否直连。',
+      'routing.domesticProxiedTitle': '国内流量走了代理',
+      'routing.domesticProxiedDescription':
+        '国内测试的出口位于{country}，访问国内网站也经过了代理。',
+      'routing.leakedTitle': '国外流量未走代理',
+      'routing.leakedDescription':
+        '{cards}使用了国内出口，对应的分流规则没有命中代理。',
+      'routing.okTitle': '分流正常',
+      'routing.okDescription':
+        '国内流量直连（{domestic}），国外流量经代理出口（{foreign}）。',
+      'webrtc.unsupported': '当前浏览器不支持 WebRTC',
+      'webrtc.invalidServer': 'STUN 服务器地址无效',
+      'webrtc.failed': 'WebRTC 检测失败',
+      'webrtc.leak': '⚠️ 检测到 WebRTC 泄露：公网候选与代理出口不一致',
+      'webrtc.noPublic': '✅ 未获取到公网候选，WebRTC 未暴露公网 IP',
+      'webrtc.waiting': '等待出口检测完成后比对...',
+      'webrtc.safe': '✅ 公网候选与代理出口一致，未发现泄露',
+      'webrtc.unmatched':
+        '部分公网候选的协议族 (IPv4 / IPv6) 没有检测到代理出口，无法比对',
+      'webrtc.public': '公网 (srflx)',
+      'webrtc.host': '内网 (host)',
+      'webrtc.none': '无',
+      'webrtc.serverPrefix': '❌ STUN 服务器必须以 stun: 开头',
+      'lookup.throttled': '⏳ 查询过于频繁，{seconds} 秒后自动继续',
+      'lookup.masked': '❌ 接口返回的 IP 已打码，无法查询详情',
+      'lookup.detailsFailed': '❌ 查询IP详细信息失败',
+      'modal.refresh': '🔄 刷新',
+      'modal.refreshing': '刷新中...',
+      'modal.refreshed': '✅ 已刷新 IP 详细信息',
+      'modal.refreshFailed': '❌ 刷新IP详细信息失败',
+      'age.now': '刚刚',
+      'age.minutes': '{count} 分钟前',
+      'age.hours': '{count} 小时前',
+      'age.days': '{count} 天前',
+      'offline.stale': '离线数据 · {age}',
+      'offline.staleTitle': '网络已断开，显示的是 {time} 的结果',
+      'offline.lastResult': '上次结果 · {age}',
+      'offline.lastResultTitle': '无法连接接口，显示的是 {time} 的结果',
+      'offline.offline': '📴 网络已断开，将显示上次的检测结果',
+      'offline.online': '🔄 网络已恢复，正在刷新',
+      'ipType.isp': '住宅',
+      'ipType.hosting': '机房',
+      'ipType.business': '商用',
+      'risk.critical': '极度危险',
+      'risk.high': '高风险',
+      'risk.elevated': '轻微风险',
+      'risk.low': '纯净',
+      'risk.veryLow': '极度纯净',
+      'flag.crawler': '爬虫 (Crawler)',
+      'flag.proxy': '代理 (Proxy)',
+      'flag.tor': 'Tor 网络',
+      'flag.abuser': '滥用IP (Abuser)',
+      'flag.bogon': '虚假IP (Bogon)',
+      'flag.datacenter': '数据中心 (Datacenter)',
+      'score.profileDefault': '默认',
+      'score.profileStrict': '严格',
+      'score.profileStreaming': '流媒体',
+      'score.company': '运营商分',
+      'score.asn': 'ASN分',
+      'score.hit': '命中',
+      'score.flags': '安全风险项',
+      'score.noHit': '未命中',
+      'score.total': '合计',
+      'score.profileName': '{name}方案',
+      'score.customized': '（自定义）',
+      'score.tooltipTitle': '📊 综合滥用评分算法（{name}方案）',
+      'score.formula': '评分公式',
+      'score.base': '基础分',
+      'score.extra': '风险附加',
+      'score.extraFormula': '命中风险项的权重之和',
+      'score.levels': '风险等级',
+      'modal.ip': 'IP 地址',
+      'modal.cloudflareRange': 'Cloudflare 网段',
+      'modal.rir': '区域互联网注册机构',
+      'modal.types': '运营商 / ASN 类型',
+      'modal.mobile': '移动网络',
+      'modal.datacenter': '数据中心',
+      'modal.satellite': '卫星网络',
+      'modal.crawler': '爬虫',
+      'modal.proxy': '代理服务器',
+      'modal.tor': 'Tor 网络',
+      'modal.abuser': '滥用 IP',
+      'modal.bogon': '虚假 IP',
+      'modal.country': '国家',
+      'modal.state': '省份/州',
+      'modal.city': '城市',
+      'modal.zip': '邮编',
+      'modal.coordinates': '坐标',
+      'modal.timezone': '时区',
+      'modal.localTime': '当地时间',
+      'modal.eu': '欧盟成员',
+      'modal.companyName': '运营商名称',
+      'modal.domain': '域名',
+      'modal.type': '类型',
+      'modal.network': '网络范围',
+      'modal.abuserScore': '滥用评分',
+      'modal.asn': 'ASN 编号',
+      'modal.org': '组织',
+      'modal.route': '路由',
+      'modal.countryCode': '国家代码',
+      'modal.abuseName': '联系人',
+      'modal.abuseEmail': '邮箱',
+      'modal.abusePhone': '电话',
+      'modal.abuseAddress': '地址',
+      'modal.basic': '📍 基本信息',
+      'modal.security': '🛡️ 安全检测',
+      'modal.location': '🌍 位置信息',
+      'modal.company': '🏢 运营商信息',
+      'modal.asnSection': '🔢 ASN 信息',
+      'modal.abuse': '📧 滥用举报联系方式',
+      'common.yes': '是',
+      'common.no': '否',
+      'modal.close': '关闭弹窗',
+      'modal.title': '🔍 IP 详细信息',
+      'modal.source': '数据来源: {source}',
+      'modal.cachedAt': '缓存于 {age}',
+      'modal.fetchedAt': '获取于 {age}',
+      'modal.abuseScore': '综合滥用评分',
+      'modal.scoreHelp': '点击查看算法说明',
+      'dns.httpError': 'DoH 查询失败: HTTP {status}',
+      'dns.rcodeError': 'DoH 查询失败: RCODE {rcode}',
+      'dns.noAddress': '未解析到 IP 地址',
+      'lookup.invalidInput': '❌ 请输入有效的 IPv4、IPv6 地址或域名',
+      'lookup.resolveFailed': '❌ 域名解析失败: {message}',
+      'lookup.resolved': '✅ {name} 解析为 {ip}',
+      'lookup.dohHttps': '❌ DoH 服务器必须是 https:// 地址',
+      'score.profile': '评分方案',
+      'score.reset': '恢复方案默认值',
+      'score.invalidWeight': '❌ 权重必须是非负数',
+      'score.resetDone': '✅ 已恢复方案默认权重',
+      'intel.type': 'IP 类型',
+      'intel.agree': '{count} 个来源一致',
+      'intel.failed': '未响应: ',
+      'intel.title': '🧭 多源比对',
+      'intel.conflicts': '{count} 项存在分歧',
+      'intel.allAgree': '全部一致',
+      'cidr.containsEgress': '包含你的出口 IP: ',
+      'cidr.noEgress': '不包含你的出口 IP',
+      'cidr.count': '{count} 个地址',
+      'mine.exported': '✅ 已复制我的优选列表',
+      'mine.exportEmpty': '❌ 我的优选为空',
+      'config.copied': '✅ 已复制配置',
+      'config.generateFirst': '❌ 请先生成配置',
+      'lang.name': '中文',
+      'lang.switch': '切换语言',
+      'page.title': 'CloudFlare优选域名汇总 - CF优选域名',
+      'page.description':
+        'CloudFlare优选域名汇总 - 提供优质的CloudFlare CDN节点信息',
+      'page.toggleTheme': '切换主题',
+      'page.heading': '☁️ CloudFlare 优选域名',
+      'page.subtitle': '提供优质的CloudFlare CDN节点信息，改善访问体验',
+      'page.networkInfo': '🌍 当前网络信息',
+      'card.edgeoneTitle': '国外测试（漏网之鱼）',
+      'card.twitterTitle': '墙外测试（推特）',
+      'card.ipipTip': '· 您访问国内网站所使用的IP',
+      'card.edgeoneTip': '· 您访问没有被封的国外网站所使用的IP',
+      'card.cfTip': '· 您访问CFCDN网站所使用的落地IP',
+      'card.twitterTip': '· 您访问Twitter(x.com)等网站所使用的IP',
+      'webrtc.title': 'WebRTC 泄露检测',
+      'webrtc.server': 'STUN 服务器',
+      'webrtc.retry': '重新检测',
+      'webrtc.tip': '· 即使使用了代理，浏览器仍可能通过 WebRTC 暴露真实 IP',
+      'routing.checking': '🧭 分流诊断：检测中...',
+      'monitor.enable': '🔁 持续监控',
+      'monitor.interval': '间隔',
+      'monitor.30s': '30 秒',
+      'monitor.1m': '1 分钟',
+      'monitor.5m': '5 分钟',
+      'monitor.15m': '15 分钟',
+      'monitor.notify': '浏览器通知',
+      'report.export': '📤 导出报告',
+      'report.downloadJson': '下载 JSON',
+      'report.copyMarkdown': '复制 Markdown',
+      'report.downloadCsv': '下载 CSV',
+      'lookup.placeholder': '输入任意 IPv4 / IPv6 地址或域名查询详细信息',
+      'lookup.submit': '🔍 查询',
+      'lookup.dohServer': 'DoH 服务器',
+      'lookup.cache': '缓存',
+      'lookup.noCache': '不缓存',
+      'lookup.cache1h': '1 小时',
+      'lookup.cache6h': '6 小时',
+      'lookup.cache24h': '24 小时',
+      'lookup.cache7d': '7 天',
+      'score.settings': '⚙️ 风控评分设置',
+      'intel.settings': '🛰️ 多源比对数据源',
+      'history.title': '🕒 出口历史记录',
+      'history.card': '卡片',
+      'history.allCards': '全部',
+      'history.changesOnly': '仅显示变化',
+      'history.search': '筛选 IP / 国家 / Colo',
+      'history.clear': '清空记录',
+      'page.disclaimerTitle': '⚠️ 免责声明',
+      'page.disclaimer':
+        '本网站的所有信息仅供参考。我们尽力确保信息的准确性和完整性，但对于信息的准确性、完整性和及时性不做任何明示或暗示的保证或声明。用户需自行承担使用本网站信息的风险。同时，禁止使用本站信息进行任何违法违规活动。',
+      'page.ports': '📡 支持端口信息',
+      'page.httpPorts': 'HTTP支持端口：',
+      'page.httpsPorts': 'HTTPS支持端口：',
+      'latency.title': '⚡ 浏览器测速',
+      'latency.description':
+        '从您的浏览器直接请求各优选域名的 <code>/cdn-cgi/trace</code>，统计往返延迟的中位数、抖动和丢包率，找出当前网络下最快的域名。',
+      'common.port': '端口',
+      'common.format': '格式',
+      'latency.rounds': '次数',
+      'latency.sort': '按延迟排序',
+      'latency.start': '开始测速',
+      'config.title': '🧩 配置生成',
+      'config.description':
+        '勾选下方域名卡片左上角的复选框并选择端口，生成可直接粘贴到客户端的配置。Clash、sing-box 和 v2rayN 格式需要一条模板链接（<code>vless://</code>、<code>trojan://</code> 或 <code>vmess://</code>），其中的 UUID、路径、SNI 等参数会沿用到每个节点；HTTPS 端口（🔒）启用 TLS，HTTP 端口不启用并去掉 SNI 等 TLS 参数；trojan 必须使用 TLS，只生成 HTTPS 端口的节点。',
+      'config.addressesapi': 'addressesapi (address:port#备注)',
+      'config.v2rayn': 'v2rayN 链接',
+      'config.templatePlaceholder':
+        '模板链接，如 vless://uuid@example.com:443?type=ws&path=%2F#name',
+      'config.generate': '生成',
+      'config.copy': '复制',
+      'filter.title': '🔎 筛选域名',
+      'filter.search': '搜索域名、备注或标签',
+      'filter.sort': '排序',
+      'filter.sortDefault': '默认顺序',
+      'filter.sortName': '按名称',
+      'filter.sortMaintainer': '按维护者',
+      'filter.reset': '重置',
+      'bulk.selectAll': '全选当前',
+      'bulk.selectNone': '清空选择',
+      'bulk.lines': '每行一个',
+      'bulk.comma': '逗号分隔',
+      'bulk.strip': '去除 *. 前缀',
+      'bulk.random': '随机前缀',
+      'bulk.keep': '保留 *.',
+      'bulk.copy': '复制所选',
+      'domain.catalogLoading': '域名列表加载中...',
+      'page.apis': '🔌 第三方API',
+      'page.officialIpApi': '优选官方IP的API',
+      'page.proxyIpApi': '优选反代IP的API',
+      'page.resources': '🔗 更多优选内容',
+      'page.footerTitle': '© 2025 CloudFlare优选域名汇总',
+      'page.visits': '今日访问人数:',
+      'page.maintainer': '本站内容仅供参考，提供维护:',
+      'page.footerNote':
+        '由于众所周知的原因,CloudFlare在中国大陆地区没有CDN节点,本站收集优选信息旨在改善访问体验',
+    },
+    en: {
+      'toast.copied': '✅ Copied: {text}',
+      'toast.copyFailed': '❌ Copy failed, please copy manually',
+      'domain.badgeWildcard': 'Wildcard',
+      'domain.badgeThreeNetwork': 'All 3 ISPs',
+      'domain.badgeMaintainer': 'Maintained by {name}',
+      'domain.select': 'Select this domain',
+      'domain.favorite': 'Add to My Domains',
+      'domain.chartAlt': 'Latency chart',
+      'domain.expandList': 'Expand "{title}"',
+      'domain.catalogFailed': 'Failed to load the domain list, please refresh',
+      'mine.title': '⭐ My Domains',
+      'mine.subtitle':
+        'Click ☆ on a domain card to save it, or import your own domain#remark list. Data is stored only in this browser.',
+      'mine.importExport': 'Import / export "My Domains"',
+      'mine.placeholder': 'One per line, format: domain#remark',
+      'mine.import': 'Import',
+      'mine.export': 'Copy export',
+      'mine.empty': 'No saved domains yet',
+      'mine.emptyText': '(empty)',
+      'mine.importEmpty': '❌ Nothing to import, format: domain#remark',
+      'mine.imported': '✅ Imported {count} domains',
+      'mine.importSkipped': ', skipped {count} invalid lines',
+      'mine.starred': '⭐ Saved: {domain}',
+      'mine.unstarred': 'Removed: {domain}',
+      'filter.status': 'Showing {visible} / {total} domain cards',
+      'latency.testing': 'Testing...',
+      'latency.loss': 'loss {loss}%',
+      'latency.failed': 'failed · {loss}',
+      'latency.result': '{median}ms · jitter {jitter}ms · {loss}',
+      'latency.progress': 'Testing {index}/{total}: {domain}',
+      'latency.done': 'Done: {total} domains (port {port}, {rounds} runs each)',
+      'dns.resolve': 'Resolve',
+      'dns.resolveTitle': 'Query A / AAAA records via DoH',
+      'domain.selected': '{count} domains selected',
+      'domain.selectFirst': '❌ Select some domain cards first',
+      'config.templateProtocol':
+        'Template links must be vless://, trojan:// or vmess://',
+      'config.vmessInvalid': 'Could not parse the vmess link',
+      'config.templateInvalid': 'Invalid template link',
+      'config.portRequired': '❌ Select at least one port',
+      'config.templateRequired': '❌ This format needs a template link',
+      'config.generated': '✅ Generated {count} nodes',
+      'config.tlsSkipped':
+        '✅ Generated {count} nodes ({protocol} requires TLS; skipped {skipped} HTTP-port nodes)',
+      'config.tlsRequired':
+        '❌ {protocol} requires TLS; select at least one HTTPS port (🔒)',
+      'bulk.portsInvalid':
+        '❌ Invalid ports, separate multiple ports with commas',
+      'bulk.copied': '✅ Copied {count} entries',
+      'dns.query': 'Query #{count} · {time}',
+      'dns.changed': 'Answer changed (+{added} / -{removed})',
+      'dns.unchanged': 'same as last time',
+      'dns.totalChanges': '{count} changes in total',
+      'dns.new': 'new',
+      'dns.empty': 'No A / AAAA records',
+      'dns.removed': 'No longer returned: ',
+      'dns.resolving': 'Resolving...',
+      'common.unknown': 'Unknown',
+      'common.loading': 'Loading...',
+      'common.loadFailed': 'Failed to load',
+      'common.checking': 'Checking...',
+      'card.ipip': 'Domestic',
+      'card.edgeone': 'Overseas',
+      'card.twitter': 'Blocked sites',
+      'card.noFamily': 'No {family}',
+      'trace.enabled': 'on',
+      'trace.disabled': 'off',
+      'trace.gateway': 'Zero Trust gateway',
+      'trace.tls': 'TLS version',
+      'trace.kex': 'Key exchange',
+      'trace.postQuantum': 'post-quantum',
+      'trace.http': 'HTTP version',
+      'trace.sniPlaintext': 'plaintext',
+      'trace.sniEncrypted': 'encrypted (ECH)',
+      'trace.sniOff': 'not sent',
+      'trace.scheme': 'Scheme',
+      'trace.host': 'Host',
+      'trace.time': 'Server time',
+      'trace.details': 'Trace details',
+      'colo.far': '⚠️ Detour',
+      'colo.farTitle':
+        'The colo is about {distance} km from the egress country ({country}); Anycast may be routing the long way',
+      'common.separator': '; ',
+      'common.listJoiner': ', ',
+      'report.title': 'Network diagnostics report',
+      'report.generatedAt': 'Generated at',
+      'report.version': 'Report version',
+      'report.browser': 'Browser',
+      'report.egress': 'Egress',
+      'report.egressColumns':
+        'Card | Status | Provider | IP | IPv4 | IPv6 | Country | City / org | Colo',
+      'report.lookups': 'IP lookups',
+      'report.lookupColumns':
+        'IP | Country | ASN | Org | Type | Risk | Level | Fetched at',
+      'report.jsonDownloaded': '✅ JSON report downloaded',
+      'report.csvDownloaded': '✅ CSV report downloaded',
+      'report.markdownCopied': '✅ Markdown report copied',
+      'history.unsupported': 'This browser does not support IndexedDB',
+      'history.failed': 'Failed',
+      'history.readFailed': '❌ Could not read the history: {message}',
+      'history.noMatch': 'No matching records',
+      'history.empty': 'No history yet',
+      'history.columns': 'Time|Card|IP|Country|Colo|Provider',
+      'history.summary': '{count} records',
+      'history.truncated': ', showing the latest {count}',
+      'history.confirmClear': 'Clear the whole egress history?',
+      'history.cleared': '✅ History cleared',
+      'history.clearFailed': '❌ Failed to clear the history',
+      'monitor.country': 'Country',
+      'monitor.failed': '{card}: check failed',
+      'monitor.notificationTitle': 'Egress changed',
+      'monitor.paused': '⏸️ Paused while the page is hidden',
+      'monitor.next': 'Next check: {time}',
+      'monitor.notificationUnsupported':
+        '❌ This browser does not support notifications',
+      'monitor.notificationDenied':
+        '❌ Notification permission was not granted',
+      'routing.heading': '🧭 Split routing: {title}',
+      'routing.cardFailed': '{card} check failed',
+      'routing.unknownTitle': 'Inconclusive',
+      'routing.unknownDescription':
+        'Fewer than two checks succeeded, so split routing cannot be analysed.',
+      'routing.mixedCountries': 'Overseas egress countries differ: {list}',
+      'routing.directTitle': 'Direct for everything',
+      'routing.directDescription':
+        'Every check used the same Chinese IP; overseas traffic is not going through a proxy.',
+      'routing.globalTitle': 'Proxy for everything',
+      'routing.globalDescription':
+        'Every check used the same IP ({country}); domestic traffic is proxied too, or you are abroad.',
+      'routing.noDomesticTitle': 'Domestic egress unknown',
+      'routing.noDomesticDescription':
+        'The domestic check failed, so it is unclear whether domestic traffic goes direct.',
+      'routing.domesticProxiedTitle': 'Domestic traffic is proxied',
+      'routing.domesticProxiedDescription':
+        'The domestic check exits in {country}; domestic sites are going through the proxy.',
+      'routing.leakedTitle': 'Overseas traffic is not proxied',
+      'routing.leakedDescription':
+        '{cards} used the domestic egress; the matching routing rules did not hit the proxy.',
+      'routing.okTitle': 'Split routing OK',
+      'routing.okDescription':
+        'Domestic traffic goes direct ({domestic}); overseas traffic exits through the proxy ({foreign}).',
+      'webrtc.unsupported': 'This browser does not support WebRTC',
+      'webrtc.invalidServer': 'Invalid STUN server address',
+      'webrtc.failed': 'WebRTC check failed',
+      'webrtc.leak':
+        '⚠️ WebRTC leak: the public candidate differs from the proxy egress',
+      'webrtc.noPublic':
+        '✅ No public candidate, WebRTC does not expose a public IP',
+      'webrtc.waiting': 'Waiting for the egress checks to compare...',
+      'webrtc.safe':
+        '✅ The public candidate matches the proxy egress, no leak found',
+      'webrtc.unmatched':
+        'No proxy egress was detected for the IP family (IPv4 / IPv6) of some public candidates; they cannot be compared',
+      'webrtc.public': 'Public (srflx)',
+      'webrtc.host': 'Local (host)',
+      'webrtc.none': 'None',
+      'webrtc.serverPrefix': '❌ The STUN server must start with stun:',
+      'lookup.throttled': '⏳ Too many lookups, continuing in {seconds}s',
+      'lookup.masked':
+        '❌ The provider masked this IP, so its details cannot be looked up',
+      'lookup.detailsFailed': '❌ Failed to look up IP details',
+      'modal.refresh': '🔄 Refresh',
+      'modal.refreshing': 'Refreshing...',
+      'modal.refreshed': '✅ IP details refreshed',
+      'modal.refreshFailed': '❌ Failed to refresh IP details',
+      'age.now': 'just now',
+      'age.minutes': '{count} min ago',
+      'age.hours': '{count} h ago',
+      'age.days': '{count} d ago',
+      'offline.stale': 'offline data · {age}',
+      'offline.staleTitle': 'You are offline; showing results from {time}',
+      'offline.lastResult': 'last result · {age}',
+      'offline.lastResultTitle':
+        'Could not reach the service; showing results from {time}',
+      'offline.offline': '📴 You are offline; the last results will be shown',
+      'offline.online': '🔄 Back online, refreshing',
+      'ipType.isp': 'Residential',
+      'ipType.hosting': 'Hosting',
+      'ipType.business': 'Business',
+      'risk.critical': 'Critical',
+      'risk.high': 'High risk',
+      'risk.elevated': 'Elevated',
+      'risk.low': 'Clean',
+      'risk.veryLow': 'Very clean',
+      'flag.crawler': 'Crawler',
+      'flag.proxy': 'Proxy',
+      'flag.tor': 'Tor',
+      'flag.abuser': 'Abuser',
+      'flag.bogon': 'Bogon',
+      'flag.datacenter': 'Datacenter',
+      'score.profileDefault': 'Default',
+      'score.profileStrict': 'Strict',
+      'score.profileStreaming': 'Streaming',
+      'score.company': 'Company score',
+      'score.asn': 'ASN score',
+      'score.hit': 'hit',
+      'score.flags': 'Risk flags',
+      'score.noHit': 'none',
+      'score.total': 'Total',
+      'score.profileName': '{name} profile',
+      'score.customized': ' (customised)',
+      'score.tooltipTitle': '📊 Abuse score algorithm ({name} profile)',
+      'score.formula': 'Formula',
+      'score.base': 'Base',
+      'score.extra': 'Risk extras',
+      'score.extraFormula': 'sum of the weights of the flags that hit',
+      'score.levels': 'Risk levels',
+      'modal.ip': 'IP address',
+      'modal.cloudflareRange': 'Cloudflare range',
+      'modal.rir': 'Regional Internet Registry',
+      'modal.types': 'Company / ASN type',
+      'modal.mobile': 'Mobile network',
+      'modal.datacenter': 'Datacenter',
+      'modal.satellite': 'Satellite',
+      'modal.crawler': 'Crawler',
+      'modal.proxy': 'Proxy',
+      'modal.tor': 'Tor',
+      'modal.abuser': 'Abuser',
+      'modal.bogon': 'Bogon',
+      'modal.country': 'Country',
+      'modal.state': 'State / province',
+      'modal.city': 'City',
+      'modal.zip': 'Postal code',
+      'modal.coordinates': 'Coordinates',
+      'modal.timezone': 'Time zone',
+      'modal.localTime': 'Local time',
+      'modal.eu': 'EU member',
+      'modal.companyName': 'Company',
+      'modal.domain': 'Domain',
+      'modal.type': 'Type',
+      'modal.network': 'Network',
+      'modal.abuserScore': 'Abuse score',
+      'modal.asn': 'ASN',
+      'modal.org': 'Organisation',
+      'modal.route': 'Route',
+      'modal.countryCode': 'Country code',
+      'modal.abuseName': 'Contact',
+      'modal.abuseEmail': 'Email',
+      'modal.abusePhone': 'Phone',
+      'modal.abuseAddress': 'Address',
+      'modal.basic': '📍 Basics',
+      'modal.security': '🛡️ Security',
+      'modal.location': '🌍 Location',
+      'modal.company': '🏢 Company',
+      'modal.asnSection': '🔢 ASN',
+      'modal.abuse': '📧 Abuse contact',
+      'common.yes': 'Yes',
+      'common.no': 'No',
+      'modal.close': 'Close',
+      'modal.title': '🔍 IP details',
+      'modal.source': 'Source: {source}',
+      'modal.cachedAt': 'cached {age}',
+      'modal.fetchedAt': 'fetched {age}',
+      'modal.abuseScore': 'Overall abuse score',
+      'modal.scoreHelp': 'Click for the algorithm',
+      'dns.httpError': 'DoH query failed: HTTP {status}',
+      'dns.rcodeError': 'DoH query failed: RCODE {rcode}',
+      'dns.noAddress': 'No IP address found',
+      'lookup.invalidInput': '❌ Enter a valid IPv4 / IPv6 address or domain',
+      'lookup.resolveFailed': '❌ Could not resolve the domain: {message}',
+      'lookup.resolved': '✅ {name} resolves to {ip}',
+      'lookup.dohHttps': '❌ The DoH server must be an https:// URL',
+      'score.profile': 'Scoring profile',
+      'score.reset': 'Restore profile defaults',
+      'score.invalidWeight': '❌ Weights must be non-negative numbers',
+      'score.resetDone': '✅ Profile weights restored',
+      'intel.type': 'IP type',
+      'intel.agree': '{count} sources agree',
+      'intel.failed': 'No response: ',
+      'intel.title': '🧭 Cross-check',
+      'intel.conflicts': '{count} fields disagree',
+      'intel.allAgree': 'All agree',
+      'cidr.containsEgress': 'Contains your egress IPs: ',
+      'cidr.noEgress': 'Does not contain your egress IPs',
+      'cidr.count': '{count} addresses',
+      'mine.exported': '✅ My Domains list copied',
+      'mine.exportEmpty': '❌ My Domains is empty',
+      'config.copied': '✅ Config copied',
+      'config.generateFirst': '❌ Generate a config first',
+      'lang.name': 'English',
+      'lang.switch': 'Switch language',
+      'page.title': 'CloudFlare preferred domains - CF domain list',
+      'page.description':
+        'CloudFlare preferred domains - quality CloudFlare CDN node information',
+      'page.toggleTheme': 'Toggle theme',
+      'page.heading': '☁️ CloudFlare Preferred Domains',
+      'page.subtitle':
+        'Quality CloudFlare CDN node information for a better browsing experience',
+      'page.networkInfo': '🌍 Your network',
+      'card.edgeoneTitle': 'Overseas (unblocked sites)',
+      'card.twitterTitle': 'Blocked sites (Twitter)',
+      'card.ipipTip': '· The IP you use for websites in China',
+      'card.edgeoneTip':
+        '· The IP you use for overseas websites that are not blocked',
+      'card.cfTip':
+        '· The egress IP you use for sites behind the Cloudflare CDN',
+      'card.twitterTip':
+        '· The IP you use for Twitter (x.com) and similar sites',
+      'webrtc.title': 'WebRTC leak test',
+      'webrtc.server': 'STUN server',
+      'webrtc.retry': 'Run again',
+      'webrtc.tip':
+        '· Even behind a proxy, the browser may expose your real IP through WebRTC',
+      'routing.checking': '🧭 Split routing: checking...',
+      'monitor.enable': '🔁 Keep monitoring',
+      'monitor.interval': 'Interval',
+      'monitor.30s': '30 seconds',
+      'monitor.1m': '1 minute',
+      'monitor.5m': '5 minutes',
+      'monitor.15m': '15 minutes',
+      'monitor.notify': 'Browser notifications',
+      'report.export': '📤 Export report',
+      'report.downloadJson': 'Download JSON',
+      'report.copyMarkdown': 'Copy Markdown',
+      'report.downloadCsv': 'Download CSV',
+      'lookup.placeholder':
+        'Enter any IPv4 / IPv6 address or domain to look it up',
+      'lookup.submit': '🔍 Look up',
+      'lookup.dohServer': 'DoH server',
+      'lookup.cache': 'Cache',
+      'lookup.noCache': 'Off',
+      'lookup.cache1h': '1 hour',
+      'lookup.cache6h': '6 hours',
+      'lookup.cache24h': '24 hours',
+      'lookup.cache7d': '7 days',
+      'score.settings': '⚙️ Risk score settings',
+      'intel.settings': '🛰️ Cross-check sources',
+      'history.title': '🕒 Egress history',
+      'history.card': 'Card',
+      'history.allCards': 'All',
+      'history.changesOnly': 'Changes only',
+      'history.search': 'Filter by IP / country / colo',
+      'history.clear': 'Clear history',
+      'page.disclaimerTitle': '⚠️ Disclaimer',
+      'page.disclaimer':
+        'Everything on this site is for reference only. We try to keep it accurate and complete, but make no express or implied warranty about its accuracy, completeness or timeliness. You use this information at your own risk, and it must not be used for anything illegal.',
+      'page.ports': '📡 Supported ports',
+      'page.httpPorts': 'HTTP ports: ',
+      'page.httpsPorts': 'HTTPS ports: ',
+      'latency.title': '⚡ Browser speed test',
+      'latency.description':
+        'Requests <code>/cdn-cgi/trace</code> on every domain straight from your browser and reports the median round trip, jitter and loss, to find the fastest domain on your current network.',
+      'common.port': 'Port',
+      'common.format': 'Format',
+      'latency.rounds': 'Runs',
+      'latency.sort': 'Sort by latency',
+      'latency.start': 'Start test',
+      'config.title': '🧩 Config generator',
+      'config.description':
+        'Tick the checkbox in the top-left corner of the domain cards below and pick ports to generate a config you can paste into your client. The Clash, sing-box and v2rayN formats need a template link (<code>vless://</code>, <code>trojan://</code> or <code>vmess://</code>) whose UUID, path, SNI and other parameters are reused for every node; HTTPS ports (🔒) enable TLS, HTTP ports do not and drop TLS-only parameters such as SNI; trojan requires TLS, so only HTTPS-port nodes are generated.',
+      'config.addressesapi': 'addressesapi (address:port#remark)',
+      'config.v2rayn': 'v2rayN links',
+      'config.templatePlaceholder':
+        'Template link, e.g. vless://uuid@example.com:443?type=ws&path=%2F#name',
+      'config.generate': 'Generate',
+      'config.copy': 'Copy',
+      'filter.title': '🔎 Filter domains',
+      'filter.search': 'Search domains, remarks or tags',
+      'filter.sort': 'Sort',
+      'filter.sortDefault': 'Default order',
+      'filter.sortName': 'By name',
+      'filter.sortMaintainer': 'By maintainer',
+      'filter.reset': 'Reset',
+      'bulk.selectAll': 'Select visible',
+      'bulk.selectNone': 'Clear selection',
+      'bulk.lines': 'One per line',
+      'bulk.comma': 'Comma separated',
+      'bulk.strip': 'Strip the *. prefix',
+      'bulk.random': 'Random prefix',
+      'bulk.keep': 'Keep *.',
+      'bulk.copy': 'Copy selected',
+      'domain.catalogLoading': 'Loading the domain list...',
+      'page.apis': '🔌 Third-party APIs',
+      'page.officialIpApi': 'Preferred official IP APIs',
+      'page.proxyIpApi': 'Preferred reverse-proxy IP APIs',
+      'page.resources': '🔗 More resources',
+      'page.footerTitle': '© 2025 CloudFlare Preferred Domains',
+      'page.visits': 'Visitors today:',
+      'page.maintainer': 'For reference only, maintained by:',
+      'page.footerNote':
+        'For well-known reasons Cloudflare has no CDN nodes in mainland China; this site collects preferred entries to improve the browsing experience',
+    },
+  };
+
+  const currentLocale = getPreferredLocale();
+
+  /**
+   * 获取界面语言: 优先使用本地保存的选择,其次匹配浏览器语言
+   * @returns {string} MESSAGES 中存在的语言代码
+   */
+  function getPreferredLocale() {
+    const saved = localStorage.getItem(LOCALE_KEY);
+    if (saved && MESSAGES[saved]) return saved;
+    const languages = navigator.languages || [navigator.language || ''];
+    for (const language of languages) {
+      const code = String(language).toLowerCase();
+      if (code.startsWith('zh')) return 'zh-CN';
+      if (code.startsWith('en')) return 'en';
+    }
+    return DEFAULT_LOCALE;
+  }
+
+  /**
+   * 按当前语言取出文案并替换占位参数
+   * @param {string} key - 文案键
+   * @param {Object} [params] - 占位参数
+   * @returns {string} 文案,缺失时依次回退到默认语言和键名
+   */
+  function t(key, params = {}) {
+    const template =
+      MESSAGES[currentLocale][key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+      name in params ? String(params[name]) : match
+    );
+  }
+
+  /**
+   * 翻译页面中带 data-i18n* 属性的静态元素
+   * @param {ParentNode} [root] - 要翻译的根节点
+   */
+  function applyStaticTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach((el) => {
+      el.textContent = t(el.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-html]').forEach((el) => {
+      setHtml(el, trustedHtml(t(el.dataset.i18nHtml)));
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach((el) => {
+      el.placeholder = t(el.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach((el) => {
+      el.title = t(el.dataset.i18nTitle);
+    });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach((el) => {
+      el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel));
+    });
+  }
+
+  /**
+   * 初始化界面语言和语言切换按钮
+   */
+  function initLanguage() {
+    document.documentElement.lang = currentLocale;
+    document.title = t('page.title');
+    const description = document.querySelector('meta[name="description"]');
+    if (description) description.content = t('page.description');
+    applyStaticTranslations();
+
+    const switcher = document.getElementById('lang-switcher');
+    if (!switcher) return;
+    const nextLocale = currentLocale === DEFAULT_LOCALE ? 'en' : DEFAULT_LOCALE;
+    switcher.textContent = MESSAGES[nextLocale]['lang.name'];
+    switcher.lang = nextLocale;
+    switcher.addEventListener('click', () => {
+      localStorage.setItem(LOCALE_KEY, nextLocale);
+      location.reload();
+    });
+  }
+
   // --- 2. 页面功能初始化 ---
 
   /**
@@ -182,405 +1127,3770 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
-  // --- 3. 网络信息获取 ---
-  // [fetchIpipData, fetchEdgeOneData, ... 等函数保持不变，此处省略]
-  // ...
+  // --- 2a. 域名目录 ---
+
+  /** 域名目录数据文件 (新增域名只需修改该文件) */
+  const DOMAIN_CATALOG_URL = 'domains.json';
+
+  /** 延迟统计图地址前缀 (由 vps789 提供) */
+  const CHART_BASE_URL =
+    'https://selected-domain-data-chart-provided-by-vps789.cmliussss.net/';
+
+  const COPY_ICON_SVG = trustedHtml(
+    `<svg class="copy-icon" viewBox="0 0 24 24" fill="currentColor"><path d="M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12V1zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2zm0 16H8V7h11v14z" /></svg>`
+  );
+
+  const TCPING_ICON_SVG = trustedHtml(
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="16 18 22 12 16 6"></polyline><polyline points="8 6 2 12 8 18"></polyline></svg>`
+  );
+
+  const EXPAND_ICON_SVG = trustedHtml(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="13 17 18 12 13 7"></polyline><polyline points="6 17 11 12 6 7"></polyline></svg>`
+  );
+
+  /** 已加载的域名目录 */
+  let domainCatalog = null;
+
+  /** 获取域名的显示名称 (泛域名显示为 *.host) */
+  function getDomainDisplayName(entry) {
+    return entry.wildcard ? `*.${entry.host}` : entry.domain;
+  }
 
   /**
-   * 获取国内测试数据 (遍历多个 API: speedtest.cn > ipipv.com > ipip.net)
+   * 获取域名卡片上的徽章
+   * id 用于标签筛选和 URL,不随界面语言变化
+   * @param {object} entry - 域名条目
+   * @returns {Array<{id: string, text: string, className?: string}>}
    */
-  async function fetchIpipData() {
-    setStatus('status-ipip', 'loading');
+  function getDomainBadges(entry) {
+    const badges = [];
+    if (entry.wildcard) {
+      badges.push({ id: 'wildcard', text: t('domain.badgeWildcard') });
+    }
+    if (entry.threeNetwork) {
+      badges.push({
+        id: 'three-network',
+        text: t('domain.badgeThreeNetwork'),
+        className: 'three-network',
+      });
+    }
+    if (entry.maintainer) {
+      badges.push({
+        id: `maintainer:${entry.maintainer}`,
+        text: t('domain.badgeMaintainer', { name: entry.maintainer }),
+      });
+    }
+    (entry.badges || []).forEach((text) => badges.push({ id: text, text }));
+    return badges;
+  }
 
-    // 获取标题元素,用于动态更新 API 来源
-    const titleElement = document.querySelector('#status-ipip').parentElement;
+  /** 将域名条目转换为 domain#备注 格式的文本行 */
+  function formatDomainListLine(entry) {
+    const host = entry.host || entry.domain;
+    return entry.label ? `${host}#${entry.label}` : host;
+  }
 
-    // 定义 API 配置列表,按优先级排序
-    const apiConfigs = [
-      {
-        name: 'speedtest.cn',
-        url: 'https://api-v3.speedtest.cn/ip',
-        parser: (data) => {
-          if (data.code === 0 && data.data) {
-            return {
-              ip: data.data.ip || '未知',
-              country: data.data.country || '未知',
-              city: data.data.city || '未知',
-            };
-          }
-          throw new Error('数据格式错误');
-        },
-      },
-      {
-        name: 'ipipv.com',
-        url: 'https://myip.ipipv.com/',
-        parser: (data) => {
-          return {
-            ip: data.Ip || '未知',
-            country: data.Country || '未知',
-            city: data.City || '未知',
-          };
-        },
-      },
-      {
-        name: 'ipip.net',
-        url: 'https://myip.ipip.net/json',
-        parser: (data) => {
-          if (data.ret === 'ok' && data.data) {
-            return {
-              ip: data.data.ip || '未知',
-              country: data.data.location[0] || '未知',
-              city: data.data.location[2] || '未知',
-            };
-          }
-          throw new Error('数据格式错误');
-        },
-      },
-    ];
+  /**
+   * 按域名逐级 (以 . 分隔) 比较,cloudflare.x.xyz 排在 cloudflare-dl.x.top 之前
+   * @param {object} a - 域名条目
+   * @param {object} b - 域名条目
+   * @returns {number}
+   */
+  function compareDomainListEntries(a, b) {
+    const left = (a.host || a.domain).split('.');
+    const right = (b.host || b.domain).split('.');
+    for (let i = 0; i < Math.min(left.length, right.length); i++) {
+      const diff = left[i].localeCompare(right[i]);
+      if (diff) return diff;
+    }
+    return left.length - right.length;
+  }
 
-    // 遍历 API 配置列表
-    for (const config of apiConfigs) {
-      try {
-        // 添加时间戳参数避免缓存
-        const timestamp = Date.now();
-        const url =
-          config.url +
-          (config.url.includes('?') ? '&' : '?') +
-          `t=${timestamp}`;
-        const response = await fetch(url);
-        const data = await response.json();
-
-        // 使用对应的解析器解析数据
-        const result = config.parser(data);
-
-        // 更新页面显示
-        document.getElementById('ipip-ip').textContent = result.ip;
-        document.getElementById('ipip-country').textContent = result.country;
-        document.getElementById('ipip-city').textContent = result.city;
-        setStatus('status-ipip', 'success');
-
-        // 更新标题显示当前使用的 API
-        if (titleElement) {
-          titleElement.innerHTML = `<span class="status-indicator" id="status-ipip"></span>国内测试（${config.name}）`;
-          setStatus('status-ipip', 'success'); // 重新设置状态,因为 innerHTML 会清除
-        }
+  /**
+   * 渲染单张域名卡片
+   * @param {object} entry - 域名条目
+   * @returns {SafeHtml} 卡片 HTML
+   */
+  function renderDomainCard(entry) {
+    const domain = entry.domain;
+    const starred = isMyDomain(entry);
+    const badges = getDomainBadges(entry);
+    const searchText = [
+      entry.domain,
+      entry.host,
+      entry.label,
+      ...badges.map((badge) => badge.text),
+    ]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase();
+    const badgesHTML = badges.map(
+      (badge) =>
+        html`<span
+          class="domain-badge${badge.className ? ' ' + badge.className : ''}"
+          >${badge.text}</span
+        >`
+    );
 
-        console.log(`使用 ${config.name} API 成功`);
-        return; // 成功则返回,不再尝试其他 API
-      } catch (error) {
-        console.warn(`${config.name} 接口失败:`, error);
-        // 继续尝试下一个 API
-      }
-    }
+    // 备注内容来自站点自身维护的目录文件,允许包含链接等标记
+    const noteHTML = entry.note
+      ? html` <div class="domain-note">
+          <strong>${entry.note.title}：</strong>
+          ${trustedHtml(entry.note.html)}
+        </div>`
+      : '';
+
+    const chartHTML = entry.chart
+      ? html` <div class="domain-card-image-wrapper">
+          <img
+            class="domain-image lazy-image"
+            src="./img.png"
+            data-src="${CHART_BASE_URL}${entry.chart}"
+            alt="${t('domain.chartAlt')}"
+          />
+        </div>`
+      : '';
 
-    // 所有 API 都失败
-    document.getElementById('ipip-ip').innerHTML =
-      '<span class="error">加载失败</span>';
-    document.getElementById('ipip-country').textContent = '';
-    document.getElementById('ipip-city').textContent = '';
-    setStatus('status-ipip', 'error');
-    console.error('所有国内测试 API 都失败');
+    return html` <div
+      class="domain-card"
+      data-name="${getDomainDisplayName(entry)}"
+      data-maintainer="${entry.maintainer || ''}"
+      data-tags="${badges.map((badge) => badge.id).join('|')}"
+      data-search="${searchText}"
+    >
+      <div class="domain-card-content">
+        <div class="domain-header">
+          <input
+            type="checkbox"
+            class="domain-select"
+            data-domain="${domain}"
+            data-label="${entry.label || entry.domain}"
+            data-wildcard="${entry.wildcard ? entry.host : ''}"
+            title="${t('domain.select')}"
+          />
+          <button
+            class="favorite-toggle${starred ? ' active' : ''}"
+            data-domain="${domain}"
+            data-custom="${Boolean(entry.custom)}"
+            title="${t('domain.favorite')}"
+          >
+            ${starred ? '★' : '☆'}
+          </button>
+          <button class="copy-domain" data-domain="${domain}">
+            ${COPY_ICON_SVG} ${getDomainDisplayName(entry)}
+          </button>
+          ${badgesHTML}
+          <a
+            class="test-link"
+            href="https://www.itdog.cn/tcping/${encodeURIComponent(domain)}:443"
+            target="_blank"
+            rel="noopener noreferrer"
+          >
+            ${TCPING_ICON_SVG} TCPing
+          </a>
+          <button
+            class="test-link resolve-domain"
+            data-domain="${domain}"
+            title="${t('dns.resolveTitle')}"
+          >
+            ${t('dns.resolve')}
+          </button>
+        </div>
+        <div class="domain-dns" hidden></div>
+        ${noteHTML}
+      </div>
+      ${chartHTML}
+    </div>`;
   }
 
   /**
-   * 获取 EdgeOne 数据
+   * 渲染一个域名分区 (卡片 + 可折叠的纯文本列表)
+   * 分区设置了 sortList 时纯文本列表按字母排序,否则与卡片顺序相同
+   * @param {object} section - 目录中的分区
+   * @returns {SafeHtml} 分区 HTML
    */
-  async function fetchEdgeOneData() {
-    setStatus('status-edgeone', 'loading');
-    try {
-      // 添加时间戳参数避免缓存
-      const response = await fetch(`https://api.ipapi.cmliussss.net`);
-      const data = await response.json();
+  function renderDomainSection(section) {
+    const cards = section.domains.filter((entry) => !entry.listOnly);
+    const listEntries = section.sortList
+      ? [...section.domains].sort(compareDomainListEntries)
+      : section.domains;
 
-      document.getElementById('edgeone-ip').textContent = data.ip || '未知';
-      document.getElementById('edgeone-country').textContent =
-        data.location.country_code || '未知';
-      document.getElementById('edgeone-city').textContent =
-        `AS${data.asn.asn} ${data.asn.org}` || '未知';
-      setStatus('status-edgeone', 'success');
-    } catch (error) {
-      document.getElementById('edgeone-ip').innerHTML =
-        '<span class="error">加载失败</span>';
-      document.getElementById('edgeone-country').textContent = '';
-      document.getElementById('edgeone-city').textContent = '';
-      setStatus('status-edgeone', 'error');
-      console.error('EdgeOne 接口错误:', error);
-    }
+    const subtitleHTML = section.subtitle
+      ? html`<p class="section-subtitle">${section.subtitle}</p>`
+      : '';
+
+    const listHTML = section.listTitle
+      ? html` <details class="details">
+          <summary>
+            ${EXPAND_ICON_SVG}
+            ${t('domain.expandList', { title: section.listTitle })}
+          </summary>
+          <pre>${listEntries.map(formatDomainListLine).join('\n')}</pre>
+        </details>`
+      : '';
+
+    return html` <section class="section" id="section-${section.id}">
+      <h2 class="section-title">${section.title}</h2>
+      ${subtitleHTML}
+      <div class="domain-cards-grid">${cards.map(renderDomainCard)}</div>
+      ${listHTML}
+    </section>`;
   }
 
   /**
-   * 获取 CloudFlare 数据
+   * 加载域名目录并渲染所有域名分区
+   * 渲染完成后再初始化图片懒加载
    */
-  async function fetchCloudFlareData() {
-    setStatus('status-cf', 'loading');
+  async function initDomainCatalog() {
+    const container = document.getElementById('domain-catalog');
+    if (!container) return;
+
     try {
-      // 添加时间戳参数避免缓存
-      const timestamp = Date.now();
-      const response = await fetch(
-        `https://cf.090227.xyz/ip.json?t=${timestamp}`
+      const response = await fetch(DOMAIN_CATALOG_URL);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      domainCatalog = await response.json();
+      setHtml(
+        container,
+        html`${renderMyDomainsSection()}${domainCatalog.sections.map(
+          renderDomainSection
+        )}`
       );
-      const data = await response.json();
-
-      document.getElementById('cf-ip').textContent = data.ip || '未知';
-      document.getElementById('cf-country').textContent =
-        data.country || '未知';
-      document.getElementById('cf-city').textContent = data.org || '未知';
-      setStatus('status-cf', 'success');
+      refreshMyDomains();
+      initDomainFilters();
     } catch (error) {
-      document.getElementById('cf-ip').innerHTML =
-        '<span class="error">加载失败</span>';
-      document.getElementById('cf-country').textContent = '';
-      document.getElementById('cf-city').textContent = '';
-      setStatus('status-cf', 'error');
-      console.error('CloudFlare 接口错误:', error);
+      setHtml(
+        container,
+        html`<p class="catalog-status error">${t('domain.catalogFailed')}</p>`
+      );
+      console.error('域名目录加载失败:', error);
     }
   }
 
+  // --- 2d. 我的优选 ---
+
+  /** 收藏与自定义域名在 localStorage 中的键名 */
+  const MY_DOMAINS_KEY = 'myDomains';
+
   /**
-   * 获取推特入口数据
+   * 读取收藏 (目录中的域名) 与自定义域名
+   * 自定义泛域名与目录条目格式相同 (host 为主域名,domain 为其下的随机子域名);
+   * 旧版本按 *.host 保存的条目读取时转换并写回
+   * @returns {{favorites: string[], custom: {domain: string, host?: string, wildcard?: boolean, label?: string}[]}}
    */
-  async function fetchTwitterData() {
-    setStatus('status-twitter', 'loading');
+  function readMyDomains() {
+    let data;
     try {
-      // 添加时间戳参数避免缓存
-      const timestamp = Date.now();
-      const response = await fetch(
-        `https://x.com/cdn-cgi/trace?t=${timestamp}`
-      );
-      const text = await response.text();
-
-      // 解析文本格式的响应 (key=value 格式,每行一个)
-      const data = {};
-      text.split('\n').forEach((line) => {
-        const [key, value] = line.split('=');
-        if (key && value) {
-          data[key.trim()] = value.trim();
-        }
-      });
-
-      document.getElementById('twitter-ip').textContent = data.ip || '未知';
-      document.getElementById('twitter-country').textContent =
-        data.loc || '未知';
-      document.getElementById('twitter-city').textContent = data.colo || '';
-      setStatus('status-twitter', 'success');
+      data = JSON.parse(localStorage.getItem(MY_DOMAINS_KEY)) || {};
     } catch (error) {
-      document.getElementById('twitter-ip').innerHTML =
-        '<span class="error">加载失败</span>';
-      document.getElementById('twitter-country').textContent = '';
-      document.getElementById('twitter-city').textContent = '';
-      setStatus('status-twitter', 'error');
-      console.error('推特入口接口错误:', error);
+      return { favorites: [], custom: [] };
+    }
+    const result = {
+      favorites: data.favorites || [],
+      custom: data.custom || [],
+    };
+    if (result.custom.some((item) => item.domain.startsWith('*.'))) {
+      result.custom = result.custom.map((item) =>
+        item.domain.startsWith('*.')
+          ? createCustomDomain(item.domain, item.label)
+          : item
+      );
+      saveMyDomains(result);
     }
+    return result;
+  }
+
+  /** 保存收藏与自定义域名 */
+  function saveMyDomains(data) {
+    localStorage.setItem(MY_DOMAINS_KEY, JSON.stringify(data));
   }
 
   /**
-   * 获取访问统计数据
+   * 在域名目录中查找条目 (同时匹配 domain 与纯文本列表使用的 host)
+   * @param {string} domain - 域名
+   * @returns {object|undefined}
    */
-  async function fetchVisitCount() {
-    try {
-      const response = await fetch(
-        'https://tongji.090227.xyz/?id=ipcheckinfo.zone.id'
+  function findCatalogEntry(domain) {
+    for (const section of domainCatalog?.sections || []) {
+      const entry = section.domains.find(
+        (item) => item.domain === domain || item.host === domain
       );
-      const data = await response.json();
-
-      const visitCountElement = document.getElementById('visit-count');
-      if (visitCountElement && data.visitCount !== undefined) {
-        visitCountElement.textContent = data.visitCount;
-      }
-    } catch (error) {
-      console.error('获取访问统计失败:', error);
-      const visitCountElement = document.getElementById('visit-count');
-      if (visitCountElement) {
-        visitCountElement.textContent = '加载失败';
-      }
+      if (entry) return entry;
     }
+    return undefined;
   }
 
   /**
-   * 页面加载时自动获取网络信息
+   * 创建自定义域名条目,泛域名 (*.host) 换成固定的随机子域名,用于测速与 TCPing
+   * @param {string} domain - 域名
+   * @param {string} [label] - 备注
+   * @returns {{domain: string, host?: string, wildcard?: boolean, label?: string}}
    */
-  async function loadNetworkInfo() {
-    if (document.querySelector('.network-cards-container')) {
-      await Promise.all([
-        fetchIpipData(),
-        fetchEdgeOneData(),
-        fetchCloudFlareData(),
-        fetchTwitterData(),
-      ]);
+  function createCustomDomain(domain, label) {
+    const item = domain.startsWith('*.')
+      ? {
+          domain: `${randomSubdomainLabel()}.${domain.slice(2)}`,
+          host: domain.slice(2),
+          wildcard: true,
+        }
+      : { domain };
+    return label ? { ...item, label } : item;
+  }
 
-      // 优化：所有网络信息加载完成后, 使 IP 可点击
-      // 移除了 setTimeout，直接调用
-      markIpAsClickable();
-    }
+  /**
+   * 在自定义域名中查找条目 (泛域名按 *.host 匹配)
+   * @param {object[]} custom - 自定义域名
+   * @param {string} domain - 域名
+   * @returns {object|undefined}
+   */
+  function findCustomDomain(custom, domain) {
+    return custom.find((item) =>
+      item.wildcard ? `*.${item.host}` === domain : item.domain === domain
+    );
   }
 
-  // --- 4. IP 详情弹窗 (Modal) 功能 ---
-  // [所有 IP 弹窗相关函数保持不变，此处省略]
-  // ...
+  /** 判断域名卡片是否已收藏 (自定义域名始终视为收藏) */
+  function isMyDomain(entry) {
+    return entry.custom || readMyDomains().favorites.includes(entry.domain);
+  }
 
   /**
-   * 优化：标记 IP 为可点击
-   * (原 makeIpClickable 函数的职责分离)
+   * 获取“我的优选”中的全部条目: 先收藏的目录域名,再自定义域名
+   * @returns {object[]}
    */
-  function markIpAsClickable() {
-    const ipElements = document.querySelectorAll('.ip-text');
-
-    ipElements.forEach((element) => {
-      const ipText = element.textContent.trim();
+  function getMyDomainEntries() {
+    const { favorites, custom } = readMyDomains();
+    return [
+      ...favorites.map(findCatalogEntry).filter(Boolean),
+      ...custom.map((item) => ({ ...item, custom: true })),
+    ];
+  }
 
-      // 跳过已经标记为错误、加载中、未知的元素
-      if (
-        element.querySelector('.error') ||
-        ipText === '加载中...' ||
-        ipText === '未知' ||
-        element.classList.contains('clickable')
-      ) {
-        return;
+  /**
+   * 解析 domain#备注 格式的文本
+   * @param {string} text - 每行一个域名
+   * @returns {{entries: {domain: string, label: string}[], invalid: string[]}}
+   */
+  function parseDomainListText(text) {
+    const entries = [];
+    const invalid = [];
+    text.split('\n').forEach((rawLine) => {
+      const line = rawLine.trim();
+      if (!line) return;
+      const [domain, ...labelParts] = line.split('#');
+      const host = domain.trim().toLowerCase();
+      if (isValidHostname(host.replace(/^\*\./, ''))) {
+        entries.push({ domain: host, label: labelParts.join('#').trim() });
+      } else {
+        invalid.push(line);
       }
-
-      // 添加可点击样式
-      element.classList.add('clickable');
     });
+    return { entries, invalid };
   }
 
   /**
-   * 优化：获取并显示 IP 详情的逻辑
-   * (从原 makeIpClickable 提取)
-   * @param {HTMLElement} ipElement - 被点击的 IP 元素
+   * 生成“我的优选”的导出文本 (与各分区纯文本列表格式一致)
+   * 自定义泛域名导出为 *.host,再次导入时仍识别为泛域名
    */
-  async function fetchAndShowIpDetails(ipElement) {
-    let ipText = ipElement.textContent.trim();
-
-    // 移除可能存在的加载动画
-    const existingSpinner = ipElement.querySelector('.loading-spinner');
-    if (existingSpinner) {
-      return; // 正在加载中,不重复请求
-    }
+  function formatMyDomainsText() {
+    return getMyDomainEntries()
+      .map((entry) =>
+        formatDomainListLine(
+          entry.custom && entry.wildcard
+            ? { ...entry, host: `*.${entry.host}` }
+            : entry
+        )
+      )
+      .join('\n');
+  }
 
-    // 跳过显示"加载中..."或"未知"的元素
-    if (ipText === '加载中...' || ipText === '未知') {
+  /**
+   * 导入 domain#备注 文本: 目录中已有的域名加入收藏,其余作为自定义域名
+   * @param {string} text - 导入文本
+   */
+  function importMyDomains(text) {
+    const { entries, invalid } = parseDomainListText(text);
+    if (!entries.length) {
+      showToast(t('mine.importEmpty'));
       return;
     }
 
-    // 将 * 替换为 0
-    const cleanIp = ipText.replace(/\*/g, '0');
+    const data = readMyDomains();
+    let added = 0;
+    entries.forEach(({ domain, label }) => {
+      const catalogEntry = findCatalogEntry(domain);
+      if (catalogEntry) {
+        if (!data.favorites.includes(catalogEntry.domain)) {
+          data.favorites.push(catalogEntry.domain);
+          added++;
+        }
+        return;
+      }
+      const existing = findCustomDomain(data.custom, domain);
+      if (existing) {
+        existing.label = label || existing.label;
+      } else {
+        data.custom.push(createCustomDomain(domain, label));
+        added++;
+      }
+    });
 
-    // 添加加载动画
-    const spinner = document.createElement('span');
-    spinner.className = 'loading-spinner';
-    ipElement.appendChild(spinner);
+    saveMyDomains(data);
+    refreshMyDomains();
+    showToast(
+      t('mine.imported', { count: added }) +
+        (invalid.length
+          ? t('mine.importSkipped', { count: invalid.length })
+          : '')
+    );
+  }
 
-    try {
-      const response = await fetch(
-        `https://api.ipapi.cmliussss.net/?ip=${cleanIp}`
-      );
+  /**
+   * 收藏 / 取消收藏域名 (取消自定义域名即删除)
+   * @param {string} domain - 域名
+   */
+  function toggleMyDomain(domain) {
+    const data = readMyDomains();
+    const customIndex = data.custom.findIndex((item) => item.domain === domain);
+    let starred;
 
-      if (!response.ok) {
-        throw new Error('查询失败');
-      }
+    if (customIndex !== -1) {
+      data.custom.splice(customIndex, 1);
+      starred = false;
+    } else if (data.favorites.includes(domain)) {
+      data.favorites = data.favorites.filter((item) => item !== domain);
+      starred = false;
+    } else {
+      data.favorites.push(domain);
+      starred = true;
+    }
 
-      const data = await response.json();
+    saveMyDomains(data);
+    refreshMyDomains();
+    showToast(
+      t(starred ? 'mine.starred' : 'mine.unstarred', { domain: domain })
+    );
+  }
 
-      // 移除加载动画
-      spinner.remove();
+  /**
+   * 渲染“我的优选”分区
+   * @returns {SafeHtml} 分区 HTML
+   */
+  function renderMyDomainsSection() {
+    return html` <section class="section" id="section-mine">
+      <h2 class="section-title">${t('mine.title')}</h2>
+      <p class="section-subtitle">${t('mine.subtitle')}</p>
+      <div class="domain-cards-grid" id="my-domains-grid"></div>
+      <details class="details">
+        <summary>${EXPAND_ICON_SVG} ${t('mine.importExport')}</summary>
+        <textarea
+          id="my-domains-input"
+          class="tool-input my-domains-input"
+          rows="5"
+          placeholder="${t('mine.placeholder')}"
+          spellcheck="false"
+        ></textarea>
+        <div class="tool-controls">
+          <button type="button" id="my-domains-import" class="tool-button">
+            ${t('mine.import')}
+          </button>
+          <button type="button" id="my-domains-export" class="tool-button">
+            ${t('mine.export')}
+          </button>
+        </div>
+        <pre id="my-domains-text"></pre>
+      </details>
+    </section>`;
+  }
 
-      // 显示详情弹窗
-      showIpDetailModal(data);
-    } catch (error) {
-      // 移除加载动画
-      spinner.remove();
+  /** 刷新“我的优选”卡片、导出文本及所有卡片的收藏状态 */
+  function refreshMyDomains() {
+    const grid = document.getElementById('my-domains-grid');
+    if (!grid) return;
 
-      // 显示错误提示
-      showToast('❌ 查询IP详细信息失败');
-      console.error('IP查询错误:', error);
+    const entries = getMyDomainEntries();
+    const selected = getSelectedDomains().map((domain) => domain.address);
+    setHtml(
+      grid,
+      entries.length
+        ? html`${entries.map(renderDomainCard)}`
+        : html`<p class="catalog-status">${t('mine.empty')}</p>`
+    );
+    selected.forEach((domain) => setDomainSelected(domain, true));
+    grid.querySelectorAll('.domain-card').forEach((card) => {
+      const stats = latencyResults.get(
+        card.querySelector('.copy-domain').dataset.domain
+      );
+      if (stats) renderLatencyBadge(card, stats);
+    });
+    document.getElementById('my-domains-text').textContent =
+      formatMyDomainsText() || t('mine.emptyText');
+
+    const favorites = readMyDomains().favorites;
+    document.querySelectorAll('.favorite-toggle').forEach((button) => {
+      const active =
+        button.dataset.custom === 'true' ||
+        favorites.includes(button.dataset.domain);
+      button.classList.toggle('active', active);
+      button.textContent = active ? '★' : '☆';
+    });
+
+    updateDomainSelection();
+    if (document.querySelector('.domain-tag')) {
+      applyDomainFilters();
     }
+    initLazyLoading();
   }
 
-  // --- 4a. IP 详情弹窗 - 帮助函数 ---
+  // --- 2e. 域名筛选与排序 ---
 
-  /** 将布尔值转换为 emoji */
-  function boolToEmoji(value, trueEmoji = '✅', falseEmoji = '❌') {
-    return value ? trueEmoji : falseEmoji;
-  }
+  /** 卡片排序方式 (未选择时按目录顺序) */
+  const DOMAIN_SORTERS = {
+    name: (a, b) => a.dataset.name.localeCompare(b.dataset.name),
+    // 有维护者的排在前面,同一维护者内按名称排序
+    maintainer: (a, b) =>
+      !a.dataset.maintainer - !b.dataset.maintainer ||
+      a.dataset.maintainer.localeCompare(b.dataset.maintainer) ||
+      a.dataset.name.localeCompare(b.dataset.name),
+  };
 
-  /** 将 IP 类型转换为中文并添加样式 */
-  function formatIpType(type) {
-    if (!type) return '<span class="ip-type-unknown">未知</span>';
+  /** 当前筛选条件,与 URL 查询参数 q / tags / sort 同步 */
+  const domainFilters = { query: '', tags: [], sort: '' };
 
-    const typeMap = {
-      isp: { text: '住宅', class: 'ip-type-residential' },
-      hosting: { text: '机房', class: 'ip-type-hosting' },
-      business: { text: '商用', class: 'ip-type-business' },
-    };
+  /** 从 URL 读取筛选条件 (便于分享筛选后的视图) */
+  function readDomainFiltersFromUrl() {
+    const params = new URLSearchParams(location.search);
+    domainFilters.query = params.get('q') || '';
+    domainFilters.tags = (params.get('tags') || '').split(',').filter(Boolean);
+    domainFilters.sort = DOMAIN_SORTERS[params.get('sort')]
+      ? params.get('sort')
+      : '';
+  }
 
-    const typeInfo = typeMap[type.toLowerCase()] || {
-      text: type,
-      class: 'ip-type-unknown',
+  /** 将筛选条件写入 URL (不产生新的历史记录) */
+  function writeDomainFiltersToUrl() {
+    const url = new URL(location.href);
+    const values = {
+      q: domainFilters.query,
+      tags: domainFilters.tags.join(','),
+      sort: domainFilters.sort,
     };
-    return `<span class="${typeInfo.class}">${typeInfo.text}</span>`;
+    Object.entries(values).forEach(([key, value]) => {
+      if (value) {
+        url.searchParams.set(key, value);
+      } else {
+        url.searchParams.delete(key);
+      }
+    });
+    history.replaceState(null, '', url);
   }
 
-  /** 获取威胁等级的样式类 */
-  function getThreatBadgeClass(score) {
-    if (!score) return 'badge-info';
-
-    const numScore = parseFloat(score);
-    if (numScore < 0.001) return 'badge-success';
-    if (numScore < 0.01) return 'badge-info';
-    if (numScore < 0.1) return 'badge-warning';
-    return 'badge-danger';
+  /**
+   * 判断卡片是否符合筛选条件 (标签之间为“且”关系)
+   * @param {HTMLElement} card - 域名卡片
+   * @returns {boolean}
+   */
+  function matchesDomainFilters(card) {
+    const tags = card.dataset.tags.split('|');
+    if (!domainFilters.tags.every((tag) => tags.includes(tag))) return false;
+    const query = domainFilters.query.trim().toLowerCase();
+    return !query || card.dataset.search.includes(query);
   }
 
-  /** 计算综合滥用评分 */
-  function calculateAbuseScore(companyScore, asnScore, securityFlags = {}) {
-    // 如果两个分数都无效，返回null
-    if (!companyScore || companyScore === '未知') companyScore = 0;
-    if (!asnScore || asnScore === '未知') asnScore = 0;
+  /** 按筛选条件显示 / 隐藏卡片,并更新排序与 URL */
+  function applyDomainFilters() {
+    const cards = [
+      ...document.querySelectorAll('#domain-catalog .domain-card'),
+    ];
+    let visible = 0;
+    cards.forEach((card) => {
+      card.hidden = !matchesDomainFilters(card);
+      if (!card.hidden) visible++;
+    });
+
+    // 筛选时隐藏没有匹配卡片的分区
+    const filtering = Boolean(domainFilters.query || domainFilters.tags.length);
+    document.querySelectorAll('#domain-catalog .section').forEach((section) => {
+      section.hidden =
+        filtering && !section.querySelector('.domain-card:not([hidden])');
+    });
+
+    document.querySelectorAll('.domain-tag').forEach((button) => {
+      button.classList.toggle(
+        'active',
+        domainFilters.tags.includes(button.dataset.tag)
+      );
+    });
+    const status = document.getElementById('domain-filter-status');
+    if (status) {
+      status.textContent = filtering
+        ? t('filter.status', { visible, total: cards.length })
+        : '';
+    }
+
+    sortDomainCards();
+    writeDomainFiltersToUrl();
+  }
+
+  /** 切换标签筛选 */
+  function toggleDomainTag(tag) {
+    domainFilters.tags = domainFilters.tags.includes(tag)
+      ? domainFilters.tags.filter((item) => item !== tag)
+      : [...domainFilters.tags, tag];
+    applyDomainFilters();
+  }
+
+  /** 清空筛选条件 */
+  function resetDomainFilters() {
+    Object.assign(domainFilters, { query: '', tags: [], sort: '' });
+    document.getElementById('domain-search').value = '';
+    document.getElementById('domain-sort').value = '';
+    applyDomainFilters();
+  }
+
+  /** 根据目录中的徽章生成标签筛选按钮,并恢复 URL 中的筛选条件 */
+  function initDomainFilters() {
+    const tagsContainer = document.getElementById('domain-tags');
+    if (!tagsContainer) return;
+
+    const tags = new Map();
+    domainCatalog.sections.forEach((section) =>
+      section.domains
+        .filter((entry) => !entry.listOnly)
+        .forEach((entry) =>
+          getDomainBadges(entry).forEach((badge) =>
+            tags.set(badge.id, badge.text)
+          )
+        )
+    );
+    setHtml(
+      tagsContainer,
+      html`${[...tags].map(
+        ([id, text]) =>
+          html`<button type="button" class="domain-tag" data-tag="${id}">
+            ${text}
+          </button>`
+      )}`
+    );
+
+    readDomainFiltersFromUrl();
+    const searchInput = document.getElementById('domain-search');
+    const sortSelect = document.getElementById('domain-sort');
+    searchInput.value = domainFilters.query;
+    sortSelect.value = domainFilters.sort;
+
+    searchInput.addEventListener('input', () => {
+      domainFilters.query = searchInput.value;
+      applyDomainFilters();
+    });
+    sortSelect.addEventListener('change', () => {
+      domainFilters.sort = sortSelect.value;
+      applyDomainFilters();
+    });
+
+    applyDomainFilters();
+  }
+
+  // --- 2b. 浏览器测速 ---
+
+  /** 单次测速请求的超时时间 (毫秒),超时计为丢包 */
+  const LATENCY_TIMEOUT = 3000;
+
+  /** 测速结果: domain -> { median, jitter, loss, samples } */
+  const latencyResults = new Map();
+
+  /** 是否正在测速,避免重复启动 */
+  let latencyRunning = false;
+
+  /**
+   * 计时一次到 /cdn-cgi/trace 的请求
+   * 使用 no-cors 模式,只关心请求完成的耗时,不读取响应内容
+   * @param {string} domain - 域名
+   * @param {number} port - 端口
+   * @returns {Promise<number|null>} 耗时 (毫秒),失败或超时返回 null
+   */
+  async function measureOnce(domain, port) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), LATENCY_TIMEOUT);
+    const start = performance.now();
+    try {
+      await fetch(`https://${domain}:${port}/cdn-cgi/trace?t=${Date.now()}`, {
+        mode: 'no-cors',
+        cache: 'no-store',
+        signal: controller.signal,
+      });
+      return performance.now() - start;
+    } catch (error) {
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * 汇总测速样本
+   * - 中位数: 成功样本的中位延迟
+   * - 抖动: 相邻成功样本延迟差的平均值
+   * - 丢包率: 失败次数 / 总次数
+   * @param {Array<number|null>} samples - 每次请求的耗时
+   * @returns {{median: number|null, jitter: number|null, loss: number, samples: Array}}
+   */
+  function summarizeLatency(samples) {
+    const ok = samples.filter((value) => value !== null);
+    const loss = (samples.length - ok.length) / samples.length;
+    if (!ok.length) {
+      return { median: null, jitter: null, loss, samples };
+    }
+
+    const sorted = [...ok].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    const median =
+      sorted.length % 2
+        ? sorted[middle]
+        : (sorted[middle - 1] + sorted[middle]) / 2;
+
+    let jitter = 0;
+    for (let i = 1; i < ok.length; i++) {
+      jitter += Math.abs(ok[i] - ok[i - 1]);
+    }
+    jitter = ok.length > 1 ? jitter / (ok.length - 1) : 0;
+
+    return { median, jitter, loss, samples };
+  }
+
+  /**
+   * 对单个域名连续测速
+   * 第一次请求包含 DNS/TCP/TLS 握手,作为预热不计入统计
+   * 泛域名 (*.example.com) 不是有效的请求地址,换成随机子域名测速
+   * @param {string} domain - 域名
+   * @param {number} port - 端口
+   * @param {number} rounds - 统计次数
+   */
+  async function measureDomainLatency(domain, port, rounds) {
+    const host = domain.startsWith('*.')
+      ? resolveWildcardDomain(
+          { address: domain, wildcard: domain.slice(2) },
+          'random'
+        )
+      : domain;
+    await measureOnce(host, port);
+
+    const samples = [];
+    for (let i = 0; i < rounds; i++) {
+      samples.push(await measureOnce(host, port));
+    }
+    return summarizeLatency(samples);
+  }
+
+  /** 根据中位延迟获取徽章样式 */
+  function getLatencyClass(stats) {
+    if (stats.median === null) return 'latency-failed';
+    if (stats.median < 150) return 'latency-good';
+    if (stats.median < 300) return 'latency-fair';
+    return 'latency-poor';
+  }
+
+  /**
+   * 在域名卡片上显示测速结果
+   * @param {HTMLElement} card - 域名卡片
+   * @param {object|null} stats - 测速结果,null 表示测速中
+   */
+  function renderLatencyBadge(card, stats) {
+    const header = card.querySelector('.domain-header');
+    let badge = header.querySelector('.latency-badge');
+    if (!badge) {
+      badge = document.createElement('span');
+      header.appendChild(badge);
+    }
+
+    if (!stats) {
+      badge.className = 'latency-badge latency-testing';
+      badge.textContent = t('latency.testing');
+      return;
+    }
+
+    badge.className = 'latency-badge ' + getLatencyClass(stats);
+    const loss = t('latency.loss', { loss: Math.round(stats.loss * 100) });
+    badge.textContent =
+      stats.median === null
+        ? t('latency.failed', { loss })
+        : t('latency.result', {
+            median: Math.round(stats.median),
+            jitter: Math.round(stats.jitter),
+            loss,
+          });
+  }
+
+  /**
+   * 对各分区内的域名卡片排序
+   * 勾选“按延迟排序”时优先按中位延迟升序,其次按筛选栏的排序方式,最后按目录顺序
+   */
+  function sortDomainCards() {
+    const byLatency = document.getElementById('latency-sort').checked;
+    const sorter = DOMAIN_SORTERS[domainFilters.sort];
+
+    document.querySelectorAll('.domain-cards-grid').forEach((grid) => {
+      const cards = [...grid.querySelectorAll('.domain-card')];
+      cards.forEach((card, index) => {
+        if (card.dataset.order === undefined) card.dataset.order = index;
+      });
+
+      const latencyOf = (card) => {
+        const domain = card.querySelector('.copy-domain').dataset.domain;
+        const stats = latencyResults.get(domain);
+        return stats && stats.median !== null ? stats.median : Infinity;
+      };
+
+      cards
+        .sort(
+          (a, b) =>
+            (byLatency && latencyOf(a) - latencyOf(b)) ||
+            (sorter && sorter(a, b)) ||
+            a.dataset.order - b.dataset.order
+        )
+        .forEach((card) => grid.appendChild(card));
+    });
+  }
+
+  /**
+   * 依次对页面上显示的域名卡片测速 (跳过被筛选条件隐藏的卡片)
+   */
+  async function runLatencyTest() {
+    if (latencyRunning) return;
+
+    const cards = [...document.querySelectorAll('.domain-card:not([hidden])')];
+    if (!cards.length) return;
+
+    const port = parseInt(document.getElementById('latency-port').value, 10);
+    const rounds = parseInt(
+      document.getElementById('latency-rounds').value,
+      10
+    );
+    const startButton = document.getElementById('latency-start');
+    const progress = document.getElementById('latency-progress');
+
+    latencyRunning = true;
+    startButton.disabled = true;
+    // 出错时也要恢复按钮,否则无法再次测速
+    try {
+      cards.forEach((card) => renderLatencyBadge(card, null));
+
+      // 同一域名可能同时出现在“我的优选”和原分区,只测一次
+      const cardsByDomain = new Map();
+      cards.forEach((card) => {
+        const domain = card.querySelector('.copy-domain').dataset.domain;
+        cardsByDomain.set(domain, [...(cardsByDomain.get(domain) || []), card]);
+      });
+
+      for (const [index, [domain, domainCards]] of [
+        ...cardsByDomain,
+      ].entries()) {
+        progress.textContent = t('latency.progress', {
+          index: index + 1,
+          total: cardsByDomain.size,
+          domain,
+        });
+
+        const stats = await measureDomainLatency(domain, port, rounds);
+        latencyResults.set(domain, stats);
+        domainCards.forEach((card) => renderLatencyBadge(card, stats));
+      }
+
+      progress.textContent = t('latency.done', {
+        total: cardsByDomain.size,
+        port,
+        rounds,
+      });
+      if (document.getElementById('latency-sort').checked) {
+        sortDomainCards();
+      }
+    } catch (error) {
+      console.error('测速错误:', error);
+    } finally {
+      latencyRunning = false;
+      startButton.disabled = false;
+    }
+  }
+
+  // --- 2c. 代理配置生成 ---
+
+  /** CloudFlare CDN 支持的端口 (HTTPS 端口启用 TLS) */
+  const CF_PORTS = {
+    http: [80, 8080, 8880, 2052, 2082, 2086, 2095],
+    https: [443, 2053, 2083, 2087, 2096, 8443],
+  };
+
+  /** 支持的模板链接协议 */
+  const TEMPLATE_PROTOCOLS = ['vless', 'trojan', 'vmess'];
+
+  /** 必须使用 TLS 的协议,HTTP 端口的节点会被跳过 */
+  const TLS_ONLY_PROTOCOLS = ['trojan'];
+
+  /** 分享链接中只在启用 TLS 时有意义的参数 */
+  const TLS_LINK_PARAMS = ['sni', 'fp', 'alpn', 'allowInsecure'];
+
+  /** UTF-8 文本转 Base64 (用于 vmess 链接) */
+  function encodeBase64(text) {
+    return btoa(String.fromCharCode(...new TextEncoder().encode(text)));
+  }
+
+  /** Base64 (含 URL 安全字符) 转 UTF-8 文本 */
+  function decodeBase64(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(
+      Uint8Array.from(binary, (char) => char.charCodeAt(0))
+    );
+  }
+
+  /**
+   * 解析模板链接,提取 UUID / 密码、传输方式、路径、SNI 等参数
+   * @param {string} link - vless:// / trojan:// / vmess:// 链接
+   * @returns {object} 统一后的模板参数
+   */
+  function parseTemplateLink(link) {
+    const protocol = link.split('://')[0].toLowerCase();
+    if (!TEMPLATE_PROTOCOLS.includes(protocol)) {
+      throw new Error(t('config.templateProtocol'));
+    }
+
+    if (protocol === 'vmess') {
+      let data;
+      try {
+        data = JSON.parse(decodeBase64(link.slice('vmess://'.length)));
+      } catch (error) {
+        throw new Error(t('config.vmessInvalid'));
+      }
+      return {
+        protocol,
+        id: data.id,
+        alterId: Number(data.aid) || 0,
+        cipher: data.scy || 'auto',
+        network: data.net || 'tcp',
+        host: data.host || '',
+        path: data.path || '',
+        sni: data.sni || data.host || '',
+        fingerprint: data.fp || '',
+        alpn: data.alp || '',
+        raw: data,
+      };
+    }
+
+    let url;
+    try {
+      url = new URL(link);
+    } catch (error) {
+      throw new Error(t('config.templateInvalid'));
+    }
+    const params = url.searchParams;
+    const host = params.get('host') || '';
+    return {
+      protocol,
+      id: decodeURIComponent(url.username),
+      network: params.get('type') || 'tcp',
+      host,
+      path: params.get('path') || params.get('serviceName') || '',
+      sni: params.get('sni') || host,
+      fingerprint: params.get('fp') || '',
+      alpn: params.get('alpn') || '',
+      encryption: params.get('encryption') || 'none',
+      params,
+    };
+  }
+
+  /**
+   * 获取卡片上勾选的域名
+   * @returns {{address: string, remark: string, wildcard: string}[]} wildcard 为泛域名的主域名
+   */
+  function getSelectedDomains() {
+    const selected = new Map();
+    // 收藏的域名会同时出现在“我的优选”和原分区,按域名去重
+    document.querySelectorAll('.domain-select:checked').forEach((input) => {
+      const domain = input.dataset.domain;
+      selected.set(domain, {
+        address: domain,
+        remark: input.dataset.label,
+        wildcard:
+          input.dataset.wildcard ||
+          (domain.startsWith('*.') ? domain.slice(2) : ''),
+      });
+    });
+    return [...selected.values()];
+  }
+
+  /**
+   * 组合选中的域名与端口,生成节点列表
+   * @param {{address: string, remark: string}[]} domains - 选中的域名
+   * @param {number[]} ports - 选中的端口
+   * @returns {{address: string, port: number, tls: boolean, remark: string}[]}
+   */
+  function buildConfigNodes(domains, ports) {
+    return domains.flatMap((domain) =>
+      ports.map((port) => ({
+        address: domain.address,
+        port,
+        tls: CF_PORTS.https.includes(port),
+        remark: `${domain.remark}-${port}`,
+      }))
+    );
+  }
+
+  /** 生成 addressesapi 使用的 address:port#备注 文本 */
+  function toAddressesApi(nodes) {
+    return nodes
+      .map((node) => `${node.address}:${node.port}#${node.remark}`)
+      .join('\n');
+  }
+
+  /** 生成 Clash / Mihomo 的 proxies 配置 */
+  function toClashProxies(nodes, template) {
+    const quote = (value) => JSON.stringify(String(value));
+    const lines = ['proxies:'];
+    nodes.forEach((node) => {
+      lines.push(
+        `  - name: ${quote(node.remark)}`,
+        `    type: ${template.protocol}`,
+        `    server: ${quote(node.address)}`,
+        `    port: ${node.port}`
+      );
+      if (template.protocol === 'trojan') {
+        lines.push(`    password: ${quote(template.id)}`);
+      } else {
+        lines.push(`    uuid: ${quote(template.id)}`);
+      }
+      if (template.protocol === 'vmess') {
+        lines.push(
+          `    alterId: ${template.alterId}`,
+          `    cipher: ${template.cipher}`
+        );
+      }
+      lines.push('    udp: true', `    network: ${template.network}`);
+      if (node.tls) {
+        if (template.protocol !== 'trojan') lines.push('    tls: true');
+        lines.push(
+          `    ${
+            template.protocol === 'trojan' ? 'sni' : 'servername'
+          }: ${quote(template.sni || node.address)}`
+        );
+        if (template.fingerprint) {
+          lines.push(`    client-fingerprint: ${template.fingerprint}`);
+        }
+      }
+      if (template.network === 'ws') {
+        lines.push(
+          '    ws-opts:',
+          `      path: ${quote(template.path || '/')}`,
+          '      headers:',
+          `        Host: ${quote(template.host || node.address)}`
+        );
+      } else if (template.network === 'grpc') {
+        lines.push(
+          '    grpc-opts:',
+          `      grpc-service-name: ${quote(template.path)}`
+        );
+      }
+    });
+    return lines.join('\n');
+  }
+
+  /** 生成 sing-box 的 outbounds 配置 */
+  function toSingBoxOutbounds(nodes, template) {
+    const outbounds = nodes.map((node) => {
+      const outbound = {
+        type: template.protocol,
+        tag: node.remark,
+        server: node.address,
+        server_port: node.port,
+      };
+      if (template.protocol === 'trojan') {
+        outbound.password = template.id;
+      } else {
+        outbound.uuid = template.id;
+      }
+      if (template.protocol === 'vmess') {
+        outbound.security = template.cipher;
+        outbound.alter_id = template.alterId;
+      }
+      if (node.tls) {
+        outbound.tls = {
+          enabled: true,
+          server_name: template.sni || node.address,
+        };
+        if (template.fingerprint) {
+          outbound.tls.utls = {
+            enabled: true,
+            fingerprint: template.fingerprint,
+          };
+        }
+      }
+      if (template.network === 'ws') {
+        outbound.transport = {
+          type: 'ws',
+          path: template.path || '/',
+          headers: { Host: template.host || node.address },
+        };
+      } else if (template.network === 'grpc') {
+        outbound.transport = { type: 'grpc', service_name: template.path };
+      }
+      return outbound;
+    });
+    return JSON.stringify({ outbounds }, null, 2);
+  }
+
+  /** 生成 v2rayN 可导入的分享链接 (沿用模板的其余参数) */
+  function toV2rayNLinks(nodes, template) {
+    return nodes
+      .map((node) => {
+        if (template.protocol === 'vmess') {
+          const data = {
+            ...template.raw,
+            ps: node.remark,
+            add: node.address,
+            port: String(node.port),
+            tls: node.tls ? 'tls' : '',
+          };
+          if (!node.tls) {
+            // vmess 链接中 TLS 参数的字段名
+            ['sni', 'fp', 'alp'].forEach((key) => delete data[key]);
+          }
+          return `vmess://${encodeBase64(JSON.stringify(data))}`;
+        }
+        const params = new URLSearchParams(template.params);
+        params.set('security', node.tls ? 'tls' : 'none');
+        if (!node.tls) {
+          TLS_LINK_PARAMS.forEach((name) => params.delete(name));
+        }
+        return `${template.protocol}://${encodeURIComponent(template.id)}@${
+          node.address
+        }:${node.port}?${params}#${encodeURIComponent(node.remark)}`;
+      })
+      .join('\n');
+  }
+
+  /** 各输出格式: needsTemplate 表示需要模板链接 */
+  const CONFIG_FORMATS = {
+    addressesapi: { needsTemplate: false, render: toAddressesApi },
+    clash: { needsTemplate: true, render: toClashProxies },
+    singbox: { needsTemplate: true, render: toSingBoxOutbounds },
+    v2rayn: { needsTemplate: true, render: toV2rayNLinks },
+  };
+
+  /** 更新配置生成与批量复制中显示的已选择域名数量 */
+  function updateDomainSelection() {
+    const text = t('domain.selected', { count: getSelectedDomains().length });
+    ['config-selection', 'bulk-selection'].forEach((id) => {
+      const status = document.getElementById(id);
+      if (status) status.textContent = text;
+    });
+  }
+
+  /** 根据选择生成配置 */
+  function generateProxyConfig() {
+    const output = document.getElementById('config-output');
+    const format =
+      CONFIG_FORMATS[document.getElementById('config-format').value];
+    const domains = getSelectedDomains();
+    const ports = [...document.querySelectorAll('.config-port:checked')].map(
+      (input) => Number(input.value)
+    );
+
+    if (!domains.length) {
+      showToast(t('domain.selectFirst'));
+      return;
+    }
+    if (!ports.length) {
+      showToast(t('config.portRequired'));
+      return;
+    }
+
+    let template = null;
+    if (format.needsTemplate) {
+      const link = document.getElementById('config-template').value.trim();
+      if (!link) {
+        showToast(t('config.templateRequired'));
+        return;
+      }
+      try {
+        template = parseTemplateLink(link);
+      } catch (error) {
+        showToast(`❌ ${error.message}`);
+        return;
+      }
+      localStorage.setItem('configTemplate', link);
+    }
+
+    let nodes = buildConfigNodes(domains, ports);
+    let skipped = 0;
+    if (template && TLS_ONLY_PROTOCOLS.includes(template.protocol)) {
+      const tlsNodes = nodes.filter((node) => node.tls);
+      if (!tlsNodes.length) {
+        showToast(t('config.tlsRequired', { protocol: template.protocol }));
+        return;
+      }
+      skipped = nodes.length - tlsNodes.length;
+      nodes = tlsNodes;
+    }
+
+    output.value = format.render(nodes, template);
+    showToast(
+      skipped
+        ? t('config.tlsSkipped', {
+            count: nodes.length,
+            protocol: template.protocol,
+            skipped,
+          })
+        : t('config.generated', { count: nodes.length })
+    );
+  }
+
+  /** 初始化配置生成面板: 端口选项与上次使用的模板链接 */
+  function initConfigGenerator() {
+    const portsContainer = document.getElementById('config-ports');
+    if (!portsContainer) return;
+
+    setHtml(
+      portsContainer,
+      html`${Object.entries(CF_PORTS).map(([scheme, ports]) =>
+        ports.map(
+          (port) => html` <label class="config-port-option">
+            <input
+              type="checkbox"
+              class="config-port"
+              value="${port}"
+              ${port === 443 ? trustedHtml(' checked') : ''}
+            />
+            ${port}${scheme === 'https' ? ' 🔒' : ''}
+          </label>`
+        )
+      )}`
+    );
+
+    document.getElementById('config-template').value =
+      localStorage.getItem('configTemplate') || '';
+    updateDomainSelection();
+  }
+
+  // --- 2f. 批量复制 ---
+
+  /**
+   * 生成随机的子域名标签,用于替换泛域名前缀
+   * @returns {string} 8 位小写字母与数字
+   */
+  function randomSubdomainLabel() {
+    const chars = 'abcdefghijklmnopqrstuvwxyz0123456789';
+    return [...crypto.getRandomValues(new Uint8Array(8))]
+      .map((value) => chars[value % chars.length])
+      .join('');
+  }
+
+  /**
+   * 按设置处理泛域名
+   * @param {{address: string, wildcard: string}} domain - 选中的域名
+   * @param {'strip' | 'random' | 'keep'} mode - 去除前缀 / 随机前缀 / 保留 *.
+   * @returns {string}
+   */
+  function resolveWildcardDomain(domain, mode) {
+    if (!domain.wildcard) return domain.address;
+    if (mode === 'keep') return `*.${domain.wildcard}`;
+    if (mode === 'random')
+      return `${randomSubdomainLabel()}.${domain.wildcard}`;
+    return domain.wildcard;
+  }
+
+  /**
+   * 解析逗号分隔的端口列表
+   * @param {string} text - 如 "443, 2053"
+   * @returns {number[]|null} 含无效端口时返回 null
+   */
+  function parsePortList(text) {
+    const ports = text
+      .split(/[,，\s]+/)
+      .filter(Boolean)
+      .map(Number);
+    const valid = ports.every(
+      (port) => Number.isInteger(port) && port > 0 && port <= 65535
+    );
+    return valid && ports.length ? [...new Set(ports)] : null;
+  }
+
+  /** 按所选格式复制勾选的域名 */
+  function copySelectedDomains() {
+    const domains = getSelectedDomains();
+    if (!domains.length) {
+      showToast(t('domain.selectFirst'));
+      return;
+    }
+
+    const format = document.getElementById('bulk-format').value;
+    const wildcardMode = document.getElementById('bulk-wildcard').value;
+    let entries;
+
+    if (format === 'ports') {
+      const ports = parsePortList(document.getElementById('bulk-ports').value);
+      if (!ports) {
+        showToast(t('bulk.portsInvalid'));
+        return;
+      }
+      // 随机前缀模式下每个条目使用不同的前缀
+      entries = domains.flatMap((domain) =>
+        ports.map(
+          (port) => `${resolveWildcardDomain(domain, wildcardMode)}:${port}`
+        )
+      );
+    } else {
+      entries = domains.map((domain) =>
+        resolveWildcardDomain(domain, wildcardMode)
+      );
+    }
+
+    copyText(
+      entries.join(format === 'comma' ? ',' : '\n'),
+      t('bulk.copied', { count: entries.length })
+    );
+  }
+
+  /**
+   * 勾选 / 取消勾选域名 (同一域名的所有卡片保持一致)
+   * @param {string} domain - 域名
+   * @param {boolean} checked - 是否勾选
+   */
+  function setDomainSelected(domain, checked) {
+    document.querySelectorAll('.domain-select').forEach((input) => {
+      if (input.dataset.domain === domain) input.checked = checked;
+    });
+  }
+
+  /**
+   * 批量勾选
+   * @param {boolean} checked - true 勾选当前筛选结果中的全部卡片,false 清空选择
+   */
+  function selectVisibleDomains(checked) {
+    document
+      .querySelectorAll(
+        '#domain-catalog .domain-card:not([hidden]) .domain-select'
+      )
+      .forEach((input) => setDomainSelected(input.dataset.domain, checked));
+    if (!checked) {
+      document
+        .querySelectorAll('.domain-select')
+        .forEach((input) => (input.checked = false));
+    }
+    updateDomainSelection();
+  }
+
+  // --- 2g. 域名解析 ---
+
+  /** 各域名上一次的解析结果,用于比较解析是否轮换 */
+  const domainDnsHistory = new Map();
+
+  /**
+   * 通过 DoH 查询域名的 A / AAAA 记录
+   * @param {string} domain - 域名
+   * @returns {Promise<Array<{type: string, ip: string, ttl: number}>>}
+   */
+  async function resolveDomainRecords(domain) {
+    const results = await Promise.all(
+      ['A', 'AAAA'].map(async (type) =>
+        (
+          await resolveDns(domain, type)
+        ).map((record) => ({
+          type,
+          ip: record.data,
+          ttl: record.TTL,
+        }))
+      )
+    );
+    return results.flat();
+  }
+
+  /**
+   * 与上一次查询比较,记录新增和消失的 IP
+   * @param {string} domain - 域名
+   * @param {Array<{type: string, ip: string, ttl: number}>} records - 本次解析结果
+   * @returns {{count: number, previous: Set<string>|null, added: Set<string>, removed: string[], changes: number}}
+   */
+  function trackDomainDns(domain, records) {
+    const last = domainDnsHistory.get(domain);
+    const current = new Set(records.map((record) => record.ip));
+    const previous = last ? last.ips : null;
+    const added = new Set(
+      previous ? [...current].filter((ip) => !previous.has(ip)) : []
+    );
+    const removed = previous
+      ? [...previous].filter((ip) => !current.has(ip))
+      : [];
+    const changed = added.size > 0 || removed.length > 0;
+    const entry = {
+      count: last ? last.count + 1 : 1,
+      changes: (last ? last.changes : 0) + (changed ? 1 : 0),
+      ips: current,
+    };
+    domainDnsHistory.set(domain, entry);
+    return { ...entry, previous, added, removed };
+  }
+
+  /**
+   * 渲染域名解析结果
+   * @param {Array<{type: string, ip: string, ttl: number}>} records - 解析结果
+   * @param {ReturnType<typeof trackDomainDns>} diff - 与上次查询的比较结果
+   * @returns {SafeHtml} HTML
+   */
+  function renderDomainDns(records, diff) {
+    const summary = [
+      t('dns.query', {
+        count: diff.count,
+        time: new Date().toLocaleTimeString(currentLocale),
+      }),
+    ];
+    if (diff.previous) {
+      summary.push(
+        diff.added.size || diff.removed.length
+          ? html` ·
+              <span class="dns-changed"
+                >${t('dns.changed', {
+                  added: diff.added.size,
+                  removed: diff.removed.length,
+                })}</span
+              >`
+          : ` · ${t('dns.unchanged')}`
+      );
+    }
+    if (diff.changes) {
+      summary.push(` · ${t('dns.totalChanges', { count: diff.changes })}`);
+    }
+
+    const rows = records.length
+      ? records.map(
+          (record) => html` <li>
+            <span class="dns-type">${record.type}</span>
+            <span class="ip-text clickable">${record.ip}</span>
+            <span class="dns-ttl">TTL ${record.ttl}s</span>
+            ${diff.added.has(record.ip)
+              ? html`<span class="dns-new">${t('dns.new')}</span>`
+              : ''}
+          </li>`
+        )
+      : html`<li>${t('dns.empty')}</li>`;
+
+    const removedHTML = diff.removed.length
+      ? html`<div class="dns-removed">
+          ${t('dns.removed')}${diff.removed.join(', ')}
+        </div>`
+      : '';
+
+    return html` <div class="dns-summary">${summary}</div>
+      <ul class="dns-records">
+        ${rows}
+      </ul>
+      ${removedHTML}`;
+  }
+
+  /**
+   * 解析卡片上的域名,并在卡片内显示 IP 与 TTL
+   * @param {HTMLButtonElement} button - 卡片上的"解析"按钮
+   */
+  async function resolveDomainCard(button) {
+    const domain = button.dataset.domain;
+    const panel = button.closest('.domain-card').querySelector('.domain-dns');
+
+    button.disabled = true;
+    panel.hidden = false;
+    if (!domainDnsHistory.has(domain)) {
+      setHtml(
+        panel,
+        html`<div class="dns-summary">${t('dns.resolving')}</div>`
+      );
+    }
+
+    try {
+      const records = await resolveDomainRecords(domain);
+      setHtml(panel, renderDomainDns(records, trackDomainDns(domain, records)));
+    } catch (error) {
+      setHtml(panel, html`<div class="dns-summary">❌ ${error.message}</div>`);
+      console.error('域名解析错误:', error);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  // --- 3. 网络信息获取 ---
+
+  /** 出口探测、IP 详情查询与评分逻辑来自 ipcheck-core.js (与命令行工具共用) */
+  const {
+    NETWORK_PROVIDERS,
+    INTEL_PROVIDERS,
+    REPORT_FORMAT,
+    REPORT_VERSION,
+    getIpFamily,
+    isValidIPv4,
+    isValidIPv6,
+    isNetworkError,
+    parseIpAddress,
+    formatIpAddress,
+    parseNetworkRange,
+    rangeContainsIp,
+    probeCard,
+    diffEgress,
+    lookupIp,
+    computeIntelConsensus,
+    classifyIpType,
+    getDefaultIntelProviders,
+    summarizeEgress,
+    summarizeLookup,
+  } = IpCheckCore;
+
+  /** cdn-cgi/trace 字段说明 (按显示顺序),format 将原始值转换为可读文本 */
+  const TRACE_FIELDS = [
+    {
+      key: 'warp',
+      label: 'WARP',
+      format: (value) =>
+        `${value} (${
+          {
+            on: t('trace.enabled'),
+            plus: 'WARP+',
+            off: t('trace.disabled'),
+          }[value] || t('common.unknown')
+        })`,
+    },
+    {
+      key: 'gateway',
+      label: t('trace.gateway'),
+      format: (value) =>
+        `${value} (${
+          value === 'on' ? t('trace.enabled') : t('trace.disabled')
+        })`,
+    },
+    {
+      key: 'tls',
+      label: t('trace.tls'),
+      format: (value) => value.replace(/^TLSv/, 'TLS '),
+    },
+    {
+      key: 'kex',
+      label: t('trace.kex'),
+      format: (value) =>
+        /kyber|mlkem/i.test(value)
+          ? `${value} (${t('trace.postQuantum')})`
+          : value,
+    },
+    {
+      key: 'http',
+      label: t('trace.http'),
+      format: (value) => value.toUpperCase(),
+    },
+    {
+      key: 'sni',
+      label: 'SNI',
+      format: (value) =>
+        ({
+          plaintext: t('trace.sniPlaintext'),
+          encrypted: t('trace.sniEncrypted'),
+          off: t('trace.sniOff'),
+        }[value] || value),
+    },
+    {
+      key: 'visit_scheme',
+      label: t('trace.scheme'),
+      format: (value) => value.toUpperCase(),
+    },
+    { key: 'h', label: t('trace.host') },
+    { key: 'uag', label: 'User-Agent' },
+    {
+      key: 'ts',
+      label: t('trace.time'),
+      format: (value) =>
+        new Date(parseFloat(value) * 1000).toLocaleString(currentLocale),
+    },
+  ];
+
+  /** 已在卡片上显示的 trace 字段,详情面板中不再重复 */
+  const TRACE_CARD_FIELDS = ['ip', 'loc', 'colo'];
+
+  /**
+   * 将 trace 数据解码为带说明的字段列表 (未知字段按原样附在最后)
+   * @param {object} trace - parseTraceText 的结果
+   * @returns {{key: string, label: string, value: string}[]}
+   */
+  function decodeTrace(trace) {
+    const known = TRACE_FIELDS.filter((field) => trace[field.key]).map(
+      (field) => ({
+        key: field.key,
+        label: field.label,
+        value: field.format ? field.format(trace[field.key]) : trace[field.key],
+      })
+    );
+    const knownKeys = [...TRACE_CARD_FIELDS, ...TRACE_FIELDS.map((f) => f.key)];
+    const others = Object.keys(trace)
+      .filter((key) => !knownKeys.includes(key))
+      .map((key) => ({ key, label: key, value: trace[key] }));
+    return [...known, ...others];
+  }
+
+  /**
+   * 生成 trace 摘要,如 "WARP: off · TLS 1.3 / X25519 · HTTP/3"
+   * @param {object} trace - parseTraceText 的结果
+   * @returns {string}
+   */
+  function summarizeTrace(trace) {
+    const tls = [trace.tls && trace.tls.replace(/^TLSv/, 'TLS '), trace.kex]
+      .filter(Boolean)
+      .join(' / ');
+    return [
+      trace.warp && `WARP: ${trace.warp}`,
+      tls,
+      trace.http && trace.http.toUpperCase(),
+    ]
+      .filter(Boolean)
+      .join(' · ');
+  }
+
+  /**
+   * 在卡片上渲染可展开的 trace 详情面板
+   * @param {string} key - 卡片标识
+   * @param {object|null} trace - parseTraceText 的结果,为空时清空面板
+   */
+  function renderTraceDetails(key, trace) {
+    const container = document.getElementById(`${key}-trace`);
+    if (!container) return;
+    if (!trace) {
+      container.textContent = '';
+      return;
+    }
+
+    const rows = decodeTrace(trace).map(
+      (field) => html`
+        <div class="trace-row">
+          <span class="trace-label">${field.label}</span>
+          <span class="trace-value">${field.value}</span>
+        </div>
+      `
+    );
+    const open = container.querySelector('details')?.open
+      ? trustedHtml(' open')
+      : '';
+
+    setHtml(
+      container,
+      html`
+        <details class="trace-details" ${open}>
+          <summary>🔍 ${summarizeTrace(trace) || t('trace.details')}</summary>
+          <div class="trace-rows">${rows}</div>
+        </details>
+      `
+    );
+  }
+
+  /** 离线 Colo 对照表: { countries: 国家代码 -> 名称/地区/代表坐标, colos: Colo -> 城市/国家/坐标 } */
+  const COLO_TABLE_URL = 'colos.json';
+
+  /** Colo 与出口国家代表坐标相距超过该值 (公里) 时提示绕路 */
+  const COLO_DISTANCE_WARNING_KM = 3000;
+
+  let coloTablePromise = null;
+
+  /**
+   * 加载 Colo 对照表 (只请求一次)
+   * @returns {Promise<object|null>} 加载失败时返回 null
+   */
+  function loadColoTable() {
+    if (!coloTablePromise) {
+      coloTablePromise = fetch(COLO_TABLE_URL)
+        .then((response) => {
+          if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+          }
+          return response.json();
+        })
+        .catch((error) => {
+          console.error('加载 Colo 对照表错误:', error);
+          coloTablePromise = null;
+          return null;
+        });
+    }
+    return coloTablePromise;
+  }
+
+  /**
+   * 计算两个坐标之间的球面距离
+   * @param {{lat: number, lon: number}} a
+   * @param {{lat: number, lon: number}} b
+   * @returns {number} 距离 (公里)
+   */
+  function getDistanceKm(a, b) {
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLon = toRad(b.lon - a.lon);
+    const h =
+      Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * 6371 * Math.asin(Math.sqrt(h));
+  }
+
+  /**
+   * 按界面语言取对照表中的名称 (非默认语言读取 nameEn / cityEn 等字段)
+   * @param {object|undefined} item - 对照表中的国家或 Colo
+   * @param {'name' | 'city'} field - 字段名
+   * @returns {string|undefined}
+   */
+  function getLocalizedName(item, field) {
+    if (!item) return undefined;
+    return currentLocale === DEFAULT_LOCALE
+      ? item[field]
+      : item[`${field}En`] || item[field];
+  }
+
+  /**
+   * 查询 Colo 所在位置,并判断是否远离出口 IP 所在国家
+   * @param {object|null} table - Colo 对照表
+   * @param {string} colo - Colo 代码,如 LAX
+   * @param {string} egressCountry - 出口 IP 的国家代码
+   * @returns {object|null} { city, country, region, egressCountry, distance, far },未收录时返回 null
+   */
+  function describeColo(table, colo, egressCountry) {
+    const info = table?.colos[colo];
+    if (!info) return null;
+
+    const country = table.countries[info.country];
+    const egress = table.countries[egressCountry];
+    // 同一国家不提示;出口国家未收录时无法判断
+    const distance =
+      egress && info.country !== egressCountry
+        ? Math.round(getDistanceKm(info, egress))
+        : 0;
+
+    return {
+      city: getLocalizedName(info, 'city'),
+      country: getLocalizedName(country, 'name') || info.country,
+      region: country?.region || '',
+      egressCountry: getLocalizedName(egress, 'name') || egressCountry,
+      distance,
+      far: distance > COLO_DISTANCE_WARNING_KM,
+    };
+  }
+
+  /**
+   * 在卡片上显示 Colo 位置,如 "LAX · 洛杉矶, 美国"
+   * @param {string} key - 卡片标识
+   * @param {string} colo - Colo 代码
+   * @param {string} egressCountry - 出口 IP 的国家代码
+   */
+  async function renderColoInfo(key, colo, egressCountry) {
+    const element = document.getElementById(`${key}-colo`);
+    if (!element) return;
+
+    element.textContent = colo || '';
+    if (!colo) return;
+
+    const info = describeColo(await loadColoTable(), colo, egressCountry);
+    if (!info) return;
+
+    const warning = info.far
+      ? html`<span
+          class="colo-warning"
+          title="${t('colo.farTitle', {
+            country: info.egressCountry,
+            distance: info.distance,
+          })}"
+          >${t('colo.far')}</span
+        >`
+      : '';
+    setHtml(element, html`${colo} · ${info.city}, ${info.country}${warning}`);
+  }
+
+  /** 网络卡片在当前语言下的名称 */
+  const NETWORK_CARD_LABELS = {
+    ipip: t('card.ipip'),
+    edgeone: t('card.edgeone'),
+    cf: 'CloudFlare',
+    twitter: t('card.twitter'),
+  };
+
+  /** 网络出口卡片的接口注册表 (见 ipcheck-core.js),附带卡片名称 label */
+  const networkProviders = Object.fromEntries(
+    Object.entries(NETWORK_PROVIDERS).map(([key, card]) => [
+      key,
+      { ...card, label: NETWORK_CARD_LABELS[key] },
+    ])
+  );
+
+  /**
+   * 在卡片上显示主接口的检测结果
+   * @param {string} key - 卡片标识 (ipip / edgeone / cf / twitter)
+   * @param {object|null} result - 解析结果 (附带 provider 接口名称),全部接口失败时为 null
+   * @param {number} [staleAt] - 显示上次结果时传入其检测时间,卡片标记为离线 / 上次数据
+   */
+  function renderNetworkCard(key, result, staleAt) {
+    const card = networkProviders[key];
+    const providerElement = document.getElementById(`provider-${key}`);
+    const ipElement = document.getElementById(`${key}-ip`);
+    ipElement
+      .closest('.network-card')
+      ?.classList.toggle('network-card-stale', Boolean(result && staleAt));
+
+    if (result) {
+      // 更新页面显示 (状态记录在 data-state 中,不依赖显示的文案)
+      ipElement.textContent = result.ip || t('common.unknown');
+      ipElement.dataset.state = result.ip ? 'ready' : 'unknown';
+      document.getElementById(`${key}-country`).textContent =
+        result.country || t('common.unknown');
+      document.getElementById(`${key}-city`).textContent = result.city || '';
+      document.getElementById(`${key}-family`).textContent = result.ip
+        ? getIpFamily(result.ip) === 'v6'
+          ? 'IPv6'
+          : 'IPv4'
+        : '';
+      setStatus(`status-${key}`, staleAt ? 'stale' : 'success');
+
+      // 更新标题显示当前使用的接口 (上次结果附带离线标记)
+      if (providerElement) {
+        setHtml(
+          providerElement,
+          html`（${result.provider}）${staleAt
+            ? renderStaleBadge(staleAt)
+            : ''}`
+        );
+      }
+
+      if (!staleAt) {
+        console.log(`${card.label}: 使用 ${result.provider} 接口成功`);
+      }
+      return;
+    }
+
+    // 所有接口都失败 (重新检测时需要移除上一次的可点击状态)
+    setHtml(
+      ipElement,
+      html`<span class="error">${t('common.loadFailed')}</span>`
+    );
+    ipElement.dataset.state = 'error';
+    ipElement.classList.remove('clickable');
+    document.getElementById(`${key}-country`).textContent = '';
+    document.getElementById(`${key}-city`).textContent = '';
+    document.getElementById(`${key}-family`).textContent = '';
+    if (providerElement) {
+      providerElement.textContent = '';
+    }
+    setStatus(`status-${key}`, 'error');
+    console.error(`${card.label}: 所有接口都失败`);
+  }
+
+  /**
+   * 渲染卡片的双栈检测结果
+   * @param {string} key - 卡片标识
+   * @param {object} stacks - { v4, v6 },值为 IP、null (不可用) 或 undefined (检测中)
+   */
+  function renderNetworkStacks(key, stacks) {
+    const container = document.getElementById(`${key}-stack`);
+    if (!container) return;
+
+    const rows = ['v4', 'v6'].map((family) => {
+      const label = family === 'v4' ? 'IPv4' : 'IPv6';
+      const ip = stacks[family];
+      let valueHTML;
+      if (ip === undefined) {
+        valueHTML = html`<span class="stack-missing"
+          >${t('common.checking')}</span
+        >`;
+      } else if (ip === null) {
+        valueHTML = html`<span class="stack-missing"
+          >${t('card.noFamily', {
+            family: label,
+          })}</span
+        >`;
+      } else {
+        valueHTML = html`<span class="ip-text">${ip}</span>`;
+      }
+      return html`<div class="stack-row">
+        <span class="stack-family">${label}</span>${valueHTML}
+      </div>`;
+    });
+    setHtml(container, html`${rows}`);
+  }
+
+  /** 各网络卡片最近一次的检测结果: key -> { status, provider, ip, ..., stacks, updatedAt } */
+  const networkResults = {};
+
+  /**
+   * 加载单张网络卡片: 主接口与双栈探测并行进行,结果陆续显示在卡片上
+   * 全部接口失败时显示上次成功的结果 (标记为离线数据,网络恢复后自动刷新)
+   * @param {string} key - 卡片标识
+   * @returns {Promise<object>} 本次检测结果 (同时记录到 networkResults)
+   */
+  async function loadNetworkCard(key) {
+    const card = networkProviders[key];
+    setStatus(`status-${key}`, 'loading');
+    if (card.families) {
+      renderNetworkStacks(key, {});
+    }
+
+    const result = await probeCard(key, {
+      onPrimary: (primary) => renderNetworkCard(key, primary),
+      onStacks: (stacks) => renderNetworkStacks(key, stacks),
+      onProviderError: (provider, error) =>
+        console.warn(`${card.label}: ${provider.name} 接口失败:`, error),
+    });
+
+    // 只有离线或网络层面失败时才显示上次的结果,接口返回错误时显示失败状态
+    const useLast =
+      result.status !== 'success' && (!navigator.onLine || result.networkError);
+    const last = useLast ? readLastEgress()[key] : null;
+    if (last) {
+      renderNetworkCard(key, last, last.updatedAt);
+      if (last.stacks) {
+        renderNetworkStacks(key, last.stacks);
+      }
+    } else if (result.status === 'success') {
+      saveLastEgress(key, result);
+    }
+    const shown = last || result;
+    renderTraceDetails(key, shown.trace);
+    renderColoInfo(key, shown.colo, shown.country);
+
+    // 检测记录、监控与分流诊断只使用本次的真实结果
+    networkResults[key] = result;
+    return result;
+  }
+
+  /** 上次获取到的访问统计在 localStorage 中的键名 (离线时显示) */
+  const VISIT_COUNT_KEY = 'lastVisitCount';
+
+  /**
+   * 获取访问统计数据
+   * 请求失败时显示上次获取到的数值并标记为离线数据
+   */
+  async function fetchVisitCount() {
+    const visitCountElement = document.getElementById('visit-count');
+    if (!visitCountElement) return;
+
+    try {
+      const response = await fetch(
+        'https://tongji.090227.xyz/?id=ipcheckinfo.zone.id'
+      );
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const data = await response.json();
+
+      if (data.visitCount !== undefined) {
+        visitCountElement.textContent = data.visitCount;
+        writeStoredJson(VISIT_COUNT_KEY, {
+          value: data.visitCount,
+          fetchedAt: Date.now(),
+        });
+      }
+    } catch (error) {
+      console.error('获取访问统计失败:', error);
+      const last = readStoredJson(VISIT_COUNT_KEY);
+      if (last) {
+        setHtml(
+          visitCountElement,
+          html`${last.value} ${renderStaleBadge(last.fetchedAt)}`
+        );
+      } else {
+        visitCountElement.textContent = t('common.loadFailed');
+      }
+    }
+  }
+
+  /** 正在进行的出口检测 (页面加载、网络恢复与持续监控共用) */
+  let egressRefresh = null;
+  /** 正在进行的完整网络检测 (出口、WebRTC 与历史记录) */
+  let networkInfoLoad = null;
+
+  /**
+   * 重新检测所有网络卡片的出口并更新卡片、分流诊断与 WebRTC 泄露比对
+   * 已有检测在进行时返回同一个 Promise,不会重复请求接口
+   * @returns {Promise<{previous: object, results: object}>} 检测前的 networkResults 快照与本次结果
+   */
+  function refreshEgress() {
+    if (!egressRefresh) {
+      const keys = Object.keys(networkProviders);
+      const previous = { ...networkResults };
+      egressRefresh = Promise.all(keys.map(loadNetworkCard))
+        .then((results) => {
+          // 优化：所有网络信息加载完成后, 使 IP 可点击
+          markIpAsClickable();
+          renderRoutingAnalysis();
+          renderWebRtcResult();
+          return {
+            previous,
+            results: Object.fromEntries(
+              keys.map((key, i) => [key, results[i]])
+            ),
+          };
+        })
+        .finally(() => {
+          egressRefresh = null;
+        });
+    }
+    return egressRefresh;
+  }
+
+  /**
+   * 页面加载时自动获取网络信息 (出口、WebRTC),并保存到历史记录
+   * 已有检测在进行时返回同一个 Promise
+   */
+  function loadNetworkInfo() {
+    if (!document.querySelector('.network-cards-container')) {
+      return Promise.resolve();
+    }
+    if (!networkInfoLoad) {
+      networkInfoLoad = Promise.all([refreshEgress(), runWebRtcCheck()])
+        .then(([{ results }]) => {
+          // 保存本次检测结果到历史记录
+          recordEgressRun(results);
+        })
+        .finally(() => {
+          networkInfoLoad = null;
+        });
+    }
+    return networkInfoLoad;
+  }
+
+  // --- 3a. 诊断报告导出 ---
+
+  /**
+   * 汇总已获取的出口信息和 IP 详情查询,生成结构化诊断报告
+   * @returns {object} 诊断报告
+   */
+  function buildDiagnosticsReport() {
+    const egress = Object.entries(networkProviders).map(([key, card]) => {
+      const result = networkResults[key];
+      if (!result) {
+        return { card: key, label: card.label, status: 'pending' };
+      }
+      return { card: key, label: card.label, ...summarizeEgress(key, result) };
+    });
+
+    // risk.level 保持为等级 id,与命令行工具的报告和界面语言无关
+    const lookups = [...ipLookupLog.values()].map((entry) =>
+      summarizeLookup(entry, getScoreProfileName(), getActiveScoreProfile())
+    );
+
+    return {
+      format: REPORT_FORMAT,
+      version: REPORT_VERSION,
+      generatedAt: new Date().toISOString(),
+      page: location.href,
+      userAgent: navigator.userAgent,
+      egress,
+      lookups,
+    };
+  }
+
+  /** 将空值显示为 - */
+  function reportValue(value) {
+    return value === null || value === undefined || value === '' ? '-' : value;
+  }
+
+  /**
+   * 将诊断报告转换为 Markdown
+   * @param {object} report - 诊断报告
+   * @returns {string}
+   */
+  function reportToMarkdown(report) {
+    const cell = (value) => String(reportValue(value)).replace(/\|/g, '\\|');
+    const lines = [
+      `# ${t('report.title')}`,
+      '',
+      `- ${t('report.generatedAt')}: ${report.generatedAt}`,
+      `- ${t('report.version')}: ${report.format} v${report.version}`,
+      `- ${t('report.browser')}: ${report.userAgent}`,
+      '',
+      `## ${t('report.egress')}`,
+      '',
+      `| ${t('report.egressColumns')} |`,
+      '| --- | --- | --- | --- | --- | --- | --- | --- | --- |',
+      ...report.egress.map(
+        (item) =>
+          `| ${[
+            item.label,
+            item.status,
+            item.provider,
+            item.ip,
+            item.ipv4,
+            item.ipv6,
+            item.country,
+            item.city,
+            item.colo,
+          ]
+            .map(cell)
+            .join(' | ')} |`
+      ),
+    ];
+
+    if (report.lookups.length) {
+      lines.push(
+        '',
+        `## ${t('report.lookups')}`,
+        '',
+        `| ${t('report.lookupColumns')} |`,
+        '| --- | --- | --- | --- | --- | --- | --- | --- |',
+        ...report.lookups.map(
+          (item) =>
+            `| ${[
+              item.ip,
+              item.country,
+              item.asn ? `AS${item.asn}` : null,
+              item.org,
+              item.companyType,
+              item.risk ? `${item.risk.percentage}%` : null,
+              item.risk ? t(`risk.${item.risk.level}`) : null,
+              item.fetchedAt,
+            ]
+              .map(cell)
+              .join(' | ')} |`
+        )
+      );
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * 将诊断报告转换为 CSV (出口信息与 IP 详情合并为一张表)
+   * 报告格式、版本与生成时间作为列写入每一行,文件只包含表头和数据行
+   * @param {object} report - 诊断报告
+   * @returns {string}
+   */
+  function reportToCsv(report) {
+    const columns = [
+      'format',
+      'version',
+      'generated_at',
+      'section',
+      'card',
+      'status',
+      'provider',
+      'ip',
+      'ipv4',
+      'ipv6',
+      'country',
+      'city',
+      'colo',
+      'asn',
+      'org',
+      'risk_percentage',
+      'risk_level',
+      'timestamp',
+    ];
+    const escapeCsv = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = [
+      ...report.egress.map((item) => ({
+        section: 'egress',
+        card: item.card,
+        status: item.status,
+        provider: item.provider,
+        ip: item.ip,
+        ipv4: item.ipv4,
+        ipv6: item.ipv6,
+        country: item.country,
+        city: item.city,
+        colo: item.colo,
+        timestamp: item.checkedAt,
+      })),
+      ...report.lookups.map((item) => ({
+        section: 'lookup',
+        ip: item.ip,
+        country: item.country,
+        city: item.city,
+        asn: item.asn,
+        org: item.org,
+        risk_percentage: item.risk?.percentage,
+        risk_level: item.risk?.level,
+        timestamp: item.fetchedAt,
+      })),
+    ];
+
+    const meta = {
+      format: report.format,
+      version: report.version,
+      generated_at: report.generatedAt,
+    };
+    return [
+      columns.join(','),
+      ...rows.map((row) => {
+        const values = { ...meta, ...row };
+        return columns.map((column) => escapeCsv(values[column])).join(',');
+      }),
+    ].join('\n');
+  }
+
+  /**
+   * 触发浏览器下载
+   * @param {string} filename - 文件名
+   * @param {string} content - 文件内容
+   * @param {string} type - MIME 类型
+   */
+  function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * 按指定格式导出诊断报告
+   * @param {'json' | 'markdown' | 'csv'} format - 导出格式
+   */
+  function exportDiagnosticsReport(format) {
+    const report = buildDiagnosticsReport();
+    const stamp = report.generatedAt.replace(/[:.]/g, '-');
+
+    if (format === 'json') {
+      downloadFile(
+        `ipcheck-report-${stamp}.json`,
+        JSON.stringify(report, null, 2),
+        'application/json'
+      );
+      showToast(t('report.jsonDownloaded'));
+    } else if (format === 'csv') {
+      // 添加 BOM,避免 Excel 打开中文乱码
+      downloadFile(
+        `ipcheck-report-${stamp}.csv`,
+        '\uFEFF' + reportToCsv(report),
+        'text/csv'
+      );
+      showToast(t('report.csvDownloaded'));
+    } else {
+      copyText(reportToMarkdown(report), t('report.markdownCopied'));
+    }
+  }
+
+  // --- 3b. 出口历史记录 ---
+
+  const HISTORY_DB_NAME = 'ipcheckinfo';
+  const HISTORY_STORE = 'egressHistory';
+  /** 最多保留的历史记录条数 (每张卡片每次检测一条),超出后删除最旧的记录 */
+  const HISTORY_LIMIT = 2000;
+  /** 时间线最多渲染的行数 */
+  const HISTORY_RENDER_LIMIT = 300;
+  /** 用于比对变化的字段 */
+  const HISTORY_FIELDS = ['status', 'ip', 'country', 'colo'];
+
+  let historyDbPromise = null;
+
+  /**
+   * 打开 (首次使用时创建) 历史记录数据库
+   * @returns {Promise<IDBDatabase>}
+   */
+  function openHistoryDb() {
+    if (!historyDbPromise) {
+      historyDbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+          reject(new Error(t('history.unsupported')));
+          return;
+        }
+        const request = indexedDB.open(HISTORY_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(HISTORY_STORE, {
+            keyPath: 'id',
+            autoIncrement: true,
+          });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return historyDbPromise;
+  }
+
+  /**
+   * 在历史记录仓库上执行一次事务
+   * @param {IDBTransactionMode} mode - 事务模式
+   * @param {(store: IDBObjectStore) => IDBRequest | void} callback - 操作仓库,可返回一个请求
+   * @returns {Promise<any>} 事务完成后返回的请求结果
+   */
+  async function withHistoryStore(mode, callback) {
+    const db = await openHistoryDb();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(HISTORY_STORE, mode);
+      const request = callback(transaction.objectStore(HISTORY_STORE));
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * 保存一次出口检测结果 (每张卡片一条记录)
+   * @param {object} results - 卡片标识 -> loadNetworkCard 的结果
+   */
+  async function saveEgressRun(results) {
+    const timestamp = Date.now();
+    await withHistoryStore('readwrite', (store) => {
+      Object.entries(results).forEach(([card, result]) => {
+        store.add({
+          timestamp,
+          card,
+          status: result.status,
+          provider: result.provider || null,
+          ip: result.ip || null,
+          country: result.country || null,
+          city: result.city || null,
+          colo: result.colo || null,
+        });
+      });
+
+      // 自增主键按时间递增,超出上限时删除最旧的记录
+      const keysRequest = store.getAllKeys();
+      keysRequest.onsuccess = () => {
+        const keys = keysRequest.result;
+        const excess = keys.length - HISTORY_LIMIT;
+        if (excess > 0) {
+          store.delete(IDBKeyRange.upperBound(keys[excess - 1]));
+        }
+      };
+    });
+  }
+
+  /**
+   * 保存一次出口检测结果并刷新时间线,失败时只记录错误
+   * @param {object} results - 卡片标识 -> loadNetworkCard 的结果
+   * @returns {Promise<void>}
+   */
+  function recordEgressRun(results) {
+    return saveEgressRun(results)
+      .then(renderEgressHistory)
+      .catch((error) => console.error('保存历史记录错误:', error));
+  }
+
+  /**
+   * 读取全部历史记录 (按时间升序)
+   * @returns {Promise<object[]>}
+   */
+  function readEgressHistory() {
+    return withHistoryStore('readonly', (store) => store.getAll());
+  }
+
+  /**
+   * 为历史记录标注相对同一卡片上一条记录发生变化的字段
+   * @param {object[]} records - 按时间升序的记录
+   * @returns {object[]} 带 changed 字段 (变化字段名数组) 的记录
+   */
+  function markHistoryChanges(records) {
+    const previous = {};
+    return records.map((record) => {
+      const last = previous[record.card];
+      previous[record.card] = record;
+      const changed = last
+        ? HISTORY_FIELDS.filter((field) => last[field] !== record[field])
+        : [];
+      return { ...record, changed };
+    });
+  }
+
+  /**
+   * 按界面上的筛选条件过滤历史记录
+   * @param {object[]} records - 已标注变化的记录
+   * @returns {object[]}
+   */
+  function filterEgressHistory(records) {
+    const card = document.getElementById('history-card').value;
+    const changesOnly = document.getElementById('history-changes-only').checked;
+    const keyword = document
+      .getElementById('history-search')
+      .value.trim()
+      .toLowerCase();
+
+    return records.filter((record) => {
+      if (card !== 'all' && record.card !== card) return false;
+      if (changesOnly && !record.changed.length) return false;
+      if (!keyword) return true;
+      return [record.ip, record.country, record.city, record.colo].some(
+        (value) => value && value.toLowerCase().includes(keyword)
+      );
+    });
+  }
+
+  /**
+   * 渲染单条历史记录
+   * @param {object} record - 已标注变化的记录
+   * @returns {SafeHtml} HTML 片段
+   */
+  function renderHistoryRow(record) {
+    const label = networkProviders[record.card]?.label || record.card;
+    const changedClass = (...fields) =>
+      fields.some((field) => record.changed.includes(field))
+        ? 'history-changed'
+        : '';
+    const ipCell =
+      record.status === 'success'
+        ? html`<span class="ip-text clickable">${record.ip}</span>`
+        : html`<span class="history-error">${t('history.failed')}</span>`;
+
+    return html`
+      <tr class="${record.changed.length ? 'history-row-changed' : ''}">
+        <td>${new Date(record.timestamp).toLocaleString(currentLocale)}</td>
+        <td>${label}</td>
+        <td class="${changedClass('ip', 'status')}">${ipCell}</td>
+        <td class="${changedClass('country')}">${record.country || '-'}</td>
+        <td class="${changedClass('colo')}">${record.colo || '-'}</td>
+        <td>${record.provider || '-'}</td>
+      </tr>
+    `;
+  }
+
+  /** 刷新历史记录时间线 (仅在面板展开时渲染) */
+  async function renderEgressHistory() {
+    const panel = document.getElementById('history-panel');
+    const body = document.getElementById('history-body');
+    if (!panel || !panel.open) return;
+
+    let records;
+    try {
+      records = markHistoryChanges(await readEgressHistory());
+    } catch (error) {
+      console.error('读取历史记录错误:', error);
+      setHtml(
+        body,
+        html`<p class="history-empty">
+          ${t('history.readFailed', {
+            message: error.message,
+          })}
+        </p>`
+      );
+      return;
+    }
+
+    const filtered = filterEgressHistory(records).reverse();
+    if (!filtered.length) {
+      setHtml(
+        body,
+        html`<p class="history-empty">
+          ${records.length ? t('history.noMatch') : t('history.empty')}
+        </p>`
+      );
+      return;
+    }
+
+    const rows = filtered.slice(0, HISTORY_RENDER_LIMIT);
+    setHtml(
+      body,
+      html`
+        <div class="history-table-wrapper">
+          <table class="history-table">
+            <thead>
+              <tr>
+                ${t('history.columns')
+                  .split('|')
+                  .map((column) => html`<th>${column}</th>`)}
+              </tr>
+            </thead>
+            <tbody>
+              ${rows.map(renderHistoryRow)}
+            </tbody>
+          </table>
+        </div>
+        <p class="history-summary">
+          ${t('history.summary', {
+            count: filtered.length,
+          })}${filtered.length > rows.length
+            ? t('history.truncated', { count: rows.length })
+            : ''}
+        </p>
+      `
+    );
+  }
+
+  /** 清空历史记录 */
+  async function clearEgressHistory() {
+    if (!confirm(t('history.confirmClear'))) return;
+    try {
+      await withHistoryStore('readwrite', (store) => store.clear());
+      showToast(t('history.cleared'));
+      renderEgressHistory();
+    } catch (error) {
+      console.error('清空历史记录错误:', error);
+      showToast(t('history.clearFailed'));
+    }
+  }
+
+  /** 初始化历史记录面板: 卡片筛选项与筛选事件 */
+  function initEgressHistory() {
+    const panel = document.getElementById('history-panel');
+    if (!panel) return;
+
+    const cardSelect = document.getElementById('history-card');
+    Object.entries(networkProviders).forEach(([key, card]) => {
+      cardSelect.add(new Option(card.label, key));
+    });
+
+    panel.addEventListener('toggle', renderEgressHistory);
+    cardSelect.addEventListener('change', renderEgressHistory);
+    document
+      .getElementById('history-changes-only')
+      .addEventListener('change', renderEgressHistory);
+    document
+      .getElementById('history-search')
+      .addEventListener('input', renderEgressHistory);
+  }
+
+  // --- 3c. 持续监控 ---
+
+  /** 监控设置在 localStorage 中的键名 */
+  const MONITOR_SETTINGS_KEY = 'monitorSettings';
+  /** 默认监控设置 (interval 单位为秒) */
+  const DEFAULT_MONITOR_SETTINGS = {
+    enabled: false,
+    interval: 60,
+    notify: false,
+  };
+  /** 提醒中各字段的名称 (字段见 ipcheck-core.js 的 diffEgress) */
+  const MONITOR_FIELD_LABELS = {
+    ip: 'IP',
+    country: t('monitor.country'),
+    colo: 'Colo',
+  };
+
+  let monitorTimer = null;
+  let monitorRunning = false;
+  let lastMonitorRun = Date.now();
+
+  /**
+   * 读取监控设置
+   * @returns {{enabled: boolean, interval: number, notify: boolean}}
+   */
+  function readMonitorSettings() {
+    try {
+      return {
+        ...DEFAULT_MONITOR_SETTINGS,
+        ...JSON.parse(localStorage.getItem(MONITOR_SETTINGS_KEY)),
+      };
+    } catch (error) {
+      return { ...DEFAULT_MONITOR_SETTINGS };
+    }
+  }
+
+  /**
+   * 保存监控设置 (与已有设置合并)
+   * @param {object} changes - 要修改的设置项
+   */
+  function saveMonitorSettings(changes) {
+    localStorage.setItem(
+      MONITOR_SETTINGS_KEY,
+      JSON.stringify({ ...readMonitorSettings(), ...changes })
+    );
+  }
+
+  /**
+   * 生成出口变化的提醒文案: IP / 国家 / Colo 变化及由成功变为失败的卡片
+   * 由失败恢复为成功不提醒
+   * @param {Array<object>} changes - diffEgress 的结果
+   * @returns {string[]} 变化描述
+   */
+  function describeEgressChanges(changes) {
+    return changes
+      .filter((change) => change.type !== 'recovered')
+      .map((change) => {
+        const label = networkProviders[change.card].label;
+        if (change.type === 'failed') {
+          return t('monitor.failed', { card: label });
+        }
+        return `${label} ${MONITOR_FIELD_LABELS[change.field]}: ${
+          change.before || '-'
+        } → ${change.after || '-'}`;
+      });
+  }
+
+  /**
+   * 提醒出口变化: 页面内 Toast,开启通知时同时发送浏览器通知
+   * @param {string[]} changes - 变化描述
+   */
+  function alertEgressChanges(changes) {
+    if (!changes.length) return;
+
+    showToast(`⚠️ ${changes.join(t('common.separator'))}`);
+    if (
+      readMonitorSettings().notify &&
+      'Notification' in window &&
+      Notification.permission === 'granted'
+    ) {
+      new Notification(t('monitor.notificationTitle'), {
+        body: changes.join('\n'),
+      });
+    }
+  }
+
+  /**
+   * 更新监控状态提示
+   * @param {string} text - 提示文本
+   */
+  function setMonitorStatus(text) {
+    const status = document.getElementById('monitor-status');
+    if (status) status.textContent = text;
+  }
+
+  /** 按设置安排下一次检测;监控关闭或页面不可见时暂停 */
+  function scheduleMonitor() {
+    clearTimeout(monitorTimer);
+    monitorTimer = null;
+
+    const settings = readMonitorSettings();
+    if (!settings.enabled) {
+      setMonitorStatus('');
+      return;
+    }
+    if (document.hidden) {
+      setMonitorStatus(t('monitor.paused'));
+      return;
+    }
+
+    // 页面重新可见时,若已超过间隔则立即检测
+    const nextRun = Math.max(
+      Date.now(),
+      lastMonitorRun + settings.interval * 1000
+    );
+    monitorTimer = setTimeout(runMonitorCheck, nextRun - Date.now());
+    setMonitorStatus(
+      t('monitor.next', {
+        time: new Date(nextRun).toLocaleTimeString(currentLocale),
+      })
+    );
+  }
+
+  /**
+   * 执行一次监控检测,并与上一次结果比对
+   * 只重新探测出口 (不做 WebRTC 检测),与进行中的其他检测共用请求
+   * 出口有变化或有卡片由失败恢复时写入历史记录
+   */
+  async function runMonitorCheck() {
+    if (monitorRunning) return;
+    monitorRunning = true;
+    setMonitorStatus(`🔄 ${t('common.checking')}`);
+
+    try {
+      const { previous, results } = await refreshEgress();
+      const changes = diffEgress(previous, results);
+      alertEgressChanges(describeEgressChanges(changes));
+      if (changes.length) {
+        await recordEgressRun(results);
+      }
+    } catch (error) {
+      console.error('监控检测错误:', error);
+    } finally {
+      monitorRunning = false;
+      lastMonitorRun = Date.now();
+      scheduleMonitor();
+    }
+  }
+
+  /**
+   * 开启浏览器通知 (需要用户授权)
+   * @returns {Promise<boolean>} 是否已获得授权
+   */
+  async function enableMonitorNotifications() {
+    if (!('Notification' in window)) {
+      showToast(t('monitor.notificationUnsupported'));
+      return false;
+    }
+    const permission =
+      Notification.permission === 'granted'
+        ? 'granted'
+        : await Notification.requestPermission();
+    if (permission !== 'granted') {
+      showToast(t('monitor.notificationDenied'));
+      return false;
+    }
+    return true;
+  }
+
+  /** 初始化监控设置控件 */
+  function initMonitor() {
+    const enabledInput = document.getElementById('monitor-enabled');
+    if (!enabledInput) return;
+
+    const intervalSelect = document.getElementById('monitor-interval');
+    const notifyInput = document.getElementById('monitor-notify');
+    const settings = readMonitorSettings();
+    enabledInput.checked = settings.enabled;
+    intervalSelect.value = String(settings.interval);
+    notifyInput.checked = settings.notify;
+
+    enabledInput.addEventListener('change', () => {
+      saveMonitorSettings({ enabled: enabledInput.checked });
+      scheduleMonitor();
+    });
+    intervalSelect.addEventListener('change', () => {
+      saveMonitorSettings({ interval: Number(intervalSelect.value) });
+      scheduleMonitor();
+    });
+    notifyInput.addEventListener('change', async () => {
+      if (notifyInput.checked) {
+        notifyInput.checked = await enableMonitorNotifications();
+      }
+      saveMonitorSettings({ notify: notifyInput.checked });
+    });
+
+    document.addEventListener('visibilitychange', scheduleMonitor);
+    scheduleMonitor();
+  }
+
+  // --- 3d. 分流诊断 ---
+
+  /** 代表国内直连出口的卡片,其余卡片视为国外出口 */
+  const DOMESTIC_CARD = 'ipip';
+
+  /**
+   * 将接口返回的国家 (代码或中文名称) 统一为两位国家代码
+   * @param {string} value - 国家代码或名称
+   * @param {object|null} table - Colo 对照表 (包含国家名称)
+   * @returns {string|null} 无法识别时原样返回
+   */
+  function normalizeCountryCode(value, table) {
+    if (!value) return null;
+    const text = value.trim();
+    if (/^[a-z]{2}$/i.test(text)) return text.toUpperCase();
+    const match = Object.entries(table?.countries || {}).find(
+      ([, country]) => country.name === text
+    );
+    return match ? match[0] : text;
+  }
+
+  /**
+   * 比对四张出口卡片的结果,判断当前分流情况
+   * @param {object} results - networkResults
+   * @param {object|null} table - Colo 对照表
+   * @returns {{level: string, title: string, description: string, notes: string[]}}
+   */
+  function analyzeRouting(results, table) {
+    const countryName = (code) =>
+      getLocalizedName(table?.countries[code], 'name') ||
+      code ||
+      t('common.unknown');
+    const entries = Object.entries(networkProviders).map(([key, card]) => ({
+      key,
+      label: card.label,
+      ok: results[key]?.status === 'success',
+      ip: results[key]?.ip,
+      country: normalizeCountryCode(results[key]?.country, table),
+    }));
+    const succeeded = entries.filter((entry) => entry.ok);
+    const notes = entries
+      .filter((entry) => !entry.ok)
+      .map((entry) => t('routing.cardFailed', { card: entry.label }));
+
+    if (succeeded.length < 2) {
+      return {
+        level: 'error',
+        title: t('routing.unknownTitle'),
+        description: t('routing.unknownDescription'),
+        notes,
+      };
+    }
+
+    const domestic = succeeded.find((entry) => entry.key === DOMESTIC_CARD);
+    const foreign = succeeded.filter((entry) => entry.key !== DOMESTIC_CARD);
+    // 走国内出口的卡片单独判断,这里只比对经过代理的卡片
+    const proxied = foreign.filter((entry) => entry.country !== 'CN');
+    const foreignCountries = [
+      ...new Set(proxied.map((entry) => entry.country)),
+    ];
+    if (foreignCountries.length > 1) {
+      notes.push(
+        t('routing.mixedCountries', {
+          list: proxied
+            .map((entry) => `${entry.label} ${countryName(entry.country)}`)
+            .join(' / '),
+        })
+      );
+    }
+
+    if (new Set(succeeded.map((entry) => entry.ip)).size === 1) {
+      const country = succeeded[0].country;
+      return country === 'CN'
+        ? {
+            level: 'error',
+            title: t('routing.directTitle'),
+            description: t('routing.directDescription'),
+            notes,
+          }
+        : {
+            level: 'info',
+            title: t('routing.globalTitle'),
+            description: t('routing.globalDescription', {
+              country: countryName(country),
+            }),
+            notes,
+          };
+    }
+
+    if (!domestic) {
+      return {
+        level: 'warning',
+        title: t('routing.noDomesticTitle'),
+        description: t('routing.noDomesticDescription'),
+        notes,
+      };
+    }
+
+    if (domestic.country !== 'CN') {
+      return {
+        level: 'warning',
+        title: t('routing.domesticProxiedTitle'),
+        description: t('routing.domesticProxiedDescription', {
+          country: countryName(domestic.country),
+        }),
+        notes,
+      };
+    }
+
+    const leaked = foreign.filter(
+      (entry) => entry.country === 'CN' || entry.ip === domestic.ip
+    );
+    if (leaked.length) {
+      return {
+        level: 'error',
+        title: t('routing.leakedTitle'),
+        description: t('routing.leakedDescription', {
+          cards: leaked
+            .map((entry) => entry.label)
+            .join(t('common.listJoiner')),
+        }),
+        notes,
+      };
+    }
+
+    return {
+      level: 'ok',
+      title: t('routing.okTitle'),
+      description: t('routing.okDescription', {
+        domestic: countryName('CN'),
+        foreign: foreignCountries.map(countryName).join(t('common.listJoiner')),
+      }),
+      notes,
+    };
+  }
+
+  /** 渲染分流诊断面板 */
+  async function renderRoutingAnalysis() {
+    const container = document.getElementById('routing-analysis');
+    if (!container) return;
+
+    const analysis = analyzeRouting(networkResults, await loadColoTable());
+    const notes = analysis.notes.length
+      ? html`<ul class="routing-notes">
+          ${analysis.notes.map((note) => html`<li>⚠️ ${note}</li>`)}
+        </ul>`
+      : '';
+
+    container.className = `routing-analysis routing-${analysis.level}`;
+    setHtml(
+      container,
+      html`
+        <div class="routing-title">
+          ${t('routing.heading', {
+            title: analysis.title,
+          })}
+        </div>
+        <div class="routing-description">${analysis.description}</div>
+        ${notes}
+      `
+    );
+  }
+
+  // --- 3e. WebRTC 泄露检测 ---
+
+  const DEFAULT_STUN_SERVER = 'stun:stun.cloudflare.com:3478';
+  /** 收集 ICE 候选的最长等待时间 (毫秒) */
+  const WEBRTC_TIMEOUT = 5000;
+
+  /** 最近一次收集到的 ICE 候选,null 表示尚未完成 */
+  let webrtcCandidates = null;
+  let webrtcError = null;
+
+  /** 获取当前使用的 STUN 服务器 */
+  function getStunServer() {
+    return localStorage.getItem('stunServer') || DEFAULT_STUN_SERVER;
+  }
+
+  /**
+   * 解析 ICE 候选行,如 "candidate:1 1 udp 2122260223 192.168.1.2 54321 typ host ..."
+   * @param {string} line - candidate 字符串
+   * @returns {{address: string, port: number, protocol: string, type: string}|null}
+   */
+  function parseIceCandidate(line) {
+    const parts = line.replace(/^a=/, '').split(' ');
+    const typeIndex = parts.indexOf('typ');
+    if (parts.length < 8 || typeIndex === -1) return null;
+    return {
+      address: parts[4],
+      port: Number(parts[5]),
+      protocol: parts[2].toLowerCase(),
+      type: parts[typeIndex + 1],
+    };
+  }
+
+  /**
+   * 判断 IP 是否为内网 / 保留地址
+   * @param {string} ip - IP 地址
+   * @returns {boolean}
+   */
+  function isPrivateIp(ip) {
+    if (getIpFamily(ip) === 'v6') {
+      return /^(::1$|f[cd]|fe[89ab])/i.test(ip);
+    }
+    const [a, b] = ip.split('.').map(Number);
+    return (
+      a === 10 ||
+      a === 127 ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 100 && b >= 64 && b <= 127)
+    );
+  }
+
+  /**
+   * 通过 RTCPeerConnection 收集 ICE 候选
+   * @param {string} stunServer - STUN 服务器地址
+   * @returns {Promise<object[]>} 去重后的候选列表;无法创建 offer 时 reject (不能当作没有候选)
+   */
+  function gatherIceCandidates(stunServer) {
+    if (!window.RTCPeerConnection) {
+      return Promise.reject(new Error(t('webrtc.unsupported')));
+    }
+
+    return new Promise((resolve, reject) => {
+      let connection;
+      try {
+        connection = new RTCPeerConnection({
+          iceServers: [{ urls: stunServer }],
+        });
+      } catch (error) {
+        reject(new Error(t('webrtc.invalidServer')));
+        return;
+      }
+
+      const candidates = new Map();
+      let finished = false;
+      const finish = (error) => {
+        if (finished) return;
+        finished = true;
+        clearTimeout(timer);
+        connection.close();
+        if (error) {
+          reject(new Error(t('webrtc.failed'), { cause: error }));
+        } else {
+          resolve([...candidates.values()]);
+        }
+      };
+      const timer = setTimeout(() => finish(), WEBRTC_TIMEOUT);
+
+      connection.onicecandidate = (event) => {
+        // candidate 为空表示收集完成
+        if (!event.candidate) {
+          finish();
+          return;
+        }
+        const candidate = parseIceCandidate(event.candidate.candidate);
+        if (candidate) {
+          candidates.set(`${candidate.type}|${candidate.address}`, candidate);
+        }
+      };
+
+      connection.createDataChannel('ipcheck');
+      connection
+        .createOffer()
+        .then((offer) => connection.setLocalDescription(offer))
+        .catch(finish);
+    });
+  }
+
+  /**
+   * 将候选分为内网 (host)、mDNS 与公网 (srflx / prflx 及公网 host) 三组
+   * @param {object[]} candidates - ICE 候选
+   * @returns {{host: string[], mdns: string[], public: string[]}}
+   */
+  function classifyIceCandidates(candidates) {
+    const groups = { host: new Set(), mdns: new Set(), public: new Set() };
+    candidates.forEach(({ address, type }) => {
+      if (address.endsWith('.local')) {
+        groups.mdns.add(address);
+      } else if (type === 'srflx' || type === 'prflx') {
+        groups.public.add(address);
+      } else if (type === 'host') {
+        groups[isPrivateIp(address) ? 'host' : 'public'].add(address);
+      }
+      // relay 候选是 TURN 服务器地址,与本机无关
+    });
+    return {
+      host: [...groups.host],
+      mdns: [...groups.mdns],
+      public: [...groups.public],
+    };
+  }
+
+  /**
+   * 经过代理的出口 IP (除国内直连卡片外的所有卡片及其双栈地址)
+   * @returns {Set<string>}
+   */
+  function getProxiedEgressIps() {
+    const ips = new Set();
+    Object.entries(networkResults).forEach(([key, result]) => {
+      if (key === DOMESTIC_CARD || result.status !== 'success') return;
+      [result.ip, result.stacks?.v4, result.stacks?.v6]
+        .filter(Boolean)
+        .forEach((ip) => ips.add(ip));
+    });
+    return ips;
+  }
+
+  /** 渲染 WebRTC 检测结果 (出口卡片更新后会重新比对) */
+  function renderWebRtcResult() {
+    const container = document.getElementById('webrtc-result');
+    if (!container || (!webrtcCandidates && !webrtcError)) return;
+
+    if (webrtcError) {
+      setHtml(
+        container,
+        html`<span class="error">${webrtcError.message}</span>`
+      );
+      setStatus('status-webrtc', 'error');
+      return;
+    }
 
-    const company = parseFloat(companyScore) || 0;
-    const asn = parseFloat(asnScore) || 0;
+    const groups = classifyIceCandidates(webrtcCandidates);
+    const egressIps = getProxiedEgressIps();
+    // 只与同一协议族的出口比对: 代理只有 IPv4 出口时,IPv6 候选无从判断是否泄露
+    const egressFamilies = new Set([...egressIps].map(getIpFamily));
+    const comparable = groups.public.filter((ip) =>
+      egressFamilies.has(getIpFamily(ip))
+    );
+    const leaked = comparable.filter((ip) => !egressIps.has(ip));
+    const renderIps = (ips, empty) =>
+      ips.length
+        ? ips.map(
+            (ip) =>
+              html`<span
+                class="ip-text clickable${leaked.includes(ip)
+                  ? ' webrtc-leaked'
+                  : ''}"
+                >${ip}</span
+              >`
+          )
+        : html`<span class="stack-missing">${empty}</span>`;
 
-    // 计算基础评分：(company + asn) / 2 * 5
-    let baseScore = ((company + asn) / 2) * 5;
+    let verdict;
+    if (leaked.length) {
+      verdict = html`<div class="webrtc-verdict webrtc-leak">
+        ${t('webrtc.leak')}
+      </div>`;
+    } else if (!groups.public.length) {
+      verdict = html`<div class="webrtc-verdict webrtc-safe">
+        ${t('webrtc.noPublic')}
+      </div>`;
+    } else if (!egressIps.size) {
+      verdict = html`<div class="webrtc-verdict">${t('webrtc.waiting')}</div>`;
+    } else if (comparable.length < groups.public.length) {
+      verdict = html`<div class="webrtc-verdict">
+        ${t('webrtc.unmatched')}
+      </div>`;
+    } else {
+      verdict = html`<div class="webrtc-verdict webrtc-safe">
+        ${t('webrtc.safe')}
+      </div>`;
+    }
 
-    // 计算安全风险附加分：每个安全风险项增加 20%
-    let riskAddition = 0;
-    const riskFlags = [
-      securityFlags.is_crawler, // 爬虫
-      securityFlags.is_proxy, // 代理服务器
-      securityFlags.is_vpn, // VPN
-      securityFlags.is_tor, // Tor 网络
-      securityFlags.is_abuser, // 滥用 IP
-      securityFlags.is_bogon, // 虚假 IP
-    ];
+    setHtml(
+      container,
+      html`
+        ${verdict}
+        <div class="stack-row">
+          <span class="stack-family">${t('webrtc.public')}</span>${renderIps(
+            groups.public,
+            t('webrtc.none')
+          )}
+        </div>
+        <div class="stack-row">
+          <span class="stack-family">${t('webrtc.host')}</span>${renderIps(
+            groups.host,
+            t('webrtc.none')
+          )}
+        </div>
+        <div class="stack-row">
+          <span class="stack-family">mDNS</span>${groups.mdns.length
+            ? groups.mdns.map(
+                (name) => html`<span class="webrtc-mdns">${name}</span>`
+              )
+            : html`<span class="stack-missing">${t('webrtc.none')}</span>`}
+        </div>
+      `
+    );
+    setStatus('status-webrtc', leaked.length ? 'error' : 'success');
+  }
+
+  /** 收集 ICE 候选并渲染结果 */
+  async function runWebRtcCheck() {
+    const container = document.getElementById('webrtc-result');
+    if (!container) return;
+
+    // 清空上次的结果,检测期间出口卡片更新时不会覆盖"检测中"状态
+    webrtcCandidates = null;
+    webrtcError = null;
+    setStatus('status-webrtc', 'loading');
+    setHtml(
+      container,
+      html`<span class="stack-missing">${t('common.checking')}</span>`
+    );
+    try {
+      webrtcCandidates = await gatherIceCandidates(getStunServer());
+    } catch (error) {
+      console.error('WebRTC 检测错误:', error);
+      webrtcError = error;
+    }
+    renderWebRtcResult();
+  }
+
+  /** 初始化 STUN 服务器设置 */
+  function initWebRtcSettings() {
+    const stunInput = document.getElementById('stun-server');
+    if (!stunInput) return;
+
+    stunInput.value = getStunServer();
+    stunInput.addEventListener('change', () => {
+      const server = stunInput.value.trim();
+      if (!server || server === DEFAULT_STUN_SERVER) {
+        localStorage.removeItem('stunServer');
+        stunInput.value = DEFAULT_STUN_SERVER;
+      } else if (/^stuns?:/.test(server)) {
+        localStorage.setItem('stunServer', server);
+      } else {
+        showToast(t('webrtc.serverPrefix'));
+        stunInput.value = getStunServer();
+        return;
+      }
+      runWebRtcCheck();
+    });
+  }
+
+  // --- 3f. 离线支持 ---
+
+  /** 各卡片上次成功的检测结果在 localStorage 中的键名 */
+  const LAST_EGRESS_KEY = 'lastEgressResults';
+
+  /**
+   * 读取 localStorage 中的 JSON 值
+   * @param {string} key - 键名
+   * @returns {*} 不存在或已损坏时返回 null
+   */
+  function readStoredJson(key) {
+    try {
+      return JSON.parse(localStorage.getItem(key));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 写入 localStorage 中的 JSON 值 (存储空间不足时放弃,不影响页面)
+   * @param {string} key - 键名
+   * @param {*} value - 要保存的值
+   */
+  function writeStoredJson(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+      console.warn('本地存储写入失败:', error);
+    }
+  }
+
+  /** 读取各卡片上次成功的检测结果: key -> probeCard 的结果 */
+  function readLastEgress() {
+    return readStoredJson(LAST_EGRESS_KEY) || {};
+  }
+
+  /**
+   * 保存卡片本次成功的检测结果,供离线时显示
+   * @param {string} key - 卡片标识
+   * @param {object} result - probeCard 的结果
+   */
+  function saveLastEgress(key, result) {
+    writeStoredJson(LAST_EGRESS_KEY, { ...readLastEgress(), [key]: result });
+  }
+
+  /**
+   * 生成离线 / 上次数据标记: 断网时标记为离线数据,联网但请求失败时标记为上次的结果
+   * @param {number} timestamp - 数据的获取时间 (毫秒)
+   * @returns {SafeHtml}
+   */
+  function renderStaleBadge(timestamp) {
+    const prefix = navigator.onLine ? 'offline.lastResult' : 'offline.stale';
+    return html`<span
+      class="stale-badge"
+      title="${t(`${prefix}Title`, {
+        time: new Date(timestamp).toLocaleString(currentLocale),
+      })}"
+      >${t(prefix, { age: formatAge(timestamp) })}</span
+    >`;
+  }
+
+  /**
+   * 网络恢复后刷新所有以离线数据显示的内容 (网络卡片、IP 详情弹窗、访问统计)
+   */
+  function refreshStaleResults() {
+    const staleCard = document.querySelector('.network-card-stale');
+    const staleModalRefresh = document.querySelector(
+      '.ip-detail-modal[data-stale] .ip-detail-refresh'
+    );
+    const staleVisitCount = document.querySelector('#visit-count .stale-badge');
+    if (!staleCard && !staleModalRefresh && !staleVisitCount) return;
+
+    showToast(t('offline.online'));
+    if (staleCard) loadNetworkInfo();
+    if (staleModalRefresh) refreshIpDetails(staleModalRefresh);
+    if (staleVisitCount) fetchVisitCount();
+  }
+
+  /**
+   * 注册 Service Worker 缓存页面外壳,并在网络断开 / 恢复时提示和刷新离线数据
+   */
+  function initOfflineSupport() {
+    if ('serviceWorker' in navigator) {
+      const scriptUrl = trustedTypesPolicy
+        ? trustedTypesPolicy.createScriptURL(SERVICE_WORKER_URL)
+        : SERVICE_WORKER_URL;
+      // sw.js 本身不使用 HTTP 缓存,发布新版本后能及时更新
+      navigator.serviceWorker
+        .register(scriptUrl, { updateViaCache: 'none' })
+        .catch((error) => console.error('注册 Service Worker 错误:', error));
+    }
+
+    window.addEventListener('offline', () => showToast(t('offline.offline')));
+    window.addEventListener('online', refreshStaleResults);
+  }
+
+  // --- 4. IP 详情弹窗 (Modal) 功能 ---
+  // [所有 IP 弹窗相关函数保持不变，此处省略]
+  // ...
+
+  /** 卡片 IP 的 data-state 为这些值时没有可查询的 IP (不依赖显示的文案) */
+  const IP_PENDING_STATES = ['loading', 'unknown', 'error'];
+
+  /**
+   * 优化：标记 IP 为可点击
+   * (原 makeIpClickable 函数的职责分离)
+   */
+  function markIpAsClickable() {
+    const ipElements = document.querySelectorAll('.ip-text');
+
+    ipElements.forEach((element) => {
+      // 跳过已经标记为错误、加载中、未知的元素
+      if (
+        IP_PENDING_STATES.includes(element.dataset.state) ||
+        element.classList.contains('clickable')
+      ) {
+        return;
+      }
+
+      // 添加可点击样式
+      element.classList.add('clickable');
+    });
+  }
+
+  /** IP 详情缓存在 localStorage 中的键名 */
+  const IP_CACHE_KEY = 'ipDetailCache';
+
+  /** 默认缓存有效期 (毫秒),可在查询框旁修改 */
+  const DEFAULT_IP_CACHE_TTL = 6 * 60 * 60 * 1000;
+
+  /** 最多缓存的 IP 数量,超出时淘汰最旧的记录 */
+  const IP_CACHE_LIMIT = 200;
+
+  /** 客户端限流: 每个时间窗口内最多发出的查询请求数 */
+  const IP_LOOKUP_RATE = { limit: 5, window: 10000 };
+
+  /** 最近发出查询请求的时间戳,用于限流 */
+  const lookupTimestamps = [];
+
+  /** 正在进行中的查询,相同 IP 共享同一个请求 */
+  const pendingLookups = new Map();
+
+  /** 本次会话中查询过的 IP 详情 (用于导出诊断报告): ip -> { data, sources, fetchedAt } */
+  const ipLookupLog = new Map();
+
+  /** 获取当前缓存有效期 (毫秒),0 表示不缓存 */
+  function getIpCacheTtl() {
+    const saved = localStorage.getItem('ipCacheTtl');
+    return saved === null ? DEFAULT_IP_CACHE_TTL : Number(saved);
+  }
+
+  /** 读取整个 IP 详情缓存 */
+  function readIpCache() {
+    try {
+      return JSON.parse(localStorage.getItem(IP_CACHE_KEY)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * 写入一条 IP 详情缓存,同时清理超量的记录
+   * 过期记录不再用于正常查询,但会保留下来,离线时作为上次的结果显示
+   * @param {string} ip - IP 地址
+   * @param {{data: object, sources: Array, fetchedAt: number}} entry - 详细信息、多源比对结果与获取时间
+   */
+  function writeIpCache(ip, entry) {
+    const ttl = getIpCacheTtl();
+    if (!ttl) return;
+
+    const cache = readIpCache();
+    cache[ip] = entry;
+
+    const entries = Object.entries(cache)
+      .sort((a, b) => b[1].fetchedAt - a[1].fetchedAt)
+      .slice(0, IP_CACHE_LIMIT);
+
+    try {
+      localStorage.setItem(
+        IP_CACHE_KEY,
+        JSON.stringify(Object.fromEntries(entries))
+      );
+    } catch (error) {
+      // 存储空间不足时放弃缓存,不影响查询
+      console.warn('IP 详情缓存写入失败:', error);
+    }
+  }
+
+  /**
+   * 等待限流窗口内出现空位
+   * 超过限额时排队等待,而不是直接拒绝查询
+   */
+  async function waitForLookupSlot() {
+    for (;;) {
+      const now = Date.now();
+      while (
+        lookupTimestamps.length &&
+        now - lookupTimestamps[0] >= IP_LOOKUP_RATE.window
+      ) {
+        lookupTimestamps.shift();
+      }
+
+      if (lookupTimestamps.length < IP_LOOKUP_RATE.limit) {
+        lookupTimestamps.push(now);
+        return;
+      }
+
+      const wait = IP_LOOKUP_RATE.window - (now - lookupTimestamps[0]);
+      showToast(t('lookup.throttled', { seconds: Math.ceil(wait / 1000) }));
+      await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+  }
+
+  /**
+   * 请求 IP 详细信息 (ipapi.is)
+   * 优先使用未过期的本地缓存,否则经限流队列发出请求
+   * 同时并行查询已启用的附加数据源,用于多源比对 (请求逻辑见 ipcheck-core.js)
+   * 离线或网络层面失败时退回到该 IP 上次的查询结果 (即使已过期),并标记为 stale;
+   * 接口返回错误时照常抛出
+   * @param {string} ip - 要查询的 IP
+   * @param {{force?: boolean}} [options] - force 为 true 时忽略缓存
+   * @returns {Promise<{data: object, sources: Array, fetchedAt: number, fromCache: boolean, stale?: boolean}>}
+   */
+  async function requestIpDetails(ip, options = {}) {
+    if (!options.force) {
+      const cached = readIpCache()[ip];
+      if (cached && Date.now() - cached.fetchedAt < getIpCacheTtl()) {
+        ipLookupLog.set(ip, cached);
+        return { ...cached, fromCache: true };
+      }
+    }
 
-    // 统计为 true 的风险项数量
-    const riskCount = riskFlags.filter((flag) => flag === true).length;
-    riskAddition = riskCount * 0.15; // 每个风险项增加 15%
+    if (pendingLookups.has(ip)) {
+      return pendingLookups.get(ip);
+    }
+
+    const lookup = (async () => {
+      await waitForLookupSlot();
+
+      let entry;
+      try {
+        entry = await lookupIp(ip, {
+          intelProviders: getEnabledIntelProviders(),
+          onSourceError: (provider, error) =>
+            console.warn(`${provider.name} 情报查询失败:`, error),
+        });
+      } catch (error) {
+        const last =
+          (!navigator.onLine || isNetworkError(error)) && readIpCache()[ip];
+        if (!last) throw error;
+        console.warn('IP 详情查询失败,显示上次的结果:', error);
+        ipLookupLog.set(ip, last);
+        return { ...last, fromCache: true, stale: true };
+      }
+      writeIpCache(ip, entry);
+      ipLookupLog.set(ip, entry);
+      return { ...entry, fromCache: false };
+    })();
+
+    pendingLookups.set(ip, lookup);
+    try {
+      return await lookup;
+    } finally {
+      pendingLookups.delete(ip);
+    }
+  }
+
+  /**
+   * 强制刷新弹窗中的 IP 详情 (忽略缓存)
+   * @param {HTMLElement} refreshButton - 弹窗内的刷新按钮
+   */
+  async function refreshIpDetails(refreshButton) {
+    if (refreshButton.disabled) return;
+
+    const ip = refreshButton.dataset.ip;
+    refreshButton.disabled = true;
+    refreshButton.textContent = t('modal.refreshing');
+
+    try {
+      const lookup = await requestIpDetails(ip, { force: true });
+      refreshButton.closest('.ip-detail-modal').remove();
+      showIpDetailModal(lookup.data, lookup);
+      // 仍然离线时只能显示上次的结果
+      showToast(t(lookup.stale ? 'modal.refreshFailed' : 'modal.refreshed'));
+    } catch (error) {
+      refreshButton.disabled = false;
+      refreshButton.textContent = t('modal.refresh');
+      showToast(t('modal.refreshFailed'));
+      console.error('IP刷新错误:', error);
+    }
+  }
+
+  /**
+   * 将时间戳格式化为“多久之前”
+   * @param {number} timestamp - 时间戳 (毫秒)
+   * @returns {string}
+   */
+  function formatAge(timestamp) {
+    const seconds = Math.max(0, Math.round((Date.now() - timestamp) / 1000));
+    if (seconds < 60) return t('age.now');
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return t('age.minutes', { count: minutes });
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return t('age.hours', { count: hours });
+    return t('age.days', { count: Math.floor(hours / 24) });
+  }
+
+  /**
+   * 优化：获取并显示 IP 详情的逻辑
+   * (从原 makeIpClickable 提取)
+   * @param {HTMLElement} ipElement - 被点击的 IP 元素
+   */
+  async function fetchAndShowIpDetails(ipElement) {
+    const ipText = ipElement.textContent.trim();
+
+    // 移除可能存在的加载动画
+    const existingSpinner = ipElement.querySelector('.loading-spinner');
+    if (existingSpinner) {
+      return; // 正在加载中,不重复请求
+    }
+
+    // 跳过加载中、未知或加载失败的元素
+    if (IP_PENDING_STATES.includes(ipElement.dataset.state)) {
+      return;
+    }
+
+    if (!checkLookupInput(ipText)) {
+      return;
+    }
+
+    // 添加加载动画
+    const spinner = document.createElement('span');
+    spinner.className = 'loading-spinner';
+    ipElement.appendChild(spinner);
+
+    try {
+      const lookup = await requestIpDetails(ipText);
+
+      // 移除加载动画
+      spinner.remove();
+
+      // 显示详情弹窗
+      showIpDetailModal(lookup.data, lookup);
+    } catch (error) {
+      // 移除加载动画
+      spinner.remove();
+
+      // 显示错误提示
+      showToast(t('lookup.detailsFailed'));
+      console.error('IP查询错误:', error);
+    }
+  }
+
+  // --- 4a. IP 详情弹窗 - 帮助函数 ---
+
+  /** 将布尔值转换为 emoji */
+  function boolToEmoji(value, trueEmoji = '✅', falseEmoji = '❌') {
+    return value ? trueEmoji : falseEmoji;
+  }
+
+  /** 已知 IP 类型的样式类 */
+  const IP_TYPE_CLASSES = {
+    isp: 'ip-type-residential',
+    hosting: 'ip-type-hosting',
+    business: 'ip-type-business',
+  };
+
+  /** 将 IP 类型转换为当前语言的文案并添加样式 */
+  function formatIpType(type) {
+    if (!type) {
+      return html`<span class="ip-type-unknown">${t('common.unknown')}</span>`;
+    }
+
+    const kind = classifyIpType(type);
+    if (!kind) {
+      return html`<span class="ip-type-unknown">${type}</span>`;
+    }
+    return html`<span class="${IP_TYPE_CLASSES[kind]}"
+      >${t(`ipType.${kind}`)}</span
+    >`;
+  }
+
+  /** 获取威胁等级的样式类 */
+  function getThreatBadgeClass(score) {
+    if (!score) return 'badge-info';
+
+    const numScore = parseFloat(score);
+    if (numScore < 0.001) return 'badge-success';
+    if (numScore < 0.01) return 'badge-info';
+    if (numScore < 0.1) return 'badge-warning';
+    return 'badge-danger';
+  }
+
+  /**
+   * 风险等级定义 (等级文本、颜色样式和说明气泡的唯一来源)
+   * 分级阈值见 ipcheck-core.js,按百分比下限从高到低排列
+   */
+  const RISK_LEVELS = IpCheckCore.RISK_LEVELS.map((level) => ({
+    ...level,
+    className: `badge-${level.id.toLowerCase()}`,
+    label: t(`risk.${level.id}`),
+  }));
+
+  /** 安全风险项在当前语言下的名称 */
+  const RISK_FLAG_LABELS = {
+    is_crawler: t('flag.crawler'),
+    is_proxy: t('flag.proxy'),
+    is_vpn: 'VPN',
+    is_tor: t('flag.tor'),
+    is_abuser: t('flag.abuser'),
+    is_bogon: t('flag.bogon'),
+    is_datacenter: t('flag.datacenter'),
+  };
+
+  /** 参与评分的安全风险项 */
+  const RISK_FLAGS = IpCheckCore.RISK_FLAGS.map((flag) => ({
+    ...flag,
+    label: RISK_FLAG_LABELS[flag.key],
+  }));
+
+  /** 评分方案在当前语言下的名称 */
+  const SCORE_PROFILE_LABELS = {
+    default: t('score.profileDefault'),
+    strict: t('score.profileStrict'),
+    streaming: t('score.profileStreaming'),
+  };
+
+  /** 评分方案 (权重见 ipcheck-core.js),附带名称 label */
+  const SCORE_PROFILES = Object.fromEntries(
+    Object.entries(IpCheckCore.SCORE_PROFILES).map(([name, profile]) => [
+      name,
+      { ...profile, label: SCORE_PROFILE_LABELS[name] },
+    ])
+  );
+
+  /** 读取用户对各评分方案的自定义权重 */
+  function readScoreOverrides() {
+    try {
+      return JSON.parse(localStorage.getItem('scoreOverrides')) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /** 获取当前选中的评分方案名称 */
+  function getScoreProfileName() {
+    const saved = localStorage.getItem('scoreProfile');
+    return SCORE_PROFILES[saved] ? saved : 'default';
+  }
+
+  /**
+   * 获取当前生效的评分方案 (内置方案 + 用户自定义权重)
+   * @returns {object} 评分方案
+   */
+  function getActiveScoreProfile() {
+    const name = getScoreProfileName();
+    const base = SCORE_PROFILES[name];
+    const overrides = readScoreOverrides()[name] || {};
+    return {
+      name,
+      label: base.label,
+      companyWeight: overrides.companyWeight ?? base.companyWeight,
+      asnWeight: overrides.asnWeight ?? base.asnWeight,
+      flags: { ...base.flags, ...overrides.flags },
+      customized: Object.keys(overrides).length > 0,
+    };
+  }
 
-    // 最终评分 = 基础评分 + 风险附加分
-    const finalScore = baseScore + riskAddition;
+  /**
+   * 计算综合滥用评分 (风控值,算法见 ipcheck-core.js)
+   * @param {*} companyScore - 运营商滥用评分
+   * @param {*} asnScore - ASN 滥用评分
+   * @param {object} securityFlags - 安全风险标志
+   * @param {object} [profile] - 评分方案,默认使用当前生效的方案
+   * @returns {{total: number, factors: Array<object>}|null} 总分与逐项明细 (附带名称 label),无有效数据时返回 null
+   */
+  function calculateAbuseScore(
+    companyScore,
+    asnScore,
+    securityFlags = {},
+    profile = getActiveScoreProfile()
+  ) {
+    const result = IpCheckCore.calculateAbuseScore(
+      companyScore,
+      asnScore,
+      securityFlags,
+      profile
+    );
+    if (!result) return null;
 
-    // 如果基础评分和风险附加分都是0，返回null
-    if (baseScore === 0 && riskAddition === 0) return null;
+    const labels = {
+      company: t('score.company'),
+      asn: t('score.asn'),
+      ...RISK_FLAG_LABELS,
+    };
+    result.factors.forEach((factor) => {
+      factor.label = labels[factor.id];
+    });
+    return result;
+  }
 
-    return finalScore;
+  /**
+   * 根据百分比获取风险等级
+   * @param {number} percentage - 评分百分比
+   * @returns {{min: number, className: string, label: string}}
+   */
+  function getRiskLevel(percentage) {
+    return RISK_LEVELS.find((level) => percentage >= level.min);
   }
 
   /** 获取滥用评分的颜色等级 */
   function getAbuseScoreBadgeClass(percentage) {
     if (percentage === null || percentage === undefined) return 'badge-info';
+    return getRiskLevel(percentage).className;
+  }
+
+  /**
+   * 渲染评分的逐项明细
+   * @param {{total: number, factors: Array<object>}} result - 评分结果
+   * @returns {SafeHtml} 明细 HTML
+   */
+  function renderScoreBreakdown(result) {
+    const profile = getActiveScoreProfile();
+    const rows = result.factors.map((factor) => {
+      const formula = factor.isFlag
+        ? `${t('score.hit')} +${formatAbuseScorePercentage(factor.weight)}`
+        : `${factor.value} × ${factor.weight}`;
+      return html` <div class="score-breakdown-row">
+        <span>${factor.label}</span>
+        <code>${formula}</code>
+        <span>${formatAbuseScorePercentage(factor.contribution)}</span>
+      </div>`;
+    });
+
+    if (!result.factors.some((factor) => factor.isFlag)) {
+      rows.push(html` <div class="score-breakdown-row">
+        <span>${t('score.flags')}</span>
+        <code>${t('score.noHit')}</code>
+        <span>0.00%</span>
+      </div>`);
+    }
+
+    return html` <div class="score-breakdown">
+      ${rows}
+      <div class="score-breakdown-row score-breakdown-total">
+        <span>${t('score.total')}</span>
+        <code
+          >${t('score.profileName', {
+            name: profile.label,
+          })}${profile.customized ? t('score.customized') : ''}</code
+        >
+        <span>${formatAbuseScorePercentage(result.total)}</span>
+      </div>
+    </div>`;
+  }
+
+  /**
+   * 根据当前评分方案生成算法说明气泡
+   * @returns {SafeHtml} 气泡 HTML
+   */
+  function renderScoreTooltip() {
+    const profile = getActiveScoreProfile();
+    const flagsHTML = RISK_FLAGS.filter((flag) => profile.flags[flag.key]).map(
+      (flag) =>
+        html`<li>
+          ${flag.label} +${formatAbuseScorePercentage(profile.flags[flag.key])}
+        </li>`
+    );
+    const levelsHTML = RISK_LEVELS.map(
+      (level) =>
+        html`<li>
+          <span class="ip-detail-badge ${level.className}">${level.label}</span>
+          ≥ ${level.min}%
+        </li>`
+    );
 
-    if (percentage >= 100) return 'badge-critical'; // 危险红色 >= 100%
-    if (percentage >= 20) return 'badge-high'; // 橘黄色 15-99.99%
-    if (percentage >= 5) return 'badge-elevated'; // 黄色 5-14.99%
-    if (percentage >= 0.25) return 'badge-low'; // 淡绿色 0.25-4.99%
-    return 'badge-verylow'; // 绿色 < 0.25%
+    return html` <span class="score-tooltip">
+      <div class="tooltip-header">
+        <span class="tooltip-title"
+          >${t('score.tooltipTitle', { name: profile.label })}</span
+        >
+      </div>
+      <div class="tooltip-section">
+        <p class="tooltip-section-title">${t('score.formula')}</p>
+        <div class="formula-item">
+          <span class="formula-name">${t('score.base')}</span>
+          <span class="formula-equation"
+            ><code
+              >${t('score.company')} × ${profile.companyWeight} +
+              ${t('score.asn')} × ${profile.asnWeight}</code
+            ></span
+          >
+        </div>
+        <div class="formula-item">
+          <span class="formula-name">${t('score.extra')}</span>
+          <span class="formula-equation"
+            ><code>${t('score.extraFormula')}</code></span
+          >
+        </div>
+      </div>
+      <div class="tooltip-section">
+        <p class="tooltip-section-title">${t('score.flags')}</p>
+        <ul class="risk-list">
+          ${flagsHTML}
+        </ul>
+      </div>
+      <div class="tooltip-section">
+        <p class="tooltip-section-title">${t('score.levels')}</p>
+        <ul class="risk-list">
+          ${levelsHTML}
+        </ul>
+      </div>
+    </span>`;
   }
 
   /** 格式化滥用评分为百分比 */
   function formatAbuseScorePercentage(score) {
-    if (score === null || score === undefined) return '未知';
+    if (score === null || score === undefined) return t('common.unknown');
 
     const percentage = score * 100;
     return percentage.toFixed(2) + '%';
@@ -592,8 +4902,8 @@ document.addEventListener('DOMContentLoaded', () => {
     const isShowing = tooltip.classList.contains('show');
 
     // 隐藏所有其他气泡
-    document.querySelectorAll('.score-tooltip.show').forEach((t) => {
-      if (t !== tooltip) t.classList.remove('show');
+    document.querySelectorAll('.score-tooltip.show').forEach((item) => {
+      if (item !== tooltip) item.classList.remove('show');
     });
 
     // 切换当前气泡
@@ -604,446 +4914,914 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // --- 4b. IP 详情弹窗 - 渲染函数 ---
 
+  /**
+   * 渲染弹窗中的一行详情
+   * @param {string} label - 标签
+   * @param {*} value - 值 (字符串会被转义,SafeHtml 原样输出)
+   * @param {string} [valueClass] - 值元素的额外样式类
+   * @returns {SafeHtml}
+   */
+  function renderDetailItem(label, value, valueClass = '') {
+    return html` <div class="ip-detail-item">
+      <span class="ip-detail-label">${label}</span>
+      <span class="ip-detail-value${valueClass ? ' ' + valueClass : ''}"
+        >${value}</span
+      >
+    </div>`;
+  }
+
+  /**
+   * 渲染安全检测中的一项
+   * @param {string} label - 标签
+   * @param {boolean} value - 是否命中
+   * @param {string} emoji - 命中时显示的图标
+   * @param {string} className - 命中时的样式类
+   * @param {boolean} [showSafe] - 未命中时是否显示 ✅
+   * @returns {SafeHtml}
+   */
+  function renderSecurityItem(label, value, emoji, className, showSafe = true) {
+    return renderDetailItem(
+      label,
+      value
+        ? html`<span class="${className}">${emoji} ${t('common.yes')}</span>`
+        : `${showSafe ? '✅ ' : ''}${t('common.no')}`
+    );
+  }
+
   /**
    * 显示 IP 详情弹窗 (纯渲染)
    * 优化：移除了所有内部的事件监听器
+   * 接口返回的所有字段都通过 html`` 模板转义后再写入页面
    * @param {object} data - IP 详细信息
+   * @param {{fetchedAt: number, fromCache: boolean, sources?: Array}} [meta] - 数据获取时间、是否来自缓存及多源比对结果
    */
-  function showIpDetailModal(data) {
+  function showIpDetailModal(data, meta) {
     // 创建弹窗
     const modal = document.createElement('div');
     modal.className = 'ip-detail-modal';
+    if (meta?.stale) {
+      // 网络恢复后自动刷新
+      modal.dataset.stale = 'true';
+    }
 
     // 计算综合滥用评分（风控值）
     const companyScore = data.company?.abuser_score;
     const asnScore = data.asn?.abuser_score;
 
     // 收集安全风险标志
-    const securityFlags = {
-      is_crawler: data.is_crawler,
-      is_proxy: data.is_proxy,
-      is_vpn: data.is_vpn,
-      is_tor: data.is_tor,
-      is_abuser: data.is_abuser,
-      is_bogon: data.is_bogon,
-    };
+    const securityFlags = Object.fromEntries(
+      RISK_FLAGS.map((flag) => [flag.key, data[flag.key]])
+    );
 
-    const combinedScore = calculateAbuseScore(
+    const scoreResult = calculateAbuseScore(
       companyScore,
       asnScore,
       securityFlags
     );
 
     let riskControlHTML = '';
-    if (combinedScore !== null) {
-      const scorePercentage = combinedScore * 100;
-      const badgeClass = getAbuseScoreBadgeClass(scorePercentage);
-      const formattedScore = formatAbuseScorePercentage(combinedScore);
-
-      // 根据百分比确定风险等级文本
-      let riskLevel = '';
-      if (scorePercentage >= 100) riskLevel = '极度危险';
-      else if (scorePercentage >= 20) riskLevel = '高风险';
-      else if (scorePercentage >= 5) riskLevel = '轻微风险';
-      else if (scorePercentage >= 0.25) riskLevel = '纯净';
-      else riskLevel = '极度纯净';
-
-      riskControlHTML = `
-            <span class="ip-detail-badge ${badgeClass}">${formattedScore} ${riskLevel}</span>
-        `;
+    let breakdownHTML = '';
+    if (scoreResult !== null) {
+      const scorePercentage = scoreResult.total * 100;
+      const riskLevel = getRiskLevel(scorePercentage);
+      const formattedScore = formatAbuseScorePercentage(scoreResult.total);
+
+      riskControlHTML = html`
+        <span class="ip-detail-badge ${riskLevel.className}"
+          >${formattedScore} ${riskLevel.label}</span
+        >
+      `;
+      breakdownHTML = renderScoreBreakdown(scoreResult);
     } else {
-      riskControlHTML = '未知';
+      riskControlHTML = t('common.unknown');
     }
 
-    // 构建详情内容
-    let detailHTML = `
-        <div class="ip-detail-content">
-            <button class="ip-detail-close" aria-label="关闭弹窗">×</button>
-            <div class="ip-detail-title">
-                🔍 IP 详细信息
-                <span class="ip-detail-source">数据来源: ipapi.is</span>
-            </div>
-    `;
+    // 构建详情内容 (各分区依次加入 sections)
+    const sections = [];
+    sections.push(html`
+      <button class="ip-detail-close" aria-label="${t('modal.close')}">
+        ×
+      </button>
+      <div class="ip-detail-title">
+        ${t('modal.title')}
+        <span class="ip-detail-source"
+          >${t('modal.source', {
+            source: 'ipapi.is',
+          })}</span
+        >
+        ${meta
+          ? html`${meta.stale
+                ? renderStaleBadge(meta.fetchedAt)
+                : html`<span
+                    class="ip-detail-source"
+                    title="${new Date(meta.fetchedAt).toLocaleString(
+                      currentLocale
+                    )}"
+                    >${t(
+                      meta.fromCache ? 'modal.cachedAt' : 'modal.fetchedAt',
+                      { age: formatAge(meta.fetchedAt) }
+                    )}</span
+                  >`}
+              <button class="ip-detail-refresh" data-ip="${data.ip || ''}">
+                ${t('modal.refresh')}
+              </button>`
+          : ''}
+      </div>
+    `);
 
     // 基本信息
-    detailHTML += `
-        <div class="ip-detail-section">
-            <div class="ip-detail-section-title">📍 基本信息</div>
-            <div class="ip-detail-item">
-                <span class="ip-detail-label">IP 地址</span>
-                <span class="ip-detail-value">${data.ip || '未知'}</span>
-            </div>
-            <div class="ip-detail-item">
-                <span class="ip-detail-label">区域互联网注册机构</span>
-                <span class="ip-detail-value">${data.rir || '未知'}</span>
-            </div>
-            <div class="ip-detail-item">
-                <span class="ip-detail-label">运营商 / ASN 类型</span>
-                <span class="ip-detail-value">${formatIpType(
-                  data.company?.type
-                )} / ${formatIpType(data.asn?.type)}</span>
-            </div>
-            <div class="ip-detail-item">
-                <span class="ip-detail-label">
-                    综合滥用评分
-                    <span class="score-help-icon" title="点击查看算法说明">?</span>
-                    <span class="score-tooltip">
-                        <div class="tooltip-header">
-                            <span class="tooltip-title">📊 综合滥用评分算法</span>
-                        </div>
-                        <div class="tooltip-section">
-                            <p class="tooltip-section-title">评分公式</p>
-                            <div class="formula-item">
-                                <span class="formula-name">基础分</span>
-                                <span class="formula-equation"><code>(运营商分 + ASN分) / 2 * 5</code></span>
-                            </div>
-                            <div class="formula-item">
-                                <span class="formula-name">风险附加</span>
-                                <span class="formula-equation"><code>风险项数量 * 15%</code></span>
-                            </div>
-                        </div>
-                        <div class="tooltip-section">
-                            <p class="tooltip-section-title">安全风险项</p>
-                            <ul class="risk-list">
-                                <li>爬虫 (Crawler)</li>
-                                <li>代理 (Proxy)</li>
-                                <li>VPN</li>
-                                <li>Tor 网络</li>
-                                <li>滥用IP (Abuser)</li>
-                                <li>虚假IP (Bogon)</li>
-                            </ul>
-                        </div>
-                    </span>
-                </span>
-                <span class="ip-detail-value">${riskControlHTML}</span>
-            </div>
+    sections.push(html`
+      <div class="ip-detail-section">
+        <div class="ip-detail-section-title">${t('modal.basic')}</div>
+        ${renderDetailItem(t('modal.ip'), data.ip || t('common.unknown'))}
+        ${renderDetailItem(
+          t('modal.cloudflareRange'),
+          t('common.checking'),
+          'cloudflare-range'
+        )}
+        ${renderDetailItem(t('modal.rir'), data.rir || t('common.unknown'))}
+        ${renderDetailItem(
+          t('modal.types'),
+          html`${formatIpType(data.company?.type)} /
+          ${formatIpType(data.asn?.type)}`
+        )}
+        <div class="ip-detail-item">
+          <span class="ip-detail-label">
+            ${t('modal.abuseScore')}
+            <span class="score-help-icon" title="${t('modal.scoreHelp')}"
+              >?</span
+            >
+            ${renderScoreTooltip()}
+          </span>
+          <span class="ip-detail-value">${riskControlHTML}</span>
         </div>
-    `;
+        ${breakdownHTML}
+      </div>
+    `);
+
+    // 多源比对
+    if (meta && meta.sources) {
+      sections.push(renderIntelConsensus(meta.sources));
+    }
 
     // 安全检测
-    detailHTML += `
-        <div class="ip-detail-section">
-            <div class="ip-detail-section-title">🛡️ 安全检测</div>
-            <div class="ip-detail-item">
-                <span class="ip-detail-label">移动网络</span>
-                <span class="ip-detail-value">${
-                  data.is_mobile
-                    ? '<span class="success-text">📱 是</span>'
-                    : '否'
-                }</span>
-            </div>
-            <div class="ip-detail-item">
-                <span class="ip-detail-label">数据中心</span>
-                <span class="ip-detail-value">${
-                  data.is_datacenter
-                    ? '<span class="warning-text">🏢 是</span>'
-                    : '否'
-                }</span>
-            </div>
-            <div class="ip-detail-item">
-                <span class="ip-detail-label">卫星网络</span>
-                <span class="ip-detail-value">${
-                  data.is_satellite
-                    ? '<span class="success-text">🛰️ 是</span>'
-                    : '否'
-                }</span>
-            </div>
-            <div class="ip-detail-item">
-                <span class="ip-detail-label">爬虫</span>
-                <span class="ip-detail-value">${
-                  data.is_crawler
-                    ? '<span class="danger-text">🤖 是</span>'
-                    : '✅ 否'
-                }</span>
-            </div>
-            <div class="ip-detail-item">
-                <span class="ip-detail-label">代理服务器</span>
-                <span class="ip-detail-value">${
-                  data.is_proxy
-                    ? '<span class="danger-text">⚠️ 是</span>'
-                    : '✅ 否'
-                }</span>
-            </div>
-            <div class="ip-detail-item">
-                <span class="ip-detail-label">VPN</span>
-                <span class="ip-detail-value">${
-                  data.is_vpn
-                    ? '<span class="danger-text">⚠️ 是</span>'
-                    : '✅ 否'
-                }</span>
-            </div>
-            <div class="ip-detail-item">
-                <span class="ip-detail-label">Tor 网络</span>
-                <span class="ip-detail-value">${
-                  data.is_tor
-                    ? '<span class="danger-text">⚠️ 是</span>'
-                    : '✅ 否'
-                }</span>
-            </div>
-            <div class="ip-detail-item">
-                <span class="ip-detail-label">滥用 IP</span>
-                <span class="ip-detail-value">${
-                  data.is_abuser
-                    ? '<span class="danger-text">⚠️ 是</span>'
-                    : '✅ 否'
-                }</span>
-            </div>
-            <div class="ip-detail-item">
-                <span class="ip-detail-label">虚假 IP</span>
-                <span class="ip-detail-value">${
-                  data.is_bogon
-                    ? '<span class="danger-text">⚠️ 是</span>'
-                    : '✅ 否'
-                }</span>
-            </div>
-        </div>
-    `;
+    sections.push(html`
+      <div class="ip-detail-section">
+        <div class="ip-detail-section-title">${t('modal.security')}</div>
+        ${renderSecurityItem(
+          t('modal.mobile'),
+          data.is_mobile,
+          '📱',
+          'success-text',
+          false
+        )}
+        ${renderSecurityItem(
+          t('modal.datacenter'),
+          data.is_datacenter,
+          '🏢',
+          'warning-text',
+          false
+        )}
+        ${renderSecurityItem(
+          t('modal.satellite'),
+          data.is_satellite,
+          '🛰️',
+          'success-text',
+          false
+        )}
+        ${renderSecurityItem(
+          t('modal.crawler'),
+          data.is_crawler,
+          '🤖',
+          'danger-text'
+        )}
+        ${renderSecurityItem(
+          t('modal.proxy'),
+          data.is_proxy,
+          '⚠️',
+          'danger-text'
+        )}
+        ${renderSecurityItem('VPN', data.is_vpn, '⚠️', 'danger-text')}
+        ${renderSecurityItem(t('modal.tor'), data.is_tor, '⚠️', 'danger-text')}
+        ${renderSecurityItem(
+          t('modal.abuser'),
+          data.is_abuser,
+          '⚠️',
+          'danger-text'
+        )}
+        ${renderSecurityItem(
+          t('modal.bogon'),
+          data.is_bogon,
+          '⚠️',
+          'danger-text'
+        )}
+      </div>
+    `);
 
     // 位置信息
     if (data.location) {
-      detailHTML += `
-            <div class="ip-detail-section">
-                <div class="ip-detail-section-title">🌍 位置信息</div>
-                <div class="ip-detail-item">
-                    <span class="ip-detail-label">国家</span>
-                    <span class="ip-detail-value">${
-                      data.location.country || '未知'
-                    } (${data.location.country_code || '-'})</span>
-                </div>
-                ${
-                  data.location.state
-                    ? `
-                <div class="ip-detail-item">
-                    <span class="ip-detail-label">省份/州</span>
-                    <span class="ip-detail-value">${data.location.state}</span>
-                </div>
-                `
-                    : ''
-                }
-                ${
-                  data.location.city
-                    ? `
-                <div class="ip-detail-item">
-                    <span class="ip-detail-label">城市</span>
-                    <span class="ip-detail-value">${data.location.city}</span>
-                </div>
-                `
-                    : ''
-                }
-                ${
-                  data.location.zip
-                    ? `
-                <div class="ip-detail-item">
-                    <span class="ip-detail-label">邮编</span>
-                    <span class="ip-detail-value">${data.location.zip}</span>
-                </div>
-                `
-                    : ''
-                }
-                ${
-                  data.location.latitude && data.location.longitude
-                    ? `
-                <div class="ip-detail-item">
-                    <span class="ip-detail-label">坐标</span>
-                    <span class="ip-detail-value">${data.location.latitude}, ${data.location.longitude}</span>
-                </div>
-                `
-                    : ''
-                }
-                ${
-                  data.location.timezone
-                    ? `
-                <div class="ip-detail-item">
-                    <span class="ip-detail-label">时区</span>
-                    <span class="ip-detail-value">${data.location.timezone}</span>
-                </div>
-                `
-                    : ''
-                }
-                ${
-                  data.location.local_time
-                    ? `
-                <div class="ip-detail-item">
-                    <span class="ip-detail-label">当地时间</span>
-                    <span class="ip-detail-value">${data.location.local_time}</span>
-                </div>
-                `
-                    : ''
-                }
-                <div class="ip-detail-item">
-                    <span class="ip-detail-label">欧盟成员</span>
-                    <span class="ip-detail-value">${boolToEmoji(
-                      data.location.is_eu_member,
-                      '🇪🇺 是',
-                      '否'
-                    )}</span>
-                </div>
-            </div>
-        `;
+      const location = data.location;
+      sections.push(html`
+        <div class="ip-detail-section">
+          <div class="ip-detail-section-title">${t('modal.location')}</div>
+          ${renderDetailItem(
+            t('modal.country'),
+            `${location.country || t('common.unknown')} (${
+              location.country_code || '-'
+            })`
+          )}
+          ${location.state
+            ? renderDetailItem(t('modal.state'), location.state)
+            : ''}
+          ${location.city
+            ? renderDetailItem(t('modal.city'), location.city)
+            : ''}
+          ${location.zip ? renderDetailItem(t('modal.zip'), location.zip) : ''}
+          ${location.latitude && location.longitude
+            ? renderDetailItem(
+                t('modal.coordinates'),
+                `${location.latitude}, ${location.longitude}`
+              )
+            : ''}
+          ${location.timezone
+            ? renderDetailItem(t('modal.timezone'), location.timezone)
+            : ''}
+          ${location.local_time
+            ? renderDetailItem(t('modal.localTime'), location.local_time)
+            : ''}
+          ${renderDetailItem(
+            t('modal.eu'),
+            boolToEmoji(
+              location.is_eu_member,
+              `🇪🇺 ${t('common.yes')}`,
+              t('common.no')
+            )
+          )}
+        </div>
+      `);
     }
 
     // 运营商信息
     if (data.company) {
-      const abuserScore = data.company.abuser_score || '未知';
+      const company = data.company;
+      const abuserScore = company.abuser_score || t('common.unknown');
       const badgeClass = getThreatBadgeClass(abuserScore);
 
-      detailHTML += `
-            <div class="ip-detail-section">
-                <div class="ip-detail-section-title">🏢 运营商信息</div>
-                <div class="ip-detail-item">
-                    <span class="ip-detail-label">运营商名称</span>
-                    <span class="ip-detail-value">${
-                      data.company.name || '未知'
-                    }</span>
-                </div>
-                ${
-                  data.company.domain
-                    ? `
-                <div class="ip-detail-item">
-                    <span class="ip-detail-label">域名</span>
-                    <span class="ip-detail-value">${data.company.domain}</span>
-                </div>
-                `
-                    : ''
-                }
-                <div class="ip-detail-item">
-                    <span class="ip-detail-label">类型</span>
-                    <span class="ip-detail-value">${
-                      data.company.type || '未知'
-                    }</span>
-                </div>
-                ${
-                  data.company.network
-                    ? `
-                <div class="ip-detail-item">
-                    <span class="ip-detail-label">网络范围</span>
-                    <span class="ip-detail-value">${data.company.network}</span>
-                </div>
-                `
-                    : ''
-                }
-                <div class="ip-detail-item">
-                    <span class="ip-detail-label">滥用评分</span>
-                    <span class="ip-detail-value"><span class="ip-detail-badge ${badgeClass}">${abuserScore}</span></span>
-                </div>
-            </div>
-        `;
+      sections.push(html`
+        <div class="ip-detail-section">
+          <div class="ip-detail-section-title">${t('modal.company')}</div>
+          ${renderDetailItem(
+            t('modal.companyName'),
+            company.name || t('common.unknown')
+          )}
+          ${company.domain
+            ? renderDetailItem(t('modal.domain'), company.domain)
+            : ''}
+          ${renderDetailItem(
+            t('modal.type'),
+            company.type || t('common.unknown')
+          )}
+          ${company.network
+            ? renderDetailItem(
+                t('modal.network'),
+                renderNetworkRange(company.network)
+              )
+            : ''}
+          ${renderDetailItem(
+            t('modal.abuserScore'),
+            html`<span class="ip-detail-badge ${badgeClass}"
+              >${abuserScore}</span
+            >`
+          )}
+        </div>
+      `);
     }
 
     // ASN 信息
     if (data.asn) {
-      const asnAbuserScore = data.asn.abuser_score || '未知';
+      const asn = data.asn;
+      const asnAbuserScore = asn.abuser_score || t('common.unknown');
       const asnBadgeClass = getThreatBadgeClass(asnAbuserScore);
 
-      detailHTML += `
-            <div class="ip-detail-section">
-                <div class="ip-detail-section-title">🔢 ASN 信息</div>
-                <div class="ip-detail-item">
-                    <span class="ip-detail-label">ASN 编号</span>
-                    <span class="ip-detail-value">AS${
-                      data.asn.asn || '未知'
-                    }</span>
-                </div>
-                ${
-                  data.asn.org
-                    ? `
-                <div class="ip-detail-item">
-                    <span class="ip-detail-label">组织</span>
-                    <span class="ip-detail-value">${data.asn.org}</span>
-                </div>
-                `
-                    : ''
-                }
-                ${
-                  data.asn.route
-                    ? `
-                <div class="ip-detail-item">
-                    <span class="ip-detail-label">路由</span>
-                    <span class="ip-detail-value">${data.asn.route}</span>
-                </div>
-                `
-                    : ''
-                }
-                ${
-                  data.asn.type
-                    ? `
-                <div class="ip-detail-item">
-                    <span class="ip-detail-label">类型</span>
-                    <span class="ip-detail-value">${data.asn.type}</span>
-                </div>
-                `
-                    : ''
-                }
-                <div class="ip-detail-item">
-                    <span class="ip-detail-label">滥用评分</span>
-                    <span class="ip-detail-value"><span class="ip-detail-badge ${asnBadgeClass}">${asnAbuserScore}</span></span>
-                </div>
-                ${
-                  data.asn.country
-                    ? `
-                <div class="ip-detail-item">
-                    <span class="ip-detail-label">国家代码</span>
-                    <span class="ip-detail-value">${data.asn.country.toUpperCase()}</span>
-                </div>
-                `
-                    : ''
-                }
-            </div>
-        `;
+      sections.push(html`
+        <div class="ip-detail-section">
+          <div class="ip-detail-section-title">${t('modal.asnSection')}</div>
+          ${renderDetailItem(
+            t('modal.asn'),
+            `AS${asn.asn || t('common.unknown')}`
+          )}
+          ${asn.org ? renderDetailItem(t('modal.org'), asn.org) : ''}
+          ${asn.route
+            ? renderDetailItem(t('modal.route'), renderNetworkRange(asn.route))
+            : ''}
+          ${asn.type ? renderDetailItem(t('modal.type'), asn.type) : ''}
+          ${renderDetailItem(
+            t('modal.abuserScore'),
+            html`<span class="ip-detail-badge ${asnBadgeClass}"
+              >${asnAbuserScore}</span
+            >`
+          )}
+          ${asn.country
+            ? renderDetailItem(
+                t('modal.countryCode'),
+                String(asn.country).toUpperCase()
+              )
+            : ''}
+        </div>
+      `);
     }
 
     // 滥用联系信息
     if (data.abuse) {
-      detailHTML += `
-            <div class="ip-detail-section">
-                <div class="ip-detail-section-title">📧 滥用举报联系方式</div>
-                ${
-                  data.abuse.name
-                    ? `
-                <div class="ip-detail-item">
-                    <span class="ip-detail-label">联系人</span>
-                    <span class="ip-detail-value">${data.abuse.name}</span>
-                </div>
-                `
-                    : ''
-                }
-                ${
-                  data.abuse.email
-                    ? `
-                <div class="ip-detail-item">
-                    <span class="ip-detail-label">邮箱</span>
-                    <span class="ip-detail-value">${data.abuse.email}</span>
-                </div>
-                `
-                    : ''
-                }
-                ${
-                  data.abuse.phone
-                    ? `
-                <div class="ip-detail-item">
-                    <span class="ip-detail-label">电话</span>
-                    <span class="ip-detail-value">${data.abuse.phone}</span>
-                </div>
-                `
-                    : ''
-                }
-                ${
-                  data.abuse.address
-                    ? `
-                <div class="ip-detail-item">
-                    <span class="ip-detail-label">地址</span>
-                    <span class="ip-detail-value">${data.abuse.address}</span>
-                </div>
-                `
-                    : ''
-                }
-            </div>
-        `;
-    }
-
-    detailHTML += `</div>`;
-    modal.innerHTML = detailHTML;
+      const abuse = data.abuse;
+      sections.push(html`
+        <div class="ip-detail-section">
+          <div class="ip-detail-section-title">${t('modal.abuse')}</div>
+          ${abuse.name
+            ? renderDetailItem(t('modal.abuseName'), abuse.name)
+            : ''}
+          ${abuse.email
+            ? renderDetailItem(t('modal.abuseEmail'), abuse.email)
+            : ''}
+          ${abuse.phone
+            ? renderDetailItem(t('modal.abusePhone'), abuse.phone)
+            : ''}
+          ${abuse.address
+            ? renderDetailItem(t('modal.abuseAddress'), abuse.address)
+            : ''}
+        </div>
+      `);
+    }
+
+    setHtml(modal, html`<div class="ip-detail-content">${sections}</div>`);
     document.body.appendChild(modal);
+    fillCloudflareRangeRow(modal, data.ip);
+  }
+
+  // --- 4c. 手动查询 (IP / 域名) ---
+
+  /** 默认 DoH 服务器 (JSON API),可在查询框旁修改并保存在本地 */
+  const DEFAULT_DOH_ENDPOINT = 'https://cloudflare-dns.com/dns-query';
+
+  /** DNS 记录类型编号 */
+  const DNS_TYPES = { A: 1, CNAME: 5, AAAA: 28 };
+
+  /** 获取当前使用的 DoH 服务器 */
+  function getDohEndpoint() {
+    return localStorage.getItem('dohEndpoint') || DEFAULT_DOH_ENDPOINT;
+  }
+
+  /** 校验域名 (支持国际化域名的 punycode 形式) */
+  function isValidHostname(value) {
+    if (value.length > 253) return false;
+    const labels = value.replace(/\.$/, '').split('.');
+    return (
+      labels.length >= 2 &&
+      labels.every((label) => /^(?!-)[a-z0-9-]{1,63}(?<!-)$/i.test(label)) &&
+      !/^\d+$/.test(labels[labels.length - 1])
+    );
+  }
+
+  /**
+   * 判断查询输入的类型
+   * @param {string} value - 用户输入
+   * @returns {'ipv4' | 'ipv6' | 'hostname' | null}
+   */
+  function classifyLookupInput(value) {
+    if (isValidIPv4(value)) return 'ipv4';
+    if (isValidIPv6(value)) return 'ipv6';
+    if (isValidHostname(value)) return 'hostname';
+    return null;
+  }
+
+  /**
+   * 校验查询输入 (手动输入或点击的 IP),无效时提示原因
+   * 部分国内接口会对 IP 打码 (如 1.2.*.*),不猜测补全,直接拒绝查询
+   * @param {string} value - 查询输入
+   * @returns {'ipv4' | 'ipv6' | 'hostname' | null} 无效时为 null
+   */
+  function checkLookupInput(value) {
+    const kind = classifyLookupInput(value);
+    if (!kind) {
+      showToast(
+        t(value.includes('*') ? 'lookup.masked' : 'lookup.invalidInput')
+      );
+    }
+    return kind;
+  }
+
+  /**
+   * 通过 DoH (JSON API) 查询 DNS 记录
+   * @param {string} name - 域名
+   * @param {'A' | 'AAAA'} type - 记录类型
+   * @returns {Promise<Array<{name: string, type: number, TTL: number, data: string}>>}
+   */
+  async function resolveDns(name, type) {
+    const endpoint = getDohEndpoint();
+    const url =
+      endpoint +
+      (endpoint.includes('?') ? '&' : '?') +
+      `name=${encodeURIComponent(name)}&type=${type}`;
+    const response = await fetch(url, {
+      headers: { accept: 'application/dns-json' },
+    });
+
+    if (!response.ok) {
+      throw new Error(t('dns.httpError', { status: response.status }));
+    }
+
+    const data = await response.json();
+    if (data.Status !== 0) {
+      throw new Error(t('dns.rcodeError', { rcode: data.Status }));
+    }
+    return (data.Answer || []).filter(
+      (record) => record.type === DNS_TYPES[type]
+    );
+  }
+
+  /**
+   * 将域名解析为 IP (优先 IPv4,其次 IPv6)
+   * @param {string} hostname - 域名
+   * @returns {Promise<string>} 解析到的第一个 IP
+   */
+  async function resolveHostname(hostname) {
+    for (const type of ['A', 'AAAA']) {
+      const records = await resolveDns(hostname, type);
+      if (records.length) {
+        return records[0].data;
+      }
+    }
+    throw new Error(t('dns.noAddress'));
+  }
+
+  /**
+   * 处理手动查询表单: 校验输入,必要时先解析域名,再显示详情弹窗
+   * @param {HTMLFormElement} form - 查询表单
+   */
+  async function handleManualLookup(form) {
+    const input = form.querySelector('#ip-lookup-input');
+    const submitButton = form.querySelector('button[type="submit"]');
+    const value = input.value.trim().replace(/^\[|\]$/g, '');
+
+    const kind = checkLookupInput(value);
+    if (!kind) {
+      input.focus();
+      return;
+    }
+
+    submitButton.disabled = true;
+    let ip = value;
+    try {
+      if (kind === 'hostname') {
+        try {
+          ip = await resolveHostname(value);
+        } catch (error) {
+          showToast(t('lookup.resolveFailed', { message: error.message }));
+          console.error('域名解析错误:', error);
+          return;
+        }
+        showToast(t('lookup.resolved', { name: value, ip }));
+      }
+
+      const lookup = await requestIpDetails(ip);
+      showIpDetailModal(lookup.data, lookup);
+    } catch (error) {
+      showToast(t('lookup.detailsFailed'));
+      console.error('IP查询错误:', error);
+    } finally {
+      submitButton.disabled = false;
+    }
+  }
+
+  /**
+   * 初始化手动查询: 回填并保存 DoH 服务器与缓存有效期设置
+   */
+  function initManualLookup() {
+    const form = document.getElementById('ip-lookup-form');
+    if (!form) return;
+
+    const dohInput = document.getElementById('doh-endpoint');
+    dohInput.value = getDohEndpoint();
+    dohInput.addEventListener('change', () => {
+      const endpoint = dohInput.value.trim();
+      if (!endpoint || endpoint === DEFAULT_DOH_ENDPOINT) {
+        localStorage.removeItem('dohEndpoint');
+        dohInput.value = DEFAULT_DOH_ENDPOINT;
+      } else if (/^https:\/\//.test(endpoint)) {
+        localStorage.setItem('dohEndpoint', endpoint);
+      } else {
+        showToast(t('lookup.dohHttps'));
+        dohInput.value = getDohEndpoint();
+      }
+    });
+
+    const ttlSelect = document.getElementById('ip-cache-ttl');
+    ttlSelect.value = String(getIpCacheTtl());
+    ttlSelect.addEventListener('change', () => {
+      localStorage.setItem('ipCacheTtl', ttlSelect.value);
+      if (ttlSelect.value === '0') {
+        localStorage.removeItem(IP_CACHE_KEY);
+      }
+    });
+
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      handleManualLookup(form);
+    });
+  }
+
+  // --- 4d. 风控评分设置 ---
+
+  /**
+   * 保存当前方案的一项自定义权重
+   * @param {string} field - companyWeight / asnWeight / 风险项 key
+   * @param {number} value - 权重
+   */
+  function saveScoreOverride(field, value) {
+    const name = getScoreProfileName();
+    const overrides = readScoreOverrides();
+    const profileOverrides = overrides[name] || {};
+
+    if (field === 'companyWeight' || field === 'asnWeight') {
+      profileOverrides[field] = value;
+    } else {
+      profileOverrides.flags = { ...profileOverrides.flags, [field]: value };
+    }
+
+    overrides[name] = profileOverrides;
+    localStorage.setItem('scoreOverrides', JSON.stringify(overrides));
+  }
+
+  /** 清除当前方案的自定义权重 */
+  function resetScoreOverrides() {
+    const overrides = readScoreOverrides();
+    delete overrides[getScoreProfileName()];
+    localStorage.setItem('scoreOverrides', JSON.stringify(overrides));
+  }
+
+  /**
+   * 渲染风控评分设置面板 (方案选择 + 可编辑的权重)
+   */
+  function renderScoreSettings() {
+    const container = document.getElementById('score-settings-body');
+    if (!container) return;
+
+    const profile = getActiveScoreProfile();
+    const profileOptions = Object.entries(SCORE_PROFILES).map(
+      ([name, item]) =>
+        html`<option
+          value="${name}"
+          ${name === profile.name ? trustedHtml(' selected') : ''}
+        >
+          ${item.label}
+        </option>`
+    );
+
+    const weightInput = (field, label, value) => html` <label>
+      ${label}
+      <input
+        type="number"
+        class="tool-input score-weight-input"
+        data-field="${field}"
+        value="${value}"
+        min="0"
+        step="0.05"
+      />
+    </label>`;
+
+    setHtml(
+      container,
+      html` <div class="tool-controls">
+          <label>
+            ${t('score.profile')}
+            <select id="score-profile" class="tool-input">
+              ${profileOptions}
+            </select>
+          </label>
+          <button type="button" id="score-reset" class="tool-button">
+            ${t('score.reset')}
+          </button>
+        </div>
+        <div class="tool-controls score-weights">
+          ${weightInput(
+            'companyWeight',
+            t('score.company') + ' ×',
+            profile.companyWeight
+          )}
+          ${weightInput('asnWeight', t('score.asn') + ' ×', profile.asnWeight)}
+          ${RISK_FLAGS.map((flag) =>
+            weightInput(flag.key, flag.label + ' +', profile.flags[flag.key])
+          )}
+        </div>`
+    );
+  }
+
+  /**
+   * 初始化风控评分设置面板
+   */
+  function initScoreSettings() {
+    const container = document.getElementById('score-settings-body');
+    if (!container) return;
+
+    renderScoreSettings();
+
+    container.addEventListener('change', (event) => {
+      if (event.target.id === 'score-profile') {
+        localStorage.setItem('scoreProfile', event.target.value);
+        renderScoreSettings();
+        return;
+      }
+
+      const field = event.target.dataset.field;
+      if (field) {
+        const value = parseFloat(event.target.value);
+        if (Number.isNaN(value) || value < 0) {
+          showToast(t('score.invalidWeight'));
+          renderScoreSettings();
+          return;
+        }
+        saveScoreOverride(field, value);
+      }
+    });
+
+    container.addEventListener('click', (event) => {
+      if (event.target.id === 'score-reset') {
+        resetScoreOverrides();
+        renderScoreSettings();
+        showToast(t('score.resetDone'));
+      }
+    });
+  }
+
+  // --- 4e. 多源 IP 情报比对 ---
+
+  /** 比对字段的显示名称与格式 (参与比对的字段见 ipcheck-core.js) */
+  const INTEL_FIELD_DISPLAY = {
+    country: { label: t('modal.country') },
+    city: { label: t('modal.city') },
+    asn: { label: 'ASN', format: (value) => `AS${value}` },
+    org: { label: t('modal.org') },
+    type: { label: t('intel.type') },
+    is_proxy: { label: t('modal.proxy') },
+    is_vpn: { label: 'VPN' },
+    is_datacenter: { label: t('modal.datacenter') },
+  };
+
+  /** 参与比对的字段,附带名称 label 与格式化函数 format */
+  const INTEL_FIELDS = IpCheckCore.INTEL_FIELDS.map((field) => ({
+    ...field,
+    ...INTEL_FIELD_DISPLAY[field.key],
+  }));
+
+  /** 获取已启用的附加数据源名称 */
+  function getEnabledIntelProviders() {
+    try {
+      const saved = JSON.parse(localStorage.getItem('intelProviders'));
+      if (Array.isArray(saved)) return saved;
+    } catch (error) {
+      // 设置损坏时回退到默认值
+    }
+    return getDefaultIntelProviders();
+  }
+
+  /**
+   * 格式化比对字段的值
+   * @returns {string|SafeHtml} 纯文本在插入 html`` 模板时转义
+   */
+  function formatIntelValue(field, value) {
+    if (typeof value === 'boolean')
+      return t(value ? 'common.yes' : 'common.no');
+    if (field.key === 'type') return formatIpType(value);
+    return field.format ? field.format(value) : value;
+  }
+
+  /**
+   * 渲染多源比对区块
+   * @param {Array<object>} sources - 包含 ipapi.is 在内的所有数据源结果
+   * @returns {SafeHtml|string} 区块 HTML,只有一个成功的数据源时返回空字符串
+   */
+  function renderIntelConsensus(sources) {
+    const succeeded = sources.filter((source) => source.values);
+    if (succeeded.length < 2) return '';
+
+    const rows = computeIntelConsensus(succeeded, INTEL_FIELDS);
+    const conflicts = rows.filter((row) => !row.agree).length;
+
+    const rowsHTML = rows.map((row) => {
+      // 一致时合并显示,存在分歧或不参与判定时逐个列出各数据源的值
+      const valueHTML =
+        row.agree && row.field.compare !== false
+          ? html`<span class="success-text"
+                >✅ ${formatIntelValue(row.field, row.values[0].value)}</span
+              >
+              <small
+                >(${t('intel.agree', {
+                  count: row.values.length,
+                })})</small
+              >`
+          : row.values.map(
+              (item) =>
+                html`<span class="intel-value"
+                  >${formatIntelValue(row.field, item.value)}
+                  <small>${item.provider}</small></span
+                >`
+            );
+      return html` <div
+        class="ip-detail-item${row.agree ? '' : ' intel-conflict'}"
+      >
+        <span class="ip-detail-label"
+          >${row.agree ? '' : '⚠️ '}${row.field.label}</span
+        >
+        <span class="ip-detail-value intel-values">${valueHTML}</span>
+      </div>`;
+    });
+
+    const failed = sources.filter((source) => source.error);
+    const failedHTML = failed.length
+      ? html`<div class="intel-failed">
+          ${t('intel.failed')}${failed.map((source) => source.name).join(', ')}
+        </div>`
+      : '';
+
+    return html` <div class="ip-detail-section">
+      <div class="ip-detail-section-title">
+        ${t('intel.title')}
+        <span class="ip-detail-source"
+          >${succeeded.map((source) => source.name).join(' / ')}</span
+        >
+        ${conflicts
+          ? html`<span class="ip-detail-badge badge-warning"
+              >${t('intel.conflicts', { count: conflicts })}</span
+            >`
+          : html`<span class="ip-detail-badge badge-success"
+              >${t('intel.allAgree')}</span
+            >`}
+      </div>
+      ${rowsHTML} ${failedHTML}
+    </div>`;
+  }
+
+  /**
+   * 初始化附加数据源设置 (勾选参与比对的数据源)
+   */
+  function initIntelSettings() {
+    const container = document.getElementById('intel-settings-body');
+    if (!container) return;
+
+    const enabled = getEnabledIntelProviders();
+    setHtml(
+      container,
+      html` <div class="tool-controls">
+        ${INTEL_PROVIDERS.map(
+          (provider) => html` <label>
+            <input
+              type="checkbox"
+              value="${provider.name}"
+              ${enabled.includes(provider.name) ? trustedHtml(' checked') : ''}
+            />
+            ${provider.name}
+          </label>`
+        )}
+      </div>`
+    );
+
+    container.addEventListener('change', () => {
+      const names = [
+        ...container.querySelectorAll('input[type="checkbox"]:checked'),
+      ].map((input) => input.value);
+      localStorage.setItem('intelProviders', JSON.stringify(names));
+    });
+  }
+
+  // --- 4f. CIDR 与 Cloudflare 网段 ---
+
+  /** 内置的 Cloudflare 官方 IP 段,更新方法见 README */
+  const CLOUDFLARE_RANGES_URL = 'cloudflare-ips.json';
+
+  let cloudflareRangesPromise = null;
+
+  /**
+   * 格式化网段内的地址数量 (过大时以 2 的幂表示)
+   * @param {ReturnType<typeof parseNetworkRange>} range - 网段
+   * @returns {string}
+   */
+  function formatAddressCount(range) {
+    const count = range.last - range.first + 1n;
+    const exponent = count.toString(2).length - 1;
+    if (exponent > 32 && count === 1n << BigInt(exponent)) {
+      return `2^${exponent}`;
+    }
+    return count.toLocaleString();
+  }
+
+  /**
+   * 加载 Cloudflare IP 段 (只请求一次)
+   * @returns {Promise<object|null>} 加载失败时返回 null
+   */
+  function loadCloudflareRanges() {
+    if (!cloudflareRangesPromise) {
+      cloudflareRangesPromise = fetch(CLOUDFLARE_RANGES_URL)
+        .then((response) => {
+          if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+          }
+          return response.json();
+        })
+        .then((data) => ({
+          ...data,
+          ranges: [...data.ipv4, ...data.ipv6].map((cidr) => ({
+            cidr,
+            ...parseNetworkRange(cidr),
+          })),
+        }))
+        .catch((error) => {
+          console.error('加载 Cloudflare IP 段错误:', error);
+          cloudflareRangesPromise = null;
+          return null;
+        });
+    }
+    return cloudflareRangesPromise;
+  }
+
+  /**
+   * 查找 IP 所在的 Cloudflare 网段
+   * @param {string} ip - IP 地址
+   * @returns {Promise<{cidr: string}|null|undefined>} 不在网段内返回 null,列表加载失败返回 undefined
+   */
+  async function findCloudflareRange(ip) {
+    const table = await loadCloudflareRanges();
+    if (!table) return undefined;
+    return table.ranges.find((range) => rangeContainsIp(range, ip)) || null;
+  }
+
+  /**
+   * 获取各出口卡片检测到的 IP
+   * @returns {Array<{label: string, ip: string}>}
+   */
+  function getEgressIpList() {
+    const list = [];
+    Object.entries(networkResults).forEach(([key, result]) => {
+      if (result.status !== 'success') return;
+      const label = networkProviders[key]?.label || key;
+      new Set(
+        [result.ip, result.stacks?.v4, result.stacks?.v6].filter(Boolean)
+      ).forEach((ip) => list.push({ label, ip }));
+    });
+    return list;
+  }
+
+  /**
+   * 渲染网段的首末地址、地址数量以及是否包含用户的出口 IP
+   * @param {string} text - company.network 或 asn.route
+   * @returns {SafeHtml} HTML
+   */
+  function renderNetworkRange(text) {
+    const range = parseNetworkRange(String(text));
+    if (!range) return html`${text}`;
+
+    const egress = getEgressIpList().filter(({ ip }) =>
+      rangeContainsIp(range, ip)
+    );
+    const egressHTML = egress.length
+      ? html`<span class="warning-text"
+          >${t('cidr.containsEgress')}${egress
+            .map(({ label, ip }) => `${label} ${ip}`)
+            .join(', ')}</span
+        >`
+      : t('cidr.noEgress');
+
+    return html` ${text}
+      <span class="network-range-details">
+        ${formatIpAddress(range.version, range.first)} –
+        ${formatIpAddress(range.version, range.last)} ·
+        ${t('cidr.count', {
+          count: formatAddressCount(range),
+        })}<br />${egressHTML}
+      </span>`;
+  }
+
+  /**
+   * 填充弹窗中的"Cloudflare 网段"一行
+   * @param {HTMLElement} modal - IP 详情弹窗
+   * @param {string} ip - IP 地址
+   */
+  async function fillCloudflareRangeRow(modal, ip) {
+    const cell = modal.querySelector('.cloudflare-range');
+    if (!cell) return;
+
+    const range = ip ? await findCloudflareRange(ip) : undefined;
+    if (range === undefined) {
+      cell.textContent = t('common.unknown');
+    } else if (range) {
+      setHtml(
+        cell,
+        html`<span class="success-text"
+          >✅ ${t('common.yes')} (${range.cidr})</span
+        >`
+      );
+    } else {
+      cell.textContent = t('common.no');
+    }
   }
 
   // --- 5. 统一事件监听 (优化) ---
@@ -1067,6 +5845,107 @@ document.addEventListener('DOMContentLoaded', () => {
         return;
       }
 
+      // 委托：开始测速
+      if (event.target.closest('#latency-start')) {
+        runLatencyTest();
+        return;
+      }
+
+      // 委托：导出诊断报告
+      const exportButton = event.target.closest('[data-report-format]');
+      if (exportButton) {
+        exportDiagnosticsReport(exportButton.dataset.reportFormat);
+        return;
+      }
+
+      // 委托：重新检测 WebRTC
+      if (event.target.closest('#webrtc-start')) {
+        runWebRtcCheck();
+        return;
+      }
+
+      // 委托：批量复制所选域名
+      if (event.target.closest('#bulk-copy')) {
+        copySelectedDomains();
+        return;
+      }
+
+      // 委托：全选 / 清空所选域名
+      const selectButton = event.target.closest('[data-select-domains]');
+      if (selectButton) {
+        selectVisibleDomains(selectButton.dataset.selectDomains === 'all');
+        return;
+      }
+
+      // 委托：标签筛选
+      const tagButton = event.target.closest('.domain-tag');
+      if (tagButton) {
+        toggleDomainTag(tagButton.dataset.tag);
+        return;
+      }
+
+      // 委托：重置域名筛选
+      if (event.target.closest('#domain-filter-reset')) {
+        resetDomainFilters();
+        return;
+      }
+
+      // 委托：收藏 / 取消收藏域名
+      const favoriteButton = event.target.closest('.favorite-toggle');
+      if (favoriteButton) {
+        toggleMyDomain(favoriteButton.dataset.domain);
+        return;
+      }
+
+      // 委托：导入我的优选
+      if (event.target.closest('#my-domains-import')) {
+        const input = document.getElementById('my-domains-input');
+        importMyDomains(input.value);
+        input.value = '';
+        return;
+      }
+
+      // 委托：导出我的优选
+      if (event.target.closest('#my-domains-export')) {
+        const text = formatMyDomainsText();
+        if (text) {
+          copyText(text, t('mine.exported'));
+        } else {
+          showToast(t('mine.exportEmpty'));
+        }
+        return;
+      }
+
+      // 委托：生成代理配置
+      if (event.target.closest('#config-generate')) {
+        generateProxyConfig();
+        return;
+      }
+
+      // 委托：复制生成的配置
+      if (event.target.closest('#config-copy')) {
+        const output = document.getElementById('config-output').value;
+        if (output) {
+          copyText(output, t('config.copied'));
+        } else {
+          showToast(t('config.generateFirst'));
+        }
+        return;
+      }
+
+      // 委托：清空出口历史记录
+      if (event.target.closest('#history-clear')) {
+        clearEgressHistory();
+        return;
+      }
+
+      // 委托：解析卡片上的域名
+      const resolveButton = event.target.closest('.resolve-domain');
+      if (resolveButton) {
+        resolveDomainCard(resolveButton);
+        return;
+      }
+
       // 委托：IP 详情点击
       const ipElement = event.target.closest('.ip-text.clickable');
       if (ipElement) {
@@ -1082,6 +5961,13 @@ document.addEventListener('DOMContentLoaded', () => {
         return;
       }
 
+      // 委托：IP 详情弹窗刷新按钮 (忽略缓存)
+      const refreshButton = event.target.closest('.ip-detail-refresh');
+      if (refreshButton) {
+        refreshIpDetails(refreshButton);
+        return;
+      }
+
       // 委托：IP 详情弹窗关闭按钮
       const closeModalButton = event.target.closest('.ip-detail-close');
       if (closeModalButton) {
@@ -1107,6 +5993,22 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     });
 
+    // 域名卡片勾选
+    document.addEventListener('change', (event) => {
+      if (event.target.classList.contains('domain-select')) {
+        setDomainSelected(event.target.dataset.domain, event.target.checked);
+        updateDomainSelection();
+      }
+    });
+
+    // 测速：按延迟排序开关
+    const latencySort = document.getElementById('latency-sort');
+    if (latencySort) {
+      latencySort.addEventListener('change', () => {
+        sortDomainCards();
+      });
+    }
+
     // 全局键盘事件
     document.addEventListener('keydown', (e) => {
       if (e.key === 'Escape') {
@@ -1130,10 +6032,19 @@ document.addEventListener('DOMContentLoaded', () => {
    * 启动应用
    */
   function initApp() {
+    initLanguage();
     initTheme(); // (现在只负责绑定事件)
-    initLazyLoading();
+    initDomainCatalog(); // (渲染完成后初始化图片懒加载)
     loadNetworkInfo();
+    initManualLookup();
+    initScoreSettings();
+    initIntelSettings();
+    initEgressHistory();
+    initMonitor();
+    initWebRtcSettings();
+    initConfigGenerator();
     fetchVisitCount();
+    initOfflineSupport();
     initEventListeners();
   }
 
@@ -1,7 +1,19 @@
 document.addEventListener('DOMContentLoaded', () => {
-  function t(t) {
+  function e(e, n) {
+    navigator.clipboard && navigator.clipboard.writeText
+      ? navigator.clipboard
+          .writeText(e)
+          .then(() => {
+            o(n);
+          })
+          .catch((o) => {
+            t(e, n);
+          })
+      : t(e, n);
+  }
+  function t(e, t) {
     const n = document.createElement('textarea');
-    (n.value = t),
+    (n.value = e),
       (n.style.position = 'fixed'),
       (n.style.left = '-999999px'),
       (n.style.top = '-999999px'),
@@ -9,531 +21,3995 @@ document.addEventListener('DOMContentLoaded', () => {
       n.focus(),
       n.select();
     try {
-      document.execCommand('copy'), e('✅ 已复制: ' + t);
-    } catch (t) {
-      e('❌ 复制失败，请手动复制');
+      document.execCommand('copy'), o(t);
+    } catch (e) {
+      o(f('toast.copyFailed'));
     }
     document.body.removeChild(n);
   }
-  function e(t) {
-    const e = document.querySelector('.toast');
-    e && e.remove();
-    const n = document.createElement('div');
-    (n.className = 'toast'),
-      (n.textContent = t),
-      document.body.appendChild(n),
-      setTimeout(() => n.classList.add('show'), 10),
+  function o(e) {
+    const t = document.querySelector('.toast');
+    t && t.remove();
+    const o = document.createElement('div');
+    (o.className = 'toast'),
+      (o.textContent = e),
+      document.body.appendChild(o),
+      setTimeout(() => o.classList.add('show'), 10),
       setTimeout(() => {
-        n.classList.remove('show'), setTimeout(() => n.remove(), 300);
+        o.classList.remove('show'), setTimeout(() => o.remove(), 300);
       }, 3e3);
   }
-  function n(t, e) {
-    const n = document.getElementById(t);
-    n && (n.className = 'status-indicator status-' + e);
-  }
-  async function a() {
-    n('status-ipip', 'loading');
-    const t = document.querySelector('#status-ipip').parentElement,
-      e = [
-        {
-          name: 'speedtest.cn',
-          url: 'https://api-v3.speedtest.cn/ip',
-          parser: (t) => {
-            if (0 === t.code && t.data)
-              return {
-                ip: t.data.ip || '未知',
-                country: t.data.country || '未知',
-                city: t.data.city || '未知',
-              };
-            throw new Error('数据格式错误');
+  class n {
+    constructor(e) {
+      this.value = e;
+    }
+    toString() {
+      return this.value;
+    }
+  }
+  const r = 'sw.js',
+    a = window.trustedTypes
+      ? window.trustedTypes.createPolicy('ipcheck', {
+          createHTML: (e) => e,
+          createScriptURL: (e) => {
+            if (e !== r) throw new TypeError(`不允许加载的脚本地址: ${e}`);
+            return e;
           },
-        },
-        {
-          name: 'ipipv.com',
-          url: 'https://myip.ipipv.com/',
-          parser: (t) => ({
-            ip: t.Ip || '未知',
-            country: t.Country || '未知',
-            city: t.City || '未知',
+        })
+      : null;
+  function s(e) {
+    return null == e
+      ? ''
+      : e instanceof n
+      ? e.value
+      : Array.isArray(e)
+      ? e.map(s).join('')
+      : (function (e) {
+          const t = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;',
+          };
+          return String(e).replace(/[&<>"']/g, (e) => t[e]);
+        })(e);
+  }
+  function i(e, ...t) {
+    return new n(
+      e.reduce((e, o, n) => e + o + (n < t.length ? s(t[n]) : ''), '')
+    );
+  }
+  function l(e) {
+    return new n(String(e));
+  }
+  function c(e, t) {
+    if (!(t instanceof n))
+      throw new TypeError('setHtml 只接受 html`` 模板生成的片段');
+    e.innerHTML = a ? a.createHTML(t.value) : t.value;
+  }
+  function d(e, t) {
+    const o = document.getElementById(e);
+    o && (o.className = 'status-indicator status-' + t);
+  }
+  const u = 'lang',
+    m = 'zh-CN',
+    p = {
+      'zh-CN': {
+        'toast.copied': '✅ 已复制: {text}',
+        'toast.copyFailed': '❌ 复制失败，请手动复制',
+        'domain.badgeWildcard': '泛域名',
+        'domain.badgeThreeNetwork': '三网优选',
+        'domain.badgeMaintainer': '{name}维护',
+        'domain.select': '选择该域名',
+        'domain.favorite': '收藏到我的优选',
+        'domain.chartAlt': '延迟统计图',
+        'domain.expandList': '点击展开「{title}」',
+        'domain.catalogFailed': '域名列表加载失败，请刷新重试',
+        'mine.title': '⭐ 我的优选',
+        'mine.subtitle':
+          '点击域名卡片上的 ☆ 收藏，或导入自己的 domain#备注 列表，数据仅保存在本地浏览器。',
+        'mine.importExport': '导入 / 导出「我的优选」',
+        'mine.placeholder': '每行一个，格式: domain#备注',
+        'mine.import': '导入',
+        'mine.export': '复制导出',
+        'mine.empty': '暂无收藏的域名',
+        'mine.emptyText': '（空）',
+        'mine.importEmpty': '❌ 没有可导入的域名，格式: domain#备注',
+        'mine.imported': '✅ 已导入 {count} 个域名',
+        'mine.importSkipped': '，{count} 行格式错误已跳过',
+        'mine.starred': '⭐ 已收藏: {domain}',
+        'mine.unstarred': '已取消收藏: {domain}',
+        'filter.status': '显示 {visible} / {total} 张域名卡片',
+        'latency.testing': '测速中...',
+        'latency.loss': '丢包 {loss}%',
+        'latency.failed': '失败 · {loss}',
+        'latency.result': '{median}ms · 抖动 {jitter}ms · {loss}',
+        'latency.progress': '正在测速 {index}/{total}: {domain}',
+        'latency.done':
+          '测速完成，共 {total} 个域名（端口 {port}，每个域名 {rounds} 次）',
+        'dns.resolve': '解析',
+        'dns.resolveTitle': '通过 DoH 查询 A / AAAA 记录',
+        'domain.selected': '已选择 {count} 个域名',
+        'domain.selectFirst': '❌ 请先勾选域名卡片',
+        'config.templateProtocol':
+          '模板链接仅支持 vless://、trojan://、vmess://',
+        'config.vmessInvalid': 'vmess 链接解析失败',
+        'config.templateInvalid': '模板链接格式错误',
+        'config.portRequired': '❌ 请至少选择一个端口',
+        'config.templateRequired': '❌ 该格式需要填写模板链接',
+        'config.generated': '✅ 已生成 {count} 个节点',
+        'config.tlsSkipped':
+          '✅ 已生成 {count} 个节点（{protocol} 必须使用 TLS，已跳过 {skipped} 个 HTTP 端口节点）',
+        'config.tlsRequired':
+          '❌ {protocol} 必须使用 TLS，请至少选择一个 HTTPS 端口 (🔒)',
+        'bulk.portsInvalid': '❌ 端口格式错误，多个端口用逗号分隔',
+        'bulk.copied': '✅ 已复制 {count} 个条目',
+        'dns.query': '第 {count} 次查询 · {time}',
+        'dns.changed': '解析结果有变化 (+{added} / -{removed})',
+        'dns.unchanged': '与上次相同',
+        'dns.totalChanges': '共变化 {count} 次',
+        'dns.new': '新',
+        'dns.empty': '未解析到 A / AAAA 记录',
+        'dns.removed': '已不在结果中: ',
+        'dns.resolving': '解析中...',
+        'common.unknown': '未知',
+        'common.loading': '加载中...',
+        'common.loadFailed': '加载失败',
+        'common.checking': '检测中...',
+        'card.ipip': '国内测试',
+        'card.edgeone': '国外测试',
+        'card.twitter': '墙外测试',
+        'card.noFamily': '无 {family}',
+        'trace.enabled': '已开启',
+        'trace.disabled': '未开启',
+        'trace.gateway': 'Zero Trust 网关',
+        'trace.tls': 'TLS 版本',
+        'trace.kex': '密钥交换',
+        'trace.postQuantum': '后量子',
+        'trace.http': 'HTTP 版本',
+        'trace.sniPlaintext': '明文',
+        'trace.sniEncrypted': '加密 (ECH)',
+        'trace.sniOff': '未发送',
+        'trace.scheme': '访问协议',
+        'trace.host': '访问域名',
+        'trace.time': '服务器时间',
+        'trace.details': 'Trace 详情',
+        'colo.far': '⚠️ 绕路',
+        'colo.farTitle':
+          'Colo 距离出口国家 ({country}) 约 {distance} 公里，可能存在 Anycast 绕路',
+        'common.separator': '；',
+        'common.listJoiner': '、',
+        'report.title': '网络诊断报告',
+        'report.generatedAt': '生成时间',
+        'report.version': '报告版本',
+        'report.browser': '浏览器',
+        'report.egress': '出口信息',
+        'report.egressColumns':
+          '卡片 | 状态 | 接口 | IP | IPv4 | IPv6 | 国家/地区 | 城市/组织 | Colo',
+        'report.lookups': 'IP 详情查询',
+        'report.lookupColumns':
+          'IP | 国家 | ASN | 组织 | 类型 | 风控值 | 等级 | 查询时间',
+        'report.jsonDownloaded': '✅ 已下载 JSON 报告',
+        'report.csvDownloaded': '✅ 已下载 CSV 报告',
+        'report.markdownCopied': '✅ 已复制 Markdown 报告',
+        'history.unsupported': '当前浏览器不支持 IndexedDB',
+        'history.failed': '检测失败',
+        'history.readFailed': '❌ 无法读取历史记录: {message}',
+        'history.noMatch': '没有符合条件的记录',
+        'history.empty': '暂无历史记录',
+        'history.columns': '时间|卡片|IP|国家/地区|Colo|接口',
+        'history.summary': '共 {count} 条记录',
+        'history.truncated': '，仅显示最近 {count} 条',
+        'history.confirmClear': '确定清空全部出口历史记录吗？',
+        'history.cleared': '✅ 已清空历史记录',
+        'history.clearFailed': '❌ 清空历史记录失败',
+        'monitor.country': '国家/地区',
+        'monitor.failed': '{card}: 检测失败',
+        'monitor.notificationTitle': '出口发生变化',
+        'monitor.paused': '⏸️ 页面不可见，已暂停',
+        'monitor.next': '下次检测: {time}',
+        'monitor.notificationUnsupported': '❌ 当前浏览器不支持通知',
+        'monitor.notificationDenied': '❌ 未获得通知权限',
+        'routing.heading': '🧭 分流诊断：{title}',
+        'routing.cardFailed': '{card}检测失败',
+        'routing.unknownTitle': '无法判断',
+        'routing.unknownDescription': '成功的检测不足两项，无法分析分流情况。',
+        'routing.mixedCountries': '国外出口国家不一致: {list}',
+        'routing.directTitle': '全局直连',
+        'routing.directDescription':
+          '所有检测均使用同一个中国 IP，国外流量没有经过代理。',
+        'routing.globalTitle': '全局代理',
+        'routing.globalDescription':
+          '所有检测均使用同一个 IP（{country}），国内流量也经过了代理，或当前身处海外。',
+        'routing.noDomesticTitle': '无法判断国内出口',
+        'routing.noDomesticDescription':
+          '国内测试失败，无法确认国内流量是否直连。',
+        'routing.domesticProxiedTitle': '国内流量走了代理',
+        'routing.domesticProxiedDescription':
+          '国内测试的出口位于{country}，访问国内网站也经过了代理。',
+        'routing.leakedTitle': '国外流量未走代理',
+        'routing.leakedDescription':
+          '{cards}使用了国内出口，对应的分流规则没有命中代理。',
+        'routing.okTitle': '分流正常',
+        'routing.okDescription':
+          '国内流量直连（{domestic}），国外流量经代理出口（{foreign}）。',
+        'webrtc.unsupported': '当前浏览器不支持 WebRTC',
+        'webrtc.invalidServer': 'STUN 服务器地址无效',
+        'webrtc.failed': 'WebRTC 检测失败',
+        'webrtc.leak': '⚠️ 检测到 WebRTC 泄露：公网候选与代理出口不一致',
+        'webrtc.noPublic': '✅ 未获取到公网候选，WebRTC 未暴露公网 IP',
+        'webrtc.waiting': '等待出口检测完成后比对...',
+        'webrtc.safe': '✅ 公网候选与代理出口一致，未发现泄露',
+        'webrtc.unmatched':
+          '部分公网候选的协议族 (IPv4 / IPv6) 没有检测到代理出口，无法比对',
+        'webrtc.public': '公网 (srflx)',
+        'webrtc.host': '内网 (host)',
+        'webrtc.none': '无',
+        'webrtc.serverPrefix': '❌ STUN 服务器必须以 stun: 开头',
+        'lookup.throttled': '⏳ 查询过于频繁，{seconds} 秒后自动继续',
+        'lookup.masked': '❌ 接口返回的 IP 已打码，无法查询详情',
+        'lookup.detailsFailed': '❌ 查询IP详细信息失败',
+        'modal.refresh': '🔄 刷新',
+        'modal.refreshing': '刷新中...',
+        'modal.refreshed': '✅ 已刷新 IP 详细信息',
+        'modal.refreshFailed': '❌ 刷新IP详细信息失败',
+        'age.now': '刚刚',
+        'age.minutes': '{count} 分钟前',
+        'age.hours': '{count} 小时前',
+        'age.days': '{count} 天前',
+        'offline.stale': '离线数据 · {age}',
+        'offline.staleTitle': '网络已断开，显示的是 {time} 的结果',
+        'offline.lastResult': '上次结果 · {age}',
+        'offline.lastResultTitle': '无法连接接口，显示的是 {time} 的结果',
+        'offline.offline': '📴 网络已断开，将显示上次的检测结果',
+        'offline.online': '🔄 网络已恢复，正在刷新',
+        'ipType.isp': '住宅',
+        'ipType.hosting': '机房',
+        'ipType.business': '商用',
+        'risk.critical': '极度危险',
+        'risk.high': '高风险',
+        'risk.elevated': '轻微风险',
+        'risk.low': '纯净',
+        'risk.veryLow': '极度纯净',
+        'flag.crawler': '爬虫 (Crawler)',
+        'flag.proxy': '代理 (Proxy)',
+        'flag.tor': 'Tor 网络',
+        'flag.abuser': '滥用IP (Abuser)',
+        'flag.bogon': '虚假IP (Bogon)',
+        'flag.datacenter': '数据中心 (Datacenter)',
+        'score.profileDefault': '默认',
+        'score.profileStrict': '严格',
+        'score.profileStreaming': '流媒体',
+        'score.company': '运营商分',
+        'score.asn': 'ASN分',
+        'score.hit': '命中',
+        'score.flags': '安全风险项',
+        'score.noHit': '未命中',
+        'score.total': '合计',
+        'score.profileName': '{name}方案',
+        'score.customized': '（自定义）',
+        'score.tooltipTitle': '📊 综合滥用评分算法（{name}方案）',
+        'score.formula': '评分公式',
+        'score.base': '基础分',
+        'score.extra': '风险附加',
+        'score.extraFormula': '命中风险项的权重之和',
+        'score.levels': '风险等级',
+        'modal.ip': 'IP 地址',
+        'modal.cloudflareRange': 'Cloudflare 网段',
+        'modal.rir': '区域互联网注册机构',
+        'modal.types': '运营商 / ASN 类型',
+        'modal.mobile': '移动网络',
+        'modal.datacenter': '数据中心',
+        'modal.satellite': '卫星网络',
+        'modal.crawler': '爬虫',
+        'modal.proxy': '代理服务器',
+        'modal.tor': 'Tor 网络',
+        'modal.abuser': '滥用 IP',
+        'modal.bogon': '虚假 IP',
+        'modal.country': '国家',
+        'modal.state': '省份/州',
+        'modal.city': '城市',
+        'modal.zip': '邮编',
+        'modal.coordinates': '坐标',
+        'modal.timezone': '时区',
+        'modal.localTime': '当地时间',
+        'modal.eu': '欧盟成员',
+        'modal.companyName': '运营商名称',
+        'modal.domain': '域名',
+        'modal.type': '类型',
+        'modal.network': '网络范围',
+        'modal.abuserScore': '滥用评分',
+        'modal.asn': 'ASN 编号',
+        'modal.org': '组织',
+        'modal.route': '路由',
+        'modal.countryCode': '国家代码',
+        'modal.abuseName': '联系人',
+        'modal.abuseEmail': '邮箱',
+        'modal.abusePhone': '电话',
+        'modal.abuseAddress': '地址',
+        'modal.basic': '📍 基本信息',
+        'modal.security': '🛡️ 安全检测',
+        'modal.location': '🌍 位置信息',
+        'modal.company': '🏢 运营商信息',
+        'modal.asnSection': '🔢 ASN 信息',
+        'modal.abuse': '📧 滥用举报联系方式',
+        'common.yes': '是',
+        'common.no': '否',
+        'modal.close': '关闭弹窗',
+        'modal.title': '🔍 IP 详细信息',
+        'modal.source': '数据来源: {source}',
+        'modal.cachedAt': '缓存于 {age}',
+        'modal.fetchedAt': '获取于 {age}',
+        'modal.abuseScore': '综合滥用评分',
+        'modal.scoreHelp': '点击查看算法说明',
+        'dns.httpError': 'DoH 查询失败: HTTP {status}',
+        'dns.rcodeError': 'DoH 查询失败: RCODE {rcode}',
+        'dns.noAddress': '未解析到 IP 地址',
+        'lookup.invalidInput': '❌ 请输入有效的 IPv4、IPv6 地址或域名',
+        'lookup.resolveFailed': '❌ 域名解析失败: {message}',
+        'lookup.resolved': '✅ {name} 解析为 {ip}',
+        'lookup.dohHttps': '❌ DoH 服务器必须是 https:// 地址',
+        'score.profile': '评分方案',
+        'score.reset': '恢复方案默认值',
+        'score.invalidWeight': '❌ 权重必须是非负数',
+        'score.resetDone': '✅ 已恢复方案默认权重',
+        'intel.type': 'IP 类型',
+        'intel.agree': '{count} 个来源一致',
+        'intel.failed': '未响应: ',
+        'intel.title': '🧭 多源比对',
+        'intel.conflicts': '{count} 项存在分歧',
+        'intel.allAgree': '全部一致',
+        'cidr.containsEgress': '包含你的出口 IP: ',
+        'cidr.noEgress': '不包含你的出口 IP',
+        'cidr.count': '{count} 个地址',
+        'mine.exported': '✅ 已复制我的优选列表',
+        'mine.exportEmpty': '❌ 我的优选为空',
+        'config.copied': '✅ 已复制配置',
+        'config.generateFirst': '❌ 请先生成配置',
+        'lang.name': '中文',
+        'lang.switch': '切换语言',
+        'page.title': 'CloudFlare优选域名汇总 - CF优选域名',
+        'page.description':
+          'CloudFlare优选域名汇总 - 提供优质的CloudFlare CDN节点信息',
+        'page.toggleTheme': '切换主题',
+        'page.heading': '☁️ CloudFlare 优选域名',
+        'page.subtitle': '提供优质的CloudFlare CDN节点信息，改善访问体验',
+        'page.networkInfo': '🌍 当前网络信息',
+        'card.edgeoneTitle': '国外测试（漏网之鱼）',
+        'card.twitterTitle': '墙外测试（推特）',
+        'card.ipipTip': '· 您访问国内网站所使用的IP',
+        'card.edgeoneTip': '· 您访问没有被封的国外网站所使用的IP',
+        'card.cfTip': '· 您访问CFCDN网站所使用的落地IP',
+        'card.twitterTip': '· 您访问Twitter(x.com)等网站所使用的IP',
+        'webrtc.title': 'WebRTC 泄露检测',
+        'webrtc.server': 'STUN 服务器',
+        'webrtc.retry': '重新检测',
+        'webrtc.tip': '· 即使使用了代理，浏览器仍可能通过 WebRTC 暴露真实 IP',
+        'routing.checking': '🧭 分流诊断：检测中...',
+        'monitor.enable': '🔁 持续监控',
+        'monitor.interval': '间隔',
+        'monitor.30s': '30 秒',
+        'monitor.1m': '1 分钟',
+        'monitor.5m': '5 分钟',
+        'monitor.15m': '15 分钟',
+        'monitor.notify': '浏览器通知',
+        'report.export': '📤 导出报告',
+        'report.downloadJson': '下载 JSON',
+        'report.copyMarkdown': '复制 Markdown',
+        'report.downloadCsv': '下载 CSV',
+        'lookup.placeholder': '输入任意 IPv4 / IPv6 地址或域名查询详细信息',
+        'lookup.submit': '🔍 查询',
+        'lookup.dohServer': 'DoH 服务器',
+        'lookup.cache': '缓存',
+        'lookup.noCache': '不缓存',
+        'lookup.cache1h': '1 小时',
+        'lookup.cache6h': '6 小时',
+        'lookup.cache24h': '24 小时',
+        'lookup.cache7d': '7 天',
+        'score.settings': '⚙️ 风控评分设置',
+        'intel.settings': '🛰️ 多源比对数据源',
+        'history.title': '🕒 出口历史记录',
+        'history.card': '卡片',
+        'history.allCards': '全部',
+        'history.changesOnly': '仅显示变化',
+        'history.search': '筛选 IP / 国家 / Colo',
+        'history.clear': '清空记录',
+        'page.disclaimerTitle': '⚠️ 免责声明',
+        'page.disclaimer':
+          '本网站的所有信息仅供参考。我们尽力确保信息的准确性和完整性，但对于信息的准确性、完整性和及时性不做任何明示或暗示的保证或声明。用户需自行承担使用本网站信息的风险。同时，禁止使用本站信息进行任何违法违规活动。',
+        'page.ports': '📡 支持端口信息',
+        'page.httpPorts': 'HTTP支持端口：',
+        'page.httpsPorts': 'HTTPS支持端口：',
+        'latency.title': '⚡ 浏览器测速',
+        'latency.description':
+          '从您的浏览器直接请求各优选域名的 <code>/cdn-cgi/trace</code>，统计往返延迟的中位数、抖动和丢包率，找出当前网络下最快的域名。',
+        'common.port': '端口',
+        'common.format': '格式',
+        'latency.rounds': '次数',
+        'latency.sort': '按延迟排序',
+        'latency.start': '开始测速',
+        'config.title': '🧩 配置生成',
+        'config.description':
+          '勾选下方域名卡片左上角的复选框并选择端口，生成可直接粘贴到客户端的配置。Clash、sing-box 和 v2rayN 格式需要一条模板链接（<code>vless://</code>、<code>trojan://</code> 或 <code>vmess://</code>），其中的 UUID、路径、SNI 等参数会沿用到每个节点；HTTPS 端口（🔒）启用 TLS，HTTP 端口不启用并去掉 SNI 等 TLS 参数；trojan 必须使用 TLS，只生成 HTTPS 端口的节点。',
+        'config.addressesapi': 'addressesapi (address:port#备注)',
+        'config.v2rayn': 'v2rayN 链接',
+        'config.templatePlaceholder':
+          '模板链接，如 vless://uuid@example.com:443?type=ws&path=%2F#name',
+        'config.generate': '生成',
+        'config.copy': '复制',
+        'filter.title': '🔎 筛选域名',
+        'filter.search': '搜索域名、备注或标签',
+        'filter.sort': '排序',
+        'filter.sortDefault': '默认顺序',
+        'filter.sortName': '按名称',
+        'filter.sortMaintainer': '按维护者',
+        'filter.reset': '重置',
+        'bulk.selectAll': '全选当前',
+        'bulk.selectNone': '清空选择',
+        'bulk.lines': '每行一个',
+        'bulk.comma': '逗号分隔',
+        'bulk.strip': '去除 *. 前缀',
+        'bulk.random': '随机前缀',
+        'bulk.keep': '保留 *.',
+        'bulk.copy': '复制所选',
+        'domain.catalogLoading': '域名列表加载中...',
+        'page.apis': '🔌 第三方API',
+        'page.officialIpApi': '优选官方IP的API',
+        'page.proxyIpApi': '优选反代IP的API',
+        'page.resources': '🔗 更多优选内容',
+        'page.footerTitle': '© 2025 CloudFlare优选域名汇总',
+        'page.visits': '今日访问人数:',
+        'page.maintainer': '本站内容仅供参考，提供维护:',
+        'page.footerNote':
+          '由于众所周知的原因,CloudFlare在中国大陆地区没有CDN节点,本站收集优选信息旨在改善访问体验',
+      },
+      en: {
+        'toast.copied': '✅ Copied: {text}',
+        'toast.copyFailed': '❌ Copy failed, please copy manually',
+        'domain.badgeWildcard': 'Wildcard',
+        'domain.badgeThreeNetwork': 'All 3 ISPs',
+        'domain.badgeMaintainer': 'Maintained by {name}',
+        'domain.select': 'Select this domain',
+        'domain.favorite': 'Add to My Domains',
+        'domain.chartAlt': 'Latency chart',
+        'domain.expandList': 'Expand "{title}"',
+        'domain.catalogFailed':
+          'Failed to load the domain list, please refresh',
+        'mine.title': '⭐ My Domains',
+        'mine.subtitle':
+          'Click ☆ on a domain card to save it, or import your own domain#remark list. Data is stored only in this browser.',
+        'mine.importExport': 'Import / export "My Domains"',
+        'mine.placeholder': 'One per line, format: domain#remark',
+        'mine.import': 'Import',
+        'mine.export': 'Copy export',
+        'mine.empty': 'No saved domains yet',
+        'mine.emptyText': '(empty)',
+        'mine.importEmpty': '❌ Nothing to import, format: domain#remark',
+        'mine.imported': '✅ Imported {count} domains',
+        'mine.importSkipped': ', skipped {count} invalid lines',
+        'mine.starred': '⭐ Saved: {domain}',
+        'mine.unstarred': 'Removed: {domain}',
+        'filter.status': 'Showing {visible} / {total} domain cards',
+        'latency.testing': 'Testing...',
+        'latency.loss': 'loss {loss}%',
+        'latency.failed': 'failed · {loss}',
+        'latency.result': '{median}ms · jitter {jitter}ms · {loss}',
+        'latency.progress': 'Testing {index}/{total}: {domain}',
+        'latency.done':
+          'Done: {total} domains (port {port}, {rounds} runs each)',
+        'dns.resolve': 'Resolve',
+        'dns.resolveTitle': 'Query A / AAAA records via DoH',
+        'domain.selected': '{count} domains selected',
+        'domain.selectFirst': '❌ Select some domain cards first',
+        'config.templateProtocol':
+          'Template links must be vless://, trojan:// or vmess://',
+        'config.vmessInvalid': 'Could not parse the vmess link',
+        'config.templateInvalid': 'Invalid template link',
+        'config.portRequired': '❌ Select at least one port',
+        'config.templateRequired': '❌ This format needs a template link',
+        'config.generated': '✅ Generated {count} nodes',
+        'config.tlsSkipped':
+          '✅ Generated {count} nodes ({protocol} requires TLS; skipped {skipped} HTTP-port nodes)',
+        'config.tlsRequired':
+          '❌ {protocol} requires TLS; select at least one HTTPS port (🔒)',
+        'bulk.portsInvalid':
+          '❌ Invalid ports, separate multiple ports with commas',
+        'bulk.copied': '✅ Copied {count} entries',
+        'dns.query': 'Query #{count} · {time}',
+        'dns.changed': 'Answer changed (+{added} / -{removed})',
+        'dns.unchanged': 'same as last time',
+        'dns.totalChanges': '{count} changes in total',
+        'dns.new': 'new',
+        'dns.empty': 'No A / AAAA records',
+        'dns.removed': 'No longer returned: ',
+        'dns.resolving': 'Resolving...',
+        'common.unknown': 'Unknown',
+        'common.loading': 'Loading...',
+        'common.loadFailed': 'Failed to load',
+        'common.checking': 'Checking...',
+        'card.ipip': 'Domestic',
+        'card.edgeone': 'Overseas',
+        'card.twitter': 'Blocked sites',
+        'card.noFamily': 'No {family}',
+        'trace.enabled': 'on',
+        'trace.disabled': 'off',
+        'trace.gateway': 'Zero Trust gateway',
+        'trace.tls': 'TLS version',
+        'trace.kex': 'Key exchange',
+        'trace.postQuantum': 'post-quantum',
+        'trace.http': 'HTTP version',
+        'trace.sniPlaintext': 'plaintext',
+        'trace.sniEncrypted': 'encrypted (ECH)',
+        'trace.sniOff': 'not sent',
+        'trace.scheme': 'Scheme',
+        'trace.host': 'Host',
+        'trace.time': 'Server time',
+        'trace.details': 'Trace details',
+        'colo.far': '⚠️ Detour',
+        'colo.farTitle':
+          'The colo is about {distance} km from the egress country ({country}); Anycast may be routing the long way',
+        'common.separator': '; ',
+        'common.listJoiner': ', ',
+        'report.title': 'Network diagnostics report',
+        'report.generatedAt': 'Generated at',
+        'report.version': 'Report version',
+        'report.browser': 'Browser',
+        'report.egress': 'Egress',
+        'report.egressColumns':
+          'Card | Status | Provider | IP | IPv4 | IPv6 | Country | City / org | Colo',
+        'report.lookups': 'IP lookups',
+        'report.lookupColumns':
+          'IP | Country | ASN | Org | Type | Risk | Level | Fetched at',
+        'report.jsonDownloaded': '✅ JSON report downloaded',
+        'report.csvDownloaded': '✅ CSV report downloaded',
+        'report.markdownCopied': '✅ Markdown report copied',
+        'history.unsupported': 'This browser does not support IndexedDB',
+        'history.failed': 'Failed',
+        'history.readFailed': '❌ Could not read the history: {message}',
+        'history.noMatch': 'No matching records',
+        'history.empty': 'No history yet',
+        'history.columns': 'Time|Card|IP|Country|Colo|Provider',
+        'history.summary': '{count} records',
+        'history.truncated': ', showing the latest {count}',
+        'history.confirmClear': 'Clear the whole egress history?',
+        'history.cleared': '✅ History cleared',
+        'history.clearFailed': '❌ Failed to clear the history',
+        'monitor.country': 'Country',
+        'monitor.failed': '{card}: check failed',
+        'monitor.notificationTitle': 'Egress changed',
+        'monitor.paused': '⏸️ Paused while the page is hidden',
+        'monitor.next': 'Next check: {time}',
+        'monitor.notificationUnsupported':
+          '❌ This browser does not support notifications',
+        'monitor.notificationDenied':
+          '❌ Notification permission was not granted',
+        'routing.heading': '🧭 Split routing: {title}',
+        'routing.cardFailed': '{card} check failed',
+        'routing.unknownTitle': 'Inconclusive',
+        'routing.unknownDescription':
+          'Fewer than two checks succeeded, so split routing cannot be analysed.',
+        'routing.mixedCountries': 'Overseas egress countries differ: {list}',
+        'routing.directTitle': 'Direct for everything',
+        'routing.directDescription':
+          'Every check used the same Chinese IP; overseas traffic is not going through a proxy.',
+        'routing.globalTitle': 'Proxy for everything',
+        'routing.globalDescription':
+          'Every check used the same IP ({country}); domestic traffic is proxied too, or you are abroad.',
+        'routing.noDomesticTitle': 'Domestic egress unknown',
+        'routing.noDomesticDescription':
+          'The domestic check failed, so it is unclear whether domestic traffic goes direct.',
+        'routing.domesticProxiedTitle': 'Domestic traffic is proxied',
+        'routing.domesticProxiedDescription':
+          'The domestic check exits in {country}; domestic sites are going through the proxy.',
+        'routing.leakedTitle': 'Overseas traffic is not proxied',
+        'routing.leakedDescription':
+          '{cards} used the domestic egress; the matching routing rules did not hit the proxy.',
+        'routing.okTitle': 'Split routing OK',
+        'routing.okDescription':
+          'Domestic traffic goes direct ({domestic}); overseas traffic exits through the proxy ({foreign}).',
+        'webrtc.unsupported': 'This browser does not support WebRTC',
+        'webrtc.invalidServer': 'Invalid STUN server address',
+        'webrtc.failed': 'WebRTC check failed',
+        'webrtc.leak':
+          '⚠️ WebRTC leak: the public candidate differs from the proxy egress',
+        'webrtc.noPublic':
+          '✅ No public candidate, WebRTC does not expose a public IP',
+        'webrtc.waiting': 'Waiting for the egress checks to compare...',
+        'webrtc.safe':
+          '✅ The public candidate matches the proxy egress, no leak found',
+        'webrtc.unmatched':
+          'No proxy egress was detected for the IP family (IPv4 / IPv6) of some public candidates; they cannot be compared',
+        'webrtc.public': 'Public (srflx)',
+        'webrtc.host': 'Local (host)',
+        'webrtc.none': 'None',
+        'webrtc.serverPrefix': '❌ The STUN server must start with stun:',
+        'lookup.throttled': '⏳ Too many lookups, continuing in {seconds}s',
+        'lookup.masked':
+          '❌ The provider masked this IP, so its details cannot be looked up',
+        'lookup.detailsFailed': '❌ Failed to look up IP details',
+        'modal.refresh': '🔄 Refresh',
+        'modal.refreshing': 'Refreshing...',
+        'modal.refreshed': '✅ IP details refreshed',
+        'modal.refreshFailed': '❌ Failed to refresh IP details',
+        'age.now': 'just now',
+        'age.minutes': '{count} min ago',
+        'age.hours': '{count} h ago',
+        'age.days': '{count} d ago',
+        'offline.stale': 'offline data · {age}',
+        'offline.staleTitle': 'You are offline; showing results from {time}',
+        'offline.lastResult': 'last result · {age}',
+        'offline.lastResultTitle':
+          'Could not reach the service; showing results from {time}',
+        'offline.offline': '📴 You are offline; the last results will be shown',
+        'offline.online': '🔄 Back online, refreshing',
+        'ipType.isp': 'Residential',
+        'ipType.hosting': 'Hosting',
+        'ipType.business': 'Business',
+        'risk.critical': 'Critical',
+        'risk.high': 'High risk',
+        'risk.elevated': 'Elevated',
+        'risk.low': 'Clean',
+        'risk.veryLow': 'Very clean',
+        'flag.crawler': 'Crawler',
+        'flag.proxy': 'Proxy',
+        'flag.tor': 'Tor',
+        'flag.abuser': 'Abuser',
+        'flag.bogon': 'Bogon',
+        'flag.datacenter': 'Datacenter',
+        'score.profileDefault': 'Default',
+        'score.profileStrict': 'Strict',
+        'score.profileStreaming': 'Streaming',
+        'score.company': 'Company score',
+        'score.asn': 'ASN score',
+        'score.hit': 'hit',
+        'score.flags': 'Risk flags',
+        'score.noHit': 'none',
+        'score.total': 'Total',
+        'score.profileName': '{name} profile',
+        'score.customized': ' (customised)',
+        'score.tooltipTitle': '📊 Abuse score algorithm ({name} profile)',
+        'score.formula': 'Formula',
+        'score.base': 'Base',
+        'score.extra': 'Risk extras',
+        'score.extraFormula': 'sum of the weights of the flags that hit',
+        'score.levels': 'Risk levels',
+        'modal.ip': 'IP address',
+        'modal.cloudflareRange': 'Cloudflare range',
+        'modal.rir': 'Regional Internet Registry',
+        'modal.types': 'Company / ASN type',
+        'modal.mobile': 'Mobile network',
+        'modal.datacenter': 'Datacenter',
+        'modal.satellite': 'Satellite',
+        'modal.crawler': 'Crawler',
+        'modal.proxy': 'Proxy',
+        'modal.tor': 'Tor',
+        'modal.abuser': 'Abuser',
+        'modal.bogon': 'Bogon',
+        'modal.country': 'Country',
+        'modal.state': 'State / province',
+        'modal.city': 'City',
+        'modal.zip': 'Postal code',
+        'modal.coordinates': 'Coordinates',
+        'modal.timezone': 'Time zone',
+        'modal.localTime': 'Local time',
+        'modal.eu': 'EU member',
+        'modal.companyName': 'Company',
+        'modal.domain': 'Domain',
+        'modal.type': 'Type',
+        'modal.network': 'Network',
+        'modal.abuserScore': 'Abuse score',
+        'modal.asn': 'ASN',
+        'modal.org': 'Organisation',
+        'modal.route': 'Route',
+        'modal.countryCode': 'Country code',
+        'modal.abuseName': 'Contact',
+        'modal.abuseEmail': 'Email',
+        'modal.abusePhone': 'Phone',
+        'modal.abuseAddress': 'Address',
+        'modal.basic': '📍 Basics',
+        'modal.security': '🛡️ Security',
+        'modal.location': '🌍 Location',
+        'modal.company': '🏢 Company',
+        'modal.asnSection': '🔢 ASN',
+        'modal.abuse': '📧 Abuse contact',
+        'common.yes': 'Yes',
+        'common.no': 'No',
+        'modal.close': 'Close',
+        'modal.title': '🔍 IP details',
+        'modal.source': 'Source: {source}',
+        'modal.cachedAt': 'cached {age}',
+        'modal.fetchedAt': 'fetched {age}',
+        'modal.abuseScore': 'Overall abuse score',
+        'modal.scoreHelp': 'Click for the algorithm',
+        'dns.httpError': 'DoH query failed: HTTP {status}',
+        'dns.rcodeError': 'DoH query failed: RCODE {rcode}',
+        'dns.noAddress': 'No IP address found',
+        'lookup.invalidInput': '❌ Enter a valid IPv4 / IPv6 address or domain',
+        'lookup.resolveFailed': '❌ Could not resolve the domain: {message}',
+        'lookup.resolved': '✅ {name} resolves to {ip}',
+        'lookup.dohHttps': '❌ The DoH server must be an https:// URL',
+        'score.profile': 'Scoring profile',
+        'score.reset': 'Restore profile defaults',
+        'score.invalidWeight': '❌ Weights must be non-negative numbers',
+        'score.resetDone': '✅ Profile weights restored',
+        'intel.type': 'IP type',
+        'intel.agree': '{count} sources agree',
+        'intel.failed': 'No response: ',
+        'intel.title': '🧭 Cross-check',
+        'intel.conflicts': '{count} fields disagree',
+        'intel.allAgree': 'All agree',
+        'cidr.containsEgress': 'Contains your egress IPs: ',
+        'cidr.noEgress': 'Does not contain your egress IPs',
+        'cidr.count': '{count} addresses',
+        'mine.exported': '✅ My Domains list copied',
+        'mine.exportEmpty': '❌ My Domains is empty',
+        'config.copied': '✅ Config copied',
+        'config.generateFirst': '❌ Generate a config first',
+        'lang.name': 'English',
+        'lang.switch': 'Switch language',
+        'page.title': 'CloudFlare preferred domains - CF domain list',
+        'page.description':
+          'CloudFlare preferred domains - quality CloudFlare CDN node information',
+        'page.toggleTheme': 'Toggle theme',
+        'page.heading': '☁️ CloudFlare Preferred Domains',
+        'page.subtitle':
+          'Quality CloudFlare CDN node information for a better browsing experience',
+        'page.networkInfo': '🌍 Your network',
+        'card.edgeoneTitle': 'Overseas (unblocked sites)',
+        'card.twitterTitle': 'Blocked sites (Twitter)',
+        'card.ipipTip': '· The IP you use for websites in China',
+        'card.edgeoneTip':
+          '· The IP you use for overseas websites that are not blocked',
+        'card.cfTip':
+          '· The egress IP you use for sites behind the Cloudflare CDN',
+        'card.twitterTip':
+          '· The IP you use for Twitter (x.com) and similar sites',
+        'webrtc.title': 'WebRTC leak test',
+        'webrtc.server': 'STUN server',
+        'webrtc.retry': 'Run again',
+        'webrtc.tip':
+          '· Even behind a proxy, the browser may expose your real IP through WebRTC',
+        'routing.checking': '🧭 Split routing: checking...',
+        'monitor.enable': '🔁 Keep monitoring',
+        'monitor.interval': 'Interval',
+        'monitor.30s': '30 seconds',
+        'monitor.1m': '1 minute',
+        'monitor.5m': '5 minutes',
+        'monitor.15m': '15 minutes',
+        'monitor.notify': 'Browser notifications',
+        'report.export': '📤 Export report',
+        'report.downloadJson': 'Download JSON',
+        'report.copyMarkdown': 'Copy Markdown',
+        'report.downloadCsv': 'Download CSV',
+        'lookup.placeholder':
+          'Enter any IPv4 / IPv6 address or domain to look it up',
+        'lookup.submit': '🔍 Look up',
+        'lookup.dohServer': 'DoH server',
+        'lookup.cache': 'Cache',
+        'lookup.noCache': 'Off',
+        'lookup.cache1h': '1 hour',
+        'lookup.cache6h': '6 hours',
+        'lookup.cache24h': '24 hours',
+        'lookup.cache7d': '7 days',
+        'score.settings': '⚙️ Risk score settings',
+        'intel.settings': '🛰️ Cross-check sources',
+        'history.title': '🕒 Egress history',
+        'history.card': 'Card',
+        'history.allCards': 'All',
+        'history.changesOnly': 'Changes only',
+        'history.search': 'Filter by IP / country / colo',
+        'history.clear': 'Clear history',
+        'page.disclaimerTitle': '⚠️ Disclaimer',
+        'page.disclaimer':
+          'Everything on this site is for reference only. We try to keep it accurate and complete, but make no express or implied warranty about its accuracy, completeness or timeliness. You use this information at your own risk, and it must not be used for anything illegal.',
+        'page.ports': '📡 Supported ports',
+        'page.httpPorts': 'HTTP ports: ',
+        'page.httpsPorts': 'HTTPS ports: ',
+        'latency.title': '⚡ Browser speed test',
+        'latency.description':
+          'Requests <code>/cdn-cgi/trace</code> on every domain straight from your browser and reports the median round trip, jitter and loss, to find the fastest domain on your current network.',
+        'common.port': 'Port',
+        'common.format': 'Format',
+        'latency.rounds': 'Runs',
+        'latency.sort': 'Sort by latency',
+        'latency.start': 'Start test',
+        'config.title': '🧩 Config generator',
+        'config.description':
+          'Tick the checkbox in the top-left corner of the domain cards below and pick ports to generate a config you can paste into your client. The Clash, sing-box and v2rayN formats need a template link (<code>vless://</code>, <code>trojan://</code> or <code>vmess://</code>) whose UUID, path, SNI and other parameters are reused for every node; HTTPS ports (🔒) enable TLS, HTTP ports do not and drop TLS-only parameters such as SNI; trojan requires TLS, so only HTTPS-port nodes are generated.',
+        'config.addressesapi': 'addressesapi (address:port#remark)',
+        'config.v2rayn': 'v2rayN links',
+        'config.templatePlaceholder':
+          'Template link, e.g. vless://uuid@example.com:443?type=ws&path=%2F#name',
+        'config.generate': 'Generate',
+        'config.copy': 'Copy',
+        'filter.title': '🔎 Filter domains',
+        'filter.search': 'Search domains, remarks or tags',
+        'filter.sort': 'Sort',
+        'filter.sortDefault': 'Default order',
+        'filter.sortName': 'By name',
+        'filter.sortMaintainer': 'By maintainer',
+        'filter.reset': 'Reset',
+        'bulk.selectAll': 'Select visible',
+        'bulk.selectNone': 'Clear selection',
+        'bulk.lines': 'One per line',
+        'bulk.comma': 'Comma separated',
+        'bulk.strip': 'Strip the *. prefix',
+        'bulk.random': 'Random prefix',
+        'bulk.keep': 'Keep *.',
+        'bulk.copy': 'Copy selected',
+        'domain.catalogLoading': 'Loading the domain list...',
+        'page.apis': '🔌 Third-party APIs',
+        'page.officialIpApi': 'Preferred official IP APIs',
+        'page.proxyIpApi': 'Preferred reverse-proxy IP APIs',
+        'page.resources': '🔗 More resources',
+        'page.footerTitle': '© 2025 CloudFlare Preferred Domains',
+        'page.visits': 'Visitors today:',
+        'page.maintainer': 'For reference only, maintained by:',
+        'page.footerNote':
+          'For well-known reasons Cloudflare has no CDN nodes in mainland China; this site collects preferred entries to improve the browsing experience',
+      },
+    },
+    g = (function () {
+      const e = localStorage.getItem(u);
+      if (e && p[e]) return e;
+      const t = navigator.languages || [navigator.language || ''];
+      for (const e of t) {
+        const t = String(e).toLowerCase();
+        if (t.startsWith('zh')) return 'zh-CN';
+        if (t.startsWith('en')) return 'en';
+      }
+      return m;
+    })();
+  function f(e, t = {}) {
+    return (p[g][e] ?? p[m][e] ?? e).replace(/\{(\w+)\}/g, (e, o) =>
+      o in t ? String(t[o]) : e
+    );
+  }
+  function h() {
+    (document.documentElement.lang = g), (document.title = f('page.title'));
+    const e = document.querySelector('meta[name="description"]');
+    e && (e.content = f('page.description')),
+      (function (e = document) {
+        e.querySelectorAll('[data-i18n]').forEach((e) => {
+          e.textContent = f(e.dataset.i18n);
+        }),
+          e.querySelectorAll('[data-i18n-html]').forEach((e) => {
+            c(e, l(f(e.dataset.i18nHtml)));
           }),
-        },
-        {
-          name: 'ipip.net',
-          url: 'https://myip.ipip.net/json',
-          parser: (t) => {
-            if ('ok' === t.ret && t.data)
-              return {
-                ip: t.data.ip || '未知',
-                country: t.data.location[0] || '未知',
-                city: t.data.location[2] || '未知',
-              };
-            throw new Error('数据格式错误');
-          },
-        },
-      ];
-    for (const a of e)
+          e.querySelectorAll('[data-i18n-placeholder]').forEach((e) => {
+            e.placeholder = f(e.dataset.i18nPlaceholder);
+          }),
+          e.querySelectorAll('[data-i18n-title]').forEach((e) => {
+            e.title = f(e.dataset.i18nTitle);
+          }),
+          e.querySelectorAll('[data-i18n-aria-label]').forEach((e) => {
+            e.setAttribute('aria-label', f(e.dataset.i18nAriaLabel));
+          });
+      })();
+    const t = document.getElementById('lang-switcher');
+    if (!t) return;
+    const o = g === m ? 'en' : m;
+    (t.textContent = p[o]['lang.name']),
+      (t.lang = o),
+      t.addEventListener('click', () => {
+        localStorage.setItem(u, o), location.reload();
+      });
+  }
+  const y = l(
+      '<svg class="copy-icon" viewBox="0 0 24 24" fill="currentColor"><path d="M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12V1zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2zm0 16H8V7h11v14z" /></svg>'
+    ),
+    v = l(
+      '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="16 18 22 12 16 6"></polyline><polyline points="8 6 2 12 8 18"></polyline></svg>'
+    ),
+    b = l(
+      '<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="13 17 18 12 13 7"></polyline><polyline points="6 17 11 12 6 7"></polyline></svg>'
+    );
+  let w = null;
+  function k(e) {
+    return e.wildcard ? `*.${e.host}` : e.domain;
+  }
+  function $(e) {
+    const t = [];
+    return (
+      e.wildcard && t.push({ id: 'wildcard', text: f('domain.badgeWildcard') }),
+      e.threeNetwork &&
+        t.push({
+          id: 'three-network',
+          text: f('domain.badgeThreeNetwork'),
+          className: 'three-network',
+        }),
+      e.maintainer &&
+        t.push({
+          id: `maintainer:${e.maintainer}`,
+          text: f('domain.badgeMaintainer', { name: e.maintainer }),
+        }),
+      (e.badges || []).forEach((e) => t.push({ id: e, text: e })),
+      t
+    );
+  }
+  function S(e) {
+    const t = e.host || e.domain;
+    return e.label ? `${t}#${e.label}` : t;
+  }
+  function I(e, t) {
+    const o = (e.host || e.domain).split('.'),
+      n = (t.host || t.domain).split('.');
+    for (let e = 0; e < Math.min(o.length, n.length); e++) {
+      const t = o[e].localeCompare(n[e]);
+      if (t) return t;
+    }
+    return o.length - n.length;
+  }
+  function C(e) {
+    const t = e.domain,
+      o = (function (e) {
+        return e.custom || P().favorites.includes(e.domain);
+      })(e),
+      n = $(e),
+      r = [e.domain, e.host, e.label, ...n.map((e) => e.text)]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase(),
+      a = n.map(
+        (e) => i`<span
+          class="domain-badge${e.className ? ' ' + e.className : ''}"
+          >${e.text}</span
+        >`
+      ),
+      s = e.note
+        ? i` <div class="domain-note">
+          <strong>${e.note.title}：</strong>
+          ${l(e.note.html)}
+        </div>`
+        : '',
+      c = e.chart
+        ? i` <div class="domain-card-image-wrapper">
+          <img
+            class="domain-image lazy-image"
+            src="./img.png"
+            data-src="${'https://selected-domain-data-chart-provided-by-vps789.cmliussss.net/'}${
+            e.chart
+          }"
+            alt="${f('domain.chartAlt')}"
+          />
+        </div>`
+        : '';
+    return i` <div
+      class="domain-card"
+      data-name="${k(e)}"
+      data-maintainer="${e.maintainer || ''}"
+      data-tags="${n.map((e) => e.id).join('|')}"
+      data-search="${r}"
+    >
+      <div class="domain-card-content">
+        <div class="domain-header">
+          <input
+            type="checkbox"
+            class="domain-select"
+            data-domain="${t}"
+            data-label="${e.label || e.domain}"
+            data-wildcard="${e.wildcard ? e.host : ''}"
+            title="${f('domain.select')}"
+          />
+          <button
+            class="favorite-toggle${o ? ' active' : ''}"
+            data-domain="${t}"
+            data-custom="${Boolean(e.custom)}"
+            title="${f('domain.favorite')}"
+          >
+            ${o ? '★' : '☆'}
+          </button>
+          <button class="copy-domain" data-domain="${t}">
+            ${y} ${k(e)}
+          </button>
+          ${a}
+          <a
+            class="test-link"
+            href="https://www.itdog.cn/tcping/${encodeURIComponent(t)}:443"
+            target="_blank"
+            rel="noopener noreferrer"
+          >
+            ${v} TCPing
+          </a>
+          <button
+            class="test-link resolve-domain"
+            data-domain="${t}"
+            title="${f('dns.resolveTitle')}"
+          >
+            ${f('dns.resolve')}
+          </button>
+        </div>
+        <div class="domain-dns" hidden></div>
+        ${s}
+      </div>
+      ${c}
+    </div>`;
+  }
+  function T(e) {
+    const t = e.domains.filter((e) => !e.listOnly),
+      o = e.sortList ? [...e.domains].sort(I) : e.domains,
+      n = e.subtitle ? i`<p class="section-subtitle">${e.subtitle}</p>` : '',
+      r = e.listTitle
+        ? i` <details class="details">
+          <summary>
+            ${b}
+            ${f('domain.expandList', { title: e.listTitle })}
+          </summary>
+          <pre>${o.map(S).join('\n')}</pre>
+        </details>`
+        : '';
+    return i` <section class="section" id="section-${e.id}">
+      <h2 class="section-title">${e.title}</h2>
+      ${n}
+      <div class="domain-cards-grid">${t.map(C)}</div>
+      ${r}
+    </section>`;
+  }
+  async function E() {
+    const e = document.getElementById('domain-catalog');
+    if (e)
       try {
-        const e = Date.now(),
-          s = a.url + (a.url.includes('?') ? '&' : '?') + `t=${e}`,
-          i = await fetch(s),
-          l = await i.json(),
-          c = a.parser(l);
-        return (
-          (document.getElementById('ipip-ip').textContent = c.ip),
-          (document.getElementById('ipip-country').textContent = c.country),
-          (document.getElementById('ipip-city').textContent = c.city),
-          n('status-ipip', 'success'),
-          t &&
-            ((t.innerHTML = `<span class="status-indicator" id="status-ipip"></span>国内测试（${a.name}）`),
-            n('status-ipip', 'success')),
-          void console.log(`使用 ${a.name} API 成功`)
-        );
+        const t = await fetch('domains.json');
+        if (!t.ok) throw new Error(`HTTP ${t.status}`);
+        (w = await t.json()),
+          c(
+            e,
+            i`${i` <section class="section" id="section-mine">
+      <h2 class="section-title">${f('mine.title')}</h2>
+      <p class="section-subtitle">${f('mine.subtitle')}</p>
+      <div class="domain-cards-grid" id="my-domains-grid"></div>
+      <details class="details">
+        <summary>${b} ${f('mine.importExport')}</summary>
+        <textarea
+          id="my-domains-input"
+          class="tool-input my-domains-input"
+          rows="5"
+          placeholder="${f('mine.placeholder')}"
+          spellcheck="false"
+        ></textarea>
+        <div class="tool-controls">
+          <button type="button" id="my-domains-import" class="tool-button">
+            ${f('mine.import')}
+          </button>
+          <button type="button" id="my-domains-export" class="tool-button">
+            ${f('mine.export')}
+          </button>
+        </div>
+        <pre id="my-domains-text"></pre>
+      </details>
+    </section>`}${w.sections.map(T)}`
+          ),
+          R(),
+          (function () {
+            const e = document.getElementById('domain-tags');
+            if (!e) return;
+            const t = new Map();
+            w.sections.forEach((e) =>
+              e.domains
+                .filter((e) => !e.listOnly)
+                .forEach((e) => $(e).forEach((e) => t.set(e.id, e.text)))
+            ),
+              c(
+                e,
+                i`${[...t].map(
+                  ([
+                    e,
+                    t,
+                  ]) => i`<button type="button" class="domain-tag" data-tag="${e}">
+            ${t}
+          </button>`
+                )}`
+              ),
+              (function () {
+                const e = new URLSearchParams(location.search);
+                (O.query = e.get('q') || ''),
+                  (O.tags = (e.get('tags') || '').split(',').filter(Boolean)),
+                  (O.sort = F[e.get('sort')] ? e.get('sort') : '');
+              })();
+            const o = document.getElementById('domain-search'),
+              n = document.getElementById('domain-sort');
+            (o.value = O.query),
+              (n.value = O.sort),
+              o.addEventListener('input', () => {
+                (O.query = o.value), q();
+              }),
+              n.addEventListener('change', () => {
+                (O.sort = n.value), q();
+              }),
+              q();
+          })();
       } catch (t) {
-        console.warn(`${a.name} 接口失败:`, t);
+        c(
+          e,
+          i`<p class="catalog-status error">${f('domain.catalogFailed')}</p>`
+        ),
+          console.error('域名目录加载失败:', t);
       }
-    (document.getElementById('ipip-ip').innerHTML =
-      '<span class="error">加载失败</span>'),
-      (document.getElementById('ipip-country').textContent = ''),
-      (document.getElementById('ipip-city').textContent = ''),
-      n('status-ipip', 'error'),
-      console.error('所有国内测试 API 都失败');
-  }
-  async function s() {
-    n('status-edgeone', 'loading');
+  }
+  const x = 'myDomains';
+  function P() {
+    let e;
     try {
-      const t = await fetch('https://api.ipapi.cmliussss.net'),
-        e = await t.json();
-      (document.getElementById('edgeone-ip').textContent = e.ip || '未知'),
-        (document.getElementById('edgeone-country').textContent =
-          e.location.country_code || '未知'),
-        (document.getElementById('edgeone-city').textContent =
-          `AS${e.asn.asn} ${e.asn.org}` || '未知'),
-        n('status-edgeone', 'success');
-    } catch (t) {
-      (document.getElementById('edgeone-ip').innerHTML =
-        '<span class="error">加载失败</span>'),
-        (document.getElementById('edgeone-country').textContent = ''),
-        (document.getElementById('edgeone-city').textContent = ''),
-        n('status-edgeone', 'error'),
-        console.error('EdgeOne 接口错误:', t);
+      e = JSON.parse(localStorage.getItem(x)) || {};
+    } catch (e) {
+      return { favorites: [], custom: [] };
     }
+    const t = { favorites: e.favorites || [], custom: e.custom || [] };
+    return (
+      t.custom.some((e) => e.domain.startsWith('*.')) &&
+        ((t.custom = t.custom.map((e) =>
+          e.domain.startsWith('*.') ? D(e.domain, e.label) : e
+        )),
+        A(t)),
+      t
+    );
   }
-  async function i() {
-    n('status-cf', 'loading');
+  function A(e) {
+    localStorage.setItem(x, JSON.stringify(e));
+  }
+  function N(e) {
+    for (const t of w?.sections || []) {
+      const o = t.domains.find((t) => t.domain === e || t.host === e);
+      if (o) return o;
+    }
+  }
+  function D(e, t) {
+    const o = e.startsWith('*.')
+      ? { domain: `${te()}.${e.slice(2)}`, host: e.slice(2), wildcard: !0 }
+      : { domain: e };
+    return t ? { ...o, label: t } : o;
+  }
+  function L() {
+    const { favorites: e, custom: t } = P();
+    return [
+      ...e.map(N).filter(Boolean),
+      ...t.map((e) => ({ ...e, custom: !0 })),
+    ];
+  }
+  function B() {
+    return L()
+      .map((e) => S(e.custom && e.wildcard ? { ...e, host: `*.${e.host}` } : e))
+      .join('\n');
+  }
+  function j(e) {
+    const { entries: t, invalid: n } = (function (e) {
+      const t = [],
+        o = [];
+      return (
+        e.split('\n').forEach((e) => {
+          const n = e.trim();
+          if (!n) return;
+          const [r, ...a] = n.split('#'),
+            s = r.trim().toLowerCase();
+          po(s.replace(/^\*\./, ''))
+            ? t.push({ domain: s, label: a.join('#').trim() })
+            : o.push(n);
+        }),
+        { entries: t, invalid: o }
+      );
+    })(e);
+    if (!t.length) return void o(f('mine.importEmpty'));
+    const r = P();
+    let a = 0;
+    t.forEach(({ domain: e, label: t }) => {
+      const o = N(e);
+      if (o)
+        return void (
+          r.favorites.includes(o.domain) || (r.favorites.push(o.domain), a++)
+        );
+      const n = (function (e, t) {
+        return e.find((e) =>
+          e.wildcard ? `*.${e.host}` === t : e.domain === t
+        );
+      })(r.custom, e);
+      n ? (n.label = t || n.label) : (r.custom.push(D(e, t)), a++);
+    }),
+      A(r),
+      R(),
+      o(
+        f('mine.imported', { count: a }) +
+          (n.length ? f('mine.importSkipped', { count: n.length }) : '')
+      );
+  }
+  function R() {
+    const e = document.getElementById('my-domains-grid');
+    if (!e) return;
+    const t = L(),
+      o = Y().map((e) => e.address);
+    c(
+      e,
+      t.length
+        ? i`${t.map(C)}`
+        : i`<p class="catalog-status">${f('mine.empty')}</p>`
+    ),
+      o.forEach((e) => re(e, !0)),
+      e.querySelectorAll('.domain-card').forEach((e) => {
+        const t = M.get(e.querySelector('.copy-domain').dataset.domain);
+        t && z(e, t);
+      }),
+      (document.getElementById('my-domains-text').textContent =
+        B() || f('mine.emptyText'));
+    const n = P().favorites;
+    document.querySelectorAll('.favorite-toggle').forEach((e) => {
+      const t = 'true' === e.dataset.custom || n.includes(e.dataset.domain);
+      e.classList.toggle('active', t), (e.textContent = t ? '★' : '☆');
+    }),
+      X(),
+      document.querySelector('.domain-tag') && q(),
+      (function () {
+        const e = document.querySelectorAll('.lazy-image');
+        if (!e.length) return;
+        const t = new IntersectionObserver(
+          (e, t) => {
+            e.forEach((e) => {
+              if (e.isIntersecting) {
+                const o = e.target,
+                  n = o.getAttribute('data-src');
+                if (n) {
+                  const e = new Image();
+                  (e.onload = () => {
+                    (o.src = n),
+                      o.removeAttribute('data-src'),
+                      setTimeout(() => {
+                        o.classList.add('loaded');
+                      }, 50);
+                  }),
+                    (e.onerror = () => {
+                      o.classList.add('loaded');
+                    }),
+                    (e.src = n);
+                }
+                t.unobserve(o);
+              }
+            });
+          },
+          { rootMargin: '200px', threshold: 0.01 }
+        );
+        e.forEach((e) => {
+          t.observe(e);
+        });
+      })();
+  }
+  const F = {
+      name: (e, t) => e.dataset.name.localeCompare(t.dataset.name),
+      maintainer: (e, t) =>
+        !e.dataset.maintainer - !t.dataset.maintainer ||
+        e.dataset.maintainer.localeCompare(t.dataset.maintainer) ||
+        e.dataset.name.localeCompare(t.dataset.name),
+    },
+    O = { query: '', tags: [], sort: '' };
+  function q() {
+    const e = [...document.querySelectorAll('#domain-catalog .domain-card')];
+    let t = 0;
+    e.forEach((e) => {
+      (e.hidden = !(function (e) {
+        const t = e.dataset.tags.split('|');
+        if (!O.tags.every((e) => t.includes(e))) return !1;
+        const o = O.query.trim().toLowerCase();
+        return !o || e.dataset.search.includes(o);
+      })(e)),
+        e.hidden || t++;
+    });
+    const o = Boolean(O.query || O.tags.length);
+    document.querySelectorAll('#domain-catalog .section').forEach((e) => {
+      e.hidden = o && !e.querySelector('.domain-card:not([hidden])');
+    }),
+      document.querySelectorAll('.domain-tag').forEach((e) => {
+        e.classList.toggle('active', O.tags.includes(e.dataset.tag));
+      });
+    const n = document.getElementById('domain-filter-status');
+    n &&
+      (n.textContent = o
+        ? f('filter.status', { visible: t, total: e.length })
+        : ''),
+      U(),
+      (function () {
+        const e = new URL(location.href),
+          t = { q: O.query, tags: O.tags.join(','), sort: O.sort };
+        Object.entries(t).forEach(([t, o]) => {
+          o ? e.searchParams.set(t, o) : e.searchParams.delete(t);
+        }),
+          history.replaceState(null, '', e);
+      })();
+  }
+  const M = new Map();
+  let H = !1;
+  async function W(e, t) {
+    const o = new AbortController(),
+      n = setTimeout(() => o.abort(), 3e3),
+      r = performance.now();
     try {
-      const t = Date.now(),
-        e = await fetch(`https://cf.090227.xyz/ip.json?t=${t}`),
-        a = await e.json();
-      (document.getElementById('cf-ip').textContent = a.ip || '未知'),
-        (document.getElementById('cf-country').textContent =
-          a.country || '未知'),
-        (document.getElementById('cf-city').textContent = a.org || '未知'),
-        n('status-cf', 'success');
-    } catch (t) {
-      (document.getElementById('cf-ip').innerHTML =
-        '<span class="error">加载失败</span>'),
-        (document.getElementById('cf-country').textContent = ''),
-        (document.getElementById('cf-city').textContent = ''),
-        n('status-cf', 'error'),
-        console.error('CloudFlare 接口错误:', t);
+      return (
+        await fetch(`https://${e}:${t}/cdn-cgi/trace?t=${Date.now()}`, {
+          mode: 'no-cors',
+          cache: 'no-store',
+          signal: o.signal,
+        }),
+        performance.now() - r
+      );
+    } catch (e) {
+      return null;
+    } finally {
+      clearTimeout(n);
     }
   }
-  async function l() {
-    n('status-twitter', 'loading');
+  async function _(e, t, o) {
+    const n = e.startsWith('*.')
+      ? oe({ address: e, wildcard: e.slice(2) }, 'random')
+      : e;
+    await W(n, t);
+    const r = [];
+    for (let e = 0; e < o; e++) r.push(await W(n, t));
+    return (function (e) {
+      const t = e.filter((e) => null !== e),
+        o = (e.length - t.length) / e.length;
+      if (!t.length) return { median: null, jitter: null, loss: o, samples: e };
+      const n = [...t].sort((e, t) => e - t),
+        r = Math.floor(n.length / 2),
+        a = n.length % 2 ? n[r] : (n[r - 1] + n[r]) / 2;
+      let s = 0;
+      for (let e = 1; e < t.length; e++) s += Math.abs(t[e] - t[e - 1]);
+      return (
+        (s = t.length > 1 ? s / (t.length - 1) : 0),
+        { median: a, jitter: s, loss: o, samples: e }
+      );
+    })(r);
+  }
+  function z(e, t) {
+    const o = e.querySelector('.domain-header');
+    let n = o.querySelector('.latency-badge');
+    if ((n || ((n = document.createElement('span')), o.appendChild(n)), !t))
+      return (
+        (n.className = 'latency-badge latency-testing'),
+        void (n.textContent = f('latency.testing'))
+      );
+    n.className =
+      'latency-badge ' +
+      (function (e) {
+        return null === e.median
+          ? 'latency-failed'
+          : e.median < 150
+          ? 'latency-good'
+          : e.median < 300
+          ? 'latency-fair'
+          : 'latency-poor';
+      })(t);
+    const r = f('latency.loss', { loss: Math.round(100 * t.loss) });
+    n.textContent =
+      null === t.median
+        ? f('latency.failed', { loss: r })
+        : f('latency.result', {
+            median: Math.round(t.median),
+            jitter: Math.round(t.jitter),
+            loss: r,
+          });
+  }
+  function U() {
+    const e = document.getElementById('latency-sort').checked,
+      t = F[O.sort];
+    document.querySelectorAll('.domain-cards-grid').forEach((o) => {
+      const n = [...o.querySelectorAll('.domain-card')];
+      n.forEach((e, t) => {
+        void 0 === e.dataset.order && (e.dataset.order = t);
+      });
+      const r = (e) => {
+        const t = e.querySelector('.copy-domain').dataset.domain,
+          o = M.get(t);
+        return o && null !== o.median ? o.median : 1 / 0;
+      };
+      n.sort(
+        (o, n) =>
+          (e && r(o) - r(n)) ||
+          (t && t(o, n)) ||
+          o.dataset.order - n.dataset.order
+      ).forEach((e) => o.appendChild(e));
+    });
+  }
+  const J = {
+      http: [80, 8080, 8880, 2052, 2082, 2086, 2095],
+      https: [443, 2053, 2083, 2087, 2096, 8443],
+    },
+    V = ['vless', 'trojan', 'vmess'],
+    K = ['trojan'],
+    G = ['sni', 'fp', 'alpn', 'allowInsecure'];
+  function Q(e) {
+    const t = e.split('://')[0].toLowerCase();
+    if (!V.includes(t)) throw new Error(f('config.templateProtocol'));
+    if ('vmess' === t) {
+      let o;
+      try {
+        o = JSON.parse(
+          (function (e) {
+            const t = atob(e.replace(/-/g, '+').replace(/_/g, '/'));
+            return new TextDecoder().decode(
+              Uint8Array.from(t, (e) => e.charCodeAt(0))
+            );
+          })(e.slice(8))
+        );
+      } catch (e) {
+        throw new Error(f('config.vmessInvalid'));
+      }
+      return {
+        protocol: t,
+        id: o.id,
+        alterId: Number(o.aid) || 0,
+        cipher: o.scy || 'auto',
+        network: o.net || 'tcp',
+        host: o.host || '',
+        path: o.path || '',
+        sni: o.sni || o.host || '',
+        fingerprint: o.fp || '',
+        alpn: o.alp || '',
+        raw: o,
+      };
+    }
+    let o;
     try {
-      const t = Date.now(),
-        e = await fetch(`https://x.com/cdn-cgi/trace?t=${t}`),
-        a = await e.text(),
-        s = {};
-      a.split('\n').forEach((t) => {
-        const [e, n] = t.split('=');
-        e && n && (s[e.trim()] = n.trim());
+      o = new URL(e);
+    } catch (e) {
+      throw new Error(f('config.templateInvalid'));
+    }
+    const n = o.searchParams,
+      r = n.get('host') || '';
+    return {
+      protocol: t,
+      id: decodeURIComponent(o.username),
+      network: n.get('type') || 'tcp',
+      host: r,
+      path: n.get('path') || n.get('serviceName') || '',
+      sni: n.get('sni') || r,
+      fingerprint: n.get('fp') || '',
+      alpn: n.get('alpn') || '',
+      encryption: n.get('encryption') || 'none',
+      params: n,
+    };
+  }
+  function Y() {
+    const e = new Map();
+    return (
+      document.querySelectorAll('.domain-select:checked').forEach((t) => {
+        const o = t.dataset.domain;
+        e.set(o, {
+          address: o,
+          remark: t.dataset.label,
+          wildcard:
+            t.dataset.wildcard || (o.startsWith('*.') ? o.slice(2) : ''),
+        });
       }),
-        (document.getElementById('twitter-ip').textContent = s.ip || '未知'),
-        (document.getElementById('twitter-country').textContent =
-          s.loc || '未知'),
-        (document.getElementById('twitter-city').textContent = s.colo || ''),
-        n('status-twitter', 'success');
-    } catch (t) {
-      (document.getElementById('twitter-ip').innerHTML =
-        '<span class="error">加载失败</span>'),
-        (document.getElementById('twitter-country').textContent = ''),
-        (document.getElementById('twitter-city').textContent = ''),
-        n('status-twitter', 'error'),
-        console.error('推特入口接口错误:', t);
+      [...e.values()]
+    );
+  }
+  const Z = {
+    addressesapi: {
+      needsTemplate: !1,
+      render: function (e) {
+        return e.map((e) => `${e.address}:${e.port}#${e.remark}`).join('\n');
+      },
+    },
+    clash: {
+      needsTemplate: !0,
+      render: function (e, t) {
+        const o = (e) => JSON.stringify(String(e)),
+          n = ['proxies:'];
+        return (
+          e.forEach((e) => {
+            n.push(
+              `  - name: ${o(e.remark)}`,
+              `    type: ${t.protocol}`,
+              `    server: ${o(e.address)}`,
+              `    port: ${e.port}`
+            ),
+              'trojan' === t.protocol
+                ? n.push(`    password: ${o(t.id)}`)
+                : n.push(`    uuid: ${o(t.id)}`),
+              'vmess' === t.protocol &&
+                n.push(`    alterId: ${t.alterId}`, `    cipher: ${t.cipher}`),
+              n.push('    udp: true', `    network: ${t.network}`),
+              e.tls &&
+                ('trojan' !== t.protocol && n.push('    tls: true'),
+                n.push(
+                  `    ${'trojan' === t.protocol ? 'sni' : 'servername'}: ${o(
+                    t.sni || e.address
+                  )}`
+                ),
+                t.fingerprint &&
+                  n.push(`    client-fingerprint: ${t.fingerprint}`)),
+              'ws' === t.network
+                ? n.push(
+                    '    ws-opts:',
+                    `      path: ${o(t.path || '/')}`,
+                    '      headers:',
+                    `        Host: ${o(t.host || e.address)}`
+                  )
+                : 'grpc' === t.network &&
+                  n.push(
+                    '    grpc-opts:',
+                    `      grpc-service-name: ${o(t.path)}`
+                  );
+          }),
+          n.join('\n')
+        );
+      },
+    },
+    singbox: {
+      needsTemplate: !0,
+      render: function (e, t) {
+        const o = e.map((e) => {
+          const o = {
+            type: t.protocol,
+            tag: e.remark,
+            server: e.address,
+            server_port: e.port,
+          };
+          return (
+            'trojan' === t.protocol ? (o.password = t.id) : (o.uuid = t.id),
+            'vmess' === t.protocol &&
+              ((o.security = t.cipher), (o.alter_id = t.alterId)),
+            e.tls &&
+              ((o.tls = { enabled: !0, server_name: t.sni || e.address }),
+              t.fingerprint &&
+                (o.tls.utls = { enabled: !0, fingerprint: t.fingerprint })),
+            'ws' === t.network
+              ? (o.transport = {
+                  type: 'ws',
+                  path: t.path || '/',
+                  headers: { Host: t.host || e.address },
+                })
+              : 'grpc' === t.network &&
+                (o.transport = { type: 'grpc', service_name: t.path }),
+            o
+          );
+        });
+        return JSON.stringify({ outbounds: o }, null, 2);
+      },
+    },
+    v2rayn: {
+      needsTemplate: !0,
+      render: function (e, t) {
+        return e
+          .map((e) => {
+            if ('vmess' === t.protocol) {
+              const n = {
+                ...t.raw,
+                ps: e.remark,
+                add: e.address,
+                port: String(e.port),
+                tls: e.tls ? 'tls' : '',
+              };
+              return (
+                e.tls || ['sni', 'fp', 'alp'].forEach((e) => delete n[e]),
+                `vmess://${
+                  ((o = JSON.stringify(n)),
+                  btoa(String.fromCharCode(...new TextEncoder().encode(o))))
+                }`
+              );
+            }
+            var o;
+            const n = new URLSearchParams(t.params);
+            return (
+              n.set('security', e.tls ? 'tls' : 'none'),
+              e.tls || G.forEach((e) => n.delete(e)),
+              `${t.protocol}://${encodeURIComponent(t.id)}@${e.address}:${
+                e.port
+              }?${n}#${encodeURIComponent(e.remark)}`
+            );
+          })
+          .join('\n');
+      },
+    },
+  };
+  function X() {
+    const e = f('domain.selected', { count: Y().length });
+    ['config-selection', 'bulk-selection'].forEach((t) => {
+      const o = document.getElementById(t);
+      o && (o.textContent = e);
+    });
+  }
+  function ee() {
+    const e = document.getElementById('config-output'),
+      t = Z[document.getElementById('config-format').value],
+      n = Y(),
+      r = [...document.querySelectorAll('.config-port:checked')].map((e) =>
+        Number(e.value)
+      );
+    if (!n.length) return void o(f('domain.selectFirst'));
+    if (!r.length) return void o(f('config.portRequired'));
+    let a = null;
+    if (t.needsTemplate) {
+      const e = document.getElementById('config-template').value.trim();
+      if (!e) return void o(f('config.templateRequired'));
+      try {
+        a = Q(e);
+      } catch (e) {
+        return void o(`❌ ${e.message}`);
+      }
+      localStorage.setItem('configTemplate', e);
+    }
+    let s = (function (e, t) {
+        return e.flatMap((e) =>
+          t.map((t) => ({
+            address: e.address,
+            port: t,
+            tls: J.https.includes(t),
+            remark: `${e.remark}-${t}`,
+          }))
+        );
+      })(n, r),
+      i = 0;
+    if (a && K.includes(a.protocol)) {
+      const e = s.filter((e) => e.tls);
+      if (!e.length)
+        return void o(f('config.tlsRequired', { protocol: a.protocol }));
+      (i = s.length - e.length), (s = e);
     }
+    (e.value = t.render(s, a)),
+      o(
+        i
+          ? f('config.tlsSkipped', {
+              count: s.length,
+              protocol: a.protocol,
+              skipped: i,
+            })
+          : f('config.generated', { count: s.length })
+      );
   }
-  async function c() {
-    document.querySelector('.network-cards-container') &&
-      (await Promise.all([a(), s(), i(), l()]),
-      document.querySelectorAll('.ip-text').forEach((t) => {
-        const e = t.textContent.trim();
-        t.querySelector('.error') ||
-          '加载中...' === e ||
-          '未知' === e ||
-          t.classList.contains('clickable') ||
-          t.classList.add('clickable');
-      }));
+  function te() {
+    const e = 'abcdefghijklmnopqrstuvwxyz0123456789';
+    return [...crypto.getRandomValues(new Uint8Array(8))]
+      .map((t) => e[t % 36])
+      .join('');
   }
-  async function o(t) {
-    let n = t.textContent.trim();
-    if (t.querySelector('.loading-spinner')) return;
-    if ('加载中...' === n || '未知' === n) return;
-    const a = n.replace(/\*/g, '0'),
-      s = document.createElement('span');
-    (s.className = 'loading-spinner'), t.appendChild(s);
+  function oe(e, t) {
+    return e.wildcard
+      ? 'keep' === t
+        ? `*.${e.wildcard}`
+        : 'random' === t
+        ? `${te()}.${e.wildcard}`
+        : e.wildcard
+      : e.address;
+  }
+  function ne() {
+    const t = Y();
+    if (!t.length) return void o(f('domain.selectFirst'));
+    const n = document.getElementById('bulk-format').value,
+      r = document.getElementById('bulk-wildcard').value;
+    let a;
+    if ('ports' === n) {
+      const e = (function (e) {
+        const t = e
+          .split(/[,，\s]+/)
+          .filter(Boolean)
+          .map(Number);
+        return t.every((e) => Number.isInteger(e) && e > 0 && e <= 65535) &&
+          t.length
+          ? [...new Set(t)]
+          : null;
+      })(document.getElementById('bulk-ports').value);
+      if (!e) return void o(f('bulk.portsInvalid'));
+      a = t.flatMap((t) => e.map((e) => `${oe(t, r)}:${e}`));
+    } else a = t.map((e) => oe(e, r));
+    e(
+      a.join('comma' === n ? ',' : '\n'),
+      f('bulk.copied', { count: a.length })
+    );
+  }
+  function re(e, t) {
+    document.querySelectorAll('.domain-select').forEach((o) => {
+      o.dataset.domain === e && (o.checked = t);
+    });
+  }
+  const ae = new Map();
+  async function se(e) {
+    const t = e.dataset.domain,
+      o = e.closest('.domain-card').querySelector('.domain-dns');
+    (e.disabled = !0),
+      (o.hidden = !1),
+      ae.has(t) ||
+        c(o, i`<div class="dns-summary">${f('dns.resolving')}</div>`);
     try {
-      const t = await fetch(`https://api.ipapi.cmliussss.net/?ip=${a}`);
-      if (!t.ok) throw new Error('查询失败');
-      const e = await t.json();
-      s.remove(),
-        (function (t) {
-          const e = document.createElement('div');
-          e.className = 'ip-detail-modal';
-          const n = t.company?.abuser_score,
-            a = t.asn?.abuser_score,
-            s = {
-              is_crawler: t.is_crawler,
-              is_proxy: t.is_proxy,
-              is_vpn: t.is_vpn,
-              is_tor: t.is_tor,
-              is_abuser: t.is_abuser,
-              is_bogon: t.is_bogon,
-            },
-            i = (function (t, e, n = {}) {
-              (t && '未知' !== t) || (t = 0);
-              (e && '未知' !== e) || (e = 0);
-              const a = parseFloat(t) || 0,
-                s = parseFloat(e) || 0;
-              let i = ((a + s) / 2) * 5,
-                l = 0;
-              const c = [
-                  n.is_crawler,
-                  n.is_proxy,
-                  n.is_vpn,
-                  n.is_tor,
-                  n.is_abuser,
-                  n.is_bogon,
-                ],
-                o = c.filter((t) => !0 === t).length;
-              l = 0.15 * o;
-              const p = i + l;
-              return 0 === i && 0 === l ? null : p;
-            })(n, a, s);
-          let l = '';
-          if (null !== i) {
-            const t = 100 * i,
-              e =
-                null == (c = t)
-                  ? 'badge-info'
-                  : c >= 100
-                  ? 'badge-critical'
-                  : c >= 20
-                  ? 'badge-high'
-                  : c >= 5
-                  ? 'badge-elevated'
-                  : c >= 0.25
-                  ? 'badge-low'
-                  : 'badge-verylow',
-              n = (function (t) {
-                if (null == t) return '未知';
-                const e = 100 * t;
-                return e.toFixed(2) + '%';
-              })(i);
-            let a = '';
-            (a =
-              t >= 100
-                ? '极度危险'
-                : t >= 20
-                ? '高风险'
-                : t >= 5
-                ? '轻微风险'
-                : t >= 0.25
-                ? '纯净'
-                : '极度纯净'),
-              (l = `\n            <span class="ip-detail-badge ${e}">${n} ${a}</span>\n        `);
-          } else l = '未知';
-          var c;
-          let o =
-            '\n        <div class="ip-detail-content">\n            <button class="ip-detail-close" aria-label="关闭弹窗">×</button>\n            <div class="ip-detail-title">\n                🔍 IP 详细信息\n                <span class="ip-detail-source">数据来源: ipapi.is</span>\n            </div>\n    ';
-          (o += `\n        <div class="ip-detail-section">\n            <div class="ip-detail-section-title">📍 基本信息</div>\n            <div class="ip-detail-item">\n                <span class="ip-detail-label">IP 地址</span>\n                <span class="ip-detail-value">${
-            t.ip || '未知'
-          }</span>\n            </div>\n            <div class="ip-detail-item">\n                <span class="ip-detail-label">区域互联网注册机构</span>\n                <span class="ip-detail-value">${
-            t.rir || '未知'
-          }</span>\n            </div>\n            <div class="ip-detail-item">\n                <span class="ip-detail-label">运营商 / ASN 类型</span>\n                <span class="ip-detail-value">${p(
-            t.company?.type
-          )} / ${p(
-            t.asn?.type
-          )}</span>\n            </div>\n            <div class="ip-detail-item">\n                <span class="ip-detail-label">\n                    综合滥用评分\n                    <span class="score-help-icon" title="点击查看算法说明">?</span>\n                    <span class="score-tooltip">\n                        <div class="tooltip-header">\n                            <span class="tooltip-title">📊 综合滥用评分算法</span>\n                        </div>\n                        <div class="tooltip-section">\n                            <p class="tooltip-section-title">评分公式</p>\n                            <div class="formula-item">\n                                <span class="formula-name">基础分</span>\n                                <span class="formula-equation"><code>(运营商分 + ASN分) / 2 * 5</code></span>\n                            </div>\n                            <div class="formula-item">\n                                <span class="formula-name">风险附加</span>\n                                <span class="formula-equation"><code>风险项数量 * 15%</code></span>\n                            </div>\n                        </div>\n                        <div class="tooltip-section">\n                            <p class="tooltip-section-title">安全风险项</p>\n                            <ul class="risk-list">\n                                <li>爬虫 (Crawler)</li>\n                                <li>代理 (Proxy)</li>\n                                <li>VPN</li>\n                                <li>Tor 网络</li>\n                                <li>滥用IP (Abuser)</li>\n                                <li>虚假IP (Bogon)</li>\n                            </ul>\n                        </div>\n                    </span>\n                </span>\n                <span class="ip-detail-value">${l}</span>\n            </div>\n        </div>\n    `),
-            (o += `\n        <div class="ip-detail-section">\n            <div class="ip-detail-section-title">🛡️ 安全检测</div>\n            <div class="ip-detail-item">\n                <span class="ip-detail-label">移动网络</span>\n                <span class="ip-detail-value">${
-              t.is_mobile ? '<span class="success-text">📱 是</span>' : '否'
-            }</span>\n            </div>\n            <div class="ip-detail-item">\n                <span class="ip-detail-label">数据中心</span>\n                <span class="ip-detail-value">${
-              t.is_datacenter ? '<span class="warning-text">🏢 是</span>' : '否'
-            }</span>\n            </div>\n            <div class="ip-detail-item">\n                <span class="ip-detail-label">卫星网络</span>\n                <span class="ip-detail-value">${
-              t.is_satellite ? '<span class="success-text">🛰️ 是</span>' : '否'
-            }</span>\n            </div>\n            <div class="ip-detail-item">\n                <span class="ip-detail-label">爬虫</span>\n                <span class="ip-detail-value">${
-              t.is_crawler ? '<span class="danger-text">🤖 是</span>' : '✅ 否'
-            }</span>\n            </div>\n            <div class="ip-detail-item">\n                <span class="ip-detail-label">代理服务器</span>\n                <span class="ip-detail-value">${
-              t.is_proxy ? '<span class="danger-text">⚠️ 是</span>' : '✅ 否'
-            }</span>\n            </div>\n            <div class="ip-detail-item">\n                <span class="ip-detail-label">VPN</span>\n                <span class="ip-detail-value">${
-              t.is_vpn ? '<span class="danger-text">⚠️ 是</span>' : '✅ 否'
-            }</span>\n            </div>\n            <div class="ip-detail-item">\n                <span class="ip-detail-label">Tor 网络</span>\n                <span class="ip-detail-value">${
-              t.is_tor ? '<span class="danger-text">⚠️ 是</span>' : '✅ 否'
-            }</span>\n            </div>\n            <div class="ip-detail-item">\n                <span class="ip-detail-label">滥用 IP</span>\n                <span class="ip-detail-value">${
-              t.is_abuser ? '<span class="danger-text">⚠️ 是</span>' : '✅ 否'
-            }</span>\n            </div>\n            <div class="ip-detail-item">\n                <span class="ip-detail-label">虚假 IP</span>\n                <span class="ip-detail-value">${
-              t.is_bogon ? '<span class="danger-text">⚠️ 是</span>' : '✅ 否'
-            }</span>\n            </div>\n        </div>\n    `),
-            t.location &&
-              (o += `\n            <div class="ip-detail-section">\n                <div class="ip-detail-section-title">🌍 位置信息</div>\n                <div class="ip-detail-item">\n                    <span class="ip-detail-label">国家</span>\n                    <span class="ip-detail-value">${
-                t.location.country || '未知'
-              } (${
-                t.location.country_code || '-'
-              })</span>\n                </div>\n                ${
-                t.location.state
-                  ? `\n                <div class="ip-detail-item">\n                    <span class="ip-detail-label">省份/州</span>\n                    <span class="ip-detail-value">${t.location.state}</span>\n                </div>\n                `
-                  : ''
-              }\n                ${
-                t.location.city
-                  ? `\n                <div class="ip-detail-item">\n                    <span class="ip-detail-label">城市</span>\n                    <span class="ip-detail-value">${t.location.city}</span>\n                </div>\n                `
-                  : ''
-              }\n                ${
-                t.location.zip
-                  ? `\n                <div class="ip-detail-item">\n                    <span class="ip-detail-label">邮编</span>\n                    <span class="ip-detail-value">${t.location.zip}</span>\n                </div>\n                `
-                  : ''
-              }\n                ${
-                t.location.latitude && t.location.longitude
-                  ? `\n                <div class="ip-detail-item">\n                    <span class="ip-detail-label">坐标</span>\n                    <span class="ip-detail-value">${t.location.latitude}, ${t.location.longitude}</span>\n                </div>\n                `
-                  : ''
-              }\n                ${
-                t.location.timezone
-                  ? `\n                <div class="ip-detail-item">\n                    <span class="ip-detail-label">时区</span>\n                    <span class="ip-detail-value">${t.location.timezone}</span>\n                </div>\n                `
-                  : ''
-              }\n                ${
-                t.location.local_time
-                  ? `\n                <div class="ip-detail-item">\n                    <span class="ip-detail-label">当地时间</span>\n                    <span class="ip-detail-value">${t.location.local_time}</span>\n                </div>\n                `
-                  : ''
-              }\n                <div class="ip-detail-item">\n                    <span class="ip-detail-label">欧盟成员</span>\n                    <span class="ip-detail-value">${(function (
-                t,
-                e = '✅',
-                n = '❌'
-              ) {
-                return t ? e : n;
-              })(
-                t.location.is_eu_member,
-                '🇪🇺 是',
-                '否'
-              )}</span>\n                </div>\n            </div>\n        `);
-          if (t.company) {
-            const e = t.company.abuser_score || '未知',
-              n = d(e);
-            o += `\n            <div class="ip-detail-section">\n                <div class="ip-detail-section-title">🏢 运营商信息</div>\n                <div class="ip-detail-item">\n                    <span class="ip-detail-label">运营商名称</span>\n                    <span class="ip-detail-value">${
-              t.company.name || '未知'
-            }</span>\n                </div>\n                ${
-              t.company.domain
-                ? `\n                <div class="ip-detail-item">\n                    <span class="ip-detail-label">域名</span>\n                    <span class="ip-detail-value">${t.company.domain}</span>\n                </div>\n                `
-                : ''
-            }\n                <div class="ip-detail-item">\n                    <span class="ip-detail-label">类型</span>\n                    <span class="ip-detail-value">${
-              t.company.type || '未知'
-            }</span>\n                </div>\n                ${
-              t.company.network
-                ? `\n                <div class="ip-detail-item">\n                    <span class="ip-detail-label">网络范围</span>\n                    <span class="ip-detail-value">${t.company.network}</span>\n                </div>\n                `
+      const e = await (async function (e) {
+        return (
+          await Promise.all(
+            ['A', 'AAAA'].map(async (t) =>
+              (await fo(e, t)).map((e) => ({ type: t, ip: e.data, ttl: e.TTL }))
+            )
+          )
+        ).flat();
+      })(t);
+      c(
+        o,
+        (function (e, t) {
+          const o = [
+            f('dns.query', {
+              count: t.count,
+              time: new Date().toLocaleTimeString(g),
+            }),
+          ];
+          return (
+            t.previous &&
+              o.push(
+                t.added.size || t.removed.length
+                  ? i` ·
+              <span class="dns-changed"
+                >${f('dns.changed', {
+                  added: t.added.size,
+                  removed: t.removed.length,
+                })}</span
+              >`
+                  : ` · ${f('dns.unchanged')}`
+              ),
+            t.changes &&
+              o.push(` · ${f('dns.totalChanges', { count: t.changes })}`),
+            i` <div class="dns-summary">${o}</div>
+      <ul class="dns-records">
+        ${
+          e.length
+            ? e.map(
+                (e) => i` <li>
+            <span class="dns-type">${e.type}</span>
+            <span class="ip-text clickable">${e.ip}</span>
+            <span class="dns-ttl">TTL ${e.ttl}s</span>
+            ${
+              t.added.has(e.ip)
+                ? i`<span class="dns-new">${f('dns.new')}</span>`
                 : ''
-            }\n                <div class="ip-detail-item">\n                    <span class="ip-detail-label">滥用评分</span>\n                    <span class="ip-detail-value"><span class="ip-detail-badge ${n}">${e}</span></span>\n                </div>\n            </div>\n        `;
+            }
+          </li>`
+              )
+            : i`<li>${f('dns.empty')}</li>`
+        }
+      </ul>
+      ${
+        t.removed.length
+          ? i`<div class="dns-removed">
+          ${f('dns.removed')}${t.removed.join(', ')}
+        </div>`
+          : ''
+      }`
+          );
+        })(
+          e,
+          (function (e, t) {
+            const o = ae.get(e),
+              n = new Set(t.map((e) => e.ip)),
+              r = o ? o.ips : null,
+              a = new Set(r ? [...n].filter((e) => !r.has(e)) : []),
+              s = r ? [...r].filter((e) => !n.has(e)) : [],
+              i = a.size > 0 || s.length > 0,
+              l = {
+                count: o ? o.count + 1 : 1,
+                changes: (o ? o.changes : 0) + (i ? 1 : 0),
+                ips: n,
+              };
+            return ae.set(e, l), { ...l, previous: r, added: a, removed: s };
+          })(t, e)
+        )
+      );
+    } catch (e) {
+      c(o, i`<div class="dns-summary">❌ ${e.message}</div>`),
+        console.error('域名解析错误:', e);
+    } finally {
+      e.disabled = !1;
+    }
+  }
+  const {
+      NETWORK_PROVIDERS: ie,
+      INTEL_PROVIDERS: le,
+      REPORT_FORMAT: ce,
+      REPORT_VERSION: de,
+      getIpFamily: ue,
+      isValidIPv4: me,
+      isValidIPv6: pe,
+      isNetworkError: ge,
+      parseIpAddress: fe,
+      formatIpAddress: he,
+      parseNetworkRange: ye,
+      rangeContainsIp: ve,
+      probeCard: be,
+      diffEgress: we,
+      lookupIp: ke,
+      computeIntelConsensus: $e,
+      classifyIpType: Se,
+      getDefaultIntelProviders: Ie,
+      summarizeEgress: Ce,
+      summarizeLookup: Te,
+    } = IpCheckCore,
+    Ee = [
+      {
+        key: 'warp',
+        label: 'WARP',
+        format: (e) =>
+          `${e} (${
+            { on: f('trace.enabled'), plus: 'WARP+', off: f('trace.disabled') }[
+              e
+            ] || f('common.unknown')
+          })`,
+      },
+      {
+        key: 'gateway',
+        label: f('trace.gateway'),
+        format: (e) =>
+          `${e} (${f('on' === e ? 'trace.enabled' : 'trace.disabled')})`,
+      },
+      {
+        key: 'tls',
+        label: f('trace.tls'),
+        format: (e) => e.replace(/^TLSv/, 'TLS '),
+      },
+      {
+        key: 'kex',
+        label: f('trace.kex'),
+        format: (e) =>
+          /kyber|mlkem/i.test(e) ? `${e} (${f('trace.postQuantum')})` : e,
+      },
+      { key: 'http', label: f('trace.http'), format: (e) => e.toUpperCase() },
+      {
+        key: 'sni',
+        label: 'SNI',
+        format: (e) =>
+          ({
+            plaintext: f('trace.sniPlaintext'),
+            encrypted: f('trace.sniEncrypted'),
+            off: f('trace.sniOff'),
+          }[e] || e),
+      },
+      {
+        key: 'visit_scheme',
+        label: f('trace.scheme'),
+        format: (e) => e.toUpperCase(),
+      },
+      { key: 'h', label: f('trace.host') },
+      { key: 'uag', label: 'User-Agent' },
+      {
+        key: 'ts',
+        label: f('trace.time'),
+        format: (e) => new Date(1e3 * parseFloat(e)).toLocaleString(g),
+      },
+    ],
+    xe = ['ip', 'loc', 'colo'];
+  function Pe(e, t) {
+    const o = document.getElementById(`${e}-trace`);
+    if (!o) return;
+    if (!t) return void (o.textContent = '');
+    const n = (function (e) {
+        const t = Ee.filter((t) => e[t.key]).map((t) => ({
+            key: t.key,
+            label: t.label,
+            value: t.format ? t.format(e[t.key]) : e[t.key],
+          })),
+          o = [...xe, ...Ee.map((e) => e.key)];
+        return [
+          ...t,
+          ...Object.keys(e)
+            .filter((e) => !o.includes(e))
+            .map((t) => ({ key: t, label: t, value: e[t] })),
+        ];
+      })(t).map(
+        (e) => i`
+        <div class="trace-row">
+          <span class="trace-label">${e.label}</span>
+          <span class="trace-value">${e.value}</span>
+        </div>
+      `
+      ),
+      r = o.querySelector('details')?.open ? l(' open') : '';
+    c(
+      o,
+      i`
+        <details class="trace-details" ${r}>
+          <summary>🔍 ${
+            (function (e) {
+              const t = [e.tls && e.tls.replace(/^TLSv/, 'TLS '), e.kex]
+                .filter(Boolean)
+                .join(' / ');
+              return [
+                e.warp && `WARP: ${e.warp}`,
+                t,
+                e.http && e.http.toUpperCase(),
+              ]
+                .filter(Boolean)
+                .join(' · ');
+            })(t) || f('trace.details')
+          }</summary>
+          <div class="trace-rows">${n}</div>
+        </details>
+      `
+    );
+  }
+  let Ae = null;
+  function Ne() {
+    return (
+      Ae ||
+        (Ae = fetch('colos.json')
+          .then((e) => {
+            if (!e.ok) throw new Error(`HTTP error! status: ${e.status}`);
+            return e.json();
+          })
+          .catch(
+            (e) => (
+              console.error('加载 Colo 对照表错误:', e), (Ae = null), null
+            )
+          )),
+      Ae
+    );
+  }
+  function De(e, t) {
+    if (e) return g === m ? e[t] : e[`${t}En`] || e[t];
+  }
+  function Le(e, t, o) {
+    const n = e?.colos[t];
+    if (!n) return null;
+    const r = e.countries[n.country],
+      a = e.countries[o],
+      s =
+        a && n.country !== o
+          ? Math.round(
+              (function (e, t) {
+                const o = (e) => (e * Math.PI) / 180,
+                  n = o(t.lat - e.lat),
+                  r = o(t.lon - e.lon),
+                  a =
+                    Math.sin(n / 2) ** 2 +
+                    Math.cos(o(e.lat)) *
+                      Math.cos(o(t.lat)) *
+                      Math.sin(r / 2) ** 2;
+                return 12742 * Math.asin(Math.sqrt(a));
+              })(n, a)
+            )
+          : 0;
+    return {
+      city: De(n, 'city'),
+      country: De(r, 'name') || n.country,
+      region: r?.region || '',
+      egressCountry: De(a, 'name') || o,
+      distance: s,
+      far: s > 3e3,
+    };
+  }
+  const Be = {
+      ipip: f('card.ipip'),
+      edgeone: f('card.edgeone'),
+      cf: 'CloudFlare',
+      twitter: f('card.twitter'),
+    },
+    je = Object.fromEntries(
+      Object.entries(ie).map(([e, t]) => [e, { ...t, label: Be[e] }])
+    );
+  function Re(e, t, o) {
+    const n = je[e],
+      r = document.getElementById(`provider-${e}`),
+      a = document.getElementById(`${e}-ip`);
+    if (
+      (a
+        .closest('.network-card')
+        ?.classList.toggle('network-card-stale', Boolean(t && o)),
+      t)
+    )
+      return (
+        (a.textContent = t.ip || f('common.unknown')),
+        (a.dataset.state = t.ip ? 'ready' : 'unknown'),
+        (document.getElementById(`${e}-country`).textContent =
+          t.country || f('common.unknown')),
+        (document.getElementById(`${e}-city`).textContent = t.city || ''),
+        (document.getElementById(`${e}-family`).textContent = t.ip
+          ? 'v6' === ue(t.ip)
+            ? 'IPv6'
+            : 'IPv4'
+          : ''),
+        d(`status-${e}`, o ? 'stale' : 'success'),
+        r && c(r, i`（${t.provider}）${o ? Dt(o) : ''}`),
+        void (o || console.log(`${n.label}: 使用 ${t.provider} 接口成功`))
+      );
+    c(a, i`<span class="error">${f('common.loadFailed')}</span>`),
+      (a.dataset.state = 'error'),
+      a.classList.remove('clickable'),
+      (document.getElementById(`${e}-country`).textContent = ''),
+      (document.getElementById(`${e}-city`).textContent = ''),
+      (document.getElementById(`${e}-family`).textContent = ''),
+      r && (r.textContent = ''),
+      d(`status-${e}`, 'error'),
+      console.error(`${n.label}: 所有接口都失败`);
+  }
+  function Fe(e, t) {
+    const o = document.getElementById(`${e}-stack`);
+    if (!o) return;
+    c(
+      o,
+      i`${['v4', 'v6'].map((e) => {
+        const o = 'v4' === e ? 'IPv4' : 'IPv6',
+          n = t[e];
+        let r;
+        return (
+          (r =
+            void 0 === n
+              ? i`<span class="stack-missing"
+          >${f('common.checking')}</span
+        >`
+              : null === n
+              ? i`<span class="stack-missing"
+          >${f('card.noFamily', { family: o })}</span
+        >`
+              : i`<span class="ip-text">${n}</span>`),
+          i`<div class="stack-row">
+        <span class="stack-family">${o}</span>${r}
+      </div>`
+        );
+      })}`
+    );
+  }
+  const Oe = {};
+  async function qe(e) {
+    const t = je[e];
+    d(`status-${e}`, 'loading'), t.families && Fe(e, {});
+    const o = await be(e, {
+        onPrimary: (t) => Re(e, t),
+        onStacks: (t) => Fe(e, t),
+        onProviderError: (e, o) =>
+          console.warn(`${t.label}: ${e.name} 接口失败:`, o),
+      }),
+      n =
+        'success' !== o.status && (!navigator.onLine || o.networkError)
+          ? Nt()[e]
+          : null;
+    n
+      ? (Re(e, n, n.updatedAt), n.stacks && Fe(e, n.stacks))
+      : 'success' === o.status &&
+        (function (e, t) {
+          At(xt, { ...Nt(), [e]: t });
+        })(e, o);
+    const r = n || o;
+    return (
+      Pe(e, r.trace),
+      (async function (e, t, o) {
+        const n = document.getElementById(`${e}-colo`);
+        if (!n) return;
+        if (((n.textContent = t || ''), !t)) return;
+        const r = Le(await Ne(), t, o);
+        if (!r) return;
+        const a = r.far
+          ? i`<span
+          class="colo-warning"
+          title="${f('colo.farTitle', {
+            country: r.egressCountry,
+            distance: r.distance,
+          })}"
+          >${f('colo.far')}</span
+        >`
+          : '';
+        c(n, i`${t} · ${r.city}, ${r.country}${a}`);
+      })(e, r.colo, r.country),
+      (Oe[e] = o),
+      o
+    );
+  }
+  const Me = 'lastVisitCount';
+  async function He() {
+    const e = document.getElementById('visit-count');
+    if (e)
+      try {
+        const t = await fetch(
+          'https://tongji.090227.xyz/?id=ipcheckinfo.zone.id'
+        );
+        if (!t.ok) throw new Error(`HTTP error! status: ${t.status}`);
+        const o = await t.json();
+        void 0 !== o.visitCount &&
+          ((e.textContent = o.visitCount),
+          At(Me, { value: o.visitCount, fetchedAt: Date.now() }));
+      } catch (t) {
+        console.error('获取访问统计失败:', t);
+        const o = Pt(Me);
+        o
+          ? c(e, i`${o.value} ${Dt(o.fetchedAt)}`)
+          : (e.textContent = f('common.loadFailed'));
+      }
+  }
+  let We = null,
+    _e = null;
+  function ze() {
+    if (!We) {
+      const e = Object.keys(je),
+        t = { ...Oe };
+      We = Promise.all(e.map(qe))
+        .then(
+          (o) => (
+            document.querySelectorAll('.ip-text').forEach((e) => {
+              Bt.includes(e.dataset.state) ||
+                e.classList.contains('clickable') ||
+                e.classList.add('clickable');
+            }),
+            (async function () {
+              const e = document.getElementById('routing-analysis');
+              if (!e) return;
+              const t = (function (e, t) {
+                  const o = (e) =>
+                      De(t?.countries[e], 'name') || e || f('common.unknown'),
+                    n = Object.entries(je).map(([o, n]) => ({
+                      key: o,
+                      label: n.label,
+                      ok: 'success' === e[o]?.status,
+                      ip: e[o]?.ip,
+                      country: vt(e[o]?.country, t),
+                    })),
+                    r = n.filter((e) => e.ok),
+                    a = n
+                      .filter((e) => !e.ok)
+                      .map((e) => f('routing.cardFailed', { card: e.label }));
+                  if (r.length < 2)
+                    return {
+                      level: 'error',
+                      title: f('routing.unknownTitle'),
+                      description: f('routing.unknownDescription'),
+                      notes: a,
+                    };
+                  const s = r.find((e) => e.key === yt),
+                    i = r.filter((e) => e.key !== yt),
+                    l = i.filter((e) => 'CN' !== e.country),
+                    c = [...new Set(l.map((e) => e.country))];
+                  c.length > 1 &&
+                    a.push(
+                      f('routing.mixedCountries', {
+                        list: l
+                          .map((e) => `${e.label} ${o(e.country)}`)
+                          .join(' / '),
+                      })
+                    );
+                  if (1 === new Set(r.map((e) => e.ip)).size) {
+                    const e = r[0].country;
+                    return 'CN' === e
+                      ? {
+                          level: 'error',
+                          title: f('routing.directTitle'),
+                          description: f('routing.directDescription'),
+                          notes: a,
+                        }
+                      : {
+                          level: 'info',
+                          title: f('routing.globalTitle'),
+                          description: f('routing.globalDescription', {
+                            country: o(e),
+                          }),
+                          notes: a,
+                        };
+                  }
+                  if (!s)
+                    return {
+                      level: 'warning',
+                      title: f('routing.noDomesticTitle'),
+                      description: f('routing.noDomesticDescription'),
+                      notes: a,
+                    };
+                  if ('CN' !== s.country)
+                    return {
+                      level: 'warning',
+                      title: f('routing.domesticProxiedTitle'),
+                      description: f('routing.domesticProxiedDescription', {
+                        country: o(s.country),
+                      }),
+                      notes: a,
+                    };
+                  const d = i.filter(
+                    (e) => 'CN' === e.country || e.ip === s.ip
+                  );
+                  if (d.length)
+                    return {
+                      level: 'error',
+                      title: f('routing.leakedTitle'),
+                      description: f('routing.leakedDescription', {
+                        cards: d
+                          .map((e) => e.label)
+                          .join(f('common.listJoiner')),
+                      }),
+                      notes: a,
+                    };
+                  return {
+                    level: 'ok',
+                    title: f('routing.okTitle'),
+                    description: f('routing.okDescription', {
+                      domestic: o('CN'),
+                      foreign: c.map(o).join(f('common.listJoiner')),
+                    }),
+                    notes: a,
+                  };
+                })(Oe, await Ne()),
+                o = t.notes.length
+                  ? i`<ul class="routing-notes">
+          ${t.notes.map((e) => i`<li>⚠️ ${e}</li>`)}
+        </ul>`
+                  : '';
+              (e.className = `routing-analysis routing-${t.level}`),
+                c(
+                  e,
+                  i`
+        <div class="routing-title">
+          ${f('routing.heading', { title: t.title })}
+        </div>
+        <div class="routing-description">${t.description}</div>
+        ${o}
+      `
+                );
+            })(),
+            Tt(),
+            {
+              previous: t,
+              results: Object.fromEntries(e.map((e, t) => [e, o[t]])),
+            }
+          )
+        )
+        .finally(() => {
+          We = null;
+        });
+    }
+    return We;
+  }
+  function Ue() {
+    return document.querySelector('.network-cards-container')
+      ? (_e ||
+          (_e = Promise.all([ze(), Et()])
+            .then(([{ results: e }]) => {
+              ot(e);
+            })
+            .finally(() => {
+              _e = null;
+            })),
+        _e)
+      : Promise.resolve();
+  }
+  function Je(e) {
+    const t = [
+        'format',
+        'version',
+        'generated_at',
+        'section',
+        'card',
+        'status',
+        'provider',
+        'ip',
+        'ipv4',
+        'ipv6',
+        'country',
+        'city',
+        'colo',
+        'asn',
+        'org',
+        'risk_percentage',
+        'risk_level',
+        'timestamp',
+      ],
+      o = [
+        ...e.egress.map((e) => ({
+          section: 'egress',
+          card: e.card,
+          status: e.status,
+          provider: e.provider,
+          ip: e.ip,
+          ipv4: e.ipv4,
+          ipv6: e.ipv6,
+          country: e.country,
+          city: e.city,
+          colo: e.colo,
+          timestamp: e.checkedAt,
+        })),
+        ...e.lookups.map((e) => ({
+          section: 'lookup',
+          ip: e.ip,
+          country: e.country,
+          city: e.city,
+          asn: e.asn,
+          org: e.org,
+          risk_percentage: e.risk?.percentage,
+          risk_level: e.risk?.level,
+          timestamp: e.fetchedAt,
+        })),
+      ],
+      n = { format: e.format, version: e.version, generated_at: e.generatedAt };
+    return [
+      t.join(','),
+      ...o.map((e) => {
+        const o = { ...n, ...e };
+        return t
+          .map((e) =>
+            ((e) => {
+              const t = null == e ? '' : String(e);
+              return /[",\n]/.test(t) ? `"${t.replace(/"/g, '""')}"` : t;
+            })(o[e])
+          )
+          .join(',');
+      }),
+    ].join('\n');
+  }
+  function Ve(e, t, o) {
+    const n = URL.createObjectURL(new Blob([t], { type: o })),
+      r = document.createElement('a');
+    (r.href = n),
+      (r.download = e),
+      document.body.appendChild(r),
+      r.click(),
+      r.remove(),
+      setTimeout(() => URL.revokeObjectURL(n), 1e3);
+  }
+  function Ke(t) {
+    const n = (function () {
+        const e = Object.entries(je).map(([e, t]) => {
+            const o = Oe[e];
+            return o
+              ? { card: e, label: t.label, ...Ce(e, o) }
+              : { card: e, label: t.label, status: 'pending' };
+          }),
+          t = [...Ht.values()].map((e) => Te(e, oo(), no()));
+        return {
+          format: ce,
+          version: de,
+          generatedAt: new Date().toISOString(),
+          page: location.href,
+          userAgent: navigator.userAgent,
+          egress: e,
+          lookups: t,
+        };
+      })(),
+      r = n.generatedAt.replace(/[:.]/g, '-');
+    'json' === t
+      ? (Ve(
+          `ipcheck-report-${r}.json`,
+          JSON.stringify(n, null, 2),
+          'application/json'
+        ),
+        o(f('report.jsonDownloaded')))
+      : 'csv' === t
+      ? (Ve(`ipcheck-report-${r}.csv`, '\ufeff' + Je(n), 'text/csv'),
+        o(f('report.csvDownloaded')))
+      : e(
+          (function (e) {
+            const t = (e) =>
+                String(
+                  (function (e) {
+                    return null == e || '' === e ? '-' : e;
+                  })(e)
+                ).replace(/\|/g, '\\|'),
+              o = [
+                `# ${f('report.title')}`,
+                '',
+                `- ${f('report.generatedAt')}: ${e.generatedAt}`,
+                `- ${f('report.version')}: ${e.format} v${e.version}`,
+                `- ${f('report.browser')}: ${e.userAgent}`,
+                '',
+                `## ${f('report.egress')}`,
+                '',
+                `| ${f('report.egressColumns')} |`,
+                '| --- | --- | --- | --- | --- | --- | --- | --- | --- |',
+                ...e.egress.map(
+                  (e) =>
+                    `| ${[
+                      e.label,
+                      e.status,
+                      e.provider,
+                      e.ip,
+                      e.ipv4,
+                      e.ipv6,
+                      e.country,
+                      e.city,
+                      e.colo,
+                    ]
+                      .map(t)
+                      .join(' | ')} |`
+                ),
+              ];
+            return (
+              e.lookups.length &&
+                o.push(
+                  '',
+                  `## ${f('report.lookups')}`,
+                  '',
+                  `| ${f('report.lookupColumns')} |`,
+                  '| --- | --- | --- | --- | --- | --- | --- | --- |',
+                  ...e.lookups.map(
+                    (e) =>
+                      `| ${[
+                        e.ip,
+                        e.country,
+                        e.asn ? `AS${e.asn}` : null,
+                        e.org,
+                        e.companyType,
+                        e.risk ? `${e.risk.percentage}%` : null,
+                        e.risk ? f(`risk.${e.risk.level}`) : null,
+                        e.fetchedAt,
+                      ]
+                        .map(t)
+                        .join(' | ')} |`
+                  )
+                ),
+              o.join('\n')
+            );
+          })(n),
+          f('report.markdownCopied')
+        );
+  }
+  const Ge = 'ipcheckinfo',
+    Qe = 'egressHistory',
+    Ye = 2e3,
+    Ze = 300,
+    Xe = ['status', 'ip', 'country', 'colo'];
+  let et = null;
+  async function tt(e, t) {
+    const o = await (et ||
+      (et = new Promise((e, t) => {
+        if (!window.indexedDB)
+          return void t(new Error(f('history.unsupported')));
+        const o = indexedDB.open(Ge, 1);
+        (o.onupgradeneeded = () => {
+          o.result.createObjectStore(Qe, { keyPath: 'id', autoIncrement: !0 });
+        }),
+          (o.onsuccess = () => e(o.result)),
+          (o.onerror = () => t(o.error));
+      })),
+    et);
+    return new Promise((n, r) => {
+      const a = o.transaction(Qe, e),
+        s = t(a.objectStore(Qe));
+      (a.oncomplete = () => n(s?.result)),
+        (a.onerror = () => r(a.error)),
+        (a.onabort = () => r(a.error));
+    });
+  }
+  function ot(e) {
+    return (async function (e) {
+      const t = Date.now();
+      await tt('readwrite', (o) => {
+        Object.entries(e).forEach(([e, n]) => {
+          o.add({
+            timestamp: t,
+            card: e,
+            status: n.status,
+            provider: n.provider || null,
+            ip: n.ip || null,
+            country: n.country || null,
+            city: n.city || null,
+            colo: n.colo || null,
+          });
+        });
+        const n = o.getAllKeys();
+        n.onsuccess = () => {
+          const e = n.result,
+            t = e.length - Ye;
+          t > 0 && o.delete(IDBKeyRange.upperBound(e[t - 1]));
+        };
+      });
+    })(e)
+      .then(rt)
+      .catch((e) => console.error('保存历史记录错误:', e));
+  }
+  function nt(e) {
+    const t = je[e.card]?.label || e.card,
+      o = (...t) =>
+        t.some((t) => e.changed.includes(t)) ? 'history-changed' : '',
+      n =
+        'success' === e.status
+          ? i`<span class="ip-text clickable">${e.ip}</span>`
+          : i`<span class="history-error">${f('history.failed')}</span>`;
+    return i`
+      <tr class="${e.changed.length ? 'history-row-changed' : ''}">
+        <td>${new Date(e.timestamp).toLocaleString(g)}</td>
+        <td>${t}</td>
+        <td class="${o('ip', 'status')}">${n}</td>
+        <td class="${o('country')}">${e.country || '-'}</td>
+        <td class="${o('colo')}">${e.colo || '-'}</td>
+        <td>${e.provider || '-'}</td>
+      </tr>
+    `;
+  }
+  async function rt() {
+    const e = document.getElementById('history-panel'),
+      t = document.getElementById('history-body');
+    if (!e || !e.open) return;
+    let o;
+    try {
+      o = (function (e) {
+        const t = {};
+        return e.map((e) => {
+          const o = t[e.card];
+          t[e.card] = e;
+          const n = o ? Xe.filter((t) => o[t] !== e[t]) : [];
+          return { ...e, changed: n };
+        });
+      })(await tt('readonly', (e) => e.getAll()));
+    } catch (e) {
+      return (
+        console.error('读取历史记录错误:', e),
+        void c(
+          t,
+          i`<p class="history-empty">
+          ${f('history.readFailed', { message: e.message })}
+        </p>`
+        )
+      );
+    }
+    const n = (function (e) {
+      const t = document.getElementById('history-card').value,
+        o = document.getElementById('history-changes-only').checked,
+        n = document
+          .getElementById('history-search')
+          .value.trim()
+          .toLowerCase();
+      return e.filter(
+        (e) =>
+          ('all' === t || e.card === t) &&
+          !(o && !e.changed.length) &&
+          (!n ||
+            [e.ip, e.country, e.city, e.colo].some(
+              (e) => e && e.toLowerCase().includes(n)
+            ))
+      );
+    })(o).reverse();
+    if (!n.length)
+      return void c(
+        t,
+        i`<p class="history-empty">
+          ${o.length ? f('history.noMatch') : f('history.empty')}
+        </p>`
+      );
+    const r = n.slice(0, Ze);
+    c(
+      t,
+      i`
+        <div class="history-table-wrapper">
+          <table class="history-table">
+            <thead>
+              <tr>
+                ${f('history.columns')
+                  .split('|')
+                  .map((e) => i`<th>${e}</th>`)}
+              </tr>
+            </thead>
+            <tbody>
+              ${r.map(nt)}
+            </tbody>
+          </table>
+        </div>
+        <p class="history-summary">
+          ${f('history.summary', { count: n.length })}${
+        n.length > r.length ? f('history.truncated', { count: r.length }) : ''
+      }
+        </p>
+      `
+    );
+  }
+  const at = 'monitorSettings',
+    st = { enabled: !1, interval: 60, notify: !1 },
+    it = { ip: 'IP', country: f('monitor.country'), colo: 'Colo' };
+  let lt = null,
+    ct = !1,
+    dt = Date.now();
+  function ut() {
+    try {
+      return { ...st, ...JSON.parse(localStorage.getItem(at)) };
+    } catch (e) {
+      return { ...st };
+    }
+  }
+  function mt(e) {
+    localStorage.setItem(at, JSON.stringify({ ...ut(), ...e }));
+  }
+  function pt(e) {
+    const t = document.getElementById('monitor-status');
+    t && (t.textContent = e);
+  }
+  function gt() {
+    clearTimeout(lt), (lt = null);
+    const e = ut();
+    if (!e.enabled) return void pt('');
+    if (document.hidden) return void pt(f('monitor.paused'));
+    const t = Math.max(Date.now(), dt + 1e3 * e.interval);
+    (lt = setTimeout(ft, t - Date.now())),
+      pt(f('monitor.next', { time: new Date(t).toLocaleTimeString(g) }));
+  }
+  async function ft() {
+    if (!ct) {
+      (ct = !0), pt(`🔄 ${f('common.checking')}`);
+      try {
+        const { previous: e, results: t } = await ze(),
+          n = we(e, t);
+        !(function (e) {
+          e.length &&
+            (o(`⚠️ ${e.join(f('common.separator'))}`),
+            ut().notify &&
+              'Notification' in window &&
+              'granted' === Notification.permission &&
+              new Notification(f('monitor.notificationTitle'), {
+                body: e.join('\n'),
+              }));
+        })(
+          (function (e) {
+            return e
+              .filter((e) => 'recovered' !== e.type)
+              .map((e) => {
+                const t = je[e.card].label;
+                return 'failed' === e.type
+                  ? f('monitor.failed', { card: t })
+                  : `${t} ${it[e.field]}: ${e.before || '-'} → ${
+                      e.after || '-'
+                    }`;
+              });
+          })(n)
+        ),
+          n.length && (await ot(t));
+      } catch (e) {
+        console.error('监控检测错误:', e);
+      } finally {
+        (ct = !1), (dt = Date.now()), gt();
+      }
+    }
+  }
+  function ht() {
+    const e = document.getElementById('monitor-enabled');
+    if (!e) return;
+    const t = document.getElementById('monitor-interval'),
+      n = document.getElementById('monitor-notify'),
+      r = ut();
+    (e.checked = r.enabled),
+      (t.value = String(r.interval)),
+      (n.checked = r.notify),
+      e.addEventListener('change', () => {
+        mt({ enabled: e.checked }), gt();
+      }),
+      t.addEventListener('change', () => {
+        mt({ interval: Number(t.value) }), gt();
+      }),
+      n.addEventListener('change', async () => {
+        n.checked &&
+          (n.checked = await (async function () {
+            return 'Notification' in window
+              ? 'granted' ===
+                  ('granted' === Notification.permission
+                    ? 'granted'
+                    : await Notification.requestPermission()) ||
+                  (o(f('monitor.notificationDenied')), !1)
+              : (o(f('monitor.notificationUnsupported')), !1);
+          })()),
+          mt({ notify: n.checked });
+      }),
+      document.addEventListener('visibilitychange', gt),
+      gt();
+  }
+  const yt = 'ipip';
+  function vt(e, t) {
+    if (!e) return null;
+    const o = e.trim();
+    if (/^[a-z]{2}$/i.test(o)) return o.toUpperCase();
+    const n = Object.entries(t?.countries || {}).find(([, e]) => e.name === o);
+    return n ? n[0] : o;
+  }
+  const bt = 'stun:stun.cloudflare.com:3478',
+    wt = 5e3;
+  let kt = null,
+    $t = null;
+  function St() {
+    return localStorage.getItem('stunServer') || bt;
+  }
+  function It(e) {
+    return window.RTCPeerConnection
+      ? new Promise((t, o) => {
+          let n;
+          try {
+            n = new RTCPeerConnection({ iceServers: [{ urls: e }] });
+          } catch (e) {
+            return void o(new Error(f('webrtc.invalidServer')));
           }
-          if (t.asn) {
-            const e = t.asn.abuser_score || '未知',
-              n = d(e);
-            o += `\n            <div class="ip-detail-section">\n                <div class="ip-detail-section-title">🔢 ASN 信息</div>\n                <div class="ip-detail-item">\n                    <span class="ip-detail-label">ASN 编号</span>\n                    <span class="ip-detail-value">AS${
-              t.asn.asn || '未知'
-            }</span>\n                </div>\n                ${
-              t.asn.org
-                ? `\n                <div class="ip-detail-item">\n                    <span class="ip-detail-label">组织</span>\n                    <span class="ip-detail-value">${t.asn.org}</span>\n                </div>\n                `
-                : ''
-            }\n                ${
-              t.asn.route
-                ? `\n                <div class="ip-detail-item">\n                    <span class="ip-detail-label">路由</span>\n                    <span class="ip-detail-value">${t.asn.route}</span>\n                </div>\n                `
-                : ''
-            }\n                ${
-              t.asn.type
-                ? `\n                <div class="ip-detail-item">\n                    <span class="ip-detail-label">类型</span>\n                    <span class="ip-detail-value">${t.asn.type}</span>\n                </div>\n                `
-                : ''
-            }\n                <div class="ip-detail-item">\n                    <span class="ip-detail-label">滥用评分</span>\n                    <span class="ip-detail-value"><span class="ip-detail-badge ${n}">${e}</span></span>\n                </div>\n                ${
-              t.asn.country
-                ? `\n                <div class="ip-detail-item">\n                    <span class="ip-detail-label">国家代码</span>\n                    <span class="ip-detail-value">${t.asn.country.toUpperCase()}</span>\n                </div>\n                `
-                : ''
-            }\n            </div>\n        `;
+          const r = new Map();
+          let a = !1;
+          const s = (e) => {
+              a ||
+                ((a = !0),
+                clearTimeout(i),
+                n.close(),
+                e
+                  ? o(new Error(f('webrtc.failed'), { cause: e }))
+                  : t([...r.values()]));
+            },
+            i = setTimeout(() => s(), wt);
+          (n.onicecandidate = (e) => {
+            if (!e.candidate) return void s();
+            const t = (function (e) {
+              const t = e.replace(/^a=/, '').split(' '),
+                o = t.indexOf('typ');
+              return t.length < 8 || -1 === o
+                ? null
+                : {
+                    address: t[4],
+                    port: Number(t[5]),
+                    protocol: t[2].toLowerCase(),
+                    type: t[o + 1],
+                  };
+            })(e.candidate.candidate);
+            t && r.set(`${t.type}|${t.address}`, t);
+          }),
+            n.createDataChannel('ipcheck'),
+            n
+              .createOffer()
+              .then((e) => n.setLocalDescription(e))
+              .catch(s);
+        })
+      : Promise.reject(new Error(f('webrtc.unsupported')));
+  }
+  function Ct(e) {
+    const t = { host: new Set(), mdns: new Set(), public: new Set() };
+    return (
+      e.forEach(({ address: e, type: o }) => {
+        e.endsWith('.local')
+          ? t.mdns.add(e)
+          : 'srflx' === o || 'prflx' === o
+          ? t.public.add(e)
+          : 'host' === o &&
+            t[
+              (function (e) {
+                if ('v6' === ue(e)) return /^(::1$|f[cd]|fe[89ab])/i.test(e);
+                const [t, o] = e.split('.').map(Number);
+                return (
+                  10 === t ||
+                  127 === t ||
+                  (169 === t && 254 === o) ||
+                  (172 === t && o >= 16 && o <= 31) ||
+                  (192 === t && 168 === o) ||
+                  (100 === t && o >= 64 && o <= 127)
+                );
+              })(e)
+                ? 'host'
+                : 'public'
+            ].add(e);
+      }),
+      { host: [...t.host], mdns: [...t.mdns], public: [...t.public] }
+    );
+  }
+  function Tt() {
+    const e = document.getElementById('webrtc-result');
+    if (!e || (!kt && !$t)) return;
+    if ($t)
+      return (
+        c(e, i`<span class="error">${$t.message}</span>`),
+        void d('status-webrtc', 'error')
+      );
+    const t = Ct(kt),
+      o = (function () {
+        const e = new Set();
+        return (
+          Object.entries(Oe).forEach(([t, o]) => {
+            t !== yt &&
+              'success' === o.status &&
+              [o.ip, o.stacks?.v4, o.stacks?.v6]
+                .filter(Boolean)
+                .forEach((t) => e.add(t));
+          }),
+          e
+        );
+      })(),
+      n = new Set([...o].map(ue)),
+      r = t.public.filter((e) => n.has(ue(e))),
+      a = r.filter((e) => !o.has(e)),
+      s = (e, t) =>
+        e.length
+          ? e.map(
+              (e) => i`<span
+                class="ip-text clickable${
+                  a.includes(e) ? ' webrtc-leaked' : ''
+                }"
+                >${e}</span
+              >`
+            )
+          : i`<span class="stack-missing">${t}</span>`;
+    let l;
+    (l = a.length
+      ? i`<div class="webrtc-verdict webrtc-leak">
+        ${f('webrtc.leak')}
+      </div>`
+      : t.public.length
+      ? o.size
+        ? r.length < t.public.length
+          ? i`<div class="webrtc-verdict">
+        ${f('webrtc.unmatched')}
+      </div>`
+          : i`<div class="webrtc-verdict webrtc-safe">
+        ${f('webrtc.safe')}
+      </div>`
+        : i`<div class="webrtc-verdict">${f('webrtc.waiting')}</div>`
+      : i`<div class="webrtc-verdict webrtc-safe">
+        ${f('webrtc.noPublic')}
+      </div>`),
+      c(
+        e,
+        i`
+        ${l}
+        <div class="stack-row">
+          <span class="stack-family">${f('webrtc.public')}</span>${s(
+          t.public,
+          f('webrtc.none')
+        )}
+        </div>
+        <div class="stack-row">
+          <span class="stack-family">${f('webrtc.host')}</span>${s(
+          t.host,
+          f('webrtc.none')
+        )}
+        </div>
+        <div class="stack-row">
+          <span class="stack-family">mDNS</span>${
+            t.mdns.length
+              ? t.mdns.map((e) => i`<span class="webrtc-mdns">${e}</span>`)
+              : i`<span class="stack-missing">${f('webrtc.none')}</span>`
           }
-          t.abuse &&
-            (o += `\n            <div class="ip-detail-section">\n                <div class="ip-detail-section-title">📧 滥用举报联系方式</div>\n                ${
-              t.abuse.name
-                ? `\n                <div class="ip-detail-item">\n                    <span class="ip-detail-label">联系人</span>\n                    <span class="ip-detail-value">${t.abuse.name}</span>\n                </div>\n                `
-                : ''
-            }\n                ${
-              t.abuse.email
-                ? `\n                <div class="ip-detail-item">\n                    <span class="ip-detail-label">邮箱</span>\n                    <span class="ip-detail-value">${t.abuse.email}</span>\n                </div>\n                `
-                : ''
-            }\n                ${
-              t.abuse.phone
-                ? `\n                <div class="ip-detail-item">\n                    <span class="ip-detail-label">电话</span>\n                    <span class="ip-detail-value">${t.abuse.phone}</span>\n                </div>\n                `
-                : ''
-            }\n                ${
-              t.abuse.address
-                ? `\n                <div class="ip-detail-item">\n                    <span class="ip-detail-label">地址</span>\n                    <span class="ip-detail-value">${t.abuse.address}</span>\n                </div>\n                `
-                : ''
-            }\n            </div>\n        `);
-          (o += '</div>'), (e.innerHTML = o), document.body.appendChild(e);
-        })(e);
+        </div>
+      `
+      ),
+      d('status-webrtc', a.length ? 'error' : 'success');
+  }
+  async function Et() {
+    const e = document.getElementById('webrtc-result');
+    if (e) {
+      (kt = null),
+        ($t = null),
+        d('status-webrtc', 'loading'),
+        c(e, i`<span class="stack-missing">${f('common.checking')}</span>`);
+      try {
+        kt = await It(St());
+      } catch (e) {
+        console.error('WebRTC 检测错误:', e), ($t = e);
+      }
+      Tt();
+    }
+  }
+  const xt = 'lastEgressResults';
+  function Pt(e) {
+    try {
+      return JSON.parse(localStorage.getItem(e));
+    } catch (e) {
+      return null;
+    }
+  }
+  function At(e, t) {
+    try {
+      localStorage.setItem(e, JSON.stringify(t));
+    } catch (e) {
+      console.warn('本地存储写入失败:', e);
+    }
+  }
+  function Nt() {
+    return Pt(xt) || {};
+  }
+  function Dt(e) {
+    const t = navigator.onLine ? 'offline.lastResult' : 'offline.stale';
+    return i`<span
+      class="stale-badge"
+      title="${f(`${t}Title`, { time: new Date(e).toLocaleString(g) })}"
+      >${f(t, { age: Jt(e) })}</span
+    >`;
+  }
+  function Lt() {
+    const e = document.querySelector('.network-card-stale'),
+      t = document.querySelector(
+        '.ip-detail-modal[data-stale] .ip-detail-refresh'
+      ),
+      n = document.querySelector('#visit-count .stale-badge');
+    (e || t || n) && (o(f('offline.online')), e && Ue(), t && Ut(t), n && He());
+  }
+  const Bt = ['loading', 'unknown', 'error'];
+  const jt = 'ipDetailCache',
+    Rt = 216e5,
+    Ft = 200,
+    Ot = { limit: 5, window: 1e4 },
+    qt = [],
+    Mt = new Map(),
+    Ht = new Map();
+  function Wt() {
+    const e = localStorage.getItem('ipCacheTtl');
+    return null === e ? Rt : Number(e);
+  }
+  function _t() {
+    try {
+      return JSON.parse(localStorage.getItem(jt)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+  async function zt(e, t = {}) {
+    if (!t.force) {
+      const t = _t()[e];
+      if (t && Date.now() - t.fetchedAt < Wt())
+        return Ht.set(e, t), { ...t, fromCache: !0 };
+    }
+    if (Mt.has(e)) return Mt.get(e);
+    const n = (async () => {
+      let t;
+      await (async function () {
+        for (;;) {
+          const e = Date.now();
+          for (; qt.length && e - qt[0] >= Ot.window; ) qt.shift();
+          if (qt.length < Ot.limit) return void qt.push(e);
+          const t = Ot.window - (e - qt[0]);
+          o(f('lookup.throttled', { seconds: Math.ceil(t / 1e3) })),
+            await new Promise((e) => setTimeout(e, t));
+        }
+      })();
+      try {
+        t = await ke(e, {
+          intelProviders: ko(),
+          onSourceError: (e, t) => console.warn(`${e.name} 情报查询失败:`, t),
+        });
+      } catch (t) {
+        const o = (!navigator.onLine || ge(t)) && _t()[e];
+        if (!o) throw t;
+        return (
+          console.warn('IP 详情查询失败,显示上次的结果:', t),
+          Ht.set(e, o),
+          { ...o, fromCache: !0, stale: !0 }
+        );
+      }
+      return (
+        (function (e, t) {
+          if (!Wt()) return;
+          const o = _t();
+          o[e] = t;
+          const n = Object.entries(o)
+            .sort((e, t) => t[1].fetchedAt - e[1].fetchedAt)
+            .slice(0, Ft);
+          try {
+            localStorage.setItem(jt, JSON.stringify(Object.fromEntries(n)));
+          } catch (e) {
+            console.warn('IP 详情缓存写入失败:', e);
+          }
+        })(e, t),
+        Ht.set(e, t),
+        { ...t, fromCache: !1 }
+      );
+    })();
+    Mt.set(e, n);
+    try {
+      return await n;
+    } finally {
+      Mt.delete(e);
+    }
+  }
+  async function Ut(e) {
+    if (e.disabled) return;
+    const t = e.dataset.ip;
+    (e.disabled = !0), (e.textContent = f('modal.refreshing'));
+    try {
+      const n = await zt(t, { force: !0 });
+      e.closest('.ip-detail-modal').remove(),
+        lo(n.data, n),
+        o(f(n.stale ? 'modal.refreshFailed' : 'modal.refreshed'));
     } catch (t) {
-      s.remove(), e('❌ 查询IP详细信息失败'), console.error('IP查询错误:', t);
+      (e.disabled = !1),
+        (e.textContent = f('modal.refresh')),
+        o(f('modal.refreshFailed')),
+        console.error('IP刷新错误:', t);
     }
   }
-  function p(t) {
-    if (!t) return '<span class="ip-type-unknown">未知</span>';
-    const e = {
-      isp: { text: '住宅', class: 'ip-type-residential' },
-      hosting: { text: '机房', class: 'ip-type-hosting' },
-      business: { text: '商用', class: 'ip-type-business' },
-    }[t.toLowerCase()] || { text: t, class: 'ip-type-unknown' };
-    return `<span class="${e.class}">${e.text}</span>`;
-  }
-  function d(t) {
-    if (!t) return 'badge-info';
-    const e = parseFloat(t);
-    return e < 0.001
+  function Jt(e) {
+    const t = Math.max(0, Math.round((Date.now() - e) / 1e3));
+    if (t < 60) return f('age.now');
+    const o = Math.floor(t / 60);
+    if (o < 60) return f('age.minutes', { count: o });
+    const n = Math.floor(o / 60);
+    return n < 24
+      ? f('age.hours', { count: n })
+      : f('age.days', { count: Math.floor(n / 24) });
+  }
+  const Vt = {
+    isp: 'ip-type-residential',
+    hosting: 'ip-type-hosting',
+    business: 'ip-type-business',
+  };
+  function Kt(e) {
+    if (!e)
+      return i`<span class="ip-type-unknown">${f('common.unknown')}</span>`;
+    const t = Se(e);
+    return t
+      ? i`<span class="${Vt[t]}"
+      >${f(`ipType.${t}`)}</span
+    >`
+      : i`<span class="ip-type-unknown">${e}</span>`;
+  }
+  function Gt(e) {
+    if (!e) return 'badge-info';
+    const t = parseFloat(e);
+    return t < 0.001
       ? 'badge-success'
-      : e < 0.01
+      : t < 0.01
       ? 'badge-info'
-      : e < 0.1
+      : t < 0.1
       ? 'badge-warning'
       : 'badge-danger';
   }
-  function r() {
-    document.body.addEventListener('click', (n) => {
-      const a = n.target.closest('.copy-domain');
-      if (a) {
-        const n = a.dataset.domain;
+  const Qt = IpCheckCore.RISK_LEVELS.map((e) => ({
+      ...e,
+      className: `badge-${e.id.toLowerCase()}`,
+      label: f(`risk.${e.id}`),
+    })),
+    Yt = {
+      is_crawler: f('flag.crawler'),
+      is_proxy: f('flag.proxy'),
+      is_vpn: 'VPN',
+      is_tor: f('flag.tor'),
+      is_abuser: f('flag.abuser'),
+      is_bogon: f('flag.bogon'),
+      is_datacenter: f('flag.datacenter'),
+    },
+    Zt = IpCheckCore.RISK_FLAGS.map((e) => ({ ...e, label: Yt[e.key] })),
+    Xt = {
+      default: f('score.profileDefault'),
+      strict: f('score.profileStrict'),
+      streaming: f('score.profileStreaming'),
+    },
+    eo = Object.fromEntries(
+      Object.entries(IpCheckCore.SCORE_PROFILES).map(([e, t]) => [
+        e,
+        { ...t, label: Xt[e] },
+      ])
+    );
+  function to() {
+    try {
+      return JSON.parse(localStorage.getItem('scoreOverrides')) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+  function oo() {
+    const e = localStorage.getItem('scoreProfile');
+    return eo[e] ? e : 'default';
+  }
+  function no() {
+    const e = oo(),
+      t = eo[e],
+      o = to()[e] || {};
+    return {
+      name: e,
+      label: t.label,
+      companyWeight: o.companyWeight ?? t.companyWeight,
+      asnWeight: o.asnWeight ?? t.asnWeight,
+      flags: { ...t.flags, ...o.flags },
+      customized: Object.keys(o).length > 0,
+    };
+  }
+  function ro(e) {
+    return Qt.find((t) => e >= t.min);
+  }
+  function ao(e) {
+    if (null == e) return f('common.unknown');
+    return (100 * e).toFixed(2) + '%';
+  }
+  function so(e, t, o = '') {
+    return i` <div class="ip-detail-item">
+      <span class="ip-detail-label">${e}</span>
+      <span class="ip-detail-value${o ? ' ' + o : ''}"
+        >${t}</span
+      >
+    </div>`;
+  }
+  function io(e, t, o, n, r = !0) {
+    return so(
+      e,
+      t
+        ? i`<span class="${n}">${o} ${f('common.yes')}</span>`
+        : `${r ? '✅ ' : ''}${f('common.no')}`
+    );
+  }
+  function lo(e, t) {
+    const o = document.createElement('div');
+    (o.className = 'ip-detail-modal'), t?.stale && (o.dataset.stale = 'true');
+    const n = e.company?.abuser_score,
+      r = e.asn?.abuser_score,
+      a = (function (e, t, o = {}, n = no()) {
+        const r = IpCheckCore.calculateAbuseScore(e, t, o, n);
+        if (!r) return null;
+        const a = { company: f('score.company'), asn: f('score.asn'), ...Yt };
+        return (
+          r.factors.forEach((e) => {
+            e.label = a[e.id];
+          }),
+          r
+        );
+      })(n, r, Object.fromEntries(Zt.map((t) => [t.key, e[t.key]])));
+    let s = '',
+      l = '';
+    if (null !== a) {
+      const e = ro(100 * a.total),
+        t = ao(a.total);
+      (s = i`
+        <span class="ip-detail-badge ${e.className}"
+          >${t} ${e.label}</span
+        >
+      `),
+        (l = (function (e) {
+          const t = no(),
+            o = e.factors.map((e) => {
+              const t = e.isFlag
+                ? `${f('score.hit')} +${ao(e.weight)}`
+                : `${e.value} × ${e.weight}`;
+              return i` <div class="score-breakdown-row">
+        <span>${e.label}</span>
+        <code>${t}</code>
+        <span>${ao(e.contribution)}</span>
+      </div>`;
+            });
+          return (
+            e.factors.some((e) => e.isFlag) ||
+              o.push(i` <div class="score-breakdown-row">
+        <span>${f('score.flags')}</span>
+        <code>${f('score.noHit')}</code>
+        <span>0.00%</span>
+      </div>`),
+            i` <div class="score-breakdown">
+      ${o}
+      <div class="score-breakdown-row score-breakdown-total">
+        <span>${f('score.total')}</span>
+        <code
+          >${f('score.profileName', { name: t.label })}${
+              t.customized ? f('score.customized') : ''
+            }</code
+        >
+        <span>${ao(e.total)}</span>
+      </div>
+    </div>`
+          );
+        })(a));
+    } else s = f('common.unknown');
+    const d = [];
+    if (
+      (d.push(i`
+      <button class="ip-detail-close" aria-label="${f('modal.close')}">
+        ×
+      </button>
+      <div class="ip-detail-title">
+        ${f('modal.title')}
+        <span class="ip-detail-source"
+          >${f('modal.source', { source: 'ipapi.is' })}</span
+        >
+        ${
+          t
+            ? i`${
+                t.stale
+                  ? Dt(t.fetchedAt)
+                  : i`<span
+                    class="ip-detail-source"
+                    title="${new Date(t.fetchedAt).toLocaleString(g)}"
+                    >${f(t.fromCache ? 'modal.cachedAt' : 'modal.fetchedAt', {
+                      age: Jt(t.fetchedAt),
+                    })}</span
+                  >`
+              }
+              <button class="ip-detail-refresh" data-ip="${e.ip || ''}">
+                ${f('modal.refresh')}
+              </button>`
+            : ''
+        }
+      </div>
+    `),
+      d.push(i`
+      <div class="ip-detail-section">
+        <div class="ip-detail-section-title">${f('modal.basic')}</div>
+        ${so(f('modal.ip'), e.ip || f('common.unknown'))}
+        ${so(
+          f('modal.cloudflareRange'),
+          f('common.checking'),
+          'cloudflare-range'
+        )}
+        ${so(f('modal.rir'), e.rir || f('common.unknown'))}
+        ${so(
+          f('modal.types'),
+          i`${Kt(e.company?.type)} /
+          ${Kt(e.asn?.type)}`
+        )}
+        <div class="ip-detail-item">
+          <span class="ip-detail-label">
+            ${f('modal.abuseScore')}
+            <span class="score-help-icon" title="${f('modal.scoreHelp')}"
+              >?</span
+            >
+            ${(function () {
+              const e = no(),
+                t = Zt.filter((t) => e.flags[t.key]).map(
+                  (t) => i`<li>
+          ${t.label} +${ao(e.flags[t.key])}
+        </li>`
+                ),
+                o = Qt.map(
+                  (e) => i`<li>
+          <span class="ip-detail-badge ${e.className}">${e.label}</span>
+          ≥ ${e.min}%
+        </li>`
+                );
+              return i` <span class="score-tooltip">
+      <div class="tooltip-header">
+        <span class="tooltip-title"
+          >${f('score.tooltipTitle', { name: e.label })}</span
+        >
+      </div>
+      <div class="tooltip-section">
+        <p class="tooltip-section-title">${f('score.formula')}</p>
+        <div class="formula-item">
+          <span class="formula-name">${f('score.base')}</span>
+          <span class="formula-equation"
+            ><code
+              >${f('score.company')} × ${e.companyWeight} +
+              ${f('score.asn')} × ${e.asnWeight}</code
+            ></span
+          >
+        </div>
+        <div class="formula-item">
+          <span class="formula-name">${f('score.extra')}</span>
+          <span class="formula-equation"
+            ><code>${f('score.extraFormula')}</code></span
+          >
+        </div>
+      </div>
+      <div class="tooltip-section">
+        <p class="tooltip-section-title">${f('score.flags')}</p>
+        <ul class="risk-list">
+          ${t}
+        </ul>
+      </div>
+      <div class="tooltip-section">
+        <p class="tooltip-section-title">${f('score.levels')}</p>
+        <ul class="risk-list">
+          ${o}
+        </ul>
+      </div>
+    </span>`;
+            })()}
+          </span>
+          <span class="ip-detail-value">${s}</span>
+        </div>
+        ${l}
+      </div>
+    `),
+      t &&
+        t.sources &&
+        d.push(
+          (function (e) {
+            const t = e.filter((e) => e.values);
+            if (t.length < 2) return '';
+            const o = $e(t, wo),
+              n = o.filter((e) => !e.agree).length,
+              r = o.map((e) => {
+                const t =
+                  e.agree && !1 !== e.field.compare
+                    ? i`<span class="success-text"
+                >✅ ${$o(e.field, e.values[0].value)}</span
+              >
+              <small
+                >(${f('intel.agree', { count: e.values.length })})</small
+              >`
+                    : e.values.map(
+                        (t) => i`<span class="intel-value"
+                  >${$o(e.field, t.value)}
+                  <small>${t.provider}</small></span
+                >`
+                      );
+                return i` <div
+        class="ip-detail-item${e.agree ? '' : ' intel-conflict'}"
+      >
+        <span class="ip-detail-label"
+          >${e.agree ? '' : '⚠️ '}${e.field.label}</span
+        >
+        <span class="ip-detail-value intel-values">${t}</span>
+      </div>`;
+              }),
+              a = e.filter((e) => e.error),
+              s = a.length
+                ? i`<div class="intel-failed">
+          ${f('intel.failed')}${a.map((e) => e.name).join(', ')}
+        </div>`
+                : '';
+            return i` <div class="ip-detail-section">
+      <div class="ip-detail-section-title">
+        ${f('intel.title')}
+        <span class="ip-detail-source"
+          >${t.map((e) => e.name).join(' / ')}</span
+        >
+        ${
+          n
+            ? i`<span class="ip-detail-badge badge-warning"
+              >${f('intel.conflicts', { count: n })}</span
+            >`
+            : i`<span class="ip-detail-badge badge-success"
+              >${f('intel.allAgree')}</span
+            >`
+        }
+      </div>
+      ${r} ${s}
+    </div>`;
+          })(t.sources)
+        ),
+      d.push(i`
+      <div class="ip-detail-section">
+        <div class="ip-detail-section-title">${f('modal.security')}</div>
+        ${io(f('modal.mobile'), e.is_mobile, '📱', 'success-text', !1)}
+        ${io(f('modal.datacenter'), e.is_datacenter, '🏢', 'warning-text', !1)}
+        ${io(f('modal.satellite'), e.is_satellite, '🛰️', 'success-text', !1)}
+        ${io(f('modal.crawler'), e.is_crawler, '🤖', 'danger-text')}
+        ${io(f('modal.proxy'), e.is_proxy, '⚠️', 'danger-text')}
+        ${io('VPN', e.is_vpn, '⚠️', 'danger-text')}
+        ${io(f('modal.tor'), e.is_tor, '⚠️', 'danger-text')}
+        ${io(f('modal.abuser'), e.is_abuser, '⚠️', 'danger-text')}
+        ${io(f('modal.bogon'), e.is_bogon, '⚠️', 'danger-text')}
+      </div>
+    `),
+      e.location)
+    ) {
+      const t = e.location;
+      d.push(i`
+        <div class="ip-detail-section">
+          <div class="ip-detail-section-title">${f('modal.location')}</div>
+          ${so(
+            f('modal.country'),
+            `${t.country || f('common.unknown')} (${t.country_code || '-'})`
+          )}
+          ${t.state ? so(f('modal.state'), t.state) : ''}
+          ${t.city ? so(f('modal.city'), t.city) : ''}
+          ${t.zip ? so(f('modal.zip'), t.zip) : ''}
+          ${
+            t.latitude && t.longitude
+              ? so(f('modal.coordinates'), `${t.latitude}, ${t.longitude}`)
+              : ''
+          }
+          ${t.timezone ? so(f('modal.timezone'), t.timezone) : ''}
+          ${t.local_time ? so(f('modal.localTime'), t.local_time) : ''}
+          ${so(
+            f('modal.eu'),
+            (function (e, t = '✅', o = '❌') {
+              return e ? t : o;
+            })(t.is_eu_member, `🇪🇺 ${f('common.yes')}`, f('common.no'))
+          )}
+        </div>
+      `);
+    }
+    if (e.company) {
+      const t = e.company,
+        o = t.abuser_score || f('common.unknown'),
+        n = Gt(o);
+      d.push(i`
+        <div class="ip-detail-section">
+          <div class="ip-detail-section-title">${f('modal.company')}</div>
+          ${so(f('modal.companyName'), t.name || f('common.unknown'))}
+          ${t.domain ? so(f('modal.domain'), t.domain) : ''}
+          ${so(f('modal.type'), t.type || f('common.unknown'))}
+          ${t.network ? so(f('modal.network'), To(t.network)) : ''}
+          ${so(
+            f('modal.abuserScore'),
+            i`<span class="ip-detail-badge ${n}"
+              >${o}</span
+            >`
+          )}
+        </div>
+      `);
+    }
+    if (e.asn) {
+      const t = e.asn,
+        o = t.abuser_score || f('common.unknown'),
+        n = Gt(o);
+      d.push(i`
+        <div class="ip-detail-section">
+          <div class="ip-detail-section-title">${f('modal.asnSection')}</div>
+          ${so(f('modal.asn'), `AS${t.asn || f('common.unknown')}`)}
+          ${t.org ? so(f('modal.org'), t.org) : ''}
+          ${t.route ? so(f('modal.route'), To(t.route)) : ''}
+          ${t.type ? so(f('modal.type'), t.type) : ''}
+          ${so(
+            f('modal.abuserScore'),
+            i`<span class="ip-detail-badge ${n}"
+              >${o}</span
+            >`
+          )}
+          ${
+            t.country
+              ? so(f('modal.countryCode'), String(t.country).toUpperCase())
+              : ''
+          }
+        </div>
+      `);
+    }
+    if (e.abuse) {
+      const t = e.abuse;
+      d.push(i`
+        <div class="ip-detail-section">
+          <div class="ip-detail-section-title">${f('modal.abuse')}</div>
+          ${t.name ? so(f('modal.abuseName'), t.name) : ''}
+          ${t.email ? so(f('modal.abuseEmail'), t.email) : ''}
+          ${t.phone ? so(f('modal.abusePhone'), t.phone) : ''}
+          ${t.address ? so(f('modal.abuseAddress'), t.address) : ''}
+        </div>
+      `);
+    }
+    c(o, i`<div class="ip-detail-content">${d}</div>`),
+      document.body.appendChild(o),
+      (async function (e, t) {
+        const o = e.querySelector('.cloudflare-range');
+        if (!o) return;
+        const n = t
+          ? await (async function (e) {
+              const t = await (function () {
+                Io ||
+                  (Io = fetch(So)
+                    .then((e) => {
+                      if (!e.ok)
+                        throw new Error(`HTTP error! status: ${e.status}`);
+                      return e.json();
+                    })
+                    .then((e) => ({
+                      ...e,
+                      ranges: [...e.ipv4, ...e.ipv6].map((e) => ({
+                        cidr: e,
+                        ...ye(e),
+                      })),
+                    }))
+                    .catch(
+                      (e) => (
+                        console.error('加载 Cloudflare IP 段错误:', e),
+                        (Io = null),
+                        null
+                      )
+                    ));
+                return Io;
+              })();
+              return t ? t.ranges.find((t) => ve(t, e)) || null : void 0;
+            })(t)
+          : void 0;
+        void 0 === n
+          ? (o.textContent = f('common.unknown'))
+          : n
+          ? c(
+              o,
+              i`<span class="success-text"
+          >✅ ${f('common.yes')} (${n.cidr})</span
+        >`
+            )
+          : (o.textContent = f('common.no'));
+      })(o, e.ip);
+  }
+  const co = 'https://cloudflare-dns.com/dns-query',
+    uo = { A: 1, CNAME: 5, AAAA: 28 };
+  function mo() {
+    return localStorage.getItem('dohEndpoint') || co;
+  }
+  function po(e) {
+    if (e.length > 253) return !1;
+    const t = e.replace(/\.$/, '').split('.');
+    return (
+      t.length >= 2 &&
+      t.every((e) => /^(?!-)[a-z0-9-]{1,63}(?<!-)$/i.test(e)) &&
+      !/^\d+$/.test(t[t.length - 1])
+    );
+  }
+  function go(e) {
+    const t = (function (e) {
+      return me(e) ? 'ipv4' : pe(e) ? 'ipv6' : po(e) ? 'hostname' : null;
+    })(e);
+    return (
+      t || o(f(e.includes('*') ? 'lookup.masked' : 'lookup.invalidInput')), t
+    );
+  }
+  async function fo(e, t) {
+    const o = mo(),
+      n =
+        o +
+        (o.includes('?') ? '&' : '?') +
+        `name=${encodeURIComponent(e)}&type=${t}`,
+      r = await fetch(n, { headers: { accept: 'application/dns-json' } });
+    if (!r.ok) throw new Error(f('dns.httpError', { status: r.status }));
+    const a = await r.json();
+    if (0 !== a.Status)
+      throw new Error(f('dns.rcodeError', { rcode: a.Status }));
+    return (a.Answer || []).filter((e) => e.type === uo[t]);
+  }
+  async function ho(e) {
+    const t = e.querySelector('#ip-lookup-input'),
+      n = e.querySelector('button[type="submit"]'),
+      r = t.value.trim().replace(/^\[|\]$/g, ''),
+      a = go(r);
+    if (!a) return void t.focus();
+    n.disabled = !0;
+    let s = r;
+    try {
+      if ('hostname' === a) {
+        try {
+          s = await (async function (e) {
+            for (const t of ['A', 'AAAA']) {
+              const o = await fo(e, t);
+              if (o.length) return o[0].data;
+            }
+            throw new Error(f('dns.noAddress'));
+          })(r);
+        } catch (e) {
+          return (
+            o(f('lookup.resolveFailed', { message: e.message })),
+            void console.error('域名解析错误:', e)
+          );
+        }
+        o(f('lookup.resolved', { name: r, ip: s }));
+      }
+      const e = await zt(s);
+      lo(e.data, e);
+    } catch (e) {
+      o(f('lookup.detailsFailed')), console.error('IP查询错误:', e);
+    } finally {
+      n.disabled = !1;
+    }
+  }
+  function yo() {
+    const e = document.getElementById('score-settings-body');
+    if (!e) return;
+    const t = no(),
+      o = Object.entries(eo).map(
+        ([e, o]) => i`<option
+          value="${e}"
+          ${e === t.name ? l(' selected') : ''}
+        >
+          ${o.label}
+        </option>`
+      ),
+      n = (e, t, o) => i` <label>
+      ${t}
+      <input
+        type="number"
+        class="tool-input score-weight-input"
+        data-field="${e}"
+        value="${o}"
+        min="0"
+        step="0.05"
+      />
+    </label>`;
+    c(
+      e,
+      i` <div class="tool-controls">
+          <label>
+            ${f('score.profile')}
+            <select id="score-profile" class="tool-input">
+              ${o}
+            </select>
+          </label>
+          <button type="button" id="score-reset" class="tool-button">
+            ${f('score.reset')}
+          </button>
+        </div>
+        <div class="tool-controls score-weights">
+          ${n('companyWeight', f('score.company') + ' ×', t.companyWeight)}
+          ${n('asnWeight', f('score.asn') + ' ×', t.asnWeight)}
+          ${Zt.map((e) => n(e.key, e.label + ' +', t.flags[e.key]))}
+        </div>`
+    );
+  }
+  function vo() {
+    const e = document.getElementById('score-settings-body');
+    e &&
+      (yo(),
+      e.addEventListener('change', (e) => {
+        if ('score-profile' === e.target.id)
+          return (
+            localStorage.setItem('scoreProfile', e.target.value), void yo()
+          );
+        const t = e.target.dataset.field;
+        if (t) {
+          const n = parseFloat(e.target.value);
+          if (Number.isNaN(n) || n < 0)
+            return o(f('score.invalidWeight')), void yo();
+          !(function (e, t) {
+            const o = oo(),
+              n = to(),
+              r = n[o] || {};
+            'companyWeight' === e || 'asnWeight' === e
+              ? (r[e] = t)
+              : (r.flags = { ...r.flags, [e]: t }),
+              (n[o] = r),
+              localStorage.setItem('scoreOverrides', JSON.stringify(n));
+          })(t, n);
+        }
+      }),
+      e.addEventListener('click', (e) => {
+        'score-reset' === e.target.id &&
+          (!(function () {
+            const e = to();
+            delete e[oo()],
+              localStorage.setItem('scoreOverrides', JSON.stringify(e));
+          })(),
+          yo(),
+          o(f('score.resetDone')));
+      }));
+  }
+  const bo = {
+      country: { label: f('modal.country') },
+      city: { label: f('modal.city') },
+      asn: { label: 'ASN', format: (e) => `AS${e}` },
+      org: { label: f('modal.org') },
+      type: { label: f('intel.type') },
+      is_proxy: { label: f('modal.proxy') },
+      is_vpn: { label: 'VPN' },
+      is_datacenter: { label: f('modal.datacenter') },
+    },
+    wo = IpCheckCore.INTEL_FIELDS.map((e) => ({ ...e, ...bo[e.key] }));
+  function ko() {
+    try {
+      const e = JSON.parse(localStorage.getItem('intelProviders'));
+      if (Array.isArray(e)) return e;
+    } catch (e) {}
+    return Ie();
+  }
+  function $o(e, t) {
+    return 'boolean' == typeof t
+      ? f(t ? 'common.yes' : 'common.no')
+      : 'type' === e.key
+      ? Kt(t)
+      : e.format
+      ? e.format(t)
+      : t;
+  }
+  const So = 'cloudflare-ips.json';
+  let Io = null;
+  function Co(e) {
+    const t = e.last - e.first + 1n,
+      o = t.toString(2).length - 1;
+    return o > 32 && t === 1n << BigInt(o) ? `2^${o}` : t.toLocaleString();
+  }
+  function To(e) {
+    const t = ye(String(e));
+    if (!t) return i`${e}`;
+    const o = (function () {
+        const e = [];
+        return (
+          Object.entries(Oe).forEach(([t, o]) => {
+            if ('success' !== o.status) return;
+            const n = je[t]?.label || t;
+            new Set([o.ip, o.stacks?.v4, o.stacks?.v6].filter(Boolean)).forEach(
+              (t) => e.push({ label: n, ip: t })
+            );
+          }),
+          e
+        );
+      })().filter(({ ip: e }) => ve(t, e)),
+      n = o.length
+        ? i`<span class="warning-text"
+          >${f('cidr.containsEgress')}${o
+            .map(({ label: e, ip: t }) => `${e} ${t}`)
+            .join(', ')}</span
+        >`
+        : f('cidr.noEgress');
+    return i` ${e}
+      <span class="network-range-details">
+        ${he(t.version, t.first)} –
+        ${he(t.version, t.last)} ·
+        ${f('cidr.count', { count: Co(t) })}<br />${n}
+      </span>`;
+  }
+  function Eo() {
+    document.body.addEventListener('click', (t) => {
+      const n = t.target.closest('.copy-domain');
+      if (n) {
+        const t = n.dataset.domain;
         return void (
-          n &&
-          (function (n) {
-            const a = n.replace(/^\*\./, '');
-            navigator.clipboard && navigator.clipboard.writeText
-              ? navigator.clipboard
-                  .writeText(a)
-                  .then(() => {
-                    e('✅ 已复制: ' + a);
-                  })
-                  .catch((e) => {
-                    t(a);
-                  })
-              : t(a);
-          })(n)
+          t &&
+          (function (t) {
+            const o = t.replace(/^\*\./, '');
+            e(o, f('toast.copied', { text: o }));
+          })(t)
         );
       }
-      const s = n.target.closest('.ip-text.clickable');
-      if (s) return void o(s);
-      const i = n.target.closest('.score-help-icon');
+      if (t.target.closest('#latency-start'))
+        return void (async function () {
+          if (H) return;
+          const e = [
+            ...document.querySelectorAll('.domain-card:not([hidden])'),
+          ];
+          if (!e.length) return;
+          const t = parseInt(document.getElementById('latency-port').value, 10),
+            o = parseInt(document.getElementById('latency-rounds').value, 10),
+            n = document.getElementById('latency-start'),
+            r = document.getElementById('latency-progress');
+          (H = !0), (n.disabled = !0);
+          try {
+            e.forEach((e) => z(e, null));
+            const n = new Map();
+            e.forEach((e) => {
+              const t = e.querySelector('.copy-domain').dataset.domain;
+              n.set(t, [...(n.get(t) || []), e]);
+            });
+            for (const [e, [a, s]] of [...n].entries()) {
+              r.textContent = f('latency.progress', {
+                index: e + 1,
+                total: n.size,
+                domain: a,
+              });
+              const i = await _(a, t, o);
+              M.set(a, i), s.forEach((e) => z(e, i));
+            }
+            (r.textContent = f('latency.done', {
+              total: n.size,
+              port: t,
+              rounds: o,
+            })),
+              document.getElementById('latency-sort').checked && U();
+          } catch (e) {
+            console.error('测速错误:', e);
+          } finally {
+            (H = !1), (n.disabled = !1);
+          }
+        })();
+      const r = t.target.closest('[data-report-format]');
+      if (r) return void Ke(r.dataset.reportFormat);
+      if (t.target.closest('#webrtc-start')) return void Et();
+      if (t.target.closest('#bulk-copy')) return void ne();
+      const a = t.target.closest('[data-select-domains]');
+      if (a)
+        return (
+          (s = 'all' === a.dataset.selectDomains),
+          document
+            .querySelectorAll(
+              '#domain-catalog .domain-card:not([hidden]) .domain-select'
+            )
+            .forEach((e) => re(e.dataset.domain, s)),
+          s ||
+            document
+              .querySelectorAll('.domain-select')
+              .forEach((e) => (e.checked = !1)),
+          void X()
+        );
+      var s;
+      const i = t.target.closest('.domain-tag');
       if (i)
         return (
-          n.stopPropagation(),
-          void (function (t) {
-            const e = t.nextElementSibling;
-            e.classList.contains('show'),
-              document.querySelectorAll('.score-tooltip.show').forEach((t) => {
-                t !== e && t.classList.remove('show');
+          (l = i.dataset.tag),
+          (O.tags = O.tags.includes(l)
+            ? O.tags.filter((e) => e !== l)
+            : [...O.tags, l]),
+          void q()
+        );
+      var l;
+      if (t.target.closest('#domain-filter-reset'))
+        return (
+          Object.assign(O, { query: '', tags: [], sort: '' }),
+          (document.getElementById('domain-search').value = ''),
+          (document.getElementById('domain-sort').value = ''),
+          void q()
+        );
+      const c = t.target.closest('.favorite-toggle');
+      if (c)
+        return void (function (e) {
+          const t = P(),
+            n = t.custom.findIndex((t) => t.domain === e);
+          let r;
+          -1 !== n
+            ? (t.custom.splice(n, 1), (r = !1))
+            : t.favorites.includes(e)
+            ? ((t.favorites = t.favorites.filter((t) => t !== e)), (r = !1))
+            : (t.favorites.push(e), (r = !0)),
+            A(t),
+            R(),
+            o(f(r ? 'mine.starred' : 'mine.unstarred', { domain: e }));
+        })(c.dataset.domain);
+      if (t.target.closest('#my-domains-import')) {
+        const e = document.getElementById('my-domains-input');
+        return j(e.value), void (e.value = '');
+      }
+      if (t.target.closest('#my-domains-export')) {
+        const t = B();
+        return void (t ? e(t, f('mine.exported')) : o(f('mine.exportEmpty')));
+      }
+      if (t.target.closest('#config-generate')) return void ee();
+      if (t.target.closest('#config-copy')) {
+        const t = document.getElementById('config-output').value;
+        return void (t
+          ? e(t, f('config.copied'))
+          : o(f('config.generateFirst')));
+      }
+      if (t.target.closest('#history-clear'))
+        return void (async function () {
+          if (confirm(f('history.confirmClear')))
+            try {
+              await tt('readwrite', (e) => e.clear()),
+                o(f('history.cleared')),
+                rt();
+            } catch (e) {
+              console.error('清空历史记录错误:', e),
+                o(f('history.clearFailed'));
+            }
+        })();
+      const d = t.target.closest('.resolve-domain');
+      if (d) return void se(d);
+      const u = t.target.closest('.ip-text.clickable');
+      if (u)
+        return void (async function (e) {
+          const t = e.textContent.trim();
+          if (e.querySelector('.loading-spinner')) return;
+          if (Bt.includes(e.dataset.state)) return;
+          if (!go(t)) return;
+          const n = document.createElement('span');
+          (n.className = 'loading-spinner'), e.appendChild(n);
+          try {
+            const e = await zt(t);
+            n.remove(), lo(e.data, e);
+          } catch (e) {
+            n.remove(),
+              o(f('lookup.detailsFailed')),
+              console.error('IP查询错误:', e);
+          }
+        })(u);
+      const m = t.target.closest('.score-help-icon');
+      if (m)
+        return (
+          t.stopPropagation(),
+          void (function (e) {
+            const t = e.nextElementSibling;
+            t.classList.contains('show'),
+              document.querySelectorAll('.score-tooltip.show').forEach((e) => {
+                e !== t && e.classList.remove('show');
               }),
-              e.classList.toggle('show');
-          })(i)
+              t.classList.toggle('show');
+          })(m)
         );
-      const l = n.target.closest('.ip-detail-close');
-      if (l) return void l.closest('.ip-detail-modal').remove();
-      if (n.target.classList.contains('ip-detail-modal'))
+      const p = t.target.closest('.ip-detail-refresh');
+      if (p) return void Ut(p);
+      const g = t.target.closest('.ip-detail-close');
+      if (g) return void g.closest('.ip-detail-modal').remove();
+      if (t.target.classList.contains('ip-detail-modal'))
         return (
-          n.target.remove(),
+          t.target.remove(),
           void document
             .querySelectorAll('.score-tooltip.show')
-            .forEach((t) => t.classList.remove('show'))
+            .forEach((e) => e.classList.remove('show'))
         );
-      const c = document.querySelector('.score-tooltip.show');
-      c && !c.contains(n.target) && c.classList.remove('show');
+      const h = document.querySelector('.score-tooltip.show');
+      h && !h.contains(t.target) && h.classList.remove('show');
     }),
-      document.addEventListener('keydown', (t) => {
-        if ('Escape' === t.key) {
-          const t = document.querySelector('.ip-detail-modal');
-          t && t.remove();
-          const e = document.querySelector('.score-tooltip.show');
-          e && e.classList.remove('show');
+      document.addEventListener('change', (e) => {
+        e.target.classList.contains('domain-select') &&
+          (re(e.target.dataset.domain, e.target.checked), X());
+      });
+    const t = document.getElementById('latency-sort');
+    t &&
+      t.addEventListener('change', () => {
+        U();
+      }),
+      document.addEventListener('keydown', (e) => {
+        if ('Escape' === e.key) {
+          const e = document.querySelector('.ip-detail-modal');
+          e && e.remove();
+          const t = document.querySelector('.score-tooltip.show');
+          t && t.classList.remove('show');
         }
       });
   }
-  !(function () {
-    const t = document.getElementById('theme-switcher');
-    t &&
-      (window.matchMedia &&
-        window
-          .matchMedia('(prefers-color-scheme: dark)')
-          .addEventListener('change', (t) => {
-            if (!localStorage.getItem('theme')) {
-              const e = t.matches ? 'dark' : 'light';
-              document.documentElement.setAttribute('data-theme', e);
-            }
-          }),
-      t.addEventListener('click', () => {
-        const t =
-          'dark' === document.documentElement.getAttribute('data-theme')
-            ? 'light'
-            : 'dark';
-        document.documentElement.setAttribute('data-theme', t),
-          localStorage.setItem('theme', t);
-      }));
-  })(),
+  h(),
     (function () {
-      const t = document.querySelectorAll('.lazy-image');
-      if (!t.length) return;
-      const e = new IntersectionObserver(
-        (t, e) => {
-          t.forEach((t) => {
-            if (t.isIntersecting) {
-              const n = t.target,
-                a = n.getAttribute('data-src');
-              if (a) {
-                const t = new Image();
-                (t.onload = () => {
-                  (n.src = a),
-                    n.removeAttribute('data-src'),
-                    setTimeout(() => {
-                      n.classList.add('loaded');
-                    }, 50);
-                }),
-                  (t.onerror = () => {
-                    n.classList.add('loaded');
-                  }),
-                  (t.src = a);
+      const e = document.getElementById('theme-switcher');
+      e &&
+        (window.matchMedia &&
+          window
+            .matchMedia('(prefers-color-scheme: dark)')
+            .addEventListener('change', (e) => {
+              if (!localStorage.getItem('theme')) {
+                const t = e.matches ? 'dark' : 'light';
+                document.documentElement.setAttribute('data-theme', t);
               }
-              e.unobserve(n);
-            }
-          });
-        },
-        { rootMargin: '200px', threshold: 0.01 }
-      );
-      t.forEach((t) => {
-        e.observe(t);
-      });
+            }),
+        e.addEventListener('click', () => {
+          const e =
+            'dark' === document.documentElement.getAttribute('data-theme')
+              ? 'light'
+              : 'dark';
+          document.documentElement.setAttribute('data-theme', e),
+            localStorage.setItem('theme', e);
+        }));
     })(),
-    c(),
-    (async function () {
-      try {
-        const t = await fetch(
-            'https://tongji.090227.xyz/?id=ipcheckinfo.zone.id'
-          ),
-          e = await t.json(),
-          n = document.getElementById('visit-count');
-        n && void 0 !== e.visitCount && (n.textContent = e.visitCount);
-      } catch (t) {
-        console.error('获取访问统计失败:', t);
-        const e = document.getElementById('visit-count');
-        e && (e.textContent = '加载失败');
+    E(),
+    Ue(),
+    (function () {
+      const e = document.getElementById('ip-lookup-form');
+      if (!e) return;
+      const t = document.getElementById('doh-endpoint');
+      (t.value = mo()),
+        t.addEventListener('change', () => {
+          const e = t.value.trim();
+          e && e !== co
+            ? /^https:\/\//.test(e)
+              ? localStorage.setItem('dohEndpoint', e)
+              : (o(f('lookup.dohHttps')), (t.value = mo()))
+            : (localStorage.removeItem('dohEndpoint'), (t.value = co));
+        });
+      const n = document.getElementById('ip-cache-ttl');
+      (n.value = String(Wt())),
+        n.addEventListener('change', () => {
+          localStorage.setItem('ipCacheTtl', n.value),
+            '0' === n.value && localStorage.removeItem(jt);
+        }),
+        e.addEventListener('submit', (t) => {
+          t.preventDefault(), ho(e);
+        });
+    })(),
+    vo(),
+    (function () {
+      const e = document.getElementById('intel-settings-body');
+      if (!e) return;
+      const t = ko();
+      c(
+        e,
+        i` <div class="tool-controls">
+        ${le.map(
+          (e) => i` <label>
+            <input
+              type="checkbox"
+              value="${e.name}"
+              ${t.includes(e.name) ? l(' checked') : ''}
+            />
+            ${e.name}
+          </label>`
+        )}
+      </div>`
+      ),
+        e.addEventListener('change', () => {
+          const t = [
+            ...e.querySelectorAll('input[type="checkbox"]:checked'),
+          ].map((e) => e.value);
+          localStorage.setItem('intelProviders', JSON.stringify(t));
+        });
+    })(),
+    (function () {
+      const e = document.getElementById('history-panel');
+      if (!e) return;
+      const t = document.getElementById('history-card');
+      Object.entries(je).forEach(([e, o]) => {
+        t.add(new Option(o.label, e));
+      }),
+        e.addEventListener('toggle', rt),
+        t.addEventListener('change', rt),
+        document
+          .getElementById('history-changes-only')
+          .addEventListener('change', rt),
+        document.getElementById('history-search').addEventListener('input', rt);
+    })(),
+    ht(),
+    (function () {
+      const e = document.getElementById('stun-server');
+      e &&
+        ((e.value = St()),
+        e.addEventListener('change', () => {
+          const t = e.value.trim();
+          if (t && t !== bt) {
+            if (!/^stuns?:/.test(t))
+              return o(f('webrtc.serverPrefix')), void (e.value = St());
+            localStorage.setItem('stunServer', t);
+          } else localStorage.removeItem('stunServer'), (e.value = bt);
+          Et();
+        }));
+    })(),
+    (function () {
+      const e = document.getElementById('config-ports');
+      e &&
+        (c(
+          e,
+          i`${Object.entries(J).map(([e, t]) =>
+            t.map(
+              (t) => i` <label class="config-port-option">
+            <input
+              type="checkbox"
+              class="config-port"
+              value="${t}"
+              ${443 === t ? l(' checked') : ''}
+            />
+            ${t}${'https' === e ? ' 🔒' : ''}
+          </label>`
+            )
+          )}`
+        ),
+        (document.getElementById('config-template').value =
+          localStorage.getItem('configTemplate') || ''),
+        X());
+    })(),
+    He(),
+    (function () {
+      if ('serviceWorker' in navigator) {
+        const e = a ? a.createScriptURL(r) : r;
+        navigator.serviceWorker
+          .register(e, { updateViaCache: 'none' })
+          .catch((e) => console.error('注册 Service Worker 错误:', e));
       }
+      window.addEventListener('offline', () => o(f('offline.offline'))),
+        window.addEventListener('online', Lt);
     })(),
-    r();
+    Eo();
 });
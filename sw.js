@@ -0,0 +1,168 @@
+/**
+ * Service Worker: 缓存页面外壳、域名目录与离线对照表,离线或处于强制门户 (captive portal) 时仍能打开页面
+ * 页面与脚本、样式采用网络优先: 在线时总是使用最新版本,离线时使用当前版本整体预缓存的外壳,
+ * 避免新页面配旧脚本;域名目录、对照表等数据采用 stale-while-revalidate
+ * 接口请求 (其他域名) 不经过缓存,离线时由页面显示上次的检测结果
+ */
+
+/**
+ * 发布版本: 预缓存文件内容的哈希 (sha256 前 12 位,计算方法见 test/sw.test.js)
+ * 预缓存的文件变化后 npm test 会失败并给出新值;sw.js 内容变化后浏览器会安装新版本
+ * 并重新预缓存整个外壳,旧版本的缓存在激活时删除
+ */
+const RELEASE = 'fdbd216baba2';
+
+/** 缓存名称,随发布版本变化 */
+const CACHE_NAME = `ipcheck-shell-${RELEASE}`;
+
+/** 安装时预缓存的资源 (页面导航统一使用 ./ 的缓存) */
+const PRECACHE_URLS = [
+  './',
+  'style.css',
+  'theme.js',
+  'ipcheck-core.min.js',
+  'script.min.js',
+  'domains.json',
+  'colos.json',
+  'cloudflare-ips.json',
+  'img.png',
+  'icon.svg',
+  'icon-192.png',
+  'icon-512.png',
+  'apple-touch-icon.png',
+  'manifest.webmanifest',
+];
+
+/** 延迟统计图等外部图片加载失败时使用的占位图 */
+const PLACEHOLDER_IMAGE = 'img.png';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      // 绕过 HTTP 缓存,确保预缓存的是同一版本的文件
+      .then((cache) =>
+        cache.addAll(
+          PRECACHE_URLS.map((url) => new Request(url, { cache: 'reload' }))
+        )
+      )
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key !== CACHE_NAME)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * 只缓存本站正常返回的响应
+ * 强制门户会把请求重定向到登录页,这类响应不能写入缓存
+ */
+function isCacheable(response) {
+  return response.ok && response.type === 'basic' && !response.redirected;
+}
+
+/**
+ * 缓存键: 页面导航 (含 ?tags= 等参数) 统一使用 ./ 的缓存,其余资源忽略查询参数
+ * @param {Request} request - 本站 GET 请求
+ * @returns {string}
+ */
+function getCacheKey(request) {
+  return request.mode === 'navigate' ? './' : request.url.split('?')[0];
+}
+
+/**
+ * 判断是否为页面外壳的代码 (页面、脚本、样式),这类资源需要保持同一版本
+ * @param {Request} request - 本站 GET 请求
+ */
+function isShellCode(request) {
+  return (
+    request.mode === 'navigate' ||
+    request.destination === 'script' ||
+    request.destination === 'style'
+  );
+}
+
+/**
+ * 网络优先: 在线时直接使用网络响应,请求失败或被强制门户重定向时使用预缓存
+ * 网络响应不写入缓存,预缓存始终是安装时的同一版本
+ * @param {FetchEvent} event - 本站 GET 请求
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(event) {
+  const { request } = event;
+  const cached = () =>
+    caches
+      .open(CACHE_NAME)
+      .then((cache) =>
+        cache.match(getCacheKey(request), { ignoreSearch: true })
+      );
+
+  try {
+    const response = await fetch(request);
+    if (isCacheable(response)) return response;
+    return (await cached()) || response;
+  } catch (error) {
+    const response = await cached();
+    if (response) return response;
+    throw error;
+  }
+}
+
+/**
+ * 先返回缓存,同时在后台请求网络并更新缓存
+ * @param {FetchEvent} event - 本站 GET 请求
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event) {
+  const { request } = event;
+  const cache = await caches.open(CACHE_NAME);
+  const key = getCacheKey(request);
+  const cached = await cache.match(key, { ignoreSearch: true });
+
+  const network = fetch(request).then(async (response) => {
+    if (isCacheable(response)) {
+      await cache.put(key, response.clone());
+    }
+    return response;
+  });
+  // 已返回缓存时,后台更新失败 (离线) 不影响页面
+  event.waitUntil(network.catch(() => {}));
+
+  return cached || network;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    event.respondWith(
+      isShellCode(request) ? networkFirst(event) : staleWhileRevalidate(event)
+    );
+    return;
+  }
+
+  // 外部图片 (延迟统计图) 无法加载时显示占位图,其他跨域请求不做处理
+  if (request.destination === 'image') {
+    event.respondWith(
+      fetch(request).catch(() =>
+        caches
+          .match(PLACEHOLDER_IMAGE)
+          .then((response) => response || Response.error())
+      )
+    );
+  }
+});
@@ -0,0 +1,326 @@
+/**
+ * ipcheck-core.js 与命令行工具的测试
+ * 通过 baseUrls / --base-url 把所有接口改写到本地模拟服务,不访问外部网络
+ */
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const path = require('node:path');
+const { execFile } = require('node:child_process');
+
+const core = require('../ipcheck-core.js');
+
+const CLI = path.join(__dirname, '..', 'bin', 'ipcheck.js');
+
+/** ipapi.is 格式的 IP 详情,默认方案下评分为 15.75% (elevated) */
+const IP_DETAILS = {
+  ip: '104.16.5.5',
+  is_proxy: true,
+  is_datacenter: true,
+  company: { type: 'hosting', abuser_score: '0.001 (Very Low)' },
+  asn: {
+    asn: 13335,
+    org: 'Cloudflare',
+    type: 'hosting',
+    abuser_score: '0.002 (Low)',
+  },
+  location: { country_code: 'US', city: 'SF' },
+};
+
+/**
+ * 模拟接口: "/<原主机名>/<原路径>" -> 响应体 (对象按 JSON 返回)
+ * 未列出的路径返回 503,用于验证接口回退
+ */
+const ROUTES = {
+  // 国内卡片: speedtest.cn 失败,回退到 ipipv.com
+  '/myip.ipipv.com/': { Ip: '5.6.7.8', Country: 'CN', City: 'BJ' },
+  '/4.ipw.cn/': '5.6.7.8',
+  '/6.ipw.cn/': '240e::1',
+  '/api.ipapi.cmliussss.net/': IP_DETAILS,
+  // 单栈接口返回了另一协议族的地址,应视为不可用
+  '/api6.ipify.org/': '1.2.3.4',
+  '/cf.090227.xyz/ip.json': { ip: '104.16.9.9', country: 'US' },
+  '/www.cloudflare.com/cdn-cgi/trace': 'ip=104.16.9.9\nloc=US\ncolo=LAX\n',
+  '/x.com/cdn-cgi/trace': 'ip=9.9.9.9\nloc=DE\ncolo=FRA\n',
+  '/ipinfo.io/104.16.5.5/json': {
+    country: 'CA',
+    city: 'SF',
+    org: 'AS13335 Cloudflare',
+  },
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((request, response) => {
+    const body = ROUTES[request.url.split('?')[0]];
+    if (body === undefined) {
+      response.statusCode = 503;
+      response.end('unavailable');
+      return;
+    }
+    response.end(typeof body === 'string' ? body : JSON.stringify(body));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+/**
+ * 运行命令行工具 (异步执行,模拟服务运行在同一进程中)
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+function runCli(args) {
+  return new Promise((resolve) => {
+    execFile(
+      process.execPath,
+      [CLI, ...args],
+      { env: { ...process.env, IPCHECK_BASE_URLS: '' } },
+      (error, stdout, stderr) => {
+        resolve({ code: error ? error.code : 0, stdout, stderr });
+      }
+    );
+  });
+}
+
+test('resolveUrl 按主机名或通配改写地址,保留路径和查询参数', () => {
+  const url = 'https://x.com/cdn-cgi/trace?t=1';
+  assert.equal(
+    core.resolveUrl(url, { 'x.com': 'http://127.0.0.1:1/' }),
+    'http://127.0.0.1:1/cdn-cgi/trace?t=1'
+  );
+  assert.equal(
+    core.resolveUrl(url, { '*': 'http://127.0.0.1:1' }),
+    'http://127.0.0.1:1/x.com/cdn-cgi/trace?t=1'
+  );
+  assert.equal(
+    core.resolveUrl('https://[2606:4700:4700::1111]/cdn-cgi/trace', {
+      '[2606:4700:4700::1111]': 'http://127.0.0.1:1',
+    }),
+    'http://127.0.0.1:1/cdn-cgi/trace'
+  );
+  assert.equal(core.resolveUrl(url, { 'other.com': 'http://a' }), url);
+});
+
+test('probeCard 在接口失败时回退到下一个接口', async () => {
+  const failed = [];
+  const result = await core.probeCard('ipip', {
+    baseUrls: { '*': baseUrl },
+    onProviderError: (provider) => failed.push(provider.name),
+  });
+  assert.equal(result.status, 'success');
+  assert.equal(result.provider, 'ipipv.com');
+  assert.equal(result.ip, '5.6.7.8');
+  assert.deepEqual(failed, ['speedtest.cn']);
+  assert.deepEqual(result.stacks, { v4: '5.6.7.8', v6: '240e::1' });
+});
+
+test('probeCard 补充 trace 并忽略协议族不符的单栈结果', async () => {
+  const cf = await core.probeCard('cf', { baseUrls: { '*': baseUrl } });
+  assert.equal(cf.provider, 'cf.090227.xyz');
+  assert.equal(cf.colo, 'LAX');
+  assert.equal(cf.trace.loc, 'US');
+
+  const edgeone = await core.probeCard('edgeone', {
+    baseUrls: { '*': baseUrl },
+  });
+  assert.equal(edgeone.stacks.v6, null);
+  // 单栈接口失败时以主接口的结果为准
+  assert.equal(edgeone.stacks.v4, '104.16.5.5');
+});
+
+test('probeCard 在所有接口失败时返回 error', async () => {
+  const result = await core.probeCard('twitter', {
+    baseUrls: { '*': `${baseUrl}/missing` },
+  });
+  assert.equal(result.status, 'error');
+  assert.equal(result.ip, undefined);
+  // 接口返回了错误,不是网络层面的失败
+  assert.equal(result.networkError, false);
+
+  const unreachable = await core.probeCard('twitter', {
+    baseUrls: { '*': 'http://127.0.0.1:1' },
+  });
+  assert.equal(unreachable.status, 'error');
+  assert.equal(unreachable.networkError, true);
+});
+
+test('calculateAbuseScore 无有效数据时返回 null', () => {
+  assert.equal(core.calculateAbuseScore(0, 0, {}), null);
+  const score = core.calculateAbuseScore('0.1', '0.1', { is_tor: true });
+  assert.equal(score.total.toFixed(2), '0.65');
+  assert.deepEqual(
+    score.factors.map((factor) => factor.id),
+    ['company', 'asn', 'is_tor']
+  );
+});
+
+test('lookupIp 与 summarizeLookup 生成报告条目', async () => {
+  const entry = await core.lookupIp('104.16.5.5', {
+    baseUrls: { '*': baseUrl },
+    intelProviders: ['ipinfo.io', 'proxycheck.io'],
+  });
+  assert.deepEqual(
+    entry.sources.map((source) => [source.name, Boolean(source.error)]),
+    [
+      ['ipapi.is', false],
+      ['ipinfo.io', false],
+      ['proxycheck.io', true],
+    ]
+  );
+
+  const summary = core.summarizeLookup(entry);
+  assert.deepEqual(summary.risk, {
+    profile: 'default',
+    percentage: 15.75,
+    level: 'elevated',
+  });
+  assert.equal(summary.flags.is_proxy, true);
+  assert.equal(summary.flags.is_vpn, false);
+  assert.equal(core.summarizeLookup(entry, 'strict').risk.level, 'high');
+
+  const conflicts = core
+    .computeIntelConsensus(entry.sources.filter((source) => source.values))
+    .filter((row) => !row.agree)
+    .map((row) => row.field.key);
+  assert.deepEqual(conflicts, ['country']);
+});
+
+test('parseIpAddress / formatIpAddress 互相转换并压缩 IPv6', () => {
+  assert.deepEqual(core.parseIpAddress('1.2.3.4'), {
+    version: 4,
+    value: 0x01020304n,
+  });
+  assert.deepEqual(core.parseIpAddress('[::ffff:1.2.3.4]'), {
+    version: 6,
+    value: 0xffff01020304n,
+  });
+  assert.equal(core.parseIpAddress('1.2.3.256'), null);
+  assert.equal(core.parseIpAddress('1.2.*.*'), null);
+
+  assert.equal(core.formatIpAddress(4, 0x01020304n), '1.2.3.4');
+  const ipv6 = core.parseIpAddress('2606:4700:0:0:0:0:0:1111');
+  assert.equal(core.formatIpAddress(6, ipv6.value), '2606:4700::1111');
+  // 只有一个 0 组时不压缩,多段时压缩最长的一段
+  assert.equal(
+    core.formatIpAddress(6, core.parseIpAddress('1:0:2:3:4:5:6:7').value),
+    '1:0:2:3:4:5:6:7'
+  );
+  assert.equal(
+    core.formatIpAddress(6, core.parseIpAddress('1:0:0:2:0:0:0:3').value),
+    '1:0:0:2::3'
+  );
+});
+
+test('parseNetworkRange 解析 CIDR 与起止范围', () => {
+  const cidr = core.parseNetworkRange('104.16.5.5/13');
+  assert.deepEqual(cidr, {
+    version: 4,
+    first: core.parseIpAddress('104.16.0.0').value,
+    last: core.parseIpAddress('104.23.255.255').value,
+    prefix: 13,
+  });
+  assert.equal(core.parseNetworkRange('1.1.1.1').prefix, 32);
+  assert.equal(
+    core.parseNetworkRange('1.0.0.0 - 1.0.0.255').last,
+    core.parseIpAddress('1.0.0.255').value
+  );
+  assert.equal(core.parseNetworkRange('2606:4700::/32').version, 6);
+
+  assert.equal(core.parseNetworkRange('1.0.0.0/33'), null);
+  assert.equal(core.parseNetworkRange('1.0.0.0/8a'), null);
+  assert.equal(core.parseNetworkRange('1.0.0.9 - 1.0.0.1'), null);
+  assert.equal(core.parseNetworkRange('1.0.0.0 - ::1'), null);
+
+  assert.equal(core.rangeContainsIp(cidr, '104.23.0.1'), true);
+  assert.equal(core.rangeContainsIp(cidr, '104.24.0.1'), false);
+  assert.equal(core.rangeContainsIp(cidr, '::ffff:104.16.0.1'), false);
+  assert.equal(
+    core.rangeContainsIp(
+      core.parseNetworkRange('2606:4700::/32'),
+      '2606:4700:10::1'
+    ),
+    true
+  );
+  assert.equal(core.rangeContainsIp(null, '1.1.1.1'), false);
+});
+
+test('diffEgress 列出字段变化、失败与恢复的卡片', () => {
+  const up = (ip, colo) => ({ status: 'success', ip, country: 'US', colo });
+  const down = { status: 'error' };
+  const previous = {
+    ipip: up('1.1.1.1'),
+    cf: up('2.2.2.2', 'LAX'),
+    edgeone: down,
+    twitter: down,
+  };
+  assert.deepEqual(core.diffEgress(previous, { ...previous }), []);
+  assert.deepEqual(
+    core.diffEgress(previous, {
+      ipip: down,
+      cf: up('3.3.3.3', 'SJC'),
+      edgeone: up('4.4.4.4'),
+      twitter: down,
+      // 上一次没有结果的卡片不比较
+      extra: up('5.5.5.5'),
+    }),
+    [
+      { card: 'ipip', type: 'failed' },
+      {
+        card: 'cf',
+        type: 'changed',
+        field: 'ip',
+        before: '2.2.2.2',
+        after: '3.3.3.3',
+      },
+      {
+        card: 'cf',
+        type: 'changed',
+        field: 'colo',
+        before: 'LAX',
+        after: 'SJC',
+      },
+      { card: 'edgeone', type: 'recovered' },
+    ]
+  );
+});
+
+test('ipcheck egress 输出报告,全部失败时退出码为 1', async () => {
+  const ok = await runCli(['egress', '--json', '--base-url', baseUrl]);
+  assert.equal(ok.code, 0);
+  const report = JSON.parse(ok.stdout);
+  assert.equal(report.format, core.REPORT_FORMAT);
+  assert.equal(report.version, core.REPORT_VERSION);
+  assert.deepEqual(
+    report.egress.map((item) => item.status),
+    ['success', 'success', 'success', 'success']
+  );
+
+  const failed = await runCli(['egress', '--base-url', `${baseUrl}/missing`]);
+  assert.equal(failed.code, 1);
+});
+
+test('ipcheck lookup 按 --fail-above 返回退出码', async () => {
+  const args = ['lookup', '104.16.5.5', '--base-url', baseUrl];
+
+  const below = await runCli([...args, '--json', '--fail-above', '20']);
+  assert.equal(below.code, 0);
+  assert.equal(JSON.parse(below.stdout).lookups[0].risk.level, 'elevated');
+
+  const above = await runCli([...args, '--fail-above', '15']);
+  assert.equal(above.code, 2);
+  assert.match(above.stdout, /15\.75% \(elevated, default profile\)/);
+});
+
+test('ipcheck 参数错误时退出码为 1', async () => {
+  assert.equal((await runCli(['lookup', 'not-an-ip'])).code, 1);
+  assert.equal((await runCli(['lookup', '1.1.1.1', '--profile', 'x'])).code, 1);
+  assert.equal((await runCli(['egress', '--base-url', 'x.com'])).code, 1);
+  assert.equal((await runCli(['unknown'])).code, 1);
+});
@@ -0,0 +1,448 @@
+/**
+ * 页面脚本 (script.js) 的测试
+ * 在 jsdom 中加载 index.html 与未压缩的脚本,fetch / IndexedDB 均为模拟,不访问外部网络
+ */
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+const ROOT = path.join(__dirname, '..');
+const PAGE_HTML = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+const SCRIPTS = ['ipcheck-core.js', 'script.js'].map((file) =>
+  fs.readFileSync(path.join(ROOT, file), 'utf8')
+);
+
+/**
+ * 模拟 fetch: 按 URL 片段匹配 routes,处理函数可返回响应体 (对象按 JSON 返回)、
+ * Response 或 Error (作为网络错误抛出);未匹配的外部地址视为网络不通,本地文件从仓库读取
+ * @param {object} routes - URL 片段 -> 处理函数 (url) => 响应
+ * @param {{requests: string[], pending: number}} page - 记录请求过的 URL 与未完成的请求数
+ */
+function createFetch(routes, page) {
+  const respond = async (url) => {
+    const route = Object.keys(routes).find((part) => url.includes(part));
+    if (route) {
+      const body = await routes[route](url);
+      if (body instanceof Error) throw body;
+      if (body instanceof Response) return body;
+      return new Response(
+        typeof body === 'string' ? body : JSON.stringify(body)
+      );
+    }
+    if (/^https?:/.test(url) && !url.startsWith('https://page.test/')) {
+      throw new TypeError('Failed to fetch');
+    }
+    const file = path.join(ROOT, new URL(url, 'https://page.test/').pathname);
+    return fs.existsSync(file)
+      ? new Response(fs.readFileSync(file))
+      : new Response('', { status: 404 });
+  };
+  return async (input) => {
+    const url = String(input);
+    page.requests.push(url);
+    page.pending++;
+    try {
+      return await respond(url);
+    } finally {
+      page.pending--;
+    }
+  };
+}
+
+/**
+ * 加载页面并执行脚本
+ * @param {object} [options]
+ * @param {object} [options.routes] - 见 createFetch
+ * @param {object} [options.storage] - 预先写入 localStorage 的内容 (对象按 JSON 保存)
+ * @param {object} [options.globals] - 额外注入 window 的对象 (如 RTCPeerConnection)
+ * @returns {Promise<{window: object, document: object, requests: string[], errors: any[][], close: Function}>}
+ */
+async function openPage({ routes = {}, storage = {}, globals = {} } = {}) {
+  const dom = new JSDOM(PAGE_HTML, {
+    url: 'https://page.test/index.html',
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+  });
+  const { window } = dom;
+  const page = {
+    window,
+    document: window.document,
+    requests: [],
+    pending: 0,
+    errors: [],
+    // 等页面发出的请求 (及其后续处理) 结束后再关闭,避免关闭后仍有回调访问 document
+    async close() {
+      await waitFor(() => page.pending === 0);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      window.close();
+    },
+  };
+
+  window.fetch = createFetch(routes, page);
+  window.indexedDB = new IDBFactory();
+  window.IDBKeyRange = IDBKeyRange;
+  window.IntersectionObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+  window.matchMedia = () => ({ matches: false, addEventListener() {} });
+  Object.assign(window, globals);
+  window.console = {
+    ...console,
+    log() {},
+    info() {},
+    warn() {},
+    error: (...args) => page.errors.push(args),
+  };
+  window.localStorage.setItem('lang', 'en');
+  Object.entries(storage).forEach(([key, value]) =>
+    window.localStorage.setItem(
+      key,
+      typeof value === 'string' ? value : JSON.stringify(value)
+    )
+  );
+
+  // jsdom 在解析完成后自行派发 DOMContentLoaded,已错过时才手动派发
+  SCRIPTS.forEach((source) => window.eval(source));
+  if (window.document.readyState !== 'loading') {
+    window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+  }
+  return page;
+}
+
+/**
+ * 等待条件成立 (轮询),超时则失败
+ * @param {Function} condition - 返回真值时结束等待
+ * @param {number} [timeout] - 毫秒
+ */
+async function waitFor(condition, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  while (!(await condition())) {
+    if (Date.now() > deadline) throw new Error('waitFor: timed out');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+/**
+ * 读取页面保存的出口历史记录 (页面尚未创建数据库时返回空数组,避免抢先创建)
+ * @returns {Promise<object[]>}
+ */
+async function readHistory(window) {
+  const databases = await window.indexedDB.databases();
+  if (!databases.some((db) => db.name === 'ipcheckinfo')) return [];
+  return new Promise((resolve, reject) => {
+    const open = window.indexedDB.open('ipcheckinfo');
+    open.onerror = () => reject(open.error);
+    open.onsuccess = () => {
+      const db = open.result;
+      const request = db
+        .transaction('egressHistory')
+        .objectStore('egressHistory')
+        .getAll();
+      request.onsuccess = () => {
+        db.close();
+        resolve(request.result);
+      };
+    };
+  });
+}
+
+/**
+ * 把页面的时钟拨快 ms 毫秒,并通过 visibilitychange 让监控重新计算下次检测时间
+ */
+function advanceMonitorClock(window, ms) {
+  const now = window.Date.now;
+  window.Date.now = () => now() + ms;
+  window.document.dispatchEvent(new window.Event('visibilitychange'));
+}
+
+/**
+ * 模拟 RTCPeerConnection: 通过 STUN 得到给定的公网 (srflx) 候选地址
+ * @param {string[]} ips - 候选地址
+ */
+function fakePeerConnection(ips) {
+  return class {
+    createDataChannel() {}
+    async createOffer() {
+      return {};
+    }
+    async setLocalDescription() {
+      setTimeout(() => {
+        ips.forEach((ip, i) =>
+          this.onicecandidate({
+            candidate: {
+              candidate: `candidate:${i} 1 udp 1686052607 ${ip} 6000 typ srflx raddr 0.0.0.0 rport 0`,
+            },
+          })
+        );
+        this.onicecandidate({ candidate: null });
+      });
+    }
+    close() {}
+  };
+}
+
+/**
+ * 等待本次监控检测 (含写入历史记录) 完成,状态显示下次检测时间
+ */
+function waitForMonitorIdle(page) {
+  const status = page.document.getElementById('monitor-status');
+  return waitFor(() => status.textContent.includes('Next'));
+}
+
+test('监控检测到出口变化时写入历史记录并刷新时间线', async (t) => {
+  let egressIp = '9.9.9.9';
+  let traceCalls = 0;
+  const page = await openPage({
+    routes: {
+      'x.com/cdn-cgi/trace': () => {
+        traceCalls++;
+        return `ip=${egressIp}\nloc=DE\ncolo=FRA\n`;
+      },
+    },
+    storage: { monitorSettings: { enabled: true, interval: 60 } },
+  });
+  t.after(() => page.close());
+  const twitterRuns = async () =>
+    (await readHistory(page.window)).filter(
+      (record) => record.card === 'twitter'
+    );
+  page.document.getElementById('history-panel').open = true;
+
+  // 页面加载时的检测
+  await waitFor(async () => (await twitterRuns()).length === 1);
+
+  // 出口未变化: 不写入历史记录
+  let calls = traceCalls;
+  advanceMonitorClock(page.window, 61 * 1000);
+  await waitFor(() => traceCalls > calls);
+  await waitForMonitorIdle(page);
+  assert.equal((await twitterRuns()).length, 1);
+
+  // 出口变化: 提醒并写入历史记录,时间线随之刷新
+  egressIp = '8.8.4.4';
+  calls = traceCalls;
+  advanceMonitorClock(page.window, 61 * 1000);
+  await waitFor(() => traceCalls > calls);
+  await waitFor(async () => (await twitterRuns()).length === 2);
+  assert.deepEqual(
+    (await twitterRuns()).map((record) => record.ip),
+    ['9.9.9.9', '8.8.4.4']
+  );
+  await waitFor(() =>
+    page.document.getElementById('history-body').textContent.includes('8.8.4.4')
+  );
+  assert.match(page.document.querySelector('.toast').textContent, /8\.8\.4\.4/);
+  assert.deepEqual(
+    page.errors.filter(([message]) => /历史记录|监控/.test(message)),
+    []
+  );
+});
+
+test('监控更新出口后重新判断 WebRTC 是否泄露', async (t) => {
+  let egressIp = '9.9.9.9';
+  let traceCalls = 0;
+  const page = await openPage({
+    routes: {
+      'x.com/cdn-cgi/trace': () => {
+        traceCalls++;
+        return `ip=${egressIp}\nloc=DE\ncolo=FRA\n`;
+      },
+    },
+    storage: { monitorSettings: { enabled: true, interval: 60 } },
+    globals: { RTCPeerConnection: fakePeerConnection(['9.9.9.9']) },
+  });
+  t.after(() => page.close());
+  const status = page.document.getElementById('status-webrtc');
+
+  // WebRTC 地址与代理出口一致: 未泄露
+  await waitFor(() => status.classList.contains('status-success'));
+
+  // 监控发现出口变化后,WebRTC 地址与新出口不一致: 判定为泄露
+  egressIp = '8.8.4.4';
+  const calls = traceCalls;
+  advanceMonitorClock(page.window, 61 * 1000);
+  await waitFor(() => traceCalls > calls);
+  await waitFor(() => status.classList.contains('status-error'));
+  assert.ok(page.document.querySelector('#webrtc-result .webrtc-leaked'));
+  await waitForMonitorIdle(page);
+});
+
+test('打码的 IP 直接拒绝查询,不猜测补全', async (t) => {
+  const page = await openPage({
+    routes: {
+      'api-v3.speedtest.cn/ip': () => ({
+        code: 0,
+        data: { ip: '123.45.*.*', country: 'CN', city: 'BJ' },
+      }),
+    },
+  });
+  t.after(() => page.close());
+  const { document, window } = page;
+  const ipElement = document.getElementById('ipip-ip');
+  await waitFor(() => ipElement.classList.contains('clickable'));
+  assert.equal(ipElement.textContent.trim(), '123.45.*.*');
+
+  // 点击卡片上的 IP
+  ipElement.click();
+  assert.match(document.querySelector('.toast').textContent, /masked/);
+  document.querySelector('.toast').remove();
+
+  // 手动输入同样的地址
+  document.getElementById('ip-lookup-input').value = '123.45.*.*';
+  document
+    .getElementById('ip-lookup-form')
+    .dispatchEvent(new window.Event('submit', { cancelable: true }));
+  assert.match(document.querySelector('.toast').textContent, /masked/);
+
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.ok(!page.requests.some((url) => url.includes('123.45.')));
+  assert.equal(document.querySelector('.ip-detail-modal'), null);
+});
+
+test('只有网络层面失败时才显示过期的 IP 详情', async (t) => {
+  let failure = new Response('error', { status: 500 });
+  const page = await openPage({
+    routes: { 'api.ipapi.cmliussss.net': () => failure },
+    storage: {
+      ipDetailCache: {
+        '1.1.1.1': {
+          data: { ip: '1.1.1.1', location: { country_code: 'AU' } },
+          sources: [],
+          fetchedAt: Date.now() - 30 * 24 * 60 * 60 * 1000,
+        },
+      },
+    },
+  });
+  t.after(() => page.close());
+  const { document, window } = page;
+  const lookup = async () => {
+    document.querySelector('.toast')?.remove();
+    document.getElementById('ip-lookup-input').value = '1.1.1.1';
+    document
+      .getElementById('ip-lookup-form')
+      .dispatchEvent(new window.Event('submit', { cancelable: true }));
+    await waitFor(
+      () =>
+        document.querySelector('.ip-detail-modal') ||
+        document.querySelector('.toast')
+    );
+  };
+
+  // 接口返回错误: 提示失败,不显示过期的结果
+  await lookup();
+  assert.equal(document.querySelector('.ip-detail-modal'), null);
+  assert.match(document.querySelector('.toast').textContent, /Failed/);
+
+  // 无法连接: 显示上次的结果并标记为过期
+  failure = new TypeError('Failed to fetch');
+  await lookup();
+  assert.equal(
+    document.querySelector('.ip-detail-modal').dataset.stale,
+    'true'
+  );
+});
+
+test('自定义泛域名的 TCPing 与测速使用具体的子域名', async (t) => {
+  const page = await openPage({
+    // 旧版本保存的自定义泛域名
+    storage: { myDomains: { custom: [{ domain: '*.example.com' }] } },
+  });
+  t.after(() => page.close());
+  const { document } = page;
+  const grid = () => document.getElementById('my-domains-grid');
+  await waitFor(() => grid()?.querySelector('.domain-card'));
+
+  document.getElementById('my-domains-input').value = '*.example.org#Org';
+  document.getElementById('my-domains-import').click();
+
+  const cards = [...grid().querySelectorAll('.domain-card')];
+  assert.deepEqual(
+    cards.map((card) => card.dataset.name),
+    ['*.example.com', '*.example.org']
+  );
+  cards.forEach((card) => {
+    const link = card.querySelector('a.test-link').href;
+    assert.doesNotMatch(link, /\*|%2A/i);
+    assert.match(link, /[a-z0-9]{8}\.example\.(com|org):443$/);
+    assert.equal(
+      card.querySelector('.domain-select').dataset.wildcard,
+      card.dataset.name.slice(2)
+    );
+  });
+
+  // 转换后的条目已写回,导出文本保留 *. 前缀
+  const saved = JSON.parse(page.window.localStorage.getItem('myDomains'));
+  assert.equal(saved.custom[0].host, 'example.com');
+  assert.equal(
+    saved.custom[0].domain,
+    cards[0].querySelector('.copy-domain').dataset.domain
+  );
+  assert.equal(
+    document.getElementById('my-domains-text').textContent,
+    '*.example.com\n*.example.org#Org'
+  );
+});
+
+test('测速只测筛选后显示的卡片', async (t) => {
+  const page = await openPage({
+    routes: { ':443/cdn-cgi/trace': () => 'ok' },
+  });
+  t.after(() => page.close());
+  const { document, window } = page;
+  await waitFor(() => document.querySelector('#domain-catalog .domain-card'));
+
+  const search = document.getElementById('domain-search');
+  search.value = '090227';
+  search.dispatchEvent(new window.Event('input'));
+  const visible = [
+    ...document.querySelectorAll('.domain-card:not([hidden]) .copy-domain'),
+  ].map((button) => button.dataset.domain);
+  assert.ok(visible.length);
+  assert.ok(visible.length < document.querySelectorAll('.domain-card').length);
+
+  document.getElementById('latency-start').click();
+  const progress = document.getElementById('latency-progress');
+  await waitFor(() => progress.textContent.includes('Done'), 10000);
+  const measured = page.requests
+    .filter((url) => url.includes(':443/cdn-cgi/trace'))
+    .map((url) => new URL(url).hostname);
+  assert.deepEqual([...new Set(measured)].sort(), [...new Set(visible)].sort());
+});
+
+test('IP 详情弹窗按内置网段判断是否为 Cloudflare IP', async (t) => {
+  const page = await openPage({
+    routes: {
+      'api.ipapi.cmliussss.net': (url) => ({
+        ip: new URL(url).searchParams.get('ip'),
+        location: { country_code: 'US' },
+      }),
+    },
+  });
+  t.after(() => page.close());
+  const { document, window } = page;
+  const lookup = async (ip) => {
+    document.querySelector('.ip-detail-modal')?.remove();
+    document.getElementById('ip-lookup-input').value = ip;
+    document
+      .getElementById('ip-lookup-form')
+      .dispatchEvent(new window.Event('submit', { cancelable: true }));
+    await waitFor(() =>
+      /\S/.test(
+        document.querySelector('.ip-detail-modal .cloudflare-range')
+          ?.textContent || ''
+      )
+    );
+    return document.querySelector('.cloudflare-range').textContent.trim();
+  };
+
+  assert.match(await lookup('104.16.5.5'), /104\.16\.0\.0\/13/);
+  assert.match(await lookup('2606:4700:10::1'), /2606:4700::\/32/);
+  assert.equal(await lookup('8.8.8.8'), 'No');
+});
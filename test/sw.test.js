@@ -0,0 +1,45 @@
+/**
+ * Service Worker (sw.js) 的测试
+ * 检查 RELEASE 与预缓存文件的内容一致: 文件变化而 RELEASE 未更新时,已安装的用户不会拿到新版本
+ */
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const ROOT = path.join(__dirname, '..');
+const SW_SOURCE = fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8');
+
+/**
+ * 计算预缓存文件的内容哈希 (./ 对应 index.html),即 RELEASE 应有的值
+ * @param {string[]} urls - PRECACHE_URLS
+ * @returns {string} sha256 的前 12 位十六进制
+ */
+function hashPrecache(urls) {
+  const hash = crypto.createHash('sha256');
+  urls.forEach((url) => {
+    hash.update(`${url}\n`);
+    hash.update(
+      fs.readFileSync(path.join(ROOT, url === './' ? 'index.html' : url))
+    );
+  });
+  return hash.digest('hex').slice(0, 12);
+}
+
+test('RELEASE 与预缓存文件的内容一致', () => {
+  const release = SW_SOURCE.match(/const RELEASE = '([^']*)';/)[1];
+  const urls = JSON.parse(
+    SW_SOURCE.match(/const PRECACHE_URLS = (\[[^\]]*\]);/)[1]
+      .replace(/'/g, '"')
+      .replace(/,\s*\]/, ']')
+  );
+  const expected = hashPrecache(urls);
+  assert.equal(
+    release,
+    expected,
+    `预缓存的文件已变化,请把 sw.js 中的 RELEASE 更新为 '${expected}'`
+  );
+});
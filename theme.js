@@ -0,0 +1,23 @@
+/**
+ * 在页面渲染前应用主题,避免闪烁
+ * (独立文件加载,以满足 CSP 禁止内联脚本的要求)
+ */
+(function () {
+  // 1. 获取系统主题偏好
+  function getSystemTheme() {
+    if (
+      window.matchMedia &&
+      window.matchMedia('(prefers-color-scheme: dark)').matches
+    ) {
+      return 'dark';
+    }
+    return 'light';
+  }
+
+  // 2. 设置初始主题：优先使用本地存储，如果没有则跟随系统
+  const savedTheme = localStorage.getItem('theme');
+  const initialTheme = savedTheme || getSystemTheme();
+
+  // 3. 立即应用主题到 <html> 标签
+  document.documentElement.setAttribute('data-theme', initialTheme);
+})();